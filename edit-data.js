@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+
+/**
+ * Data Authoring Tool
+ *
+ * Adds, edits and removes products in data/sunscreens.yaml without editing YAML by hand:
+ *   node edit-data.js list [text]    List products (optionally only those whose name or brand contains text)
+ *   node edit-data.js add            Add a product (the next free id is assigned)
+ *   node edit-data.js edit <id>      Edit a product (press Enter to keep a value)
+ *   node edit-data.js remove <id>    Remove a product
+ *
+ * Each field is asked for in turn, with the values the question options allow
+ * (data/questions-metadata.yaml). A pasted INCI list is split into the " - "
+ * form, its UV filters are detected and its ingredients are matched against
+ * the glossary (data/ingredients.yaml) to suggest classifications.
+ *
+ * Changes are checked with validate-data.js before the file is written. Only the
+ * product's own entry is rewritten, so comments and formatting elsewhere stay as they are.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { parseSPF } from './modules/quiz/spf.js';
+import { deriveFilterType, findUVFilters } from './modules/ingredients/uv-filters.js';
+import { INGREDIENT_CLASSIFICATIONS } from './modules/ingredients/classifications.js';
+import { getNextId } from './modules/duplicates.js';
+import {
+    getFieldChoices,
+    normalizeINCI,
+    suggestClassifications,
+    serializeSunscreen,
+    findSunscreenBlocks,
+    replaceSunscreenBlock,
+    removeSunscreenBlock,
+    appendSunscreenBlock
+} from './modules/authoring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, 'data');
+const SUNSCREENS_FILE = path.join(DATA_DIR, 'sunscreens.yaml');
+
+// Typed to clear an optional field when editing
+const CLEAR = '-';
+
+// ============================================================================
+// Data
+// ============================================================================
+
+function readYAML(name) {
+    return yaml.load(fs.readFileSync(path.join(DATA_DIR, name), 'utf8'));
+}
+
+function loadData() {
+    const text = fs.readFileSync(SUNSCREENS_FILE, 'utf8');
+    const schema = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'schemas', 'sunscreens.schema.json'), 'utf8'));
+
+    return {
+        text,
+        sunscreens: yaml.load(text).sunscreens,
+        questions: readYAML('questions-metadata.yaml').questions,
+        glossary: readYAML('ingredients.yaml').ingredients || {},
+        fieldOrder: Object.keys(schema.$defs.sunscreen.properties)
+    };
+}
+
+/**
+ * Validate the changed file with validate-data.js, and write it only if that passes
+ * @param {string} text - New contents of sunscreens.yaml
+ * @returns {boolean} Whether the file was written
+ */
+function validateAndSave(text) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sunscreens-'));
+    const tempFile = path.join(tempDir, 'sunscreens.yaml');
+
+    try {
+        fs.writeFileSync(tempFile, text);
+        const result = spawnSync(process.execPath, [path.join(__dirname, 'validate-data.js'), `--sunscreens=${tempFile}`], {
+            encoding: 'utf8'
+        });
+
+        if (result.status !== 0) {
+            const output = result.stdout || '';
+            const summary = output.indexOf('📊 VALIDATION SUMMARY');
+            console.log(summary === -1 ? output + (result.stderr || '') : output.slice(summary));
+            console.log(`\n❌ Not saved: fix the errors above and try again.`);
+            return false;
+        }
+
+        fs.writeFileSync(SUNSCREENS_FILE, text);
+        console.log(`\n✅ Validation passed, saved ${path.relative(process.cwd(), SUNSCREENS_FILE)} (run "npm run validate" to see any warnings)`);
+        return true;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+function findProduct(sunscreens, idArg) {
+    const id = Number(idArg);
+    const index = sunscreens.findIndex(sunscreen => sunscreen.id === id);
+
+    if (!Number.isInteger(id) || index === -1) {
+        throw new Error(`No product with id ${idArg} (run "node edit-data.js list")`);
+    }
+    return index;
+}
+
+// ============================================================================
+// Prompts
+// ============================================================================
+
+/**
+ * Create a prompt that reads one line per answer
+ * Lines are queued, so answers can also be piped in
+ */
+function createPrompter() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    const queued = [];
+    const waiting = [];
+    let closed = false;
+
+    rl.on('line', line => (waiting.length > 0 ? waiting.shift()(line) : queued.push(line)));
+    rl.on('close', () => {
+        closed = true;
+        waiting.splice(0).forEach(resolve => resolve(null));
+    });
+
+    async function ask(question) {
+        rl.setPrompt(question);
+        rl.prompt();
+
+        const line = queued.length > 0 ? queued.shift() : (closed ? null : await new Promise(resolve => waiting.push(resolve)));
+        if (!process.stdin.isTTY) process.stdout.write(`${line ?? ''}\n`);
+        if (line === null) {
+            throw new Error('Input ended before all fields were answered; nothing was saved');
+        }
+        return line.trim();
+    }
+
+    return { ask, close: () => rl.close() };
+}
+
+function formatDefault(value) {
+    if (value === undefined || value === null || value === '') return '';
+    return ` [${Array.isArray(value) ? value.join(', ') : value}]`;
+}
+
+/**
+ * Ask for text until it passes a check
+ * @param {Object} prompter - From createPrompter
+ * @param {string} label - Field label
+ * @param {Object} [options] - defaultValue, optional (Enter or "-" leaves it empty), check (returns an error or null)
+ * @returns {Promise<string|undefined>} Answer (undefined when an optional field is left empty)
+ */
+async function askText(prompter, label, { defaultValue, optional = false, check = () => null } = {}) {
+    for (;;) {
+        let answer = await prompter.ask(`${label}${formatDefault(defaultValue)}: `);
+        if (answer === '' && defaultValue !== undefined) answer = String(defaultValue);
+        if (optional && (answer === '' || answer === CLEAR)) return undefined;
+
+        const error = answer === '' ? 'required' : check(answer);
+        if (!error) return answer;
+        console.log(`   ${error}`);
+    }
+}
+
+async function askBoolean(prompter, label, defaultValue) {
+    const answer = await askText(prompter, `${label} (y/n)`, {
+        defaultValue: defaultValue === undefined ? undefined : (defaultValue ? 'y' : 'n'),
+        check: value => (/^(y|yes|n|no|true|false)$/i.test(value) ? null : 'answer y or n')
+    });
+    return /^(y|yes|true)$/i.test(answer);
+}
+
+/**
+ * Ask for one or more values from a list (by value or number, comma separated)
+ * @param {Object} prompter - From createPrompter
+ * @param {string} label - Field label
+ * @param {Array<string>} choices - Allowed values
+ * @param {Object} [options] - defaultValues, multiple, optional, allowOther (accept new slugs not in choices)
+ * @returns {Promise<Array<string>|string|undefined>} Values (a single value unless multiple)
+ */
+async function askChoice(prompter, label, choices, { defaultValues, multiple = false, optional = false, allowOther = false } = {}) {
+    console.log(`\n${label}:`);
+    console.log(choices.map((choice, index) => `  ${index + 1}) ${choice}`).join('\n'));
+    if (allowOther) console.log(`  (other values are accepted as new slugs, e.g. water-sweat-resistant)`);
+
+    const defaultValue = defaultValues && defaultValues.length > 0 ? defaultValues.join(', ') : undefined;
+    const answer = await askText(prompter, multiple ? 'Choose one or more' : 'Choose one', {
+        defaultValue,
+        optional,
+        check: value => {
+            const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+            if (!multiple && parts.length > 1) return 'choose only one';
+
+            const unknown = parts
+                .map(part => (/^\d+$/.test(part) ? choices[Number(part) - 1] : part))
+                .filter(part => !part || !(choices.includes(part) || (allowOther && /^[a-z0-9]+(-[a-z0-9]+)*$/.test(part))));
+            return unknown.length > 0 || parts.length === 0 ? `choose from the list${allowOther ? ' or type a lowercase-hyphenated slug' : ''}` : null;
+        }
+    });
+
+    if (answer === undefined) return multiple ? [] : undefined;
+
+    const values = Array.from(new Set(answer.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => (/^\d+$/.test(part) ? choices[Number(part) - 1] : part))));
+
+    values
+        .filter(value => !choices.includes(value))
+        .forEach(value => console.log(`   Note: "${value}" is not a question option, so users can't select it yet`));
+
+    return multiple ? values : values[0];
+}
+
+// ============================================================================
+// Product Fields
+// ============================================================================
+
+/**
+ * Show what the ingredients tell about a product and ask for classification overrides
+ * @returns {Promise<Object>} { filterType, overrideClassifications, ingredientClassifications } to merge into the product
+ */
+async function reviewIngredients(prompter, ingredients, glossary, filterTypeChoices, current) {
+    const uvFilters = findUVFilters(ingredients);
+    const derivedFilterType = deriveFilterType(ingredients);
+    const suggestions = suggestClassifications(ingredients, glossary);
+
+    console.log(`\n   ${suggestions.length} ingredients`);
+    console.log(`   UV filters: ${[...uvFilters.mineral, ...uvFilters.chemical].join(', ') || 'none recognized'}`);
+
+    const result = {};
+    if (derivedFilterType) {
+        console.log(`   Filter type: ${derivedFilterType} (worked out from the ingredients)`);
+    } else {
+        result.filterType = await askChoice(prompter, 'No known UV filter found. Filter type', filterTypeChoices, {
+            defaultValues: current.filterType ? [current.filterType] : undefined
+        });
+    }
+
+    INGREDIENT_CLASSIFICATIONS.forEach(classification => {
+        const names = suggestions
+            .filter(suggestion => suggestion.classification === classification && !suggestion.similarTo)
+            .map(suggestion => suggestion.raw);
+        if (names.length > 0) console.log(`   ${classification} (glossary): ${names.join(', ')}`);
+    });
+
+    const similar = suggestions.filter(suggestion => suggestion.similarTo);
+    similar.forEach(({ raw, classification, similarTo }) => {
+        console.log(`   ${raw}: not in the glossary, but ${similarTo} is ${classification}`);
+    });
+
+    const unknown = suggestions.filter(suggestion => !suggestion.classification).map(suggestion => suggestion.raw);
+    if (unknown.length > 0) {
+        console.log(`   Not in the glossary (add them to data/ingredients.yaml to classify them everywhere): ${unknown.join(', ')}`);
+    }
+
+    const overrides = { ...(current.overrideClassifications ? current.ingredientClassifications : {}) };
+    if (similar.length > 0 && await askBoolean(prompter, `Use the ${similar.length} suggested classification(s) for this product`, false)) {
+        similar.forEach(({ raw, classification }) => {
+            overrides[raw] = classification;
+        });
+    }
+
+    const names = suggestions.map(suggestion => suggestion.raw);
+    const answer = await askText(prompter, `Classify ingredients differently for this product only (INGREDIENT=${INGREDIENT_CLASSIFICATIONS.join('|')}, comma separated)`, {
+        optional: true,
+        check: value => {
+            const invalid = value.split(',').map(pair => pair.trim()).filter(pair => {
+                const [name, classification] = pair.split('=').map(part => part.trim());
+                return !names.includes(name) || !INGREDIENT_CLASSIFICATIONS.includes(classification);
+            });
+            return invalid.length > 0 ? `not an ingredient of this product or not a classification: ${invalid.join(', ')}` : null;
+        }
+    });
+    (answer ? answer.split(',') : []).forEach(pair => {
+        const [name, classification] = pair.split('=').map(part => part.trim());
+        overrides[name] = classification;
+    });
+
+    // Overrides for ingredients no longer in the list would never be shown
+    Object.keys(overrides).filter(name => !names.includes(name)).forEach(name => delete overrides[name]);
+
+    if (Object.keys(overrides).length > 0) {
+        result.overrideClassifications = true;
+        result.ingredientClassifications = overrides;
+    } else {
+        result.overrideClassifications = undefined;
+        result.ingredientClassifications = undefined;
+    }
+    return result;
+}
+
+/**
+ * Ask for every field of a product
+ * @param {Object} prompter - From createPrompter
+ * @param {Object} data - From loadData
+ * @param {Object} current - Current values (the product being edited, or { id } for a new one)
+ * @returns {Promise<Object>} The product
+ */
+async function askSunscreen(prompter, data, current) {
+    const product = { ...current };
+    const fields = getFieldChoices(data.questions);
+    const filterTypeChoices = (Object.values(data.questions).find(question => question.attribute === 'filterType')?.options || [])
+        .map(option => String(option.value))
+        .filter(value => value !== 'any');
+
+    product.name = await askText(prompter, 'Name (as on the pack, with the SPF)', { defaultValue: current.name });
+    product.brand = await askText(prompter, 'Brand', { defaultValue: current.brand });
+    product.url = await askText(prompter, 'Product page URL', {
+        defaultValue: current.url,
+        check: value => (/^https?:\/\//.test(value) ? null : 'must start with http:// or https://')
+    });
+
+    for (const field of fields) {
+        const label = field.attribute;
+
+        if (field.match === 'boolean') {
+            product[field.attribute] = await askBoolean(prompter, label, current[field.attribute]);
+        } else if (field.match === 'atLeast') {
+            const spf = await askText(prompter, `${label}, e.g. ${field.values.join(', ')}`, {
+                defaultValue: current[field.attribute],
+                check: value => (/^[1-9][0-9]*\+?$/.test(value) && parseSPF(value) !== null ? null : 'enter a number, optionally followed by +')
+            });
+            product[field.attribute] = /^\d+$/.test(spf) ? Number(spf) : spf;
+        } else {
+            const isFeatureList = field.match === 'allOf';
+            const values = await askChoice(prompter, label, field.values, {
+                defaultValues: [].concat(current[field.attribute] ?? []),
+                multiple: field.isArray,
+                optional: isFeatureList,
+                allowOther: isFeatureList
+            });
+            // An empty feature list is left out rather than written as []
+            product[field.attribute] = isFeatureList && values.length === 0 ? undefined : values;
+        }
+    }
+
+    const price = await askText(prompter, `Price (optional${current.price !== undefined ? `, "${CLEAR}" to clear` : ''})`, {
+        defaultValue: current.price,
+        optional: true
+    });
+    product.price = price === undefined || Number.isNaN(Number(price)) ? price : Number(price);
+
+    const pasted = await askText(prompter, 'Ingredients (paste the INCI list on one line)', {
+        defaultValue: current.ingredients,
+        check: value => (normalizeINCI(value) ? null : 'required')
+    });
+    // An unchanged list is kept as written
+    product.ingredients = pasted === current.ingredients ? pasted : normalizeINCI(pasted);
+
+    Object.assign(product, await reviewIngredients(prompter, product.ingredients, data.glossary, filterTypeChoices, current));
+    if (deriveFilterType(product.ingredients)) delete product.filterType;
+
+    return product;
+}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+function listProducts(data, filter = '') {
+    const query = filter.toLowerCase();
+    const matches = data.sunscreens.filter(sunscreen =>
+        `${sunscreen.brand} ${sunscreen.name}`.toLowerCase().includes(query));
+
+    matches.forEach(sunscreen => {
+        console.log(`${String(sunscreen.id).padStart(4)}  ${sunscreen.brand} - ${sunscreen.name} (SPF ${sunscreen.spf})`);
+    });
+    console.log(`\n${matches.length} of ${data.sunscreens.length} products`);
+}
+
+async function confirmAndSave(prompter, entry, text) {
+    console.log(`\n${entry}\n`);
+    if (!await askBoolean(prompter, 'Save', true)) {
+        console.log('Nothing saved.');
+        return;
+    }
+    validateAndSave(text);
+}
+
+async function addProduct(prompter, data) {
+    const id = getNextId(data.sunscreens);
+    console.log(`Adding product #${id}`);
+
+    const product = await askSunscreen(prompter, data, { id });
+    const entry = serializeSunscreen(product, data.fieldOrder);
+    await confirmAndSave(prompter, entry, appendSunscreenBlock(data.text, entry));
+}
+
+async function editProduct(prompter, data, idArg) {
+    const index = findProduct(data.sunscreens, idArg);
+    const block = findSunscreenBlocks(data.text)[index];
+    const lines = data.text.split('\n').slice(block.start, block.end);
+
+    console.log(`Editing product #${data.sunscreens[index].id} (press Enter to keep a value)`);
+    if (lines.some(line => line.trim().startsWith('#'))) {
+        console.log('Note: comments inside this entry will be dropped (comments above it are kept).');
+    }
+
+    const product = await askSunscreen(prompter, data, data.sunscreens[index]);
+    const entry = serializeSunscreen(product, data.fieldOrder);
+    await confirmAndSave(prompter, entry, replaceSunscreenBlock(data.text, index, entry));
+}
+
+async function removeProduct(prompter, data, idArg) {
+    const index = findProduct(data.sunscreens, idArg);
+    const { id, brand, name } = data.sunscreens[index];
+
+    if (!await askBoolean(prompter, `Remove #${id} ${brand} - ${name}`, false)) {
+        console.log('Nothing removed.');
+        return;
+    }
+    validateAndSave(removeSunscreenBlock(data.text, index));
+}
+
+function printUsage() {
+    console.log([
+        'Usage:',
+        '  node edit-data.js list [text]',
+        '  node edit-data.js add',
+        '  node edit-data.js edit <id>',
+        '  node edit-data.js remove <id>'
+    ].join('\n'));
+}
+
+async function main() {
+    const [command, arg] = process.argv.slice(2);
+    const commands = {
+        add: addProduct,
+        edit: editProduct,
+        remove: removeProduct
+    };
+
+    if (command === 'list') {
+        listProducts(loadData(), arg);
+        return;
+    }
+    if (!commands[command] || (command !== 'add' && arg === undefined)) {
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const prompter = createPrompter();
+    try {
+        await commands[command](prompter, loadData(), arg);
+    } catch (error) {
+        console.error(`\n❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        prompter.close();
+    }
+}
+
+main();
@@ -5,6 +5,8 @@
 // This file contains only the essential code needed for initial page load.
 // Quiz logic is loaded lazily from quiz.js when user clicks "Start Quiz".
 
+import { loadShortlist } from './modules/results/shortlist.js';
+
 // ===================================
 // Security Utilities
 // ===================================
@@ -42,22 +44,17 @@ function sanitizeURL(url) {
 
 /**
  * Validate URL parameter against allowed values
+ * Uses the answer options from questions-metadata.yaml, so nothing is
+ * accepted before it has loaded (shared links are applied after that)
  * @param {string} param - Parameter name
  * @param {string} value - Parameter value
  * @returns {string|null} Valid value or null
  */
 function validateURLParam(param, value) {
-    const allowedValues = {
-        location: ['US', 'EU', 'UK', 'Canada', 'Australia', 'Japan', 'Global'],
-        skin: ['oily', 'dry', 'combination', 'sensitive', 'all'],
-        fragrance: ['true', 'false', 'any'],
-        kids: ['true', 'false', 'any'],
-        form: ['cream', 'lotion', 'spray', 'stick', 'gel', 'any'],
-        water: ['true', 'false', 'any'],
-        features: ['oil-control', 'hydrating', 'anti-aging', 'anti-dark-spots', 'tinted', 'invisible-finish', 'for-atopic-skin', 'eco-friendly-packaging', 'wet-skin-application']
-    };
-
-    if (allowedValues[param] && allowedValues[param].includes(value)) {
+    const question = Object.entries(questionMetadata).find(([key, metadata]) =>
+        (metadata.urlParam || key) === param && Array.isArray(metadata.options)
+    );
+    if (question && question[1].options.some(option => String(option.value) === value)) {
         return value;
     }
     console.warn(`Invalid URL parameter: ${param}=${value}`);
@@ -87,7 +84,8 @@ let appConfig = {
         transitionSlow: 400
     },
     algorithm: {
-        minDiscriminatingPower: 0.01
+        minDiscriminatingPower: 0.01,
+        strategy: 'informationGain'
     },
     sharePopup: {
         width: 600,
@@ -107,12 +105,23 @@ const appState = {
         forKids: null,
         formFactor: null,
         waterResistant: null,
-        specialFeatures: null
+        spf: null,
+        uvFilter: null,
+        specialFeatures: null,
+        avoidIngredients: null
     },
+    compareIds: [], // Product ids ticked for side-by-side comparison
+    resultsSort: 'match', // Results toolbar sort order
+    ingredientFilters: [], // Results toolbar ingredient filter keys
+    autoDecisions: [], // Questions answered or skipped for the user, with the reason
+    declinedAutoDecisions: [], // Questions the user undid a decision on (asked instead)
+    shortlist: loadShortlist(), // Saved product ids (kept in localStorage)
     sunscreens: [],
+    glossary: {}, // Ingredient glossary entries by slug (data/ingredients.yaml)
     filteredResults: [],
     currentLanguage: 'en',
-    translations: {}
+    translations: {},
+    fallbackTranslations: {} // English, for keys a language doesn't have yet
 };
 
 // ===================================
@@ -146,20 +155,35 @@ async function loadTranslation(lang) {
     }
 }
 
-function t(key, replacements = {}) {
-    // Get translation value from nested object using dot notation
-    const keys = key.split('.');
-    let value = appState.translations;
+/**
+ * Get a translation value from nested translations using dot notation
+ * @param {Object} translations - Loaded translations
+ * @param {string} key - Translation key (e.g. 'welcome.title')
+ * @returns {*} Value, or undefined if the key is missing
+ */
+function lookupTranslation(translations, key) {
+    let value = translations;
 
-    for (const k of keys) {
+    for (const k of key.split('.')) {
         if (value && typeof value === 'object' && k in value) {
             value = value[k];
         } else {
-            console.warn(`Translation key not found: ${key}`);
-            return key;
+            return undefined;
         }
     }
 
+    return value;
+}
+
+function t(key, replacements = {}) {
+    // Keys a language doesn't have yet fall back to English
+    let value = lookupTranslation(appState.translations, key);
+    if (value === undefined) value = lookupTranslation(appState.fallbackTranslations, key);
+    if (value === undefined) {
+        console.warn(`Translation key not found: ${key}`);
+        return key;
+    }
+
     // Replace placeholders like {count}, {value}, etc.
     if (typeof value === 'string') {
         return value.replace(/\{(\w+)\}/g, (match, placeholder) => {
@@ -176,8 +200,13 @@ async function changeLanguage(lang) {
         return;
     }
 
-    // Load translations
+    // Load translations, and English for the keys other languages don't have yet
     appState.translations = await loadTranslation(lang);
+    if (lang === 'en') {
+        appState.fallbackTranslations = appState.translations;
+    } else if (Object.keys(appState.fallbackTranslations).length === 0) {
+        appState.fallbackTranslations = await loadTranslation('en').catch(() => ({}));
+    }
     appState.currentLanguage = lang;
 
     // Update HTML lang attribute
@@ -219,6 +248,12 @@ function applyTranslations() {
         element.setAttribute('aria-label', t(key));
     });
 
+    // Update all elements with data-i18n-placeholder attribute (e.g. search boxes)
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        const key = element.getAttribute('data-i18n-placeholder');
+        element.setAttribute('placeholder', t(key));
+    });
+
     // Update specific UI elements if quiz is loaded
     if (quizModule && appState.currentView !== 'welcome') {
         updateUITranslations();
@@ -254,6 +289,10 @@ const elements = {
     welcomeView: document.getElementById('welcome-view'),
     questionsView: document.getElementById('questions-view'),
     resultsView: document.getElementById('results-view'),
+    compareView: document.getElementById('compare-view'),
+    shortlistView: document.getElementById('shortlist-view'),
+    productView: document.getElementById('product-view'),
+    ingredientsView: document.getElementById('ingredients-view'),
 
     // Buttons
     startQuizBtn: document.getElementById('start-quiz-btn'),
@@ -263,6 +302,13 @@ const elements = {
     restartBtn: document.getElementById('restart-btn'),
     restartBtnQuestions: document.getElementById('restart-btn-questions'),
     backToQuestionsBtn: document.getElementById('back-to-questions-btn'),
+    compareBtn: document.getElementById('compare-btn'),
+    backToResultsBtn: document.getElementById('back-to-results-btn'),
+    shortlistBtn: document.getElementById('shortlist-btn'),
+    closeShortlistBtn: document.getElementById('close-shortlist-btn'),
+    closeProductBtn: document.getElementById('close-product-btn'),
+    ingredientsBtn: document.getElementById('ingredients-btn'),
+    closeIngredientsBtn: document.getElementById('close-ingredients-btn'),
 
     // Share buttons
     shareWhatsApp: document.getElementById('share-whatsapp'),
@@ -285,8 +331,25 @@ const elements = {
 
     // Results
     resultsSummary: document.getElementById('results-summary'),
+    resultsToolbar: document.getElementById('results-toolbar'),
+    autoDecisions: document.getElementById('auto-decisions'),
     resultsContainer: document.getElementById('results-container'),
 
+    // Comparison
+    compareBar: document.getElementById('compare-bar'),
+    compareBarText: document.getElementById('compare-bar-text'),
+    compareContainer: document.getElementById('compare-container'),
+
+    // Shortlist
+    shortlistCount: document.getElementById('shortlist-count'),
+    shortlistContainer: document.getElementById('shortlist-container'),
+
+    // Product detail
+    productContainer: document.getElementById('product-container'),
+
+    // Ingredient explorer
+    ingredientsContainer: document.getElementById('ingredients-container'),
+
     // Language selector
     languageSelect: document.getElementById('language-select')
 };
@@ -355,8 +418,9 @@ async function init() {
 
         // Check for URL parameters - if present, need to load quiz immediately
         const urlParams = new URLSearchParams(window.location.search);
-        const hasQuizParams = ['location', 'skin', 'fragrance', 'kids', 'form', 'water', 'features']
-            .some(param => urlParams.has(param));
+        // Question parameters are defined in questions-metadata.yaml, so anything but the language counts;
+        // checkURLParameters validates them once it has loaded and shows the welcome view if none apply
+        const hasQuizParams = Array.from(urlParams.keys()).some(param => param !== 'lang');
 
         if (hasQuizParams) {
             try {
@@ -364,20 +428,16 @@ async function init() {
                 await loadQuizModule();
 
                 // Use the proper function that passes showResults callback
-                quizModule.checkURLParametersAndShowResults();
-                // Don't show welcome view - URL params will show results
+                // Don't show welcome view if URL params will show results
+                if (!quizModule.checkURLParametersAndShowResults()) {
+                    showView('welcome');
+                }
             } catch (error) {
                 console.error('Error processing URL parameters:', error);
                 // Clear invalid selections
-                appState.selections = {
-                    location: null,
-                    skinType: null,
-                    fragranceFree: null,
-                    forKids: null,
-                    formFactor: null,
-                    waterResistant: null,
-                    specialFeatures: null
-                };
+                Object.keys(appState.selections).forEach(key => {
+                    appState.selections[key] = null;
+                });
                 // Clear bad URL params from address bar
                 history.replaceState({}, '', window.location.pathname);
                 // Show welcome view as fallback
@@ -388,6 +448,9 @@ async function init() {
             showView('welcome');
         }
 
+        // Show how many products were saved on earlier visits
+        elements.shortlistCount.textContent = String(appState.shortlist.length);
+
         // Setup event listeners
         setupEventListeners();
     } catch (error) {
@@ -488,6 +551,32 @@ async function handleStartQuiz() {
     }
 }
 
+/**
+ * Open the shortlist, loading the quiz module (and product data) first if needed
+ */
+async function handleShowShortlist() {
+    try {
+        await loadQuizModule();
+        quizModule.showShortlist();
+    } catch (error) {
+        console.error('Error loading shortlist:', error);
+        showErrorNotification(t('loading.error') || 'Failed to load quiz. Please refresh and try again.');
+    }
+}
+
+/**
+ * Open the ingredient explorer, loading the quiz module (and product data) first if needed
+ */
+async function handleShowExplorer() {
+    try {
+        await loadQuizModule();
+        quizModule.showExplorer();
+    } catch (error) {
+        console.error('Error loading ingredient explorer:', error);
+        showErrorNotification(t('loading.error') || 'Failed to load quiz. Please refresh and try again.');
+    }
+}
+
 function setupEventListeners() {
     // Language selector
     elements.languageSelect.addEventListener('change', (e) => {
@@ -517,6 +606,47 @@ function setupEventListeners() {
         if (quizModule) quizModule.backToQuestionsFromResults();
     });
 
+    // Comparison - compare checkboxes live on the result cards
+    elements.resultsContainer.addEventListener('change', (event) => {
+        if (quizModule) quizModule.handleResultsChange(event);
+    });
+
+    // Shortlist - heart toggles live on the result cards
+    elements.resultsContainer.addEventListener('click', (event) => {
+        if (quizModule) quizModule.handleResultsClick(event);
+    });
+    elements.shortlistContainer.addEventListener('click', (event) => {
+        if (quizModule) quizModule.handleResultsClick(event);
+    });
+    elements.shortlistBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        handleShowShortlist();
+    });
+    elements.closeShortlistBtn.addEventListener('click', () => {
+        if (quizModule) quizModule.closeShortlist();
+    });
+
+    // Product detail - product names on the cards link to it
+    elements.closeProductBtn.addEventListener('click', () => {
+        if (quizModule) quizModule.closeProduct();
+    });
+
+    // Ingredient explorer
+    elements.ingredientsBtn.addEventListener('click', function(e) {
+        e.preventDefault();
+        handleShowExplorer();
+    });
+    elements.closeIngredientsBtn.addEventListener('click', () => {
+        if (quizModule) quizModule.closeExplorer();
+    });
+
+    elements.compareBtn.addEventListener('click', () => {
+        if (quizModule) quizModule.showComparison();
+    });
+    elements.backToResultsBtn.addEventListener('click', () => {
+        if (quizModule) quizModule.showResults();
+    });
+
     // Restart - delegate to quiz module
     elements.restartBtn.addEventListener('click', () => {
         if (quizModule) quizModule.restart();
@@ -530,6 +660,16 @@ function setupEventListeners() {
         if (quizModule) quizModule.handleFormChange(event);
     });
 
+    // Typing in an option search box filters its list
+    elements.questionsForm.addEventListener('input', (event) => {
+        if (quizModule) quizModule.handleFormInput(event);
+    });
+
+    // Enter in a search box must not submit (and reload) the page
+    elements.questionsForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+    });
+
     // Share buttons - delegate to quiz module
     elements.shareWhatsApp.addEventListener('click', () => {
         if (quizModule) quizModule.shareWhatsApp();
@@ -616,6 +756,18 @@ function showView(viewName) {
     } else if (viewName === 'results') {
         elements.resultsView.classList.add('active');
         elements.resultsContainer.focus();
+    } else if (viewName === 'compare') {
+        elements.compareView.classList.add('active');
+        elements.compareContainer.focus();
+    } else if (viewName === 'shortlist') {
+        elements.shortlistView.classList.add('active');
+        elements.shortlistContainer.focus();
+    } else if (viewName === 'product') {
+        elements.productView.classList.add('active');
+        elements.productContainer.focus();
+    } else if (viewName === 'ingredients') {
+        elements.ingredientsView.classList.add('active');
+        elements.ingredientsContainer.focus();
     }
 }
 
@@ -630,6 +782,14 @@ function handleKeyboard(event) {
             if (quizModule) quizModule.previousQuestion();
         } else if (appState.currentView === 'results') {
             if (quizModule) quizModule.restart();
+        } else if (appState.currentView === 'compare') {
+            if (quizModule) quizModule.showResults();
+        } else if (appState.currentView === 'shortlist') {
+            if (quizModule) quizModule.closeShortlist();
+        } else if (appState.currentView === 'product') {
+            if (quizModule) quizModule.closeProduct();
+        } else if (appState.currentView === 'ingredients') {
+            if (quizModule) quizModule.closeExplorer();
         }
     }
 
@@ -708,163 +868,8 @@ if (typeof process === 'undefined' || process.env.NODE_ENV !== 'test') {
 // Exports for Testing
 // ===================================
 
-// Export testable versions of functions for backwards compatibility with tests
-export function filterProducts(products, selections) {
-    return products.filter(product => {
-        // Location
-        if (selections.location && product.availableIn) {
-            if (!product.availableIn.includes(selections.location) &&
-                !product.availableIn.includes('Global')) {
-                return false;
-            }
-        }
-
-        // Skin type
-        if (selections.skinType && selections.skinType !== 'all' && product.skinTypes) {
-            if (!product.skinTypes.includes(selections.skinType) &&
-                !product.skinTypes.includes('all')) {
-                return false;
-            }
-        }
-
-        // Fragrance free
-        if (selections.fragranceFree && selections.fragranceFree !== 'any') {
-            const fragranceFreeBool = selections.fragranceFree === 'true';
-            if (product.isFragranceFree !== fragranceFreeBool) {
-                return false;
-            }
-        }
-
-        // For kids
-        if (selections.forKids && selections.forKids !== 'any') {
-            const forKidsBool = selections.forKids === 'true';
-            if (product.forKids !== forKidsBool) {
-                return false;
-            }
-        }
-
-        // Form factor
-        if (selections.formFactor && selections.formFactor !== 'any' && product.formFactors) {
-            if (!product.formFactors.includes(selections.formFactor)) {
-                return false;
-            }
-        }
-
-        // Water resistant
-        if (selections.waterResistant && selections.waterResistant !== 'any') {
-            const waterResistantBool = selections.waterResistant === 'true';
-            if (product.waterResistant !== waterResistantBool) {
-                return false;
-            }
-        }
-
-        return true;
-    });
-}
-
 export { questionMetadata };
 
-export function calculateDiscriminatingPower(questionKey, currentProducts) {
-    // Validate question key
-    if (!questionMetadata[questionKey]) {
-        console.error(`Invalid question key: ${questionKey}`);
-        return 0;
-    }
-
-    // Validate products array
-    if (!Array.isArray(currentProducts) || currentProducts.length === 0) {
-        return 0;
-    }
-
-    const metadata = questionMetadata[questionKey];
-
-    // Get all possible values for this question from remaining products
-    const valueGroups = {};
-
-    currentProducts.forEach(product => {
-        const productValue = product[metadata.attribute];
-
-        if (metadata.isArray) {
-            // For array attributes, each value in array creates a group
-            if (Array.isArray(productValue)) {
-                productValue.forEach(val => {
-                    if (!valueGroups[val]) valueGroups[val] = 0;
-                    valueGroups[val]++;
-                });
-            }
-        } else {
-            // For boolean/string attributes
-            const key = String(productValue);
-            if (!valueGroups[key]) valueGroups[key] = 0;
-            valueGroups[key]++;
-        }
-    });
-
-    const groups = Object.values(valueGroups);
-
-    // If all products have the same value, this question has no discriminating power
-    if (groups.length <= 1) {
-        return 0;
-    }
-
-    // Calculate entropy (information gain)
-    // Higher entropy = better split
-    const total = currentProducts.length;
-    let entropy = 0;
-
-    groups.forEach(count => {
-        const proportion = count / total;
-        entropy -= proportion * Math.log2(proportion);
-    });
-
-    return entropy;
-}
-
-export function getNextQuestion(selections, currentProducts) {
-    const unansweredQuestions = Object.keys(questionMetadata).filter(
-        key => !selections[key]
-    );
-
-    if (unansweredQuestions.length === 0) return null;
-    if (currentProducts.length <= 1) return null;
-
-    let bestQuestion = null;
-    let maxPower = 0;
-
-    unansweredQuestions.forEach(question => {
-        const power = calculateDiscriminatingPower(question, currentProducts);
-        if (power > maxPower) {
-            maxPower = power;
-            bestQuestion = question;
-        }
-    });
-
-    // If max power is very low, no question provides value
-    if (maxPower < appConfig.algorithm.minDiscriminatingPower) return null;
-
-    return bestQuestion;
-}
-
-// Export with alias to avoid conflict with internal function
-export function shouldShowResultsTest(selections, currentProducts) {
-    // Show results if 0 or 1 products remain
-    if (currentProducts.length <= 1) return true;
-
-    // Show results if all questions answered
-    const totalQuestions = Object.keys(questionMetadata).length;
-    const answeredQuestions = Object.keys(selections).filter(key => selections[key]).length;
-    if (answeredQuestions >= totalQuestions) return true;
-
-    // Show results if no more questions provide discriminating power
-    const nextQuestion = getNextQuestion(selections, currentProducts);
-    if (!nextQuestion) return true;
-
-    return false;
-}
-
-// Re-export with expected name for tests
-export { shouldShowResultsTest as shouldShowResults };
-
 // Export security utilities for testing
 export { escapeHTML, sanitizeURL, validateURLParam };
 
@@ -0,0 +1,241 @@
+// ===================================
+// Product Authoring
+// ===================================
+// Helpers for edit-data.js, the command line tool that adds, edits and removes
+// products in sunscreens.yaml. Answers are checked against the question options,
+// and the file is changed one product entry at a time, so the comments and
+// formatting of everything else stay as they are.
+
+import { splitIngredients, parseIngredients } from './ingredients/parser.js';
+import { buildClassificationMap } from './ingredients/classifications.js';
+import { ID_LINE_PATTERN, nameSimilarity } from './duplicates.js';
+
+// Product attributes worked out from the ingredients, never asked for
+export const DERIVED_ATTRIBUTES = ['filterType', 'ingredientTokens'];
+
+// Minimum name similarity for an unknown ingredient to borrow a glossary entry's classification
+export const SIMILAR_INGREDIENT_THRESHOLD = 0.85;
+
+/**
+ * Get the product fields the questions ask about, with the values their options allow
+ * The "no preference" answer is left out unless products can have it (a wildcard, e.g. skinTypes: all)
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<{questionKey: string, attribute: string, isArray: boolean, match: string, values: Array<string>}>}
+ *   Fields in question order (derived attributes excluded)
+ */
+export function getFieldChoices(questionMetadata) {
+    return Object.entries(questionMetadata)
+        .filter(([, question]) => !DERIVED_ATTRIBUTES.includes(question.attribute))
+        .sort(([, a], [, b]) => a.elementIndex - b.elementIndex)
+        .map(([questionKey, question]) => {
+            const values = (question.options || [])
+                .map(option => String(option.value))
+                .filter(value => value !== 'any')
+                .filter(value => value !== question.alwaysMatch || value === question.wildcardValue);
+
+            return {
+                questionKey,
+                attribute: question.attribute,
+                isArray: question.isArray,
+                match: question.match || (question.isArray ? 'anyOf' : 'equals'),
+                values
+            };
+        });
+}
+
+/**
+ * Turn a pasted INCI list into the " - " separated form sunscreens.yaml uses
+ * Accepts the label's comma or line separated list, with or without an "Ingredients:" prefix;
+ * commas inside (parentheses) don't split
+ * @param {string} text - Pasted ingredients
+ * @returns {string} e.g. "AQUA - GLYCERIN - ZINC OXIDE"
+ */
+export function normalizeINCI(text) {
+    const list = String(text ?? '')
+        .trim()
+        .replace(/^ingredients?\s*:\s*/i, '');
+
+    if (splitIngredients(list).length > 1) {
+        return splitIngredients(list).join(' - ');
+    }
+
+    const ingredients = [];
+    let current = '';
+    let depth = 0;
+    Array.from(list).forEach(char => {
+        if (char === '(' || char === '[') depth++;
+        if ((char === ')' || char === ']') && depth > 0) depth--;
+
+        if ((char === ',' && depth === 0) || char === '\n') {
+            ingredients.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    });
+    ingredients.push(current);
+
+    return ingredients
+        .map(ingredient => ingredient.replace(/\s+/g, ' ').trim())
+        .filter(ingredient => ingredient.length > 0)
+        .join(' - ');
+}
+
+/**
+ * Suggest a classification for each ingredient from the glossary
+ * Ingredients the glossary doesn't know borrow the classification of the most similar
+ * classified entry, if one is close enough (e.g. a spelling variant)
+ * @param {string} ingredients - INCI ingredients
+ * @param {Object} glossary - Glossary entries by slug
+ * @returns {Array<{raw: string, slug: string, classification: string|null, similarTo: string|null}>}
+ *   One suggestion per ingredient, in label order (similarTo is set for borrowed classifications)
+ */
+export function suggestClassifications(ingredients, glossary) {
+    const classifications = buildClassificationMap(glossary);
+
+    return parseIngredients(ingredients).map(({ raw, slug }) => {
+        if (classifications.has(slug)) {
+            return { raw, slug, classification: classifications.get(slug), similarTo: null };
+        }
+
+        let best = { score: 0, slug: null };
+        classifications.forEach((classification, known) => {
+            const score = nameSimilarity(slug.replace(/-/g, ' '), known.replace(/-/g, ' '));
+            if (score > best.score) best = { score, slug: known };
+        });
+
+        return best.score >= SIMILAR_INGREDIENT_THRESHOLD
+            ? { raw, slug, classification: classifications.get(best.slug), similarTo: best.slug }
+            : { raw, slug, classification: null, similarTo: null };
+    });
+}
+
+/**
+ * Format a scalar so YAML reads it back as the same value
+ * Strings are left plain where that's unambiguous (like the rest of sunscreens.yaml), quoted otherwise
+ * @param {string|number|boolean} value - Scalar
+ * @returns {string} YAML scalar
+ */
+export function formatScalar(value) {
+    if (typeof value !== 'string') return String(value);
+
+    const needsQuotes = value === ''
+        || value !== value.trim()
+        || /^[-?:,[\]{}#&*!|>'"%@`]/.test(value)
+        || /: |:$| #|[\n\t]/.test(value)
+        || /^(true|false|yes|no|on|off|null|~)$/i.test(value)
+        || /^[-+]?(\.\d+|\d[\d_]*(\.\d*)?([eE][-+]?\d+)?|0x[\da-f]+|0o[0-7]+|\.inf|\.nan)$/i.test(value);
+
+    return needsQuotes ? JSON.stringify(value) : value;
+}
+
+/**
+ * Write a product as a sunscreens.yaml list entry
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {Array<string>} [fieldOrder] - Field order (the schema's); other fields follow in their own order
+ * @returns {string} Entry lines, e.g. "  - id: 26\n    name: ...\n    skinTypes:\n      - oily"
+ */
+export function serializeSunscreen(sunscreen, fieldOrder = []) {
+    const keys = [
+        ...fieldOrder.filter(key => key in sunscreen),
+        ...Object.keys(sunscreen).filter(key => !fieldOrder.includes(key))
+    ].filter(key => sunscreen[key] !== undefined);
+
+    const lines = [];
+    keys.forEach((key, index) => {
+        const prefix = index === 0 ? '  - ' : '    ';
+        const value = sunscreen[key];
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                lines.push(`${prefix}${key}: []`);
+            } else {
+                lines.push(`${prefix}${key}:`, ...value.map(item => `      - ${formatScalar(item)}`));
+            }
+        } else if (value && typeof value === 'object') {
+            lines.push(`${prefix}${key}:`, ...Object.entries(value).map(([name, item]) => `      ${formatScalar(name)}: ${formatScalar(item)}`));
+        } else {
+            lines.push(`${prefix}${key}: ${formatScalar(value)}`);
+        }
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Locate each product entry in the text of sunscreens.yaml
+ * An entry runs from its "- id:" line to its last field; comment lines directly above it are its lead
+ * @param {string} text - File contents
+ * @returns {Array<{leadStart: number, start: number, end: number}>} Line ranges (end exclusive), in file order
+ */
+export function findSunscreenBlocks(text) {
+    const lines = text.split('\n');
+    const idLines = lines
+        .map((line, lineIndex) => (ID_LINE_PATTERN.test(line) ? lineIndex : -1))
+        .filter(lineIndex => lineIndex !== -1);
+    const isGap = line => line.trim() === '' || line.trim().startsWith('#');
+
+    return idLines.map((start, index) => {
+        let end = index + 1 < idLines.length ? idLines[index + 1] : lines.length;
+        while (end > start + 1 && isGap(lines[end - 1])) end--;
+
+        let leadStart = start;
+        while (leadStart > 0 && lines[leadStart - 1].trim().startsWith('#')) leadStart--;
+
+        return { leadStart, start, end };
+    });
+}
+
+/**
+ * Replace one product entry, keeping the comments above it
+ * @param {string} text - File contents
+ * @param {number} index - Product position
+ * @param {string} entry - New entry (see serializeSunscreen)
+ * @returns {string} Updated file contents
+ */
+export function replaceSunscreenBlock(text, index, entry) {
+    const lines = text.split('\n');
+    const { start, end } = findSunscreenBlocks(text)[index];
+    lines.splice(start, end - start, ...entry.split('\n'));
+    return lines.join('\n');
+}
+
+/**
+ * Remove one product entry with the comments above it
+ * @param {string} text - File contents
+ * @param {number} index - Product position
+ * @returns {string} Updated file contents
+ */
+export function removeSunscreenBlock(text, index) {
+    const lines = text.split('\n');
+    const { leadStart, end } = findSunscreenBlocks(text)[index];
+    lines.splice(leadStart, end - leadStart);
+    return lines.join('\n');
+}
+
+/**
+ * Add a product entry after the last one
+ * @param {string} text - File contents
+ * @param {string} entry - New entry (see serializeSunscreen)
+ * @returns {string} Updated file contents
+ * @throws {Error} If the file has no "sunscreens:" list
+ */
+export function appendSunscreenBlock(text, entry) {
+    const lines = text.split('\n');
+    const blocks = findSunscreenBlocks(text);
+    let position;
+
+    if (blocks.length > 0) {
+        position = blocks[blocks.length - 1].end;
+    } else {
+        const listLine = lines.findIndex(line => /^sunscreens:\s*(\[\s*\])?\s*$/.test(line));
+        if (listLine === -1) {
+            throw new Error('No "sunscreens:" list found');
+        }
+        lines[listLine] = 'sunscreens:';
+        position = listLine + 1;
+    }
+
+    lines.splice(position, 0, ...entry.split('\n'));
+    return lines.join('\n');
+}
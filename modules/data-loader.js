@@ -2,6 +2,16 @@
 // Data Loading (YAML files and validation)
 // ===================================
 
+import { renderQuestionForm, addCatalogOptions } from './quiz/questions.js';
+import { applyFilterTypes } from './ingredients/uv-filters.js';
+import { applyIngredientTokens } from './ingredients/parser.js';
+import { applyIngredientSummaries } from './ingredients/summary.js';
+import { validateGlossary } from './ingredients/glossary.js';
+import { setGlobalClassifications, resolveClassifications } from './ingredients/classifications.js';
+import { computeSimilarity } from './results/similarity.js';
+import { validateSchema } from './schema.js';
+import { addOptionEnums } from './quiz/coverage.js';
+
 let appState;
 let appConfig;
 let questionMetadata;
@@ -20,171 +30,62 @@ export function initDataLoader(deps) {
 }
 
 /**
- * Validate sunscreen data structure
- * @param {Object} data - Parsed YAML data
- * @throws {Error} If validation fails
+ * Load a JSON Schema from data/schemas/
+ * @param {string} name - Data file name without extension (e.g. 'sunscreens')
+ * @returns {Promise<Object>} Parsed schema
  */
-function validateSunscreenData(data) {
-    if (!data || typeof data !== 'object') {
-        throw new Error('Invalid data: must be an object');
-    }
+async function loadSchema(name) {
+    const response = await fetch(`data/schemas/${name}.schema.json`);
 
-    if (!Array.isArray(data.sunscreens)) {
-        throw new Error('Invalid data: sunscreens must be an array');
+    if (!response.ok) {
+        throw new Error(`Failed to load ${name} schema: ${response.status} ${response.statusText}`);
     }
 
-    if (data.sunscreens.length === 0) {
-        throw new Error('Invalid data: sunscreens array is empty');
-    }
-
-    // Validate each sunscreen entry
-    data.sunscreens.forEach((sunscreen, index) => {
-        const required = ['id', 'name', 'brand', 'spf', 'skinTypes', 'formFactors', 'availableIn'];
-        required.forEach(field => {
-            if (!(field in sunscreen)) {
-                throw new Error(`Invalid sunscreen at index ${index}: missing required field '${field}'`);
-            }
-        });
-
-        // Validate types
-        if (typeof sunscreen.id !== 'number') {
-            throw new Error(`Invalid sunscreen at index ${index}: 'id' must be a number`);
-        }
-        if (typeof sunscreen.name !== 'string' || sunscreen.name.length === 0) {
-            throw new Error(`Invalid sunscreen at index ${index}: 'name' must be a non-empty string`);
-        }
-        if (typeof sunscreen.brand !== 'string' || sunscreen.brand.length === 0) {
-            throw new Error(`Invalid sunscreen at index ${index}: 'brand' must be a non-empty string`);
-        }
-        if ((typeof sunscreen.spf !== 'number' && typeof sunscreen.spf !== 'string') || !sunscreen.spf) {
-            throw new Error(`Invalid sunscreen at index ${index}: 'spf' must be a number or string`);
-        }
-        if (!Array.isArray(sunscreen.skinTypes) || sunscreen.skinTypes.length === 0) {
-            throw new Error(`Invalid sunscreen at index ${index}: 'skinTypes' must be a non-empty array`);
-        }
-        if (!Array.isArray(sunscreen.formFactors) || sunscreen.formFactors.length === 0) {
-            throw new Error(`Invalid sunscreen at index ${index}: 'formFactors' must be a non-empty array`);
-        }
-        if (!Array.isArray(sunscreen.availableIn) || sunscreen.availableIn.length === 0) {
-            throw new Error(`Invalid sunscreen at index ${index}: 'availableIn' must be a non-empty array`);
-        }
-        if (typeof sunscreen.isFragranceFree !== 'boolean') {
-            throw new Error(`Invalid sunscreen at index ${index}: 'isFragranceFree' must be a boolean`);
-        }
-        if (typeof sunscreen.forKids !== 'boolean') {
-            throw new Error(`Invalid sunscreen at index ${index}: 'forKids' must be a boolean`);
-        }
-        if (typeof sunscreen.waterResistant !== 'boolean') {
-            throw new Error(`Invalid sunscreen at index ${index}: 'waterResistant' must be a boolean`);
-        }
+    return response.json();
+}
 
-        // Validate URL if present
-        if (sunscreen.url && typeof sunscreen.url !== 'string') {
-            throw new Error(`Invalid sunscreen at index ${index}: 'url' must be a string`);
-        }
-    });
+/**
+ * Validate sunscreen data structure
+ * Product values such as formFactors must be one of the loaded question's options
+ * @param {Object} data - Parsed YAML data
+ * @param {Object} schema - data/schemas/sunscreens.schema.json
+ * @throws {Error} If validation fails
+ */
+function validateSunscreenData(data, schema) {
+    const errors = validateSchema(data, addOptionEnums(schema, questionMetadata));
+    if (errors.length > 0) {
+        throw new Error(`Invalid sunscreen data: ${errors.join('; ')}`);
+    }
 
     console.log(`✓ Validated ${data.sunscreens.length} sunscreens`);
 }
 
 /**
  * Validate question metadata structure
+ * @param {Object} data - Parsed YAML data
+ * @param {Object} schema - data/schemas/questions-metadata.schema.json
+ * @throws {Error} If validation fails
  */
-function validateQuestionMetadata(data) {
-    if (!data || typeof data !== 'object') {
-        throw new Error('Invalid question metadata: must be an object');
-    }
-
-    if (!data.questions || typeof data.questions !== 'object') {
-        throw new Error('Invalid question metadata: must have a questions object');
-    }
-
-    const questions = data.questions;
-    const requiredQuestions = ['location', 'skinType', 'fragranceFree', 'forKids', 'formFactor', 'waterResistant', 'specialFeatures'];
-
-    // Validate each required question exists
-    requiredQuestions.forEach(questionKey => {
-        if (!questions[questionKey]) {
-            throw new Error(`Invalid question metadata: missing required question '${questionKey}'`);
-        }
-
-        const question = questions[questionKey];
-
-        // Validate required fields
-        if (typeof question.elementIndex !== 'number') {
-            throw new Error(`Invalid question metadata for '${questionKey}': elementIndex must be a number`);
-        }
-        if (typeof question.attribute !== 'string' || question.attribute.length === 0) {
-            throw new Error(`Invalid question metadata for '${questionKey}': attribute must be a non-empty string`);
-        }
-        if (typeof question.isArray !== 'boolean') {
-            throw new Error(`Invalid question metadata for '${questionKey}': isArray must be a boolean`);
-        }
-    });
-
-    // Validate mutually exclusive features if present
-    if (data.mutuallyExclusive) {
-        if (typeof data.mutuallyExclusive !== 'object') {
-            throw new Error('Invalid question metadata: mutuallyExclusive must be an object');
-        }
-
-        Object.entries(data.mutuallyExclusive).forEach(([feature, exclusions]) => {
-            if (!Array.isArray(exclusions)) {
-                throw new Error(`Invalid mutuallyExclusive for '${feature}': must be an array`);
+function validateQuestionMetadata(data, schema) {
+    const errors = validateSchema(data, schema);
+
+    // URL parameters must be unique, and 'lang' is taken by the language
+    const urlParams = new Set(['lang']);
+    if (errors.length === 0) {
+        Object.entries(data.questions).forEach(([questionKey, question]) => {
+            const urlParam = question.urlParam || questionKey;
+            if (urlParams.has(urlParam)) {
+                errors.push(`questions.${questionKey}.urlParam: "${urlParam}" is already taken`);
             }
-            exclusions.forEach(exclusion => {
-                if (typeof exclusion !== 'string') {
-                    throw new Error(`Invalid mutuallyExclusive for '${feature}': exclusions must be strings`);
-                }
-            });
+            urlParams.add(urlParam);
         });
-
-        console.log(`✓ Validated ${Object.keys(data.mutuallyExclusive).length} mutually exclusive feature rules`);
     }
 
-    // Validate config if present
-    if (data.config) {
-        if (typeof data.config !== 'object') {
-            throw new Error('Invalid question metadata: config must be an object');
-        }
-
-        // Validate timings - dynamically validate all timing fields
-        if (data.config.timings) {
-            if (typeof data.config.timings !== 'object') {
-                throw new Error('Invalid config: timings must be an object');
-            }
-            Object.entries(data.config.timings).forEach(([field, value]) => {
-                if (typeof value !== 'number' || value <= 0) {
-                    throw new Error(`Invalid config: timings.${field} must be a positive number (got ${typeof value}: ${value})`);
-                }
-            });
-        }
-
-        // Validate algorithm settings
-        if (data.config.algorithm) {
-            if (typeof data.config.algorithm.minDiscriminatingPower !== 'number' ||
-                data.config.algorithm.minDiscriminatingPower < 0 ||
-                data.config.algorithm.minDiscriminatingPower > 1) {
-                throw new Error('Invalid config: algorithm.minDiscriminatingPower must be between 0 and 1');
-            }
-        }
-
-        // Validate share popup dimensions - dynamically validate all dimensions
-        if (data.config.sharePopup) {
-            if (typeof data.config.sharePopup !== 'object') {
-                throw new Error('Invalid config: sharePopup must be an object');
-            }
-            Object.entries(data.config.sharePopup).forEach(([field, value]) => {
-                if (typeof value !== 'number' || value <= 0) {
-                    throw new Error(`Invalid config: sharePopup.${field} must be a positive number (got ${typeof value}: ${value})`);
-                }
-            });
-        }
-
-        console.log(`✓ Validated config settings`);
+    if (errors.length > 0) {
+        throw new Error(`Invalid question metadata: ${errors.join('; ')}`);
     }
 
-    console.log(`✓ Validated ${Object.keys(questions).length} question metadata entries`);
+    console.log(`✓ Validated ${Object.keys(data.questions).length} question metadata entries`);
 }
 
 /**
@@ -209,7 +110,10 @@ function applyCSSTimings() {
  */
 export async function loadQuestionMetadata() {
     try {
-        const response = await fetch('data/questions-metadata.yaml');
+        const [response, schema] = await Promise.all([
+            fetch('data/questions-metadata.yaml'),
+            loadSchema('questions-metadata')
+        ]);
 
         if (!response.ok) {
             throw new Error(`Failed to load question metadata: ${response.status} ${response.statusText}`);
@@ -219,7 +123,7 @@ export async function loadQuestionMetadata() {
         const data = jsyaml.load(yamlText);
 
         // Validate data structure
-        validateQuestionMetadata(data);
+        validateQuestionMetadata(data, schema);
 
         // Update shared state
         Object.assign(questionMetadata, data.questions);
@@ -228,6 +132,14 @@ export async function loadQuestionMetadata() {
         // Calculate total questions dynamically
         appState.totalQuestions = Object.keys(questionMetadata).length;
 
+        // Give questions added in the YAML a slot in the selections
+        Object.keys(questionMetadata).forEach(key => {
+            if (!(key in appState.selections)) appState.selections[key] = null;
+        });
+
+        // Build the questions form from the metadata
+        renderQuestionForm();
+
         // Load config settings (merge with defaults)
         if (data.config) {
             appConfig.timings = {
@@ -260,7 +172,10 @@ export async function loadQuestionMetadata() {
  */
 export async function loadSunscreenData() {
     try {
-        const response = await fetch('data/sunscreens.yaml');
+        const [response, schema] = await Promise.all([
+            fetch('data/sunscreens.yaml'),
+            loadSchema('sunscreens')
+        ]);
 
         if (!response.ok) {
             throw new Error(`Failed to load sunscreen data: ${response.status} ${response.statusText}`);
@@ -270,13 +185,13 @@ export async function loadSunscreenData() {
         const data = jsyaml.load(yamlText);
 
         // Validate data structure
-        validateSunscreenData(data);
+        validateSunscreenData(data, schema);
 
-        appState.sunscreens = data.sunscreens;
+        appState.sunscreens = applyFilterTypes(data.sunscreens);
         console.log(`✓ Loaded ${appState.sunscreens.length} sunscreens`);
 
-        // Filter region options based on available products
-        filterAvailableRegions();
+        // Product-to-product distances for "You might also like" (computed once)
+        computeSimilarity(appState.sunscreens);
     } catch (error) {
         console.error('Error loading sunscreen data:', error);
         showLoadingError('Failed to load sunscreen data. Please refresh the page or try again later.');
@@ -284,6 +199,36 @@ export async function loadSunscreenData() {
     }
 }
 
+/**
+ * Load the ingredient glossary YAML file
+ * It is the single source of ingredient classifications, as well as the explorer's entries
+ */
+export async function loadIngredientGlossary() {
+    try {
+        const response = await fetch('data/ingredients.yaml');
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ingredient glossary: ${response.status} ${response.statusText}`);
+        }
+
+        const yamlText = await response.text();
+        const data = jsyaml.load(yamlText);
+
+        const problems = validateGlossary(data);
+        if (problems.length > 0) {
+            throw new Error(`Invalid ingredient glossary: ${problems.join('; ')}`);
+        }
+
+        appState.glossary = data.ingredients;
+        setGlobalClassifications(appState.glossary);
+        console.log(`✓ Loaded ${Object.keys(appState.glossary).length} glossary entries`);
+    } catch (error) {
+        console.error('Error loading ingredient glossary:', error);
+        showLoadingError('Failed to load ingredient data. Please refresh the page or try again later.');
+        throw error;
+    }
+}
+
 /**
  * Filter available regions in the UI based on products
  */
@@ -333,7 +278,7 @@ function loadScript(src) {
 }
 
 /**
- * Load all quiz resources (js-yaml, metadata, sunscreen data)
+ * Load all quiz resources (js-yaml, metadata, sunscreen data, ingredient glossary)
  * Only called when user clicks "Start Quiz"
  */
 export async function loadQuizResources() {
@@ -342,9 +287,25 @@ export async function loadQuizResources() {
         await loadScript('lib/js-yaml.min.js');
     }
 
-    // Then load question metadata and sunscreen data in parallel
+    // Then question metadata, which the sunscreen data is checked against
+    await loadQuestionMetadata();
+
+    // Then sunscreen data and the glossary in parallel
     await Promise.all([
-        loadQuestionMetadata(),
-        loadSunscreenData()
+        loadSunscreenData(),
+        loadIngredientGlossary()
     ]);
+
+    // Ingredient tokens and summaries need the classifications from the glossary
+    applyIngredientTokens(appState.sunscreens, resolveClassifications);
+    applyIngredientSummaries(appState.sunscreens);
+
+    // Add options generated from the catalog (e.g. ingredients) and rebuild the form
+    if (Object.values(questionMetadata).some(question => question.optionsFrom)) {
+        addCatalogOptions(appState.sunscreens);
+        renderQuestionForm();
+    }
+
+    // Filter region options based on available products (needs the rendered form)
+    filterAvailableRegions();
 }
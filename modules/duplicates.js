@@ -0,0 +1,214 @@
+// ===================================
+// Duplicate Products
+// ===================================
+// Finds products entered twice in sunscreens.yaml: repeated ids, repeated URLs, and
+// the same product under a slightly different name (same brand, near-identical name
+// and ingredients). Used by validate-data.js, which can also renumber repeated ids
+// (--fix-ids) without rewriting the rest of the file.
+
+import { parseIngredients } from './ingredients/parser.js';
+import { jaccard } from './results/similarity.js';
+
+// Minimum similarity (0-1) for two products of the same brand to be reported as near-duplicates.
+// Tinted and SPF variants share most of their name and ingredients, so both must be close.
+export const NEAR_DUPLICATE_THRESHOLDS = {
+    name: 0.85,
+    ingredients: 0.95
+};
+
+// "- id: 12" lines of sunscreens.yaml, one per product in file order
+export const ID_LINE_PATTERN = /^(\s*-\s+id:\s*)(\S+)(\s*(?:#.*)?)$/;
+
+/**
+ * Normalize text for comparison (case, accents and punctuation ignored)
+ * @param {string} text - Name or brand
+ * @returns {string} e.g. "Anthelios UVMune 400 Fluid, SPF 50+" -> "anthelios uvmune 400 fluid spf 50+"
+ */
+export function normalizeText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9+]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a product URL so trivial differences don't hide a repeat
+ * (protocol, "www.", host case, trailing slash and #fragment are ignored)
+ * @param {string} url - Product URL
+ * @returns {string} Comparable URL
+ */
+export function normalizeURL(url) {
+    const [withoutFragment] = String(url ?? '').trim().split('#');
+    const match = withoutFragment.match(/^(?:https?:\/\/)?(?:www\.)?([^/?]*)(.*)$/i);
+    const rest = match[2].replace(/\/+(?=\?|$)/, '');
+    return `${match[1].toLowerCase()}${rest}`;
+}
+
+/**
+ * Similarity of two names from their shared letter pairs (Dice coefficient),
+ * so a typo or a reordered word still scores high
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} Similarity from 0 to 1
+ */
+export function nameSimilarity(a, b) {
+    const bigrams = text => {
+        const compact = normalizeText(text).replace(/ /g, '');
+        return Array.from({ length: Math.max(compact.length - 1, 0) }, (_, i) => compact.slice(i, i + 2));
+    };
+    const first = bigrams(a);
+    const second = bigrams(b);
+    if (first.length === 0 && second.length === 0) return 1;
+
+    const remaining = new Map();
+    first.forEach(pair => remaining.set(pair, (remaining.get(pair) || 0) + 1));
+
+    let shared = 0;
+    second.forEach(pair => {
+        if (remaining.get(pair) > 0) {
+            shared++;
+            remaining.set(pair, remaining.get(pair) - 1);
+        }
+    });
+
+    return (2 * shared) / (first.length + second.length);
+}
+
+/**
+ * Group product positions by a key, keeping only keys used more than once
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Function} getKey - Product -> key (undefined to skip the product)
+ * @returns {Array<{key: *, indexes: Array<number>}>} Repeated keys in file order
+ */
+function findRepeats(sunscreens, getKey) {
+    const groups = new Map();
+
+    sunscreens.forEach((sunscreen, index) => {
+        const key = getKey(sunscreen);
+        if (key === undefined) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(index);
+    });
+
+    return Array.from(groups.entries())
+        .filter(([, indexes]) => indexes.length > 1)
+        .map(([key, indexes]) => ({ key, indexes }));
+}
+
+/**
+ * Find ids used by more than one product
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array<{id: *, indexes: Array<number>}>} Repeated ids with the positions of their products
+ */
+export function findDuplicateIds(sunscreens) {
+    return findRepeats(sunscreens, sunscreen => sunscreen.id)
+        .map(({ key, indexes }) => ({ id: key, indexes }));
+}
+
+/**
+ * Find product URLs used by more than one product
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array<{url: string, indexes: Array<number>}>} Repeated URLs (as first written) with their positions
+ */
+export function findDuplicateURLs(sunscreens) {
+    return findRepeats(sunscreens, sunscreen => (sunscreen.url ? normalizeURL(sunscreen.url) : undefined))
+        .map(({ indexes }) => ({ url: sunscreens[indexes[0]].url, indexes }));
+}
+
+/**
+ * Find pairs of products of the same brand with near-identical names and ingredients
+ * Pairs that already share a URL are left to findDuplicateURLs
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} [thresholds] - Minimum name and ingredient similarity
+ * @returns {Array<{indexes: [number, number], name: number, ingredients: number}>} Pairs with their similarities
+ */
+export function findNearDuplicates(sunscreens, thresholds = NEAR_DUPLICATE_THRESHOLDS) {
+    const profiles = sunscreens.map(sunscreen => ({
+        brand: normalizeText(sunscreen.brand),
+        url: sunscreen.url ? normalizeURL(sunscreen.url) : undefined,
+        ingredients: parseIngredients(sunscreen.ingredients).map(ingredient => ingredient.slug)
+    }));
+    const pairs = [];
+
+    for (let i = 0; i < sunscreens.length; i++) {
+        for (let j = i + 1; j < sunscreens.length; j++) {
+            if (profiles[i].brand !== profiles[j].brand) continue;
+            if (profiles[i].url && profiles[i].url === profiles[j].url) continue;
+
+            const name = nameSimilarity(sunscreens[i].name, sunscreens[j].name);
+            if (name < thresholds.name) continue;
+
+            const ingredients = jaccard(profiles[i].ingredients, profiles[j].ingredients);
+            if (ingredients < thresholds.ingredients) continue;
+
+            pairs.push({ indexes: [i, j], name, ingredients });
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Get the id after the highest valid one
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {number} Next unused id
+ */
+export function getNextId(sunscreens) {
+    const ids = sunscreens
+        .map(sunscreen => sunscreen.id)
+        .filter(id => Number.isInteger(id) && id > 0);
+    return Math.max(0, ...ids) + 1;
+}
+
+/**
+ * Work out new ids for products whose id is repeated or isn't a positive integer
+ * The first product keeps a repeated id (so existing ?product= links keep working);
+ * the others get the next unused numbers
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array<{index: number, name: string, oldId: *, newId: number}>} Changes in file order
+ */
+export function planIdFixes(sunscreens) {
+    const isValid = id => Number.isInteger(id) && id > 0;
+    let nextId = getNextId(sunscreens);
+
+    const seen = new Set();
+    const changes = [];
+
+    sunscreens.forEach((sunscreen, index) => {
+        if (isValid(sunscreen.id) && !seen.has(sunscreen.id)) {
+            seen.add(sunscreen.id);
+            return;
+        }
+        changes.push({ index, name: sunscreen.name, oldId: sunscreen.id, newId: nextId++ });
+    });
+
+    return changes;
+}
+
+/**
+ * Apply id changes to the text of sunscreens.yaml, leaving comments and formatting alone
+ * @param {string} text - File contents
+ * @param {Array<{index: number, newId: number}>} changes - From planIdFixes
+ * @param {number} productCount - Number of products in the file
+ * @returns {string} Updated file contents
+ * @throws {Error} If the file doesn't have one "- id:" line per product
+ */
+export function applyIdFixes(text, changes, productCount) {
+    const lines = text.split('\n');
+    const idLines = lines
+        .map((line, lineIndex) => (ID_LINE_PATTERN.test(line) ? lineIndex : -1))
+        .filter(lineIndex => lineIndex !== -1);
+
+    if (idLines.length !== productCount) {
+        throw new Error(`Expected one "- id:" line per product (${productCount}), found ${idLines.length}; fix the ids by hand`);
+    }
+
+    changes.forEach(({ index, newId }) => {
+        const lineIndex = idLines[index];
+        lines[lineIndex] = lines[lineIndex].replace(ID_LINE_PATTERN, `$1${newId}$3`);
+    });
+
+    return lines.join('\n');
+}
@@ -0,0 +1,119 @@
+// ===================================
+// Ingredient Classifications
+// ===================================
+// Every ingredient is classified once, in data/ingredients.yaml, and products
+// resolve their superstar/goodie/icky badges against that global map. A product
+// can only deviate with an explicit overrideClassifications: true, in which case
+// its ingredientClassifications (raw name -> classification) win.
+
+import { parseIngredients } from './parser.js';
+
+// Classifications an ingredient can have (as on INCIDecoder)
+export const INGREDIENT_CLASSIFICATIONS = ['superstar', 'goodie', 'icky'];
+
+// Global map (slug -> classification), set by setGlobalClassifications
+let globalClassifications = new Map();
+
+/**
+ * Build the global classification map from the glossary
+ * Aliases resolve to their entry's classification
+ * @param {Object} glossary - Glossary entries by slug
+ * @returns {Map<string, string>} Slug -> classification
+ */
+export function buildClassificationMap(glossary) {
+    const map = new Map();
+
+    Object.entries(glossary || {}).forEach(([slug, entry]) => {
+        if (!entry || !entry.classification) return;
+        map.set(slug, entry.classification);
+        (entry.aliases || []).forEach(alias => map.set(alias, entry.classification));
+    });
+
+    return map;
+}
+
+/**
+ * Set the global classifications, once the glossary has loaded
+ * @param {Object} glossary - Glossary entries by slug
+ */
+export function setGlobalClassifications(glossary) {
+    globalClassifications = buildClassificationMap(glossary);
+}
+
+/**
+ * Get the global classification of an ingredient
+ * @param {string} slug - Ingredient slug
+ * @returns {string|null} Classification, or null if unclassified
+ */
+export function getGlobalClassification(slug) {
+    return globalClassifications.get(slug) || null;
+}
+
+/**
+ * Get a product's classification overrides
+ * ingredientClassifications only count when the product sets overrideClassifications: true
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {Object} Raw ingredient name -> classification
+ */
+export function getClassificationOverrides(sunscreen) {
+    return sunscreen.overrideClassifications === true ? (sunscreen.ingredientClassifications || {}) : {};
+}
+
+/**
+ * Resolve the classification of every ingredient of a product
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {Object} Raw ingredient name -> classification (classified ingredients only)
+ */
+export function resolveClassifications(sunscreen) {
+    const overrides = getClassificationOverrides(sunscreen);
+    const resolved = {};
+
+    parseIngredients(sunscreen.ingredients).forEach(({ raw, slug }) => {
+        const classification = overrides[raw] || getGlobalClassification(slug);
+        if (classification) resolved[raw] = classification;
+    });
+
+    return resolved;
+}
+
+/**
+ * Parse a product's ingredients with their resolved classifications
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {Array<Object>} Parsed ingredients (see parseIngredient), in label order
+ */
+export function parseClassifiedIngredients(sunscreen) {
+    return parseIngredients(sunscreen.ingredients, resolveClassifications(sunscreen));
+}
+
+/**
+ * Find ingredients given different classifications
+ * Products without overrideClassifications: true may only restate the global
+ * classification, so any disagreement between them and the glossary, or between
+ * two such products, is a conflict
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} glossary - Glossary entries by slug
+ * @returns {Array<{slug: string, claims: Array<{source: string, classification: string}>}>} Conflicting ingredients
+ */
+export function findClassificationConflicts(sunscreens, glossary) {
+    const global = buildClassificationMap(glossary);
+    const claimsBySlug = new Map();
+
+    const addClaim = (slug, source, classification) => {
+        if (!claimsBySlug.has(slug)) claimsBySlug.set(slug, []);
+        claimsBySlug.get(slug).push({ source, classification });
+    };
+
+    global.forEach((classification, slug) => addClaim(slug, 'ingredients.yaml', classification));
+
+    sunscreens
+        .filter(sunscreen => sunscreen.overrideClassifications !== true && sunscreen.ingredientClassifications)
+        .forEach(sunscreen => {
+            Object.entries(sunscreen.ingredientClassifications).forEach(([raw, classification]) => {
+                addClaim(parseIngredients(raw)[0]?.slug || raw, sunscreen.name, classification);
+            });
+        });
+
+    return Array.from(claimsBySlug.entries())
+        .filter(([, claims]) => new Set(claims.map(claim => claim.classification)).size > 1)
+        .map(([slug, claims]) => ({ slug, claims }));
+}
@@ -0,0 +1,196 @@
+// ===================================
+// Ingredient Explorer
+// ===================================
+// Search the ingredients of the whole catalog, read an ingredient's glossary
+// entry (data/ingredients.yaml) and see every product that contains it.
+
+import { buildIngredientIndex, searchIngredients } from './glossary.js';
+import { renderClassificationBadge } from '../results/display.js';
+import { PRODUCT_PARAM } from '../url-params.js';
+
+let appState;
+let elements;
+let t;
+let escapeHTML;
+let showView;
+let announceToScreenReader;
+let showProduct;
+
+// View to return to when leaving the explorer
+let returnView = 'welcome';
+
+// Ingredient index, built when the explorer opens
+let index = [];
+
+// Slug of the ingredient whose entry is shown
+let selectedSlug = null;
+
+/**
+ * Initialize explorer module with dependencies
+ */
+export function initExplorer(deps) {
+    appState = deps.appState;
+    elements = deps.elements;
+    t = deps.t;
+    escapeHTML = deps.escapeHTML;
+    showView = deps.showView;
+    announceToScreenReader = deps.announceToScreenReader;
+    showProduct = deps.showProduct;
+}
+
+/**
+ * Show the ingredient explorer
+ * @param {string} [slug] - Ingredient to open straight away
+ */
+export function showExplorer(slug) {
+    if (appState.currentView !== 'ingredients') {
+        returnView = appState.currentView;
+    }
+
+    index = buildIngredientIndex(appState.sunscreens, appState.glossary || {});
+    renderExplorer();
+    showView('ingredients');
+
+    if (slug) selectIngredient(slug);
+}
+
+/**
+ * Leave the explorer for the view it was opened from
+ */
+export function closeExplorer() {
+    showView(returnView === 'ingredients' ? 'welcome' : returnView);
+}
+
+/**
+ * Show an ingredient's entry and the products containing it
+ * @param {string} slug - Ingredient slug
+ * @returns {boolean} False if the ingredient is unknown
+ */
+export function selectIngredient(slug) {
+    const item = index.find(ingredient => ingredient.slug === slug);
+    if (!item) return false;
+
+    selectedSlug = slug;
+    elements.ingredientsContainer.querySelectorAll('.ingredient-option').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.ingredient === slug));
+    });
+
+    const detail = elements.ingredientsContainer.querySelector('#ingredient-detail');
+    detail.innerHTML = renderIngredientEntry(item);
+    detail.querySelectorAll('.product-detail-link').forEach(link => {
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            showProduct(Number(link.dataset.productId));
+        });
+    });
+    detail.focus();
+
+    announceToScreenReader(t('explorer.announce', { name: item.name, count: item.products.length }));
+    return true;
+}
+
+/**
+ * Render the search box, the ingredient list and an empty entry pane
+ */
+function renderExplorer() {
+    selectedSlug = null;
+
+    elements.ingredientsContainer.innerHTML = `
+        <div class="ingredient-search">
+            <label for="ingredient-search-input">${escapeHTML(t('explorer.searchLabel'))}</label>
+            <input type="search" id="ingredient-search-input" class="ingredient-search-input" autocomplete="off" placeholder="${escapeHTML(t('explorer.searchPlaceholder'))}">
+            <p id="ingredient-search-count" class="ingredient-search-count" role="status" aria-live="polite"></p>
+        </div>
+        <div class="ingredient-explorer">
+            <ul id="ingredient-index" class="ingredient-index" aria-label="${escapeHTML(t('explorer.listAria'))}"></ul>
+            <div id="ingredient-detail" class="ingredient-detail" tabindex="-1">
+                <p class="ingredient-hint">${escapeHTML(t('explorer.hint'))}</p>
+            </div>
+        </div>
+    `;
+
+    const input = elements.ingredientsContainer.querySelector('#ingredient-search-input');
+    input.addEventListener('input', () => renderIngredientOptions(input.value));
+
+    elements.ingredientsContainer.querySelector('#ingredient-index').addEventListener('click', (event) => {
+        const button = event.target.closest('.ingredient-option');
+        if (button) selectIngredient(button.dataset.ingredient);
+    });
+
+    renderIngredientOptions('');
+}
+
+/**
+ * Render the ingredients matching a search
+ * @param {string} query - Search text
+ */
+function renderIngredientOptions(query) {
+    const matches = searchIngredients(query, index);
+    const list = elements.ingredientsContainer.querySelector('#ingredient-index');
+
+    list.innerHTML = matches.map(({ slug, name, entry, products }) => `
+        <li>
+            <button type="button" class="ingredient-option" data-ingredient="${escapeHTML(slug)}" aria-pressed="${slug === selectedSlug}">
+                ${renderClassificationBadge(entry ? entry.classification : null)}<span class="ingredient-option-name">${escapeHTML(name)}</span>
+                <span class="ingredient-option-count">${escapeHTML(t('explorer.productCount', { count: products.length }))}</span>
+            </button>
+        </li>`).join('');
+
+    elements.ingredientsContainer.querySelector('#ingredient-search-count').textContent =
+        t('explorer.matchCount', { count: matches.length });
+}
+
+/**
+ * Render a yes/no value
+ */
+function yesNo(value) {
+    return escapeHTML(t(value ? 'compare.yes' : 'compare.no'));
+}
+
+/**
+ * Render an ingredient's glossary entry and the products containing it
+ * @param {Object} item - Ingredient from the index
+ * @returns {string} Entry HTML
+ */
+function renderIngredientEntry({ slug, name, entry, products }) {
+    const facts = entry ? `
+            <dl class="product-attributes">
+                <div class="product-attribute">
+                    <dt>${escapeHTML(t('explorer.fields.function'))}</dt>
+                    <dd>${escapeHTML(entry.function)}</dd>
+                </div>
+                <div class="product-attribute">
+                    <dt>${escapeHTML(t('explorer.fields.uvFilter'))}</dt>
+                    <dd>${yesNo(entry.uvFilter)}</dd>
+                </div>
+                <div class="product-attribute">
+                    <dt>${escapeHTML(t('explorer.fields.classification'))}</dt>
+                    <dd>${entry.classification ? renderClassificationBadge(entry.classification) + escapeHTML(t(`explorer.classifications.${entry.classification}`)) : '—'}</dd>
+                </div>
+                <div class="product-attribute">
+                    <dt>${escapeHTML(t('explorer.fields.allergen'))}</dt>
+                    <dd>${yesNo(entry.allergen)}</dd>
+                </div>
+            </dl>
+            ${entry.notes ? `<p class="ingredient-notes">${escapeHTML(entry.notes)}</p>` : ''}`
+        : `
+            <p class="ingredient-no-entry">${escapeHTML(t('explorer.noEntry'))}</p>`;
+
+    return `
+        <article class="ingredient-entry" aria-labelledby="ingredient-name">
+            <h3 id="ingredient-name">${escapeHTML(name)}</h3>
+            ${facts}
+            <a href="https://incidecoder.com/ingredients/${escapeHTML(slug)}" target="_blank" rel="noopener noreferrer" class="product-link">${escapeHTML(t('explorer.incidecoder'))}</a>
+
+            <section class="product-section">
+                <h4>${escapeHTML(t('explorer.products', { count: products.length }))}</h4>
+                ${products.length > 0 ? `
+                <ul class="ingredient-products">
+                    ${products.map(product => `
+                    <li><a href="?${PRODUCT_PARAM}=${product.id}" class="product-detail-link" data-product-id="${product.id}">${escapeHTML(product.name)}</a> <span class="ingredient-product-brand">${escapeHTML(product.brand)}</span></li>`).join('')}
+                </ul>` : `
+                <p class="ingredient-no-products">${escapeHTML(t('explorer.noProducts'))}</p>`}
+            </section>
+        </article>
+    `;
+}
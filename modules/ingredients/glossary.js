@@ -0,0 +1,141 @@
+// ===================================
+// Ingredient Glossary
+// ===================================
+// Reads the central glossary (data/ingredients.yaml), keyed by the same slug
+// the parser gives every ingredient, and indexes the catalog by ingredient so
+// the explorer can show an entry together with the products containing it.
+// validate-data.js checks the YAML with validateGlossary too.
+
+import { parseIngredients, listIngredients } from './parser.js';
+import { INGREDIENT_CLASSIFICATIONS } from './classifications.js';
+
+/**
+ * Check the structure of the glossary YAML
+ * @param {Object} data - Parsed data/ingredients.yaml
+ * @returns {Array<string>} Problems found (empty if the glossary is valid)
+ */
+export function validateGlossary(data) {
+    if (!data || typeof data !== 'object' || !data.ingredients || typeof data.ingredients !== 'object' || Array.isArray(data.ingredients)) {
+        return ['must have an ingredients map'];
+    }
+
+    const problems = [];
+    const aliasOwners = new Map();
+
+    Object.entries(data.ingredients).forEach(([slug, entry]) => {
+        if (!entry || typeof entry !== 'object') {
+            problems.push(`"${slug}": must be an object`);
+            return;
+        }
+        if (typeof entry.name !== 'string' || entry.name.length === 0) {
+            problems.push(`"${slug}": name must be a non-empty string`);
+        }
+        if (typeof entry.function !== 'string' || entry.function.length === 0) {
+            problems.push(`"${slug}": function must be a non-empty string`);
+        }
+        if (typeof entry.uvFilter !== 'boolean') {
+            problems.push(`"${slug}": uvFilter must be a boolean`);
+        }
+        if (typeof entry.allergen !== 'boolean') {
+            problems.push(`"${slug}": allergen must be a boolean`);
+        }
+        if ('classification' in entry && !INGREDIENT_CLASSIFICATIONS.includes(entry.classification)) {
+            problems.push(`"${slug}": classification must be one of ${INGREDIENT_CLASSIFICATIONS.join(', ')}`);
+        }
+        if ('notes' in entry && typeof entry.notes !== 'string') {
+            problems.push(`"${slug}": notes must be a string`);
+        }
+
+        if ('aliases' in entry) {
+            if (!Array.isArray(entry.aliases) || entry.aliases.some(alias => typeof alias !== 'string')) {
+                problems.push(`"${slug}": aliases must be a list of slugs`);
+                return;
+            }
+            entry.aliases.forEach(alias => {
+                if (alias in data.ingredients) {
+                    problems.push(`"${slug}": alias "${alias}" has an entry of its own`);
+                } else if (aliasOwners.has(alias)) {
+                    problems.push(`"${slug}": alias "${alias}" is already used by "${aliasOwners.get(alias)}"`);
+                }
+                aliasOwners.set(alias, slug);
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Map every slug a glossary entry is known by (its key and its aliases) to the key
+ * @param {Object} glossary - Glossary entries by slug
+ * @returns {Map<string, string>} Slug -> glossary key
+ */
+function getCanonicalSlugs(glossary) {
+    const canonical = new Map();
+
+    Object.entries(glossary).forEach(([slug, entry]) => {
+        canonical.set(slug, slug);
+        (entry.aliases || []).forEach(alias => canonical.set(alias, slug));
+    });
+
+    return canonical;
+}
+
+/**
+ * Index the catalog by ingredient
+ * Spelling variants listed as aliases are folded into their glossary entry, and
+ * glossary entries no product contains are listed too (with no products)
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} glossary - Glossary entries by slug
+ * @returns {Array<{slug: string, name: string, entry: Object|null, products: Array}>} Ingredients sorted by name
+ */
+export function buildIngredientIndex(sunscreens, glossary = {}) {
+    const canonical = getCanonicalSlugs(glossary);
+    const bySlug = new Map();
+
+    const getItem = (slug, name) => {
+        const key = canonical.get(slug) || slug;
+        if (!bySlug.has(key)) {
+            const entry = glossary[key] || null;
+            bySlug.set(key, { slug: key, name: entry ? entry.name : name, entry, products: [] });
+        }
+        return bySlug.get(key);
+    };
+
+    listIngredients(sunscreens).forEach(({ slug, name }) => getItem(slug, name));
+    Object.entries(glossary).forEach(([slug, entry]) => getItem(slug, entry.name));
+
+    sunscreens.forEach(sunscreen => {
+        const slugs = new Set(parseIngredients(sunscreen.ingredients).map(({ slug }) => canonical.get(slug) || slug));
+        slugs.forEach(slug => {
+            if (bySlug.has(slug)) bySlug.get(slug).products.push(sunscreen);
+        });
+    });
+
+    return Array.from(bySlug.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Normalize text for searching (case, spacing and punctuation are ignored)
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase letters and digits only
+ */
+function normalizeSearch(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find the ingredients whose name, slug, aliases or function contain the query
+ * @param {string} query - Search text
+ * @param {Array} index - Ingredient index from buildIngredientIndex
+ * @returns {Array} Matching ingredients, in index order (all of them for an empty query)
+ */
+export function searchIngredients(query, index) {
+    const needle = normalizeSearch(query || '');
+    if (!needle) return index;
+
+    return index.filter(({ slug, name, entry }) => {
+        const haystack = [slug, name, ...(entry ? [entry.function, ...(entry.aliases || [])] : [])];
+        return haystack.some(text => normalizeSearch(text).includes(needle));
+    });
+}
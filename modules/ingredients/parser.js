@@ -0,0 +1,160 @@
+// ===================================
+// Ingredient Parsing
+// ===================================
+// Splits INCI ingredient strings into structured ingredients (name, synonyms,
+// CI code, INCIDecoder slug, classification). The result cards, validate-data.js
+// and the ingredient filters all parse through here, so they can't drift apart.
+
+// Token added to a product's ingredient tokens when any of its ingredients is classified icky
+export const ICKY_TOKEN = 'icky';
+
+/**
+ * Split an INCI ingredients string into individual ingredients
+ * @param {string} ingredients - Ingredients separated by " - " (or " • ")
+ * @returns {Array<string>} Trimmed ingredient names, as written
+ */
+export function splitIngredients(ingredients) {
+    if (typeof ingredients !== 'string') return [];
+
+    return ingredients
+        .split(/\s+[-•]\s+/)
+        .map(ingredient => ingredient.replace(/[\s•]+$/, '').trim())
+        .filter(ingredient => ingredient.length > 0);
+}
+
+// Color index codes (e.g. "CI 77891") used as synonyms of pigments
+const CI_CODE_PATTERN = /^(CI|C\.I\.)\s*(\d+)/i;
+
+/**
+ * Pick the standard name among an ingredient's synonyms
+ * The longest non-code part is used, which is usually the English name
+ * (e.g. "CI 77891 / TITANIUM DIOXIDE" -> "TITANIUM DIOXIDE")
+ * @param {Array<string>} synonyms - Synonyms as written
+ * @returns {string} Name without (parentheses) or CI color codes
+ */
+function pickName(synonyms) {
+    const preferred = synonyms.reduce((best, current) => {
+        const currentNoCode = current.replace(CI_CODE_PATTERN, '').trim();
+        const bestNoCode = best.replace(CI_CODE_PATTERN, '').trim();
+        return (currentNoCode.length > bestNoCode.length) ? current : best;
+    }, synonyms[0]);
+
+    return preferred
+        .replace(/\([^)]*\)/g, '')                    // Remove (parentheses)
+        .replace(/^(CI|C\.I\.)\s*\d+\s*\/?\s*/i, '') // Remove CI codes at start
+        .trim();
+}
+
+/**
+ * Turn a name into the slug used by incidecoder.com/ingredients/<slug>
+ * @param {string} name - Ingredient name
+ * @returns {string} URL-safe slug
+ */
+function slugify(name) {
+    return name.toLowerCase()
+        .replace(/\s+/g, '-')           // spaces to hyphens
+        .replace(/[^a-z0-9-]/g, '')     // keep only letters, numbers, hyphens
+        .replace(/--+/g, '-')            // collapse multiple hyphens
+        .replace(/^-+|-+$/g, '');       // trim leading/trailing hyphens
+}
+
+/**
+ * Parse a single ingredient
+ * @param {string} ingredient - Ingredient as written (e.g. "CI 77891 / TITANIUM DIOXIDE")
+ * @param {Object} [classifications] - Raw name -> classification (see resolveClassifications)
+ * @returns {{raw: string, name: string, synonyms: Array<string>, ciCode: string|null, slug: string, classification: string|null}}
+ */
+export function parseIngredient(ingredient, classifications = {}) {
+    const raw = ingredient.trim();
+    const synonyms = raw.split(' / ').map(part => part.trim()).filter(part => part.length > 0);
+    const ciMatch = synonyms.map(part => part.match(CI_CODE_PATTERN)).find(Boolean);
+    const name = pickName(synonyms.length > 0 ? synonyms : [raw]);
+
+    return {
+        raw,
+        name,
+        synonyms,
+        ciCode: ciMatch ? `CI ${ciMatch[2]}` : null,
+        slug: slugify(name),
+        classification: classifications[raw] || null
+    };
+}
+
+/**
+ * Parse an INCI ingredients string into structured ingredients
+ * @param {string} ingredients - Ingredients separated by " - " (or " • ")
+ * @param {Object} [classifications] - Raw name -> classification (see resolveClassifications)
+ * @returns {Array<Object>} Parsed ingredients (see parseIngredient), in label order
+ */
+export function parseIngredients(ingredients, classifications = {}) {
+    return splitIngredients(ingredients).map(ingredient => parseIngredient(ingredient, classifications));
+}
+
+/**
+ * Get the standard name of an ingredient
+ * @param {string} ingredient - Ingredient as written
+ * @returns {string} Name without synonyms, (parentheses) or CI color codes
+ */
+export function getIngredientName(ingredient) {
+    return parseIngredient(ingredient).name;
+}
+
+/**
+ * Generate the URL slug of an ingredient (as used by incidecoder.com/ingredients/<slug>)
+ * @param {string} ingredient - Ingredient as written
+ * @returns {string} URL-safe slug
+ */
+export function getIngredientSlug(ingredient) {
+    return parseIngredient(ingredient).slug;
+}
+
+/**
+ * Get the tokens a product can be excluded by
+ * Every ingredient slug, plus ICKY_TOKEN if any ingredient is classified icky
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {Object} [classifications] - Raw name -> classification (see resolveClassifications)
+ * @returns {Array<string>} Distinct tokens
+ */
+export function getIngredientTokens(sunscreen, classifications = {}) {
+    const ingredients = parseIngredients(sunscreen.ingredients, classifications);
+    const tokens = new Set(ingredients.map(ingredient => ingredient.slug));
+    tokens.delete('');
+
+    if (ingredients.some(ingredient => ingredient.classification === 'icky')) {
+        tokens.add(ICKY_TOKEN);
+    }
+
+    return Array.from(tokens);
+}
+
+/**
+ * Set ingredientTokens on every product (used by the ingredients-to-avoid question)
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Function} [getClassifications] - Returns a product's classifications (see resolveClassifications)
+ * @returns {Array} The same products
+ */
+export function applyIngredientTokens(sunscreens, getClassifications = () => ({})) {
+    sunscreens.forEach(sunscreen => {
+        sunscreen.ingredientTokens = getIngredientTokens(sunscreen, getClassifications(sunscreen));
+    });
+    return sunscreens;
+}
+
+/**
+ * List every distinct ingredient across the catalog
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array<{slug: string, name: string}>} Ingredients sorted by name
+ */
+export function listIngredients(sunscreens) {
+    const bySlug = new Map();
+
+    sunscreens.forEach(sunscreen => {
+        parseIngredients(sunscreen.ingredients).forEach(({ slug, name }) => {
+            if (slug && !bySlug.has(slug)) {
+                bySlug.set(slug, { slug, name });
+            }
+        });
+    });
+
+    return Array.from(bySlug.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
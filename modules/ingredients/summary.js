@@ -0,0 +1,62 @@
+// ===================================
+// Ingredient Summary
+// ===================================
+// A per-product digest of the ingredient list (classification counts, fragrance,
+// alcohol denat., UV filters, where the first icky ingredient sits), worked out
+// once at load time for the result card bar and the results toolbar.
+
+import { findUVFilters } from './uv-filters.js';
+import { parseClassifiedIngredients } from './classifications.js';
+
+// Ingredient names that mean the product is perfumed
+const FRAGRANCE_PATTERN = /\b(PARFUM|FRAGRANCE)\b/i;
+
+// Denatured alcohol, with or without the trailing dot
+const ALCOHOL_DENAT_PATTERN = /\bALCOHOL DENAT\b/i;
+
+/**
+ * Summarize a product's ingredients
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {{total: number, superstar: number, goodie: number, icky: number, fragrance: boolean, alcoholDenat: boolean, uvFilters: number, firstIckyPosition: number|null, labelOrder: Array<string|null>}}
+ *   Counts, flags, the 1-based label position of the first icky ingredient (null if none)
+ *   and every ingredient's classification in label order
+ */
+export function summarizeIngredients(sunscreen) {
+    const ingredients = parseClassifiedIngredients(sunscreen);
+    const { mineral, chemical } = findUVFilters(sunscreen.ingredients);
+    const countOf = classification => ingredients.filter(ingredient => ingredient.classification === classification).length;
+    const firstIcky = ingredients.findIndex(ingredient => ingredient.classification === 'icky');
+
+    return {
+        total: ingredients.length,
+        superstar: countOf('superstar'),
+        goodie: countOf('goodie'),
+        icky: countOf('icky'),
+        fragrance: ingredients.some(({ raw }) => FRAGRANCE_PATTERN.test(raw)),
+        alcoholDenat: ingredients.some(({ raw }) => ALCOHOL_DENAT_PATTERN.test(raw)),
+        uvFilters: mineral.length + chemical.length,
+        firstIckyPosition: firstIcky === -1 ? null : firstIcky + 1,
+        labelOrder: ingredients.map(ingredient => ingredient.classification)
+    };
+}
+
+/**
+ * Set ingredientSummary on every product (needs the classifications loaded)
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array} The same products
+ */
+export function applyIngredientSummaries(sunscreens) {
+    sunscreens.forEach(sunscreen => {
+        sunscreen.ingredientSummary = summarizeIngredients(sunscreen);
+    });
+    return sunscreens;
+}
+
+/**
+ * Get a product's ingredient summary, working it out if it wasn't at load time
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {Object} Summary (see summarizeIngredients)
+ */
+export function getIngredientSummary(sunscreen) {
+    return sunscreen.ingredientSummary || summarizeIngredients(sunscreen);
+}
@@ -0,0 +1,121 @@
+// ===================================
+// UV Filter Analysis
+// ===================================
+// Derives whether a sunscreen protects with mineral filters, chemical filters
+// or both, by looking for known UV filters in its INCI ingredients string.
+
+import { parseIngredients } from './parser.js';
+
+// Filter types a product can have
+export const FILTER_TYPES = ['mineral', 'chemical', 'hybrid'];
+
+// Curated UV filters by INCI name (approved in the EU, US, Australia or Japan)
+export const UV_FILTERS = {
+    mineral: [
+        'ZINC OXIDE',
+        'TITANIUM DIOXIDE'
+    ],
+    chemical: [
+        'AMILOXATE',
+        'AVOBENZONE',
+        'BENZOPHENONE-3',
+        'BENZOPHENONE-4',
+        'BIS-ETHYLHEXYLOXYPHENOL METHOXYPHENYL TRIAZINE',
+        'BUTYL METHOXYDIBENZOYLMETHANE',
+        'DIETHYLAMINO HYDROXYBENZOYL HEXYL BENZOATE',
+        'DIETHYLHEXYL BUTAMIDO TRIAZONE',
+        'DISODIUM PHENYL DIBENZIMIDAZOLE TETRASULFONATE',
+        'DROMETRIZOLE TRISILOXANE',
+        'ETHYLHEXYL DIMETHYL PABA',
+        'ETHYLHEXYL METHOXYCINNAMATE',
+        'ETHYLHEXYL SALICYLATE',
+        'ETHYLHEXYL TRIAZONE',
+        'HOMOSALATE',
+        'ISOAMYL P-METHOXYCINNAMATE',
+        'METHOXYPROPYLAMINO CYCLOHEXENYLIDENE ETHOXYETHYLCYANOACETATE',
+        'METHYLENE BIS-BENZOTRIAZOLYL TETRAMETHYLBUTYLPHENOL',
+        'OCTOCRYLENE',
+        'OCTINOXATE',
+        'OCTISALATE',
+        'OXYBENZONE',
+        'PHENYLBENZIMIDAZOLE SULFONIC ACID',
+        'POLYSILICONE-15',
+        'TEREPHTHALYLIDENE DICAMPHOR SULFONIC ACID',
+        'TRIS-BIPHENYL TRIAZINE'
+    ]
+};
+
+/**
+ * Normalize an INCI name for comparison
+ * Ignores case, spacing, punctuation and notes like [NANO] or (AQUA)
+ * @param {string} name - INCI name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    return name
+        .replace(/\[[^\]]*\]|\([^)]*\)/g, '')
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, '');
+}
+
+// Normalized filter name -> filter kind ('mineral' or 'chemical')
+const FILTER_LOOKUP = new Map(
+    Object.entries(UV_FILTERS).flatMap(([kind, names]) =>
+        names.map(name => [normalizeName(name), kind])
+    )
+);
+
+/**
+ * Find the UV filters in an ingredients string
+ * @param {string} ingredients - INCI ingredients (separated by " - " or " • ")
+ * @returns {{mineral: Array<string>, chemical: Array<string>}} Ingredients found, as written
+ */
+export function findUVFilters(ingredients) {
+    const found = { mineral: [], chemical: [] };
+
+    parseIngredients(ingredients).forEach(({ raw, synonyms, ciCode }) => {
+        // Listed with a color index code (e.g. "CI 77891 / TITANIUM DIOXIDE"), titanium dioxide
+        // or zinc oxide is a pigment tinting the product, unless a [NANO] spelling marks the filter grade
+        if (ciCode && !synonyms.some(name => /\[NANO\]/i.test(name))) return;
+
+        // Synonyms (e.g. "TITANIUM DIOXIDE [NANO] / TITANIUM DIOXIDE") match if any name does
+        const kind = synonyms
+            .map(name => FILTER_LOOKUP.get(normalizeName(name)))
+            .find(Boolean);
+
+        if (kind && !found[kind].includes(raw)) {
+            found[kind].push(raw);
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Derive a product's filter type from its ingredients
+ * @param {string} ingredients - INCI ingredients
+ * @returns {string|null} 'mineral', 'chemical', 'hybrid', or null if no known filter is listed
+ */
+export function deriveFilterType(ingredients) {
+    const { mineral, chemical } = findUVFilters(ingredients);
+
+    if (mineral.length > 0 && chemical.length > 0) return 'hybrid';
+    if (mineral.length > 0) return 'mineral';
+    if (chemical.length > 0) return 'chemical';
+    return null;
+}
+
+/**
+ * Set filterType on every product that doesn't declare one
+ * A hand-declared filterType wins (validate-data.js reports any that contradict the ingredients)
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array} The same products
+ */
+export function applyFilterTypes(sunscreens) {
+    sunscreens.forEach(sunscreen => {
+        if (!sunscreen.filterType) {
+            sunscreen.filterType = deriveFilterType(sunscreen.ingredients);
+        }
+    });
+    return sunscreens;
+}
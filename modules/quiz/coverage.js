@@ -0,0 +1,206 @@
+// ===================================
+// Question Coverage
+// ===================================
+// Cross-checks between the products, the question options and the files built
+// on them (the product schema, translations, mutually exclusive features), so
+// validate-data.js can report product values no answer offers, answers no
+// product has and labels a translation is missing.
+
+import { getMatchRule, isMultiSelect, matchesSelection } from './filters.js';
+
+// Match rules whose answers pick products by value (atLeast and noneOf don't)
+const VALUE_MATCHES = ['anyOf', 'allOf', 'equals', 'boolean'];
+
+// Match rules whose product values must be one of the answer options
+const OPTION_MATCHES = ['anyOf', 'equals'];
+
+/**
+ * Get the declared answer values of a question, without its "no preference" answer
+ * @param {string} questionKey - Question key
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<string>} Option values
+ */
+function getAnswerValues(questionKey, questionMetadata) {
+    const question = questionMetadata[questionKey];
+    const rule = getMatchRule(questionKey, questionMetadata);
+    const noPreference = rule && rule.alwaysMatch !== undefined ? rule.alwaysMatch : 'any';
+
+    return (question.options || [])
+        .map(option => String(option.value))
+        .filter(value => value !== noPreference && value !== 'any');
+}
+
+/**
+ * Find product values that no answer option offers (nobody can select them)
+ * Wildcard values (e.g. skinTypes: all) and match rules that don't pick by value are skipped
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<{questionKey: string, attribute: string, value: string, count: number}>} Orphan values by question, most used first
+ */
+export function findOrphanValues(sunscreens, questionMetadata) {
+    const orphans = [];
+
+    Object.keys(questionMetadata).forEach(questionKey => {
+        const rule = getMatchRule(questionKey, questionMetadata);
+        if (!rule || !VALUE_MATCHES.includes(rule.match) || questionMetadata[questionKey].optionsFrom) return;
+
+        const offered = new Set((questionMetadata[questionKey].options || []).map(option => String(option.value)));
+        const counts = new Map();
+
+        sunscreens.forEach(sunscreen => {
+            const values = [].concat(sunscreen[rule.attribute] ?? []).map(String);
+            new Set(values).forEach(value => {
+                if (offered.has(value) || value === rule.wildcardValue) return;
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        Array.from(counts.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .forEach(([value, count]) => orphans.push({ questionKey, attribute: rule.attribute, value, count }));
+    });
+
+    return orphans;
+}
+
+/**
+ * Add the question options to the product schema as the allowed values of their attributes
+ * (e.g. formFactors must be one of the formFactor options), so a value no answer offers is
+ * a schema error. Only anyOf and equals questions with options in the YAML take part, the
+ * "no preference" answer isn't a product value, and an enum already in the schema wins.
+ * @param {Object} schema - data/schemas/sunscreens.schema.json
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Object} A copy of the schema with the enums added
+ */
+export function addOptionEnums(schema, questionMetadata) {
+    const result = JSON.parse(JSON.stringify(schema));
+    const properties = result.$defs.sunscreen.properties;
+
+    Object.keys(questionMetadata).forEach(questionKey => {
+        const rule = getMatchRule(questionKey, questionMetadata);
+        if (!rule || !OPTION_MATCHES.includes(rule.match) || questionMetadata[questionKey].optionsFrom) return;
+
+        const property = properties[rule.attribute];
+        const target = property && (property.type === 'array' ? property.items : property);
+        const values = getAnswerValues(questionKey, questionMetadata);
+        if (!target || target.enum || values.length === 0) return;
+
+        target.enum = rule.wildcardValue !== undefined && !values.includes(rule.wildcardValue)
+            ? [...values, rule.wildcardValue]
+            : values;
+    });
+
+    return result;
+}
+
+/**
+ * Find answer options that make no difference because no product has them
+ * (an option no product matches, or for noneOf questions one no product contains)
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<{questionKey: string, value: string}>} Unreachable options in question order
+ */
+export function findUnreachableOptions(sunscreens, questionMetadata) {
+    const unreachable = [];
+
+    Object.keys(questionMetadata).forEach(questionKey => {
+        const rule = getMatchRule(questionKey, questionMetadata);
+        if (!rule) return;
+
+        getAnswerValues(questionKey, questionMetadata).forEach(value => {
+            const answer = isMultiSelect(questionKey, questionMetadata) ? [value] : value;
+            const matches = sunscreen => matchesSelection(sunscreen, questionKey, answer, questionMetadata);
+            const reachable = rule.match === 'noneOf'
+                ? sunscreens.some(sunscreen => !matches(sunscreen))
+                : sunscreens.some(matches);
+
+            if (!reachable) unreachable.push({ questionKey, value });
+        });
+    });
+
+    return unreachable;
+}
+
+/**
+ * List the translation keys the questions form looks up
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<string>} Dot-separated keys (e.g. questions.question2.options.oily.label)
+ */
+export function getQuestionTranslationKeys(questionMetadata) {
+    const keys = [];
+
+    Object.entries(questionMetadata).forEach(([questionKey, question]) => {
+        const base = `questions.${question.i18nKey || questionKey}`;
+
+        keys.push(`questionLabels.${questionKey}`, `${base}.legend`);
+        if (question.note) keys.push(`${base}.note`);
+        if (question.searchable) keys.push(`${base}.search`);
+
+        (question.options || []).forEach(option => {
+            const optionKey = option.i18nKey || String(option.value);
+            keys.push(`${base}.options.${optionKey}.label`, `${base}.options.${optionKey}.desc`);
+        });
+    });
+
+    return keys;
+}
+
+/**
+ * Find the keys missing from a translation
+ * @param {Object} translations - Parsed translations/<lang>.json
+ * @param {Array<string>} keys - Dot-separated keys
+ * @returns {Array<string>} Keys without a string value
+ */
+export function findMissingTranslations(translations, keys) {
+    return keys.filter(key => {
+        const value = key.split('.').reduce((node, part) =>
+            (node && typeof node === 'object' && part in node ? node[part] : undefined), translations);
+        return typeof value !== 'string';
+    });
+}
+
+/**
+ * Check the mutuallyExclusive rules against the options and the products
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} questionMetadata - Question metadata
+ * @param {Object} mutuallyExclusive - Feature -> features it can't be selected with
+ * @returns {{unknown: Array<string>, oneWay: Array<{feature: string, other: string}>, conflicts: Array<{product: string, feature: string, other: string}>}}
+ *   Features that aren't multi-select options, rules that aren't declared both ways,
+ *   and products that have two features the rules say can't go together
+ */
+export function findExclusionProblems(sunscreens, questionMetadata, mutuallyExclusive = {}) {
+    const features = new Map();
+    Object.keys(questionMetadata)
+        .filter(questionKey => isMultiSelect(questionKey, questionMetadata))
+        .forEach(questionKey => {
+            const { attribute } = getMatchRule(questionKey, questionMetadata);
+            getAnswerValues(questionKey, questionMetadata).forEach(value => features.set(value, attribute));
+        });
+
+    const unknown = new Set();
+    const oneWay = [];
+    const conflicts = [];
+
+    Object.entries(mutuallyExclusive).forEach(([feature, others]) => {
+        if (!features.has(feature)) unknown.add(feature);
+
+        others.forEach(other => {
+            if (!features.has(other)) unknown.add(other);
+            if (!(mutuallyExclusive[other] || []).includes(feature)) oneWay.push({ feature, other });
+
+            // Report each pair once
+            if (feature > other && (mutuallyExclusive[other] || []).includes(feature)) return;
+            const attribute = features.get(feature);
+            if (!attribute || features.get(other) !== attribute) return;
+
+            sunscreens
+                .filter(sunscreen => {
+                    const values = [].concat(sunscreen[attribute] ?? []);
+                    return values.includes(feature) && values.includes(other);
+                })
+                .forEach(sunscreen => conflicts.push({ product: sunscreen.name, feature, other }));
+        });
+    });
+
+    return { unknown: Array.from(unknown), oneWay, conflicts };
+}
@@ -1,13 +1,53 @@
 // ===================================
 // Dynamic Option Availability
 // ===================================
-// Disables options that would result in 0 products across all question types
+// Disables options that would result in 0 products across all question types,
+// and shows how many products each option would leave
 
-import { testFilterSunscreens } from './filters.js';
+import { testFilterSunscreens, isMultiSelect } from './filters.js';
+import { isAutoDecisionAllowed } from './explanations.js';
+
+/**
+ * Check whether a question shows how many products each answer would leave
+ * Questions set showCounts: false in questions-metadata.yaml to hide them
+ * @param {Object} metadata - Metadata of one question
+ * @returns {boolean} True unless turned off
+ */
+function showsCounts(metadata) {
+    return metadata.showCounts !== false;
+}
+
+/**
+ * Show the product count next to an option label, e.g. "(12)"
+ * @param {HTMLElement} label - The option's .option label
+ * @param {number} count - Products left if the option is picked
+ * @param {boolean} show - Whether the question shows counts
+ */
+function renderOptionCount(label, count, show) {
+    let countElement = label.querySelector('.option-count');
+
+    if (!show) {
+        if (countElement) countElement.remove();
+        return;
+    }
+
+    if (!countElement) {
+        countElement = document.createElement('span');
+        countElement.className = 'option-count';
+        const optionLabel = label.querySelector('.option-label');
+        if (optionLabel) {
+            optionLabel.after(countElement);
+        } else {
+            label.appendChild(countElement);
+        }
+    }
+    countElement.textContent = `(${count})`;
+}
 
 /**
  * Update option availability for the current question
- * Disables options that would result in 0 products and adds tooltips
+ * Disables options that would result in 0 products and adds tooltips, and shows
+ * how many products each option would leave (see showsCounts)
  * Returns the count of available options
  *
  * @param {Object} appState - Application state
@@ -25,12 +65,14 @@ export function updateOptionAvailability(appState, questionMetadata, t) {
     const questionElement = document.querySelectorAll('.question')[metadata.elementIndex];
     if (!questionElement) return 0;
 
-    const inputs = questionElement.querySelectorAll('input');
+    // Answer inputs only (not e.g. the option search box)
+    const inputs = questionElement.querySelectorAll('.option input');
     if (!inputs.length) return 0;
 
     const inputType = inputs[0].type; // 'radio' or 'checkbox'
     const currentSelections = { ...appState.selections };
     const currentValue = currentSelections[currentKey];
+    const currentArray = Array.isArray(currentValue) ? currentValue : [];
 
     let availableCount = 0;
 
@@ -39,38 +81,23 @@ export function updateOptionAvailability(appState, questionMetadata, t) {
         const label = input.closest('.option');
         if (!label) return;
 
-        // Skip if this option is already selected
-        if (inputType === 'radio' && currentValue === value) {
-            label.classList.remove('option-disabled');
-            label.removeAttribute('data-tooltip');
-            input.disabled = false;
-            availableCount++;
-            return;
-        }
-
-        if (inputType === 'checkbox' && Array.isArray(currentValue) && currentValue.includes(value)) {
-            label.classList.remove('option-disabled');
-            label.removeAttribute('data-tooltip');
-            input.disabled = false;
-            availableCount++;
-            return;
-        }
-
-        // Test if selecting this option would give 0 results
+        // Products left if this option is picked (ticked options count with the current selection)
         const testSelections = { ...currentSelections };
 
         if (inputType === 'checkbox') {
-            // For checkboxes, add this value to the array
-            const currentArray = Array.isArray(currentValue) ? currentValue : [];
-            testSelections[currentKey] = [...currentArray, value];
+            testSelections[currentKey] = currentArray.includes(value) ? currentArray : [...currentArray, value];
         } else {
-            // For radio buttons, set this value
             testSelections[currentKey] = value;
         }
 
-        const testResults = testFilterSunscreens(appState, testSelections);
+        const count = testFilterSunscreens(appState, testSelections).length;
+        label.dataset.count = count;
+        renderOptionCount(label, count, showsCounts(metadata));
+
+        // Selected options always stay enabled, so they can be undone
+        const selected = inputType === 'checkbox' ? currentArray.includes(value) : currentValue === value;
 
-        if (testResults.length === 0) {
+        if (count === 0 && !selected) {
             // Would result in 0 products - disable it
             label.classList.add('option-disabled');
             const tooltipText = t ? t('navigation.noProductsAvailable') : 'No products available with this combination';
@@ -88,10 +115,39 @@ export function updateOptionAvailability(appState, questionMetadata, t) {
     return availableCount;
 }
 
+/**
+ * Describe the current question's option counts for screen readers
+ * Catalog options (e.g. every ingredient) are left out; their counts stay in their labels
+ * @param {Object} appState - Application state
+ * @param {Object} questionMetadata - Question metadata
+ * @param {Function} t - Translation function
+ * @returns {string} e.g. "Matching products: Cream (12), Gel (3)", or '' if the question hides counts
+ */
+export function describeOptionCounts(appState, questionMetadata, t) {
+    const metadata = questionMetadata[appState.currentQuestionKey];
+    if (!metadata || !showsCounts(metadata)) return '';
+
+    const questionElement = document.querySelectorAll('.question')[metadata.elementIndex];
+    if (!questionElement) return '';
+
+    const counts = Array.from(questionElement.querySelectorAll('.option:not(.option-catalog)'))
+        .filter(label => label.dataset.count !== undefined)
+        .map(label => {
+            const optionLabel = label.querySelector('.option-label');
+            const text = (optionLabel ? optionLabel.textContent : label.textContent).trim();
+            return `${text} (${label.dataset.count})`;
+        });
+
+    return counts.length > 0 ? t('navigation.optionCounts', { counts: counts.join(', ') }) : '';
+}
+
 /**
  * Check if current question should be auto-skipped (only one available option)
  * If yes, auto-selects that option and triggers auto-advance
+ * Multi-select questions are skipped when none of their options is available (nothing
+ * can be ticked); they're answered with an empty selection and the caller advances
  * Question remains in history and user can navigate back to it
+ * Questions whose auto-decision the user undid are left for them to answer (see explanations.js)
  *
  * @param {Object} appState - Application state
  * @param {Object} questionMetadata - Question metadata
@@ -99,10 +155,7 @@ export function updateOptionAvailability(appState, questionMetadata, t) {
  */
 export function checkAndAutoSkip(appState, questionMetadata) {
     const currentKey = appState.currentQuestionKey;
-    if (!currentKey) return false;
-
-    // Don't auto-skip special features (checkbox question - user may want to select multiple or none)
-    if (currentKey === 'specialFeatures') return false;
+    if (!currentKey || !isAutoDecisionAllowed(appState, currentKey)) return false;
 
     const metadata = questionMetadata[currentKey];
     if (!metadata) return false;
@@ -110,7 +163,17 @@ export function checkAndAutoSkip(appState, questionMetadata) {
     const questionElement = document.querySelectorAll('.question')[metadata.elementIndex];
     if (!questionElement) return false;
 
-    const inputs = questionElement.querySelectorAll('input:not(:disabled)');
+    const inputs = questionElement.querySelectorAll('.option input:not(:disabled)');
+
+    // Multi-select questions can be answered with several options or none, so only skip
+    // them when there's nothing left to tick
+    if (isMultiSelect(currentKey, questionMetadata)) {
+        if (inputs.length > 0) return false;
+
+        appState.selections[currentKey] = [];
+        questionElement.setAttribute('data-auto-selected', 'true');
+        return true;
+    }
 
     // If exactly one option is available (not disabled)
     if (inputs.length === 1) {
@@ -0,0 +1,284 @@
+// ===================================
+// Auto-Decision Explanations
+// ===================================
+// Questions the quiz answers or skips on the user's behalf: a question answered because
+// only one option is left (checkAndAutoSkip), or skipped because it can't narrow the
+// remaining products enough to be asked (the same minDiscriminatingPower test as
+// determineNextQuestion). Each decision is kept in
+// appState.autoDecisions with its reason, shown in a dismissible notice with an undo
+// ("Ask me") action, and listed on the results page. Undone questions are kept in
+// appState.declinedAutoDecisions so they're asked instead of decided again.
+
+import { filterSunscreens, getNoPreferenceValue, isMultiSelect } from './filters.js';
+import { calculateDiscriminatingPower } from './navigation.js';
+import { getAnswerOutcomes, isWorthAsking } from './strategies.js';
+import { getOptionLabel } from './questions.js';
+
+let appState;
+let appConfig;
+let questionMetadata;
+let elements;
+let t;
+let escapeHTML;
+let announceToScreenReader;
+let goToQuestion;
+
+/**
+ * Initialize explanations module with dependencies
+ * goToQuestion(questionKey) shows a question again (from quiz.js)
+ */
+export function initExplanations(deps) {
+    appState = deps.appState;
+    appConfig = deps.appConfig;
+    questionMetadata = deps.questionMetadata;
+    elements = deps.elements;
+    t = deps.t;
+    escapeHTML = deps.escapeHTML;
+    announceToScreenReader = deps.announceToScreenReader;
+    goToQuestion = deps.goToQuestion;
+}
+
+// ===================================
+// Recording Decisions
+// ===================================
+
+/**
+ * Whether a question is open to auto-decisions (the user hasn't asked to answer it themselves)
+ * @param {Object} state - Application state
+ * @param {string} questionKey - Question key
+ * @returns {boolean} True unless the user undid a decision on it
+ */
+export function isAutoDecisionAllowed(state, questionKey) {
+    return !(state.declinedAutoDecisions || []).includes(questionKey);
+}
+
+/**
+ * Work out why a question isn't worth asking about the remaining products
+ *   littleDifference - answers narrow them, but by less than minDiscriminatingPower
+ *   sameAnswer       - every remaining product matches the one answer that keeps any (value says which)
+ *   nothingToTick    - a multi-select question none of the remaining products has an option of
+ *   anyAnswer        - every answer keeps every remaining product
+ * @param {string} questionKey - Question key
+ * @param {Array} products - Current filtered products
+ * @param {Object} metadata - Question metadata
+ * @returns {{reason: string, value: string|null}} Skip reason
+ */
+export function getSkipReason(questionKey, products, metadata) {
+    if (calculateDiscriminatingPower(questionKey, products, metadata) > 0) {
+        return { reason: 'littleDifference', value: null };
+    }
+
+    const noPreference = isMultiSelect(questionKey, metadata) ? 'any' : String(getNoPreferenceValue(questionKey, metadata));
+    const answers = getAnswerOutcomes(questionKey, products, metadata).filter(outcome => outcome.answer !== noPreference);
+
+    if (answers.length === 1 && answers[0].products.length === products.length) {
+        return { reason: 'sameAnswer', value: answers[0].answer };
+    }
+    if (answers.length === 0 && isMultiSelect(questionKey, metadata)) {
+        return { reason: 'nothingToTick', value: null };
+    }
+    return { reason: 'anyAnswer', value: null };
+}
+
+/**
+ * Record a question checkAndAutoSkip answered (the only option left, or nothing to tick)
+ * @param {string} questionKey - Question key
+ * @returns {Object} The decision
+ */
+export function recordAutoAnswer(questionKey) {
+    const selection = appState.selections[questionKey];
+    const decision = Array.isArray(selection)
+        ? { questionKey, reason: 'nothingToTick', value: null, answered: true }
+        : { questionKey, reason: 'onlyOption', value: selection, answered: true };
+
+    appState.autoDecisions = (appState.autoDecisions || []).filter(existing => existing.questionKey !== questionKey);
+    appState.autoDecisions.push(decision);
+    return decision;
+}
+
+/**
+ * Record the unanswered questions that are skipped because they can't narrow the remaining products enough
+ * Decisions that no longer hold (the question was answered, or an earlier answer changed and it
+ * narrows the products again) are dropped first; with one product left nothing more is skipped
+ * @returns {Array<Object>} The decisions recorded by this call
+ */
+export function recordSkippedQuestions() {
+    const products = filterSunscreens(appState);
+    const skips = products.length > 1;
+    const skipsStill = key => skips &&
+        !isWorthAsking(calculateDiscriminatingPower(key, products, questionMetadata), appConfig.algorithm.minDiscriminatingPower);
+
+    appState.autoDecisions = (appState.autoDecisions || []).filter(decision => {
+        const selection = appState.selections[decision.questionKey];
+        if (decision.answered) {
+            return Array.isArray(selection) ? decision.reason === 'nothingToTick' && selection.length === 0 : selection === decision.value;
+        }
+        return selection === null && (!skips || skipsStill(decision.questionKey));
+    });
+    if (!skips) return [];
+
+    const recorded = new Set(appState.autoDecisions.map(decision => decision.questionKey));
+    const added = Object.keys(appState.selections)
+        .filter(key => appState.selections[key] === null && !recorded.has(key) && isAutoDecisionAllowed(appState, key))
+        .filter(skipsStill)
+        .map(key => ({ questionKey: key, ...getSkipReason(key, products, questionMetadata), answered: false }));
+
+    appState.autoDecisions.push(...added);
+    return added;
+}
+
+/**
+ * Describe a decision in words, e.g. "We answered “Lotion” to Form for you because every remaining product matches it"
+ * @param {Object} decision - Auto-decision
+ * @returns {string} Explanation
+ */
+export function describeAutoDecision(decision) {
+    return t(`autoDecisions.${decision.reason}`, {
+        question: t(`questionLabels.${decision.questionKey}`),
+        answer: decision.value === null ? '' : getOptionLabel(decision.questionKey, decision.value)
+    });
+}
+
+// ===================================
+// Undo
+// ===================================
+
+/**
+ * Undo a decision and ask the question instead
+ * @param {string} questionKey - Question key
+ */
+export function undoAutoDecision(questionKey) {
+    const decision = (appState.autoDecisions || []).find(existing => existing.questionKey === questionKey);
+    if (!decision) return;
+
+    appState.autoDecisions = appState.autoDecisions.filter(existing => existing !== decision);
+    appState.declinedAutoDecisions = [...(appState.declinedAutoDecisions || []), questionKey];
+
+    if (decision.answered) {
+        appState.selections[questionKey] = null;
+        document.querySelectorAll(`input[name="${questionKey}"]`).forEach(input => {
+            input.checked = false;
+        });
+    }
+
+    removeNoticeItem(questionKey);
+    if (goToQuestion) goToQuestion(questionKey);
+    announceToScreenReader(t('autoDecisions.undone', { question: t(`questionLabels.${questionKey}`) }));
+}
+
+// ===================================
+// Notice and Results List
+// ===================================
+
+/**
+ * Render one decision with its undo button
+ * @param {Object} decision - Auto-decision
+ * @returns {string} List item HTML
+ */
+function renderDecisionItem(decision) {
+    const question = t(`questionLabels.${decision.questionKey}`);
+    return `
+        <li class="auto-decision" data-question="${escapeHTML(decision.questionKey)}">
+            <span class="auto-decision-text">${escapeHTML(describeAutoDecision(decision))}</span>
+            <button type="button" class="btn btn-secondary btn-small auto-decision-undo" data-question="${escapeHTML(decision.questionKey)}"
+                    aria-label="${escapeHTML(t('autoDecisions.undoAria', { question }))}">${escapeHTML(t('autoDecisions.undo'))}</button>
+        </li>
+    `;
+}
+
+/**
+ * Attach the undo buttons inside a container
+ * @param {HTMLElement} container - Notice or results list
+ */
+function attachUndoListeners(container) {
+    container.querySelectorAll('.auto-decision-undo').forEach(button => {
+        button.addEventListener('click', () => undoAutoDecision(button.dataset.question));
+    });
+}
+
+/**
+ * Fade out and remove the notice
+ * @param {HTMLElement} notice - Notice element
+ */
+function dismissNotice(notice) {
+    notice.classList.add('fade-out');
+    setTimeout(() => notice.remove(), appConfig.timings.notificationFadeOut);
+}
+
+/**
+ * Remove a decision from the notice, and the notice once it has none left
+ * @param {string} questionKey - Question key
+ */
+function removeNoticeItem(questionKey) {
+    const notice = document.querySelector('.auto-decision-notice');
+    if (!notice) return;
+
+    const item = notice.querySelector(`.auto-decision[data-question="${questionKey}"]`);
+    if (item) item.remove();
+    if (!notice.querySelector('.auto-decision')) notice.remove();
+}
+
+/**
+ * Show a dismissible notice above the questions explaining new decisions
+ * Decisions are added to a notice that is still showing, so one that flashed past stays explained
+ * @param {Array<Object>} decisions - Decisions to explain
+ */
+export function showAutoDecisionNotice(decisions) {
+    if (!decisions || decisions.length === 0 || !elements.questionsForm) return;
+
+    let notice = document.querySelector('.auto-decision-notice:not(.fade-out)');
+    if (!notice) {
+        document.querySelectorAll('.auto-decision-notice').forEach(existing => existing.remove());
+
+        notice = document.createElement('div');
+        notice.className = 'auto-decision-notice shared-notification';
+        notice.setAttribute('role', 'status');
+        notice.setAttribute('aria-live', 'polite');
+        notice.innerHTML = `
+            <div class="shared-notification-content">
+                <span class="shared-icon" aria-hidden="true">💡</span>
+                <ul class="auto-decision-list"></ul>
+                <button type="button" class="dismiss-auto-decision-btn btn-icon" aria-label="${escapeHTML(t('autoDecisions.dismiss'))}">✕</button>
+            </div>
+        `;
+        elements.questionsForm.parentNode.insertBefore(notice, elements.questionsForm);
+
+        notice.querySelector('.dismiss-auto-decision-btn').addEventListener('click', () => dismissNotice(notice));
+    }
+
+    const list = notice.querySelector('.auto-decision-list');
+    decisions.forEach(decision => {
+        const existing = list.querySelector(`.auto-decision[data-question="${decision.questionKey}"]`);
+        if (existing) existing.remove();
+        list.insertAdjacentHTML('beforeend', renderDecisionItem(decision));
+        attachUndoListeners(list.lastElementChild);
+    });
+}
+
+/**
+ * Remove the notice right away (e.g. on restart)
+ */
+export function clearAutoDecisionNotice() {
+    document.querySelectorAll('.auto-decision-notice').forEach(notice => notice.remove());
+}
+
+/**
+ * List the decisions on the results page, so users can still undo them there
+ */
+export function renderAutoDecisions() {
+    const container = elements.autoDecisions;
+    if (!container) return;
+
+    const decisions = appState.autoDecisions || [];
+    container.classList.toggle('hidden', decisions.length === 0);
+    if (decisions.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <h3 class="auto-decisions-heading">${escapeHTML(t('autoDecisions.heading'))}</h3>
+        <ul class="auto-decision-list">${decisions.map(renderDecisionItem).join('')}</ul>
+    `;
+    attachUndoListeners(container);
+}
@@ -1,71 +1,160 @@
 // ===================================
 // Filtering Logic
 // ===================================
+// One declarative engine for every question. Each question in
+// questions-metadata.yaml declares how its answer is matched against products:
+//   - match: anyOf   - the product attribute (a list) contains the answer
+//   - match: allOf   - the product attribute contains every selected answer
+//   - match: noneOf  - the product attribute contains none of the selected answers (multi-select)
+//   - match: boolean - the product attribute equals the "true"/"false" answer
+//   - match: equals  - the product attribute (a single value) equals the answer
+//   - match: atLeast - the product's SPF is at least the answer (e.g. 50+ meets 50)
+//   - wildcardValue  - a product value that satisfies every answer (e.g. skinTypes: all)
+//   - alwaysMatch    - the answer that matches every product (e.g. location: Global)
+// Live count, option availability, auto-skip, scoring and results all go through here.
+
+import { meetsMinimumSPF } from './spf.js';
+
+let questionMetadata = {};
+
+// Match types the engine understands
+export const MATCH_TYPES = ['anyOf', 'allOf', 'noneOf', 'boolean', 'equals', 'atLeast'];
 
 /**
- * Filter sunscreens based on current selections
- * @param {Object} appState - Application state
- * @returns {Array} Filtered sunscreen results
+ * Initialize filters module with dependencies
  */
-export function filterSunscreens(appState) {
-    let results = [...appState.sunscreens];
-
-    // Filter by location/region
-    if (appState.selections.location && appState.selections.location !== 'Global') {
-        results = results.filter(s =>
-            s.availableIn && (
-                s.availableIn.includes(appState.selections.location) ||
-                s.availableIn.includes('Global')
-            )
-        );
-    }
+export function initFilters(deps) {
+    questionMetadata = deps.questionMetadata;
+}
 
-    // Filter by skin type
-    if (appState.selections.skinType && appState.selections.skinType !== 'all') {
-        results = results.filter(s =>
-            s.skinTypes.includes(appState.selections.skinType) ||
-            s.skinTypes.includes('all')
-        );
-    }
+/**
+ * Get the match rule for a question, as declared in questions-metadata.yaml
+ * @param {string} questionKey - Question key
+ * @param {Object} [metadata] - Question metadata (defaults to the loaded metadata)
+ * @returns {Object|null} Rule ({ attribute, match, wildcardValue, alwaysMatch }), or null if the question can't be matched
+ */
+export function getMatchRule(questionKey, metadata = questionMetadata) {
+    const rule = metadata && metadata[questionKey];
+    if (!rule || !rule.attribute || !MATCH_TYPES.includes(rule.match)) return null;
+    return rule;
+}
 
-    // Filter by fragrance-free
-    if (appState.selections.fragranceFree === 'true') {
-        results = results.filter(s => s.isFragranceFree === true);
-    } else if (appState.selections.fragranceFree === 'false') {
-        results = results.filter(s => s.isFragranceFree === false);
-    }
+/**
+ * Check whether a question takes several answers at once (checkboxes)
+ * @param {string} questionKey - Question key
+ * @param {Object} [metadata] - Question metadata
+ * @returns {boolean} True for allOf and noneOf questions
+ */
+export function isMultiSelect(questionKey, metadata = questionMetadata) {
+    const rule = getMatchRule(questionKey, metadata);
+    return Boolean(rule && (rule.match === 'allOf' || rule.match === 'noneOf'));
+}
 
-    // Filter by kids
-    if (appState.selections.forKids === 'true') {
-        results = results.filter(s => s.forKids === true);
-    } else if (appState.selections.forKids === 'false') {
-        results = results.filter(s => s.forKids === false);
-    }
+/**
+ * Get the "no preference" answer for a question
+ * @param {string} questionKey - Question key
+ * @param {Object} [metadata] - Question metadata
+ * @returns {*} No-preference value (the alwaysMatch answer, or an empty list for multi-select questions)
+ */
+export function getNoPreferenceValue(questionKey, metadata = questionMetadata) {
+    if (isMultiSelect(questionKey, metadata)) return [];
 
-    // Filter by form factor
-    if (appState.selections.formFactor && appState.selections.formFactor !== 'any') {
-        results = results.filter(s => s.formFactors.includes(appState.selections.formFactor));
-    }
+    const rule = getMatchRule(questionKey, metadata);
+    return rule && rule.alwaysMatch !== undefined ? rule.alwaysMatch : 'any';
+}
 
-    // Filter by water resistant
-    if (appState.selections.waterResistant === 'true') {
-        results = results.filter(s => s.waterResistant === true);
-    } else if (appState.selections.waterResistant === 'false') {
-        results = results.filter(s => s.waterResistant === false);
-    }
+/**
+ * Check whether a selection actually narrows the results
+ * Unanswered questions and "no preference" answers (Global, all, any, no features) don't
+ * @param {string} questionKey - Question key
+ * @param {*} value - Selected value
+ * @param {Object} [metadata] - Question metadata
+ * @returns {boolean} True if the selection is an active constraint
+ */
+export function isActiveSelection(questionKey, value, metadata = questionMetadata) {
+    if (value === null || value === undefined || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+
+    return value !== getNoPreferenceValue(questionKey, metadata) && value !== 'any';
+}
 
-    // Filter by special features (must have ALL selected features)
-    if (appState.selections.specialFeatures && appState.selections.specialFeatures.length > 0) {
-        results = results.filter(s => {
-            if (!s.specialFeatures || !Array.isArray(s.specialFeatures)) {
-                return false;
-            }
-            // Product must have ALL selected features
-            return appState.selections.specialFeatures.every(feature =>
-                s.specialFeatures.includes(feature)
-            );
-        });
+/**
+ * Measure how well a single product satisfies a single selection
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {string} questionKey - Question key
+ * @param {*} value - Selected value
+ * @param {Object} [metadata] - Question metadata
+ * @returns {number} 1 for a full match, 0 for none, a fraction for partially matched allOf answers
+ */
+export function selectionMatchRatio(sunscreen, questionKey, value, metadata = questionMetadata) {
+    if (!isActiveSelection(questionKey, value, metadata)) return 1;
+
+    const rule = getMatchRule(questionKey, metadata);
+    if (!rule) return 1;
+
+    const productValue = sunscreen[rule.attribute];
+    const answers = Array.isArray(value) ? value : [value];
+
+    switch (rule.match) {
+        case 'boolean':
+            return productValue === (String(value) === 'true') ? 1 : 0;
+        case 'equals':
+            return productValue === value ? 1 : 0;
+        case 'atLeast':
+            return meetsMinimumSPF(productValue, value) ? 1 : 0;
+        case 'anyOf':
+            if (!Array.isArray(productValue)) return 0;
+            if (rule.wildcardValue !== undefined && productValue.includes(rule.wildcardValue)) return 1;
+            return answers.some(answer => productValue.includes(answer)) ? 1 : 0;
+        case 'allOf': {
+            if (!Array.isArray(productValue)) return 0;
+            if (rule.wildcardValue !== undefined && productValue.includes(rule.wildcardValue)) return 1;
+            const matched = answers.filter(answer => productValue.includes(answer));
+            return matched.length / answers.length;
+        }
+        case 'noneOf':
+            if (!Array.isArray(productValue)) return 1;
+            return answers.some(answer => productValue.includes(answer)) ? 0 : 1;
+        default:
+            return 1;
     }
+}
+
+/**
+ * Check whether a product fully satisfies a single selection
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {string} questionKey - Question key
+ * @param {*} value - Selected value
+ * @param {Object} [metadata] - Question metadata
+ * @returns {boolean} True on a full match
+ */
+export function matchesSelection(sunscreen, questionKey, value, metadata = questionMetadata) {
+    return selectionMatchRatio(sunscreen, questionKey, value, metadata) === 1;
+}
+
+/**
+ * Filter products by a set of selections
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} selections - Selections to apply
+ * @param {Object} [metadata] - Question metadata
+ * @returns {Array} Products matching every selection
+ */
+export function filterByRules(sunscreens, selections, metadata = questionMetadata) {
+    const active = Object.entries(selections || {})
+        .filter(([questionKey, value]) => isActiveSelection(questionKey, value, metadata));
+
+    return sunscreens.filter(sunscreen =>
+        active.every(([questionKey, value]) => matchesSelection(sunscreen, questionKey, value, metadata))
+    );
+}
+
+/**
+ * Filter sunscreens based on current selections
+ * @param {Object} appState - Application state
+ * @returns {Array} Filtered sunscreen results
+ */
+export function filterSunscreens(appState) {
+    const results = filterByRules(appState.sunscreens, appState.selections);
 
     appState.filteredResults = results;
     return results;
@@ -73,71 +162,11 @@ export function filterSunscreens(appState) {
 
 /**
  * Helper to filter sunscreens with custom selections (for testing)
- * Used by special features dynamic disabling
+ * Used by dynamic option disabling and the closest-alternatives search
  * @param {Object} appState - Application state
  * @param {Object} testSelections - Test selections to apply
  * @returns {Array} Filtered results
  */
 export function testFilterSunscreens(appState, testSelections) {
-    let filtered = [...appState.sunscreens];
-
-    // Location (must match filterSunscreens logic exactly)
-    if (testSelections.location && testSelections.location !== 'Global') {
-        filtered = filtered.filter(s =>
-            s.availableIn && (
-                s.availableIn.includes(testSelections.location) ||
-                s.availableIn.includes('Global')
-            )
-        );
-    }
-
-    // Skin Type (must match filterSunscreens logic exactly)
-    if (testSelections.skinType && testSelections.skinType !== 'all') {
-        filtered = filtered.filter(s =>
-            s.skinTypes.includes(testSelections.skinType) ||
-            s.skinTypes.includes('all')
-        );
-    }
-
-    // Fragrance Free (handle both true and false)
-    if (testSelections.fragranceFree === 'true') {
-        filtered = filtered.filter(s => s.isFragranceFree === true);
-    } else if (testSelections.fragranceFree === 'false') {
-        filtered = filtered.filter(s => s.isFragranceFree === false);
-    }
-
-    // For Kids (handle both true and false)
-    if (testSelections.forKids === 'true') {
-        filtered = filtered.filter(s => s.forKids === true);
-    } else if (testSelections.forKids === 'false') {
-        filtered = filtered.filter(s => s.forKids === false);
-    }
-
-    // Form Factor
-    if (testSelections.formFactor && testSelections.formFactor !== 'any') {
-        filtered = filtered.filter(s =>
-            s.formFactors && s.formFactors.includes(testSelections.formFactor)
-        );
-    }
-
-    // Water Resistant (handle both true and false)
-    if (testSelections.waterResistant === 'true') {
-        filtered = filtered.filter(s => s.waterResistant === true);
-    } else if (testSelections.waterResistant === 'false') {
-        filtered = filtered.filter(s => s.waterResistant === false);
-    }
-
-    // Special Features (all selected features must be present)
-    if (testSelections.specialFeatures && testSelections.specialFeatures.length > 0) {
-        filtered = filtered.filter(s => {
-            if (!s.specialFeatures || !Array.isArray(s.specialFeatures)) {
-                return false;
-            }
-            return testSelections.specialFeatures.every(feature =>
-                s.specialFeatures.includes(feature)
-            );
-        });
-    }
-
-    return filtered;
+    return filterByRules(appState.sunscreens, testSelections);
 }
@@ -1,17 +1,36 @@
 // ===================================
 // Question Navigation and Ordering
 // ===================================
+// The next question is picked by the strategy set with config.algorithm.strategy
+// (see strategies.js), among the questions expected to gain at least
+// config.algorithm.minDiscriminatingPower bits. The default strategy asks the question
+// expected to narrow the remaining products the most, weighing every answer (including
+// "no preference") by how likely users are to pick it (answerPriors in questions-metadata.yaml).
 
 import { filterSunscreens } from './filters.js';
+import { evaluateQuestion, isWorthAsking, getStrategy } from './strategies.js';
+
+export { evaluateQuestion, getAnswerPriors } from './strategies.js';
+
+// Questions scoring less than this (in bits) are not worth asking; replaced by
+// config.algorithm once the metadata loads
+let appConfig = { algorithm: { minDiscriminatingPower: 0 } };
+
+/**
+ * Initialize navigation module with dependencies
+ */
+export function initNavigation(deps) {
+    appConfig = deps.appConfig;
+}
 
 /**
  * Calculate discriminating power for a question
- * Returns a score representing how well this question splits the remaining products
+ * The expected information gain of asking it (see evaluateQuestion)
  * Higher score = better discrimination
  * @param {string} questionKey - Question key to calculate power for
  * @param {Array} currentProducts - Current filtered products
  * @param {Object} questionMetadata - Question metadata
- * @returns {number} Discriminating power score
+ * @returns {number} Discriminating power score, in bits
  */
 export function calculateDiscriminatingPower(questionKey, currentProducts, questionMetadata) {
     // Validate question key
@@ -20,112 +39,50 @@ export function calculateDiscriminatingPower(questionKey, currentProducts, quest
         return 0;
     }
 
-    // Validate products array
-    if (!Array.isArray(currentProducts) || currentProducts.length === 0) {
-        return 0;
-    }
-
-    const metadata = questionMetadata[questionKey];
-
-    // Get all possible values for this question from remaining products
-    const valueGroups = {};
-
-    currentProducts.forEach(product => {
-        const productValue = product[metadata.attribute];
-
-        if (metadata.isArray) {
-            // For array attributes, each value in array creates a group
-            if (Array.isArray(productValue)) {
-                productValue.forEach(val => {
-                    if (!valueGroups[val]) valueGroups[val] = 0;
-                    valueGroups[val]++;
-                });
-            }
-        } else {
-            // For boolean/string attributes
-            const key = String(productValue);
-            if (!valueGroups[key]) valueGroups[key] = 0;
-            valueGroups[key]++;
-        }
-    });
-
-    const groups = Object.values(valueGroups);
-
-    // If all products have the same value, this question has no discriminating power
-    if (groups.length <= 1) {
-        return 0;
-    }
-
-    // Calculate entropy (information gain)
-    // Higher entropy = better split
-    const total = currentProducts.length;
-    let entropy = 0;
-
-    groups.forEach(count => {
-        const proportion = count / total;
-        entropy -= proportion * Math.log2(proportion);
-    });
-
-    return entropy;
+    return evaluateQuestion(questionKey, currentProducts, questionMetadata).informationGain;
 }
 
 /**
  * Determine the next question to show
- * Returns the question key with highest discriminating power
+ * Every unanswered question competes, multi-select ones included: they're asked as soon
+ * as they split the remaining products best, and skipped when they can't narrow them
+ * (e.g. no remaining product has any special feature)
  * Returns null if all questions answered or no more discriminating questions
  * @param {Object} appState - Application state
  * @param {Object} questionMetadata - Question metadata
  * @returns {string|null} Next question key or null
  */
 export function determineNextQuestion(appState, questionMetadata) {
-    // Get unanswered questions (excluding optional questions like specialFeatures)
     const unansweredQuestions = Object.keys(appState.selections).filter(
-        key => key !== 'specialFeatures' && appState.selections[key] === null
+        key => appState.selections[key] === null
     );
+    if (unansweredQuestions.length === 0) return null;
 
-    // If we have unanswered required questions, prioritize those
-    if (unansweredQuestions.length > 0) {
-        // Get current filtered products
-        const currentProducts = filterSunscreens(appState);
-
-        // If only 0-1 products remain, no point in asking more questions
-        if (currentProducts.length <= 1) {
-            // But still show specialFeatures if not shown yet
-            if (!appState.questionHistory.includes('specialFeatures')) {
-                return 'specialFeatures';
-            }
-            return null;
-        }
-
-        // Calculate discriminating power for each unanswered question
-        const questionScores = unansweredQuestions.map(key => ({
-            key,
-            score: calculateDiscriminatingPower(key, currentProducts, questionMetadata)
-        }));
-
-        // Filter out questions with zero discriminating power (all products same value)
-        const discriminatingQuestions = questionScores.filter(q => q.score > 0);
-
-        // If no discriminating questions remain, show specialFeatures if not shown yet
-        if (discriminatingQuestions.length === 0) {
-            if (!appState.questionHistory.includes('specialFeatures')) {
-                return 'specialFeatures';
-            }
-            return null;
-        }
-
-        // Sort by score (highest first) and return the best question
-        discriminatingQuestions.sort((a, b) => b.score - a.score);
-
-        return discriminatingQuestions[0].key;
-    }
-
-    // All required questions answered - show optional specialFeatures if not shown yet
-    if (!appState.questionHistory.includes('specialFeatures')) {
-        return 'specialFeatures';
-    }
+    // If only 0-1 products remain, no point in asking more questions
+    const currentProducts = filterSunscreens(appState);
+    if (currentProducts.length <= 1) return null;
+
+    // Evaluate each unanswered question
+    const questionScores = unansweredQuestions.map(key => ({
+        key,
+        ...evaluateQuestion(key, currentProducts, questionMetadata)
+    }));
+
+    // Filter out questions that aren't worth asking (too little expected gain)
+    const minGain = appConfig.algorithm.minDiscriminatingPower;
+    const discriminatingQuestions = questionScores.filter(q => isWorthAsking(q.informationGain, minGain));
+    if (discriminatingQuestions.length === 0) return null;
+
+    // Rank by the configured strategy, then by gain and fewest products expected to remain
+    const strategy = getStrategy(appConfig.algorithm.strategy);
+    const context = { candidates: discriminatingQuestions.map(q => q.key), minGain };
+    discriminatingQuestions.forEach(q => {
+        q.score = strategy(q.key, currentProducts, questionMetadata, context);
+    });
+    discriminatingQuestions.sort((a, b) =>
+        b.score - a.score || b.informationGain - a.informationGain || a.expectedRemaining - b.expectedRemaining);
 
-    return null;
+    return discriminatingQuestions[0].key;
 }
 
 /**
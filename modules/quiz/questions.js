@@ -0,0 +1,206 @@
+// ===================================
+// Question Registry
+// ===================================
+// Everything about a question - its form markup, URL parameter, answer options
+// and share text - comes from data/questions-metadata.yaml, so a new question
+// only needs a YAML entry and its translations.
+
+import { isMultiSelect } from './filters.js';
+import { listIngredients } from '../ingredients/parser.js';
+
+let questionMetadata;
+let elements;
+let t;
+let escapeHTML;
+
+/**
+ * Initialize question registry with dependencies
+ */
+export function initQuestions(deps) {
+    questionMetadata = deps.questionMetadata;
+    elements = deps.elements;
+    t = deps.t;
+    escapeHTML = deps.escapeHTML;
+}
+
+/**
+ * Get all question keys in display order
+ * @returns {Array<string>} Question keys sorted by elementIndex
+ */
+export function getQuestionKeys() {
+    return Object.keys(questionMetadata)
+        .sort((a, b) => questionMetadata[a].elementIndex - questionMetadata[b].elementIndex);
+}
+
+/**
+ * Build a selections object with every question unanswered
+ * @returns {Object} Selections keyed by question, all null
+ */
+export function createEmptySelections() {
+    const selections = {};
+    getQuestionKeys().forEach(key => {
+        selections[key] = null;
+    });
+    return selections;
+}
+
+/**
+ * Get the URL parameter a question is shared under
+ * @param {string} questionKey - Question key
+ * @returns {string} URL parameter name (defaults to the question key)
+ */
+export function getURLParam(questionKey) {
+    const metadata = questionMetadata[questionKey] || {};
+    return metadata.urlParam || questionKey;
+}
+
+/**
+ * Get the answer options declared for a question
+ * @param {string} questionKey - Question key
+ * @returns {Array<Object>} Options ({ value, i18nKey, icon, share, label }), empty if none are declared
+ */
+export function getOptions(questionKey) {
+    const metadata = questionMetadata[questionKey] || {};
+    if (!Array.isArray(metadata.options)) return [];
+
+    return metadata.options.map(option => ({
+        ...option,
+        value: String(option.value),
+        i18nKey: option.i18nKey || String(option.value)
+    }));
+}
+
+/**
+ * Add options generated from the catalog to questions declaring `optionsFrom`
+ * (e.g. every ingredient for the ingredients-to-avoid question)
+ * Catalog options carry a literal `label` instead of a translation key
+ * @param {Array} sunscreens - Sunscreen products
+ */
+export function addCatalogOptions(sunscreens) {
+    getQuestionKeys().forEach(key => {
+        const metadata = questionMetadata[key];
+        if (metadata.optionsFrom !== 'ingredients') return;
+
+        const options = Array.isArray(metadata.options) ? metadata.options : [];
+        const existing = new Set(options.map(option => String(option.value)));
+
+        metadata.options = options.concat(
+            listIngredients(sunscreens)
+                .filter(({ slug }) => !existing.has(slug))
+                .map(({ slug, name }) => ({ value: slug, label: name, catalog: true }))
+        );
+    });
+}
+
+/**
+ * Get the visible label of an answer option, falling back to its value
+ * @param {string} questionKey - Question key (input name)
+ * @param {string} value - Option value
+ */
+export function getOptionLabel(questionKey, value) {
+    const input = document.querySelector(`input[name="${questionKey}"][value="${value}"]`);
+    const label = input && input.closest('.option') && input.closest('.option').querySelector('.option-label');
+    return label ? label.textContent.replace(/\s+/g, ' ').trim() : value;
+}
+
+/**
+ * Describe the selections in words for the share message (e.g. "oily skin, fragrance-free")
+ * Only options with a `share` text in the metadata are mentioned
+ * @param {Object} selections - Current selections
+ * @returns {Array<string>} Share texts in question order
+ */
+export function getShareCriteria(selections) {
+    const criteria = [];
+
+    getQuestionKeys().forEach(key => {
+        const value = selections[key];
+        if (value === null || value === undefined || Array.isArray(value)) return;
+
+        const option = getOptions(key).find(o => o.value === value);
+        if (option && option.share) {
+            criteria.push(option.share);
+        }
+    });
+
+    return criteria;
+}
+
+/**
+ * Render a single question as a fieldset
+ * @param {string} questionKey - Question key
+ * @returns {string} Question HTML
+ */
+function renderQuestion(questionKey) {
+    const metadata = questionMetadata[questionKey];
+    const i18nBase = `questions.${metadata.i18nKey || questionKey}`;
+    const inputType = isMultiSelect(questionKey, questionMetadata) ? 'checkbox' : 'radio';
+    const name = escapeHTML(questionKey);
+
+    const options = getOptions(questionKey).map((option, index) => {
+        const labelKey = `${i18nBase}.options.${option.i18nKey}.label`;
+        const descKey = `${i18nBase}.options.${option.i18nKey}.desc`;
+        const required = inputType === 'radio' && index === 0 ? ' required' : '';
+
+        // Catalog options (e.g. ingredient names) aren't translated
+        if (option.label) {
+            return `
+                        <label class="option${option.catalog ? ' option-catalog' : ''}">
+                            <input type="${inputType}" name="${name}" value="${escapeHTML(option.value)}"${required}>
+                            <span class="option-label">${escapeHTML(option.label)}</span>
+                        </label>`;
+        }
+
+        const label = option.icon
+            ? `<span class="option-label">${escapeHTML(option.icon)} <span data-i18n="${labelKey}">${escapeHTML(t(labelKey))}</span></span>`
+            : `<span class="option-label" data-i18n="${labelKey}">${escapeHTML(t(labelKey))}</span>`;
+
+        return `
+                        <label class="option">
+                            <input type="${inputType}" name="${name}" value="${escapeHTML(option.value)}"${required}>
+                            ${label}
+                            <span class="option-desc" data-i18n="${descKey}">${escapeHTML(t(descKey))}</span>
+                        </label>`;
+    }).join('');
+
+    const search = metadata.searchable
+        ? `<input type="search" class="option-search" data-question="${name}" data-i18n-placeholder="${i18nBase}.search" data-i18n-aria="${i18nBase}.search" placeholder="${escapeHTML(t(`${i18nBase}.search`))}" aria-label="${escapeHTML(t(`${i18nBase}.search`))}">`
+        : '';
+
+    return `
+                <fieldset class="question" data-question="${name}">
+                    <legend data-i18n="${i18nBase}.legend">${escapeHTML(t(`${i18nBase}.legend`))}</legend>
+                    ${metadata.note ? `<p class="question-note" data-i18n="${i18nBase}.note">${escapeHTML(t(`${i18nBase}.note`))}</p>` : ''}
+                    ${search}
+                    <div class="options${inputType === 'checkbox' ? ' options-multi' : ''}${metadata.searchable ? ' options-searchable' : ''}">${options}
+                    </div>
+                </fieldset>`;
+}
+
+/**
+ * Render the questions form from the metadata
+ * Leaves the existing markup alone if no question declares its options
+ */
+export function renderQuestionForm() {
+    const keys = getQuestionKeys();
+    if (!elements.questionsForm || !keys.some(key => getOptions(key).length > 0)) return;
+
+    elements.questionsForm.innerHTML = keys.map(renderQuestion).join('');
+    elements.questions = elements.questionsForm.querySelectorAll('.question');
+}
+
+/**
+ * Show only the catalog options matching a search box
+ * Checked options always stay visible so selections can be undone
+ * @param {HTMLInputElement} searchInput - The question's .option-search input
+ */
+export function filterOptionList(searchInput) {
+    const question = searchInput.closest('.question');
+    if (!question) return;
+
+    const query = searchInput.value.trim().toLowerCase();
+    question.querySelectorAll('.option-catalog').forEach(option => {
+        const input = option.querySelector('input');
+        const matches = option.textContent.toLowerCase().includes(query) || input.value.includes(query);
+        option.classList.toggle('hidden', !matches && !input.checked);
+    });
+}
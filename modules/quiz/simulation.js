@@ -0,0 +1,66 @@
+// ===================================
+// Question Ordering Simulation
+// ===================================
+// Replays every answer path through the quiz with a given ordering strategy, to compare
+// how many questions each one asks and how many products it leaves (simulate-questions.js).
+// A path ends where the app shows the results: when no question is worth asking any more.
+// Multi-select questions are followed one ticked option at a time (see getAnswerOutcomes).
+// What follows an answer only depends on the questions answered and the products left,
+// so paths that meet there share the rest of their walk.
+
+import { initFilters, isMultiSelect, filterByRules } from './filters.js';
+import { initNavigation, determineNextQuestion } from './navigation.js';
+import { getAnswerOutcomes } from './strategies.js';
+
+/**
+ * Walk every answer path with one strategy
+ * Answers no product matches are disabled in the form, so they aren't followed
+ * @param {Array} sunscreens - Products (with their derived attributes, e.g. filterType)
+ * @param {Object} questionMetadata - Question metadata
+ * @param {Object} algorithm - config.algorithm ({ strategy, minDiscriminatingPower })
+ * @returns {{paths: number, averageQuestions: number, worstQuestions: number, averageResults: number, largestResults: number}}
+ *   Averages are weighed by how likely each path is (answerPriors); worst cases cover every path
+ */
+export function simulateStrategy(sunscreens, questionMetadata, algorithm) {
+    initFilters({ questionMetadata });
+    initNavigation({ appConfig: { algorithm } });
+
+    const initialSelections = {};
+    Object.keys(questionMetadata).forEach(key => {
+        initialSelections[key] = null;
+    });
+    const toSelection = (key, answer) => {
+        if (!isMultiSelect(key, questionMetadata)) return answer;
+        return answer === 'any' ? [] : [answer];
+    };
+
+    // Stats of the rest of the walk, counting questions from here on
+    const positions = new Map(sunscreens.map((sunscreen, index) => [sunscreen, index]));
+    const seen = new Map();
+    const walk = selections => {
+        const products = filterByRules(sunscreens, selections, questionMetadata);
+        const answered = Object.keys(selections).filter(key => selections[key] !== null);
+        const state = `${answered.sort().join(',')}|${products.map(product => positions.get(product)).join(',')}`;
+        if (seen.has(state)) return seen.get(state);
+
+        const next = determineNextQuestion({ sunscreens, selections, questionHistory: answered }, questionMetadata);
+        let stats = { paths: 1, averageQuestions: 0, worstQuestions: 0, averageResults: products.length, largestResults: products.length };
+
+        if (next) {
+            stats = { paths: 0, averageQuestions: 1, worstQuestions: 0, averageResults: 0, largestResults: 0 };
+            getAnswerOutcomes(next, products, questionMetadata).forEach(({ answer, prior }) => {
+                const rest = walk({ ...selections, [next]: toSelection(next, answer) });
+                stats.paths += rest.paths;
+                stats.averageQuestions += prior * rest.averageQuestions;
+                stats.worstQuestions = Math.max(stats.worstQuestions, rest.worstQuestions + 1);
+                stats.averageResults += prior * rest.averageResults;
+                stats.largestResults = Math.max(stats.largestResults, rest.largestResults);
+            });
+        }
+
+        seen.set(state, stats);
+        return stats;
+    };
+
+    return walk(initialSelections);
+}
@@ -0,0 +1,57 @@
+// ===================================
+// SPF Levels
+// ===================================
+// SPF values in sunscreens.yaml are strings like '30', '50' or '50+'.
+// A trailing "+" means "more than", so 50+ ranks above a plain 50.
+
+/**
+ * Parse an SPF value into a comparable model
+ * @param {string|number} spf - SPF value (e.g. '50+', '30', 50)
+ * @returns {{value: number, plus: boolean}|null} Parsed SPF, or null if it isn't a valid SPF
+ */
+export function parseSPF(spf) {
+    if (spf === null || spf === undefined) return null;
+
+    const match = String(spf).trim().match(/^(?:SPF\s*)?(\d+)\s*(\+?)$/i);
+    if (!match) return null;
+
+    return { value: parseInt(match[1], 10), plus: match[2] === '+' };
+}
+
+/**
+ * Compare two SPF values
+ * @param {string|number} a - First SPF
+ * @param {string|number} b - Second SPF
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b (NaN if either is invalid)
+ */
+export function compareSPF(a, b) {
+    const parsedA = parseSPF(a);
+    const parsedB = parseSPF(b);
+    if (!parsedA || !parsedB) return NaN;
+
+    return (parsedA.value - parsedB.value) || (Number(parsedA.plus) - Number(parsedB.plus));
+}
+
+/**
+ * Check whether a product's SPF meets a minimum
+ * @param {string|number} spf - Product SPF
+ * @param {string|number} minimum - Minimum SPF (e.g. '30', '50+')
+ * @returns {boolean} True if the product's SPF is at least the minimum
+ */
+export function meetsMinimumSPF(spf, minimum) {
+    return compareSPF(spf, minimum) >= 0;
+}
+
+/**
+ * Find the highest threshold a product's SPF meets
+ * Used to group products when measuring how well an SPF question splits them
+ * @param {string|number} spf - Product SPF
+ * @param {Array<string>} thresholds - Available minimums (e.g. ['30', '50', '50+'])
+ * @returns {string|null} Highest threshold met, or null if none
+ */
+export function highestThresholdMet(spf, thresholds) {
+    return thresholds
+        .filter(threshold => meetsMinimumSPF(spf, threshold))
+        .sort(compareSPF)
+        .pop() || null;
+}
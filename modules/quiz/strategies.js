@@ -0,0 +1,224 @@
+// ===================================
+// Question Ordering Strategies
+// ===================================
+// How the next question is picked, set with config.algorithm.strategy. A strategy scores a
+// question (higher = ask sooner); it only ranks the questions still worth asking (expected
+// information gain of at least config.algorithm.minDiscriminatingPower), so every strategy
+// stops at the same point and they can be compared with simulate-questions.js.
+//   informationGain - most information expected from the answer, weighed by answerPriors
+//   entropy         - most evenly spread product values (the original ordering)
+//   fixed           - the form's order (elementIndex)
+//   fewestQuestions - fewest questions expected to be left worth asking after the answer
+
+import { getMatchRule, getNoPreferenceValue, isMultiSelect, matchesSelection } from './filters.js';
+import { parseSPF, highestThresholdMet } from './spf.js';
+
+// Used when config.algorithm.strategy isn't set
+export const DEFAULT_STRATEGY = 'informationGain';
+
+/**
+ * List the answers a question offers, including its "no preference" answer
+ * Questions without declared options (e.g. trimmed-down metadata) offer the values the products have.
+ * Multi-select questions are split one option at a time: each option is an answer on its own
+ * (ticking just that feature), and "any" stands for ticking nothing
+ * @param {string} questionKey - Question key
+ * @param {Array} products - Current filtered products
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<string>} Answer values
+ */
+function getAnswers(questionKey, products, questionMetadata) {
+    const rule = getMatchRule(questionKey, questionMetadata);
+    const options = (questionMetadata[questionKey].options || []).map(option => String(option.value));
+    let answers = options;
+
+    if (answers.length === 0 && rule) {
+        answers = rule.match === 'boolean'
+            ? ['true', 'false']
+            : products
+                .flatMap(product => [].concat(product[rule.attribute] ?? []))
+                .map(String)
+                .filter(value => value !== rule.wildcardValue);
+    }
+
+    const noPreference = isMultiSelect(questionKey, questionMetadata) ? 'any' : String(getNoPreferenceValue(questionKey, questionMetadata));
+    return Array.from(new Set([...answers, noPreference]));
+}
+
+/**
+ * Get how likely each answer is, from the question's answerPriors
+ * Priors are relative weights (e.g. observed answer counts); answers without one count 1, except
+ * ticking nothing on a multi-select question, which counts as much as all its options together
+ * @param {string} questionKey - Question key
+ * @param {Array<string>} answers - Answer values
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<number>} Probability of each answer (sums to 1, or all 0 if every weight is 0)
+ */
+export function getAnswerPriors(questionKey, answers, questionMetadata) {
+    const priors = (questionMetadata[questionKey] && questionMetadata[questionKey].answerPriors) || {};
+    const multiSelect = isMultiSelect(questionKey, questionMetadata);
+    const defaultWeight = answer => (multiSelect && answer === 'any' ? Math.max(answers.length - 1, 1) : 1);
+    const weights = answers.map(answer => (priors[answer] !== undefined ? priors[answer] : defaultWeight(answer)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return weights.map(weight => (total > 0 ? weight / total : 0));
+}
+
+/**
+ * List the answers a user can pick, with the products each keeps and how likely it is
+ * Answers no product matches are disabled in the form, so they're left out
+ * @param {string} questionKey - Question key
+ * @param {Array} products - Current filtered products
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<{answer: string, products: Array, prior: number}>} Outcomes in option order
+ */
+export function getAnswerOutcomes(questionKey, products, questionMetadata) {
+    const outcomes = getAnswers(questionKey, products, questionMetadata)
+        .map(answer => ({
+            answer,
+            products: products.filter(product => matchesSelection(product, questionKey, answer, questionMetadata))
+        }))
+        .filter(outcome => outcome.products.length > 0);
+    const priors = getAnswerPriors(questionKey, outcomes.map(outcome => outcome.answer), questionMetadata);
+
+    return outcomes.map((outcome, index) => ({ ...outcome, prior: priors[index] }));
+}
+
+/**
+ * Work out what asking a question is expected to leave
+ * Each answer keeps the products that match it, so a product with several values (e.g. five
+ * skin types) is kept by each of them rather than counted five times, and "no preference" keeps
+ * everything
+ * @param {string} questionKey - Question key
+ * @param {Array} currentProducts - Current filtered products
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {{expectedRemaining: number, informationGain: number}} Expected number of products left,
+ *   and the expected information gained in bits (log2 of the current count minus the expected log2 of what's left)
+ */
+export function evaluateQuestion(questionKey, currentProducts, questionMetadata) {
+    const none = { expectedRemaining: Array.isArray(currentProducts) ? currentProducts.length : 0, informationGain: 0 };
+    if (!questionMetadata[questionKey] || !Array.isArray(currentProducts) || currentProducts.length === 0) {
+        return none;
+    }
+
+    const outcomes = getAnswerOutcomes(questionKey, currentProducts, questionMetadata);
+    if (outcomes.every(outcome => outcome.prior === 0)) return none;
+
+    let expectedRemaining = 0;
+    let expectedBits = 0;
+    outcomes.forEach(({ products, prior }) => {
+        expectedRemaining += prior * products.length;
+        expectedBits += prior * Math.log2(products.length);
+    });
+
+    // Rounded so an answer that never narrows anything scores exactly 0
+    const informationGain = Math.max(0, Math.round((Math.log2(currentProducts.length) - expectedBits) * 1e9) / 1e9);
+    return { expectedRemaining, informationGain };
+}
+
+/**
+ * Check whether a question is worth asking
+ * @param {number} informationGain - Expected information gain (see evaluateQuestion)
+ * @param {number} minGain - config.algorithm.minDiscriminatingPower
+ */
+export function isWorthAsking(informationGain, minGain = 0) {
+    return informationGain > 0 && informationGain >= minGain;
+}
+
+/**
+ * Entropy of the product values of a question
+ * Array attributes put a product in one group per value, and answers aren't weighed
+ * @param {string} questionKey - Question key
+ * @param {Array} products - Current filtered products
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {number} Entropy in bits (0 if every product has the same value)
+ */
+export function calculateEntropy(questionKey, products, questionMetadata) {
+    const metadata = questionMetadata[questionKey];
+
+    // Get all possible values for this question from remaining products
+    const valueGroups = {};
+    const thresholds = (metadata.options || [])
+        .map(option => String(option.value))
+        .filter(value => parseSPF(value));
+
+    products.forEach(product => {
+        const productValue = product[metadata.attribute];
+
+        if (metadata.isArray) {
+            // For array attributes, each value in array creates a group
+            if (Array.isArray(productValue)) {
+                productValue.forEach(val => {
+                    if (!valueGroups[val]) valueGroups[val] = 0;
+                    valueGroups[val]++;
+                });
+            }
+        } else if (metadata.match === 'atLeast' && thresholds.length > 0) {
+            // For minimum answers, products meeting the same highest threshold
+            // can't be told apart (SPF 50 and 60 both only meet "at least 50")
+            const key = String(highestThresholdMet(productValue, thresholds));
+            if (!valueGroups[key]) valueGroups[key] = 0;
+            valueGroups[key]++;
+        } else {
+            // For boolean/string attributes
+            const key = String(productValue);
+            if (!valueGroups[key]) valueGroups[key] = 0;
+            valueGroups[key]++;
+        }
+    });
+
+    const groups = Object.values(valueGroups);
+    if (groups.length <= 1) return 0;
+
+    let entropy = 0;
+    groups.forEach(count => {
+        const proportion = count / products.length;
+        entropy -= proportion * Math.log2(proportion);
+    });
+
+    return entropy;
+}
+
+/**
+ * Expected number of the other questions still worth asking once a question is answered
+ * @param {string} questionKey - Question key
+ * @param {Array} products - Current filtered products
+ * @param {Object} questionMetadata - Question metadata
+ * @param {Object} context - { candidates: questions worth asking now, minGain }
+ * @returns {number} Expected count, weighed by answer priors
+ */
+export function expectedQuestionsAfter(questionKey, products, questionMetadata, { candidates, minGain }) {
+    const others = candidates.filter(key => key !== questionKey);
+
+    return getAnswerOutcomes(questionKey, products, questionMetadata).reduce((total, outcome) => {
+        const left = outcome.products.length <= 1
+            ? 0
+            : others.filter(key => isWorthAsking(evaluateQuestion(key, outcome.products, questionMetadata).informationGain, minGain)).length;
+        return total + outcome.prior * left;
+    }, 0);
+}
+
+// Strategy name -> score(questionKey, products, questionMetadata, context); higher is asked sooner
+export const QUESTION_STRATEGIES = {
+    informationGain: (questionKey, products, questionMetadata) =>
+        evaluateQuestion(questionKey, products, questionMetadata).informationGain,
+    entropy: calculateEntropy,
+    fixed: (questionKey, products, questionMetadata) => -(questionMetadata[questionKey].elementIndex ?? 0),
+    fewestQuestions: (questionKey, products, questionMetadata, context) =>
+        -expectedQuestionsAfter(questionKey, products, questionMetadata, context)
+};
+
+// Values config.algorithm.strategy accepts
+export const STRATEGY_NAMES = Object.keys(QUESTION_STRATEGIES);
+
+/**
+ * Get a strategy by name
+ * @param {string} [name] - Strategy name (config.algorithm.strategy)
+ * @returns {Function} Score function (the default strategy's if the name is unknown)
+ */
+export function getStrategy(name = DEFAULT_STRATEGY) {
+    if (!QUESTION_STRATEGIES[name]) {
+        console.warn(`Unknown question strategy "${name}", using ${DEFAULT_STRATEGY}`);
+        return QUESTION_STRATEGIES[DEFAULT_STRATEGY];
+    }
+    return QUESTION_STRATEGIES[name];
+}
@@ -0,0 +1,171 @@
+// ===================================
+// Closest Alternatives
+// ===================================
+// When no product matches every selection, search for the smallest set of
+// changes (dropping an answer, or switching it to another value) that brings
+// products back. Hard constraints (e.g. location) are only relaxed when no
+// change to the other answers is enough.
+
+import { filterByRules, getMatchRule, getNoPreferenceValue, isActiveSelection } from '../quiz/filters.js';
+
+// Largest number of simultaneous changes worth suggesting
+const MAX_CHANGES = 3;
+
+// Number of suggestions to return
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Collect the values products actually offer for an anyOf or equals question
+ * The rule's wildcard (e.g. all) is left out since it isn't a real answer
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} rule - Match rule from getMatchRule
+ * @returns {Array<string>} Distinct values, in catalog order
+ */
+function collectAttributeValues(sunscreens, rule) {
+    const values = new Set();
+    sunscreens.forEach(s => {
+        if (Array.isArray(s[rule.attribute])) {
+            s[rule.attribute].forEach(v => values.add(v));
+        } else if (s[rule.attribute] !== null && s[rule.attribute] !== undefined) {
+            values.add(s[rule.attribute]);
+        }
+    });
+    values.delete(rule.wildcardValue);
+    return Array.from(values);
+}
+
+/**
+ * List every single change that could loosen the current selections
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} selections - Current selections
+ * @param {Object} questionMetadata - Question metadata
+ * @param {boolean} includeHard - Whether hard constraints may be changed too
+ * @returns {Array<Object>} Changes ({ questionKey, type: 'drop'|'switch', from, to })
+ */
+function listCandidateChanges(sunscreens, selections, questionMetadata, includeHard) {
+    const changes = [];
+
+    Object.entries(selections).forEach(([questionKey, value]) => {
+        if (!isActiveSelection(questionKey, value, questionMetadata)) return;
+
+        const metadata = questionMetadata[questionKey] || {};
+        const rule = getMatchRule(questionKey, questionMetadata);
+        if ((metadata.hard && !includeHard) || !rule) return;
+
+        // Multi-select answers (e.g. special features, avoided ingredients) are dropped one at a time
+        if (Array.isArray(value)) {
+            value.forEach(feature => {
+                changes.push({ questionKey, type: 'drop', from: feature, to: null });
+            });
+            return;
+        }
+
+        changes.push({ questionKey, type: 'drop', from: value, to: getNoPreferenceValue(questionKey, questionMetadata) });
+
+        // Switching a yes/no answer never beats dropping it, so only offer other options
+        if (rule.match === 'anyOf' || rule.match === 'equals') {
+            collectAttributeValues(sunscreens, rule)
+                .filter(other => other !== value)
+                .forEach(other => {
+                    changes.push({ questionKey, type: 'switch', from: value, to: other });
+                });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Apply a set of changes to a copy of the selections
+ * @param {Object} selections - Current selections
+ * @param {Array<Object>} changes - Changes to apply
+ * @returns {Object} New selections
+ */
+export function applyChanges(selections, changes) {
+    const result = { ...selections };
+
+    changes.forEach(change => {
+        if (Array.isArray(result[change.questionKey])) {
+            result[change.questionKey] = result[change.questionKey].filter(v => v !== change.from);
+        } else {
+            result[change.questionKey] = change.to;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Yield every combination of `size` changes touching each single-answer question at most once
+ * @param {Array<Object>} changes - Candidate changes
+ * @param {number} size - Number of changes per combination
+ */
+function* combinations(changes, size, start = 0, picked = []) {
+    if (picked.length === size) {
+        yield picked;
+        return;
+    }
+
+    for (let i = start; i < changes.length; i++) {
+        const change = changes[i];
+        // Dropped features (to: null) combine freely; any other answer can only change once
+        if (change.to !== null && picked.some(p => p.questionKey === change.questionKey)) continue;
+
+        yield* combinations(changes, size, i + 1, [...picked, change]);
+    }
+}
+
+/**
+ * Find the suggestions needing the fewest of the candidate changes, most products first
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} selections - Current selections
+ * @param {Object} questionMetadata - Question metadata
+ * @param {Array<Object>} candidates - Changes from listCandidateChanges
+ * @param {number} maxChanges - Largest number of simultaneous changes
+ * @param {number} maxSuggestions - Number of suggestions to return
+ * @returns {Array<{changes: Array, selections: Object, count: number}>} Suggestions
+ */
+function searchAlternatives(sunscreens, selections, questionMetadata, candidates, maxChanges, maxSuggestions) {
+    for (let size = 1; size <= Math.min(maxChanges, candidates.length); size++) {
+        const suggestions = [];
+
+        for (const changes of combinations(candidates, size)) {
+            const relaxed = applyChanges(selections, changes);
+            const count = filterByRules(sunscreens, relaxed, questionMetadata).length;
+            if (count > 0) {
+                suggestions.push({ changes, selections: relaxed, count });
+            }
+        }
+
+        // Stop at the smallest number of changes that works
+        if (suggestions.length > 0) {
+            return suggestions
+                .sort((a, b) => b.count - a.count)
+                .slice(0, maxSuggestions);
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Find the closest alternatives to a selection set that matches nothing
+ * Returns the suggestions needing the fewest changes, most products first; hard
+ * constraints are only changed when changing the other answers can't bring products back
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} selections - Current selections
+ * @param {Object} questionMetadata - Question metadata
+ * @param {Object} [options] - Search limits ({ maxChanges, maxSuggestions })
+ * @returns {Array<{changes: Array, selections: Object, count: number}>} Suggestions
+ */
+export function findClosestAlternatives(sunscreens, selections, questionMetadata, options = {}) {
+    const maxChanges = options.maxChanges || MAX_CHANGES;
+    const maxSuggestions = options.maxSuggestions || MAX_SUGGESTIONS;
+
+    const soft = listCandidateChanges(sunscreens, selections, questionMetadata, false);
+    const suggestions = searchAlternatives(sunscreens, selections, questionMetadata, soft, maxChanges, maxSuggestions);
+    if (suggestions.length > 0) return suggestions;
+
+    const all = listCandidateChanges(sunscreens, selections, questionMetadata, true);
+    return all.length > soft.length ? searchAlternatives(sunscreens, selections, questionMetadata, all, maxChanges, maxSuggestions) : [];
+}
@@ -0,0 +1,232 @@
+// ===================================
+// Product Comparison
+// ===================================
+// Lets users tick 2-4 result cards and see them side by side, including which
+// ingredients each product has that the others don't. The comparison is kept
+// in the URL (?compare=3,7) so it can be shared.
+
+import { generateShareURL, renderClassificationBadge } from './display.js';
+import { parseClassifiedIngredients } from '../ingredients/classifications.js';
+
+// URL parameter holding the compared product ids
+export const COMPARE_PARAM = 'compare';
+
+// How many products can be compared at once
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+let appState;
+let elements;
+let t;
+let escapeHTML;
+let showView;
+let announceToScreenReader;
+
+/**
+ * Initialize compare module with dependencies
+ */
+export function initCompare(deps) {
+    appState = deps.appState;
+    elements = deps.elements;
+    t = deps.t;
+    escapeHTML = deps.escapeHTML;
+    showView = deps.showView;
+    announceToScreenReader = deps.announceToScreenReader;
+}
+
+/**
+ * Parse the compare URL parameter into product ids
+ * Unknown ids and duplicates are dropped, and at most MAX_COMPARE ids are kept
+ * @param {string} value - Parameter value (e.g. "3,7,12")
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array<number>} Valid product ids, in URL order
+ */
+export function parseCompareParam(value, sunscreens) {
+    const knownIds = new Set(sunscreens.map(s => s.id));
+    const ids = [];
+
+    String(value || '').split(',').forEach(part => {
+        const id = Number(part.trim());
+        if (Number.isInteger(id) && knownIds.has(id) && !ids.includes(id)) {
+            ids.push(id);
+        }
+    });
+
+    return ids.slice(0, MAX_COMPARE);
+}
+
+/**
+ * Build the shareable URL of a comparison (the current answers plus compare=<ids>)
+ * @param {Array<number>} ids - Compared product ids
+ * @returns {string} Comparison URL
+ */
+export function generateCompareURL(ids) {
+    const url = new URL(generateShareURL());
+    url.searchParams.set(COMPARE_PARAM, ids.join(','));
+    return url.toString();
+}
+
+/**
+ * Split the ingredients of several products into shared and unique ones
+ * Ingredients are matched by slug, so synonyms ("AQUA / WATER / EAU" and "WATER") count as the same
+ * @param {Array} sunscreens - Products to compare
+ * @returns {{shared: Array<Object>, unique: Object}} Shared parsed ingredients, and unique ones by product id
+ */
+export function diffIngredients(sunscreens) {
+    const parsedById = new Map(sunscreens.map(s => [s.id, parseClassifiedIngredients(s)]));
+
+    // Count how many products list each slug
+    const productCounts = new Map();
+    parsedById.forEach(ingredients => {
+        new Set(ingredients.map(i => i.slug)).forEach(slug => {
+            productCounts.set(slug, (productCounts.get(slug) || 0) + 1);
+        });
+    });
+
+    const first = parsedById.get(sunscreens[0]?.id) || [];
+    const shared = first.filter(i => productCounts.get(i.slug) === sunscreens.length);
+
+    const unique = {};
+    parsedById.forEach((ingredients, id) => {
+        unique[id] = ingredients.filter(i => productCounts.get(i.slug) === 1);
+    });
+
+    return { shared, unique };
+}
+
+/**
+ * Tick or untick a product for comparison
+ * @param {number} id - Product id
+ * @param {boolean} selected - Whether the product should be compared
+ */
+export function toggleCompare(id, selected) {
+    const ids = appState.compareIds.filter(existing => existing !== id);
+    if (selected && ids.length < MAX_COMPARE) {
+        ids.push(id);
+    }
+    appState.compareIds = ids;
+
+    updateCompareControls();
+    announceToScreenReader(t('compare.selectedCount', { count: ids.length, max: MAX_COMPARE }));
+}
+
+/**
+ * Sync the compare checkboxes and compare bar with the selected products
+ * Unticked checkboxes are disabled once MAX_COMPARE products are selected
+ */
+export function updateCompareControls() {
+    const ids = appState.compareIds;
+
+    elements.resultsContainer.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+        const selected = ids.includes(Number(checkbox.dataset.compareId));
+        checkbox.checked = selected;
+        checkbox.disabled = !selected && ids.length >= MAX_COMPARE;
+    });
+
+    if (!elements.compareBar) return;
+    elements.compareBar.classList.toggle('hidden', ids.length === 0);
+    elements.compareBarText.textContent = t('compare.selectedCount', { count: ids.length, max: MAX_COMPARE });
+    elements.compareBtn.disabled = ids.length < MIN_COMPARE;
+}
+
+/**
+ * Clear the products selected for comparison
+ */
+export function clearCompare() {
+    appState.compareIds = [];
+    updateCompareControls();
+}
+
+/**
+ * Show the comparison view for the selected products
+ */
+export function showComparison() {
+    const products = appState.compareIds
+        .map(id => appState.sunscreens.find(s => s.id === id))
+        .filter(Boolean);
+
+    if (products.length < MIN_COMPARE) return;
+
+    history.pushState({}, '', generateCompareURL(products.map(s => s.id)));
+
+    elements.compareContainer.innerHTML = renderComparisonTable(products);
+    showView('compare');
+
+    announceToScreenReader(t('compare.announce', { count: products.length }));
+}
+
+/**
+ * Render a yes/no cell
+ */
+function yesNo(value) {
+    return escapeHTML(t(value ? 'compare.yes' : 'compare.no'));
+}
+
+/**
+ * Render a list of values as a comma-separated cell
+ */
+function list(values) {
+    return Array.isArray(values) && values.length > 0
+        ? values.map(v => escapeHTML(v)).join(', ')
+        : '—';
+}
+
+/**
+ * Render the comparison table
+ * @param {Array} products - Products to compare
+ * @returns {string} Table HTML
+ */
+function renderComparisonTable(products) {
+    const { shared, unique } = diffIngredients(products);
+
+    const rows = [
+        ['compare.rows.spf', s => `SPF ${escapeHTML(s.spf)}`],
+        ['compare.rows.formFactors', s => list(s.formFactors)],
+        ['compare.rows.skinTypes', s => list(s.skinTypes)],
+        ['compare.rows.fragranceFree', s => yesNo(s.isFragranceFree)],
+        ['compare.rows.waterResistant', s => yesNo(s.waterResistant)],
+        ['compare.rows.filterType', s => escapeHTML(s.filterType || '—')],
+        ['compare.rows.specialFeatures', s => list(s.specialFeatures)],
+        ['compare.rows.uniqueIngredients', s => renderUniqueIngredients(unique[s.id])]
+    ];
+
+    return `
+        <div class="compare-table-wrapper">
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col"><span class="sr-only">${escapeHTML(t('compare.product'))}</span></th>
+                        ${products.map(s => `
+                        <th scope="col">
+                            <span class="compare-product-name">${escapeHTML(s.name)}</span>
+                            <span class="compare-product-brand">${escapeHTML(s.brand)}</span>
+                        </th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([labelKey, render]) => `
+                    <tr>
+                        <th scope="row">${escapeHTML(t(labelKey))}</th>
+                        ${products.map(s => `<td>${render(s)}</td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p class="compare-shared">${escapeHTML(t('compare.sharedIngredients', { count: shared.length }))}</p>
+    `;
+}
+
+/**
+ * Render the ingredients only one product has, with their classification badges
+ * @param {Array<Object>} ingredients - Parsed ingredients
+ */
+function renderUniqueIngredients(ingredients) {
+    if (!ingredients || ingredients.length === 0) {
+        return `<span class="compare-none">${escapeHTML(t('compare.noUniqueIngredients'))}</span>`;
+    }
+
+    return `
+                            <ul class="compare-ingredients">
+                                ${ingredients.map(i => `<li class="compare-unique${i.classification ? ` compare-unique-${escapeHTML(i.classification)}` : ''}">${renderClassificationBadge(i.classification)}${escapeHTML(i.name)}</li>`).join('')}
+                            </ul>`;
+}
@@ -2,7 +2,23 @@
 // Results Display
 // ===================================
 
-import { filterSunscreens } from '../quiz/filters.js';
+import { filterSunscreens, getMatchRule } from '../quiz/filters.js';
+import { rankSunscreens, scoreSunscreen } from './scoring.js';
+import { findClosestAlternatives } from './alternatives.js';
+import { getQuestionKeys, getURLParam, getOptionLabel } from '../quiz/questions.js';
+import { parseClassifiedIngredients } from '../ingredients/classifications.js';
+import {
+    SORT_OPTIONS,
+    sortResults,
+    buildFacets,
+    toggleFacetValue,
+    matchesIngredientFilters,
+    buildIngredientFilters
+} from './refine.js';
+import { getIngredientSummary } from '../ingredients/summary.js';
+import { renderShortlistToggle } from './shortlist.js';
+import { getSimilarProducts } from './similarity.js';
+import { renderAutoDecisions } from '../quiz/explanations.js';
 
 let escapeHTML;
 let sanitizeURL;
@@ -11,7 +27,9 @@ let showView;
 let elements;
 let appState;
 let questionMetadata;
+let t;
 let updateRestartButtonVisibility;
+let updateCompareControls;
 
 /**
  * Initialize results module with dependencies
@@ -24,7 +42,9 @@ export function initResults(deps) {
     elements = deps.elements;
     appState = deps.appState;
     questionMetadata = deps.questionMetadata;
+    t = deps.t;
     updateRestartButtonVisibility = deps.updateRestartButtonVisibility;
+    updateCompareControls = deps.updateCompareControls;
 }
 
 /**
@@ -32,15 +52,14 @@ export function initResults(deps) {
  */
 export function generateShareURL() {
     const params = new URLSearchParams();
-    if (appState.selections.location) params.set('location', appState.selections.location);
-    if (appState.selections.skinType) params.set('skin', appState.selections.skinType);
-    if (appState.selections.fragranceFree) params.set('fragrance', appState.selections.fragranceFree);
-    if (appState.selections.forKids) params.set('kids', appState.selections.forKids);
-    if (appState.selections.formFactor) params.set('form', appState.selections.formFactor);
-    if (appState.selections.waterResistant) params.set('water', appState.selections.waterResistant);
-    if (appState.selections.specialFeatures && appState.selections.specialFeatures.length > 0) {
-        params.set('features', appState.selections.specialFeatures.join(','));
-    }
+    getQuestionKeys().forEach(questionKey => {
+        const value = appState.selections[questionKey];
+        if (Array.isArray(value)) {
+            if (value.length > 0) params.set(getURLParam(questionKey), value.join(','));
+        } else if (value) {
+            params.set(getURLParam(questionKey), value);
+        }
+    });
 
     const baseURL = window.location.origin + window.location.pathname;
     return params.toString() ? `${baseURL}?${params.toString()}` : baseURL;
@@ -50,14 +69,14 @@ export function generateShareURL() {
  * Show results view
  */
 export function showResults() {
-    // Filter sunscreens
-    const results = filterSunscreens(appState);
+    // Filter sunscreens (the exact matches, kept in appState.filteredResults)
+    filterSunscreens(appState);
 
     // Update URL
     history.pushState({}, '', generateShareURL());
 
     // Render results
-    renderResults(results);
+    const { exact, close } = renderResults();
 
     // Show results view
     showView('results');
@@ -65,68 +84,257 @@ export function showResults() {
     // Show restart button
     updateRestartButtonVisibility();
 
+    // Sync the compare bar with the products still ticked
+    if (updateCompareControls) updateCompareControls();
+
     // Announce to screen reader
-    announceToScreenReader(`Found ${results.length} matching sunscreens`);
+    announceToScreenReader([
+        t('screenReader.foundResults', { count: exact }),
+        close > 0 ? t('results.summary.closeCount', { count: close }) : ''
+    ].filter(Boolean).join('. '));
 }
 
 /**
  * Render results HTML
+ * Products are ranked whenever the hard constraints leave any, so close matches are shown
+ * even when nothing matches every answer; the no-results screen is for an empty ranking.
+ * Without an exact match, the closest alternatives are suggested above the close matches.
+ * @returns {{exact: number, close: number}} Number of exact and close matches
  */
-function renderResults(results) {
+function renderResults() {
+    const ranked = rankSunscreens(appState.sunscreens, appState.selections, questionMetadata);
+    const exact = ranked.filter(entry => entry.score === 100).length;
+    const close = ranked.length - exact;
+
     // Update summary
-    if (results.length === 0) {
-        elements.resultsSummary.innerHTML = '😕 No sunscreens match all your criteria. Try adjusting your preferences.';
-    } else if (results.length === 1) {
-        elements.resultsSummary.innerHTML = '🎉 Found <strong>1 perfect match</strong> for you!';
-    } else {
-        elements.resultsSummary.innerHTML = `🎉 Found <strong>${results.length} great options</strong> for you!`;
-    }
+    elements.resultsSummary.innerHTML = renderSummary(exact, close);
+
+    const shown = ranked.filter(entry => matchesIngredientFilters(entry.sunscreen, appState.ingredientFilters));
+
+    // Toolbar facets count the products shown below
+    renderToolbar(shown.map(entry => entry.sunscreen), ranked.map(entry => entry.sunscreen));
+
+    // Questions answered or skipped for the user, which they can still undo
+    renderAutoDecisions();
+
+    // Suggest the smallest changes that bring back exact matches
+    const alternatives = exact === 0 ? findClosestAlternatives(appState.sunscreens, appState.selections, questionMetadata) : [];
 
     // Render results
-    if (results.length === 0) {
-        renderNoResults();
+    if (ranked.length === 0) {
+        renderNoResults(alternatives);
     } else {
-        elements.resultsContainer.innerHTML = results.map(renderResultCard).join('');
+        renderRankedResults(shown, alternatives);
     }
+
+    return { exact, close };
 }
 
 /**
- * Render no results message with suggestions
+ * Summarize the results: the exact matches, then how many close matches follow
+ * @param {number} exact - Products matching every answer
+ * @param {number} close - Products missing some soft preferences
+ * @returns {string} Summary HTML (translations hold the markup)
  */
-function renderNoResults() {
-    // Generate helpful suggestions and track which question to go back to
-    const suggestions = [];
-    let firstSuggestionQuestionKey = null;
-
-    // Form Factor
-    if (appState.selections.formFactor && appState.selections.formFactor !== 'any') {
-        suggestions.push(`Try different form factors (currently: ${appState.selections.formFactor})`);
-        if (!firstSuggestionQuestionKey) firstSuggestionQuestionKey = 'formFactor';
-    }
-    // Fragrance Free
-    if (appState.selections.fragranceFree === 'true') {
-        suggestions.push('Consider fragrance-free optional');
-        if (!firstSuggestionQuestionKey) firstSuggestionQuestionKey = 'fragranceFree';
+function renderSummary(exact, close) {
+    if (exact === 0 && close === 0) return `😕 ${t('results.summary.none')}`;
+    if (exact === 0) return `🔎 ${t('results.summary.closeOnly', { count: close })}`;
+
+    const found = `🎉 ${t(exact === 1 ? 'results.summary.one' : 'results.summary.many', { count: exact })}`;
+    return close > 0 ? `${found} ${t('results.summary.closeCount', { count: close })}` : found;
+}
+
+/**
+ * Render every product that passes the hard constraints, best match first
+ * Exact matches come first; partial matches follow under their own heading.
+ * The toolbar sort order applies within each group.
+ * @param {Array<{sunscreen: Object, score: number}>} ranked - Results in match order
+ * @param {Array<Object>} alternatives - Suggestions from findClosestAlternatives, shown first
+ */
+function renderRankedResults(ranked, alternatives) {
+    let html = renderSuggestions(alternatives);
+
+    if (ranked.length === 0) {
+        // Only the ingredient filters can empty a non-empty result list
+        html += `<p class="ingredient-filters-empty">${escapeHTML(t('results.toolbar.ingredientFiltersEmpty'))}</p>`;
+    } else {
+        const exact = sortResults(ranked.filter(entry => entry.score === 100), appState.resultsSort);
+        const partial = sortResults(ranked.filter(entry => entry.score < 100), appState.resultsSort);
+
+        html += exact.map(entry => renderResultCard(entry.sunscreen, entry.score)).join('');
+
+        if (partial.length > 0) {
+            html += `<h3 class="close-matches-heading">${escapeHTML(t('results.closeMatches'))}</h3>`;
+            html += partial.map(entry => renderResultCard(entry.sunscreen, entry.score)).join('');
+        }
     }
-    // Water Resistant
-    if (appState.selections.waterResistant === 'true') {
-        suggestions.push('Water resistance might be limiting options');
-        if (!firstSuggestionQuestionKey) firstSuggestionQuestionKey = 'waterResistant';
+
+    elements.resultsContainer.innerHTML = html;
+
+    // Attach event listeners (safer than inline onclick)
+    attachAlternativeListeners(alternatives);
+}
+
+/**
+ * Render the results toolbar: sort order, a facet chip per answer with its product count
+ * and the ingredient filter chips
+ * @param {Array} products - Products currently shown
+ * @param {Array} unfiltered - Products before the ingredient filters
+ */
+function renderToolbar(products, unfiltered) {
+    if (!elements.resultsToolbar) return;
+
+    const sortKey = SORT_OPTIONS.includes(appState.resultsSort) ? appState.resultsSort : SORT_OPTIONS[0];
+    const facets = buildFacets(products, appState.selections, questionMetadata);
+    const ingredientFilters = unfiltered.length > 0 ? buildIngredientFilters(unfiltered, appState.ingredientFilters) : [];
+
+    elements.resultsToolbar.innerHTML = `
+        <div class="results-sort">
+            <label for="results-sort-select">${escapeHTML(t('results.toolbar.sortLabel'))}</label>
+            <select id="results-sort-select">
+                ${SORT_OPTIONS.map(key => `<option value="${key}"${key === sortKey ? ' selected' : ''}>${escapeHTML(t(`results.toolbar.sort.${key}`))}</option>`).join('')}
+            </select>
+        </div>
+        ${facets.length > 0 || ingredientFilters.length > 0 ? `
+        <div class="facets" aria-label="${escapeHTML(t('results.toolbar.facetsLabel'))}">
+            ${facets.map(renderFacet).join('')}
+            ${ingredientFilters.length > 0 ? renderIngredientFilters(ingredientFilters) : ''}
+        </div>` : ''}
+    `;
+
+    // Attach event listeners (safer than inline onclick)
+    document.getElementById('results-sort-select').addEventListener('change', (event) => {
+        applySort(event.target.value);
+    });
+
+    elements.resultsToolbar.querySelectorAll('.facet-chip[data-question]').forEach(chip => {
+        chip.addEventListener('click', () => {
+            applyFacet(chip.dataset.question, chip.dataset.value);
+        });
+    });
+
+    elements.resultsToolbar.querySelectorAll('.facet-chip[data-ingredient-filter]').forEach(chip => {
+        chip.addEventListener('click', () => {
+            applyIngredientFilter(chip.dataset.ingredientFilter);
+        });
+    });
+}
+
+/**
+ * Render the chips of one question
+ * @param {Object} facet - Facet from buildFacets
+ */
+function renderFacet(facet) {
+    const question = escapeHTML(t(`questionLabels.${facet.questionKey}`));
+
+    return `
+            <div class="facet-group" role="group" aria-label="${question}">
+                <span class="facet-label">${question}</span>
+                ${facet.values.map(({ value, count, active }) => {
+                    const option = getOptionLabel(facet.questionKey, value);
+                    const label = escapeHTML(t('results.toolbar.facetAria', { option, count }));
+                    return `<button type="button" class="facet-chip${active ? ' active' : ''}" data-question="${escapeHTML(facet.questionKey)}" data-value="${escapeHTML(value)}" aria-pressed="${active}" aria-label="${label}">${escapeHTML(option)} <span class="facet-count">${count}</span></button>`;
+                }).join('')}
+            </div>`;
+}
+
+/**
+ * Render the ingredient filter chips
+ * @param {Array} filters - Chips from buildIngredientFilters
+ */
+function renderIngredientFilters(filters) {
+    const group = escapeHTML(t('results.toolbar.ingredientFiltersLabel'));
+
+    return `
+            <div class="facet-group ingredient-filters" role="group" aria-label="${group}">
+                <span class="facet-label">${group}</span>
+                ${filters.map(({ key, count, active }) => {
+                    const option = t(`results.toolbar.ingredientFilters.${key}`);
+                    const label = escapeHTML(t('results.toolbar.facetAria', { option, count }));
+                    return `<button type="button" class="facet-chip${active ? ' active' : ''}" data-ingredient-filter="${escapeHTML(key)}" aria-pressed="${active}" aria-label="${label}">${escapeHTML(option)} <span class="facet-count">${count}</span></button>`;
+                }).join('')}
+            </div>`;
+}
+
+/**
+ * Re-order the shown results
+ * @param {string} sortKey - One of SORT_OPTIONS
+ */
+function applySort(sortKey) {
+    appState.resultsSort = sortKey;
+    renderResults();
+    if (updateCompareControls) updateCompareControls();
+
+    document.getElementById('results-sort-select').focus();
+    announceToScreenReader(t('results.toolbar.sorted', { order: t(`results.toolbar.sort.${sortKey}`) }));
+}
+
+/**
+ * Toggle a facet chip and show the refined results
+ * @param {string} questionKey - Question key
+ * @param {string} value - Facet value
+ */
+function applyFacet(questionKey, value) {
+    appState.selections[questionKey] = toggleFacetValue(questionKey, appState.selections[questionKey], value, questionMetadata);
+
+    // Count it as answered so the wizard doesn't ask it again
+    if (!appState.questionHistory.includes(questionKey)) {
+        appState.questionHistory.push(questionKey);
     }
 
+    syncFormWithSelections();
+    showResults();
+
+    // Keep keyboard focus on the chip that was used
+    const chip = Array.from(elements.resultsToolbar.querySelectorAll('.facet-chip'))
+        .find(button => button.dataset.question === questionKey && button.dataset.value === value);
+    if (chip) chip.focus();
+}
+
+/**
+ * Toggle an ingredient filter chip and re-render the results
+ * These only narrow what is shown, so the quiz answers and share URL stay as they are
+ * @param {string} key - Ingredient filter key
+ */
+function applyIngredientFilter(key) {
+    appState.ingredientFilters = appState.ingredientFilters.includes(key)
+        ? appState.ingredientFilters.filter(existing => existing !== key)
+        : [...appState.ingredientFilters, key];
+
+    renderResults();
+    if (updateCompareControls) updateCompareControls();
+
+    const chip = elements.resultsToolbar.querySelector(`.facet-chip[data-ingredient-filter="${key}"]`);
+    if (chip) chip.focus();
+    announceToScreenReader(t('results.toolbar.ingredientFiltered', {
+        count: elements.resultsContainer.querySelectorAll('.result-card').length
+    }));
+}
+
+/**
+ * Tick the quiz inputs matching the current selections, so going back shows the same answers
+ */
+function syncFormWithSelections() {
+    Object.entries(appState.selections).forEach(([questionKey, value]) => {
+        document.querySelectorAll(`input[name="${questionKey}"]`).forEach(input => {
+            input.checked = Array.isArray(value) ? value.includes(input.value) : input.value === value;
+        });
+    });
+}
+
+/**
+ * Render no results message with the closest alternatives
+ * @param {Array<Object>} alternatives - Suggestions from findClosestAlternatives
+ */
+function renderNoResults(alternatives) {
+    const firstSuggestionQuestionKey = alternatives.length > 0 ? alternatives[0].changes[0].questionKey : null;
+
     elements.resultsContainer.innerHTML = `
         <div class="no-results">
             <div class="no-results-icon">😔</div>
             <h3>No sunscreens match your criteria</h3>
             <p>We couldn't find any sunscreens matching all your preferences.</p>
-            ${suggestions.length > 0 ? `
-                <div class="suggestions">
-                    <h4>Try adjusting:</h4>
-                    <ul>
-                        ${suggestions.map(s => `<li>${escapeHTML(s)}</li>`).join('')}
-                    </ul>
-                </div>
-            ` : ''}
+            ${renderSuggestions(alternatives)}
             <div class="no-results-actions">
                 <button id="adjust-filters-btn" data-question="${firstSuggestionQuestionKey || ''}" class="btn btn-secondary">← Adjust Filters</button>
                 <button id="no-results-restart-btn" class="btn btn-primary">Start Over</button>
@@ -143,6 +351,8 @@ function renderNoResults() {
         });
     }
 
+    attachAlternativeListeners(alternatives);
+
     const noResultsRestartBtn = document.getElementById('no-results-restart-btn');
     if (noResultsRestartBtn) {
         // Import restart function dynamically to avoid circular dependency
@@ -153,10 +363,95 @@ function renderNoResults() {
     }
 }
 
+/**
+ * Render the suggested alternatives, if there are any
+ * @param {Array<Object>} alternatives - Suggestions from findClosestAlternatives
+ * @returns {string} Suggestions HTML (empty without suggestions)
+ */
+function renderSuggestions(alternatives) {
+    if (alternatives.length === 0) return '';
+
+    return `
+                <div class="suggestions">
+                    <h4>${escapeHTML(t('results.noResults.suggestionsHeading'))}</h4>
+                    <ul>
+                        ${alternatives.map((alternative, index) => renderAlternative(alternative, index)).join('')}
+                    </ul>
+                </div>
+            `;
+}
+
+/**
+ * Attach the apply buttons of the suggested alternatives
+ * @param {Array<Object>} alternatives - Suggestions the buttons were rendered for
+ */
+function attachAlternativeListeners(alternatives) {
+    elements.resultsContainer.querySelectorAll('.alternative-apply-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            applyAlternative(alternatives[Number(button.dataset.alternative)]);
+        });
+    });
+}
+
+/**
+ * Render one suggested alternative with its product count and apply button
+ * @param {Object} alternative - Suggestion from findClosestAlternatives
+ * @param {number} index - Position in the suggestion list
+ */
+function renderAlternative(alternative, index) {
+    const description = alternative.changes.map(describeChange).join(' + ');
+    const count = alternative.count === 1
+        ? t('results.noResults.alternatives.countOne')
+        : t('results.noResults.alternatives.countMany', { count: alternative.count });
+
+    return `
+                        <li class="alternative">
+                            <span class="alternative-text">${escapeHTML(description)}</span>
+                            <span class="alternative-count">${escapeHTML(count)}</span>
+                            <button type="button" class="btn btn-secondary alternative-apply-btn" data-alternative="${index}">${escapeHTML(t('results.noResults.alternatives.apply'))}</button>
+                        </li>`;
+}
+
+/**
+ * Describe a single change, e.g. "Switch Form: Stick → Lotion"
+ * @param {Object} change - Change ({ questionKey, type, from, to })
+ */
+function describeChange(change) {
+    const question = t(`questionLabels.${change.questionKey}`);
+    const from = getOptionLabel(change.questionKey, change.from);
+
+    // Dropped special features read "Drop feature: Tinted"; other multi-select answers name their question
+    if (change.to === null && getMatchRule(change.questionKey, questionMetadata)?.match === 'allOf') {
+        return t('results.noResults.alternatives.dropFeature', { option: from });
+    }
+    if (change.type === 'switch') {
+        const to = getOptionLabel(change.questionKey, change.to);
+        return t('results.noResults.alternatives.switch', { question, from, to });
+    }
+    return t('results.noResults.alternatives.drop', { question, option: from });
+}
+
+/**
+ * Apply a suggested alternative to the selections and show the new results
+ * @param {Object} alternative - Suggestion from findClosestAlternatives
+ */
+function applyAlternative(alternative) {
+    Object.assign(appState.selections, alternative.selections);
+
+    // Keep the form in step so going back shows the adjusted answers
+    syncFormWithSelections();
+
+    announceToScreenReader(t('results.noResults.alternatives.applied'));
+    showResults();
+}
+
 /**
  * Render a single result card
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {number} [score] - Match percentage to show on the card
+ * @param {Object} [options] - { compare: false } leaves out the compare checkbox
  */
-function renderResultCard(sunscreen) {
+export function renderResultCard(sunscreen, score, options = {}) {
     // Escape all user-controlled data to prevent XSS
     const name = escapeHTML(sunscreen.name);
     const brand = escapeHTML(sunscreen.brand);
@@ -171,76 +466,36 @@ function renderResultCard(sunscreen) {
         .map(t => escapeHTML(t.charAt(0).toUpperCase() + t.slice(1)))
         .join(', ');
 
+    // Derived from the ingredients at load time (mineral, chemical or hybrid)
+    const filterType = sunscreen.filterType
+        ? escapeHTML(sunscreen.filterType.charAt(0).toUpperCase() + sunscreen.filterType.slice(1))
+        : '';
+
     // Sanitize URL - only allow http/https
     const safeURL = sanitizeURL(sunscreen.url);
 
     // Parse and link ingredients to INCIDecoder
     let ingredientsHTML = '';
     if (sunscreen.ingredients) {
-        const classifications = sunscreen.ingredientClassifications || {};
-
-        const ingredientList = sunscreen.ingredients
-            .split(' - ')
-            .map(ingredient => {
-                const trimmed = ingredient.trim();
-
-                // Handle synonyms (e.g., "AQUA / WATER / EAU" or "CI 77891 / TITANIUM DIOXIDE")
-                // Use the most common/standard name (usually the English name)
-                let cleaned = trimmed;
-                if (trimmed.includes(' / ')) {
-                    const parts = trimmed.split(' / ').map(p => p.trim());
-                    // Prefer the longest non-code part (usually the English name)
-                    // Skip short codes like "CI 77891" or "AQUA" in favor of full names
-                    cleaned = parts.reduce((best, current) => {
-                        const currentNoCode = current.replace(/^(CI|C\.I\.)\s*\d+/i, '').trim();
-                        const bestNoCode = best.replace(/^(CI|C\.I\.)\s*\d+/i, '').trim();
-                        return (currentNoCode.length > bestNoCode.length) ? current : best;
-                    }, parts[0]);
-                }
-
-                // Remove parenthetical content and color codes
-                cleaned = cleaned
-                    .replace(/\([^)]*\)/g, '')                    // Remove (parentheses)
-                    .replace(/^(CI|C\.I\.)\s*\d+\s*\/?\s*/i, '') // Remove CI codes at start
-                    .trim();
-
-                const slug = cleaned.toLowerCase()
-                    .replace(/\s+/g, '-')           // spaces to hyphens
-                    .replace(/[^a-z0-9-]/g, '')     // keep only letters, numbers, hyphens
-                    .replace(/--+/g, '-')            // collapse multiple hyphens
-                    .replace(/^-+|-+$/g, '');       // trim leading/trailing hyphens
-                const escaped = escapeHTML(trimmed);
-
-                // Check if ingredient has a classification
-                let badge = '';
-                const classification = classifications[trimmed];
-                if (classification) {
-                    const badgeEmoji = classification === 'superstar' ? '⭐' :
-                                     classification === 'goodie' ? '✓' :
-                                     classification === 'icky' ? '⚠' : '';
-                    badge = `<span class="ingredient-badge ingredient-badge-${classification}" title="${classification}">${badgeEmoji}</span> `;
-                }
-
-                return `<a href="https://incidecoder.com/ingredients/${slug}" target="_blank" rel="noopener noreferrer" class="ingredient-link">${badge}${escaped}</a>`;
-            })
-            .join('<br>');
-
         ingredientsHTML = `
             <details class="ingredients-section">
                 <summary>Ingredients</summary>
-                <p class="ingredients-list">${ingredientList}</p>
+                <p class="ingredients-list">${renderIngredientList(sunscreen)}</p>
             </details>
         `;
     }
 
     return `
         <article class="result-card" aria-label="${name} by ${brand}">
-            <h3>${name}</h3>
+            ${renderShortlistToggle(sunscreen)}
+            ${typeof score === 'number' ? renderMatchScore(score) : ''}
+            <h3><a href="?product=${sunscreen.id}" class="product-detail-link" data-product-id="${sunscreen.id}">${name}</a></h3>
             <p class="brand">${brand}</p>
 
             <div class="result-details">
                 <span class="detail-badge">SPF ${spf}</span>
                 <span class="detail-badge">${formFactorsList}</span>
+                ${filterType ? `<span class="detail-badge">${filterType} Filters</span>` : ''}
                 ${sunscreen.isFragranceFree ? '<span class="detail-badge">Fragrance-Free</span>' : ''}
                 ${sunscreen.waterResistant ? '<span class="detail-badge">Water Resistant</span>' : ''}
                 ${sunscreen.forKids ? '<span class="detail-badge">For Kids</span>' : ''}
@@ -249,13 +504,129 @@ function renderResultCard(sunscreen) {
 
             <p><strong>Skin Types:</strong> ${skinTypesList}</p>
 
+            ${sunscreen.ingredients ? renderIngredientSummary(sunscreen) : ''}
+
+            ${options.compare !== false ? `
+            <label class="compare-toggle">
+                <input type="checkbox" class="compare-checkbox" data-compare-id="${sunscreen.id}"${appState.compareIds.includes(sunscreen.id) ? ' checked' : ''}>
+                <span>${escapeHTML(t('compare.toggle'))}</span>
+            </label>` : ''}
+
             ${ingredientsHTML}
 
             ${safeURL ? `<a href="${safeURL}" target="_blank" rel="noopener noreferrer" class="product-link">Learn More →</a>` : ''}
+
+            ${renderSimilarProducts(sunscreen)}
         </article>
     `;
 }
 
+/**
+ * Render "You might also like" links to the most similar products
+ * Products ruled out by a hard constraint (e.g. not sold in the chosen region) are skipped
+ * @param {Object} sunscreen - Sunscreen product
+ */
+function renderSimilarProducts(sunscreen) {
+    const byId = new Map(appState.sunscreens.map(s => [s.id, s]));
+    const similar = getSimilarProducts(sunscreen.id, 3, id =>
+        scoreSunscreen(byId.get(id), appState.selections, questionMetadata) !== null
+    );
+    if (similar.length === 0) return '';
+
+    return `
+            <div class="similar-products">
+                <span class="similar-products-label">${escapeHTML(t('results.similar'))}</span>
+                <ul>
+                    ${similar.map(({ id }) => `<li><a href="?product=${id}" class="product-detail-link" data-product-id="${id}">${escapeHTML(byId.get(id).name)}</a></li>`).join('')}
+                </ul>
+            </div>`;
+}
+
+/**
+ * Render a product's ingredients, each linked to INCIDecoder with its classification badge
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {string} Ingredient links separated by line breaks
+ */
+export function renderIngredientList(sunscreen) {
+    return parseClassifiedIngredients(sunscreen)
+        .map(({ raw, slug, classification }) => {
+            const escaped = escapeHTML(raw);
+            const badge = renderClassificationBadge(classification);
+
+            return `<a href="https://incidecoder.com/ingredients/${slug}" target="_blank" rel="noopener noreferrer" class="ingredient-link">${badge}${escaped}</a>`;
+        })
+        .join('<br>');
+}
+
+/**
+ * Render the ingredient summary: a bar with one segment per ingredient in label
+ * order, coloured by classification, followed by the counts and flags
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {string} Summary HTML
+ */
+export function renderIngredientSummary(sunscreen) {
+    const summary = getIngredientSummary(sunscreen);
+    const stats = [
+        t('results.ingredientSummary.superstar', { count: summary.superstar }),
+        t('results.ingredientSummary.goodie', { count: summary.goodie }),
+        summary.firstIckyPosition === null
+            ? t('results.ingredientSummary.icky', { count: summary.icky })
+            : t('results.ingredientSummary.ickyAt', { count: summary.icky, position: summary.firstIckyPosition }),
+        t('results.ingredientSummary.uvFilters', { count: summary.uvFilters })
+    ];
+    const flags = [
+        summary.fragrance ? t('results.ingredientSummary.fragrance') : null,
+        summary.alcoholDenat ? t('results.ingredientSummary.alcoholDenat') : null
+    ].filter(Boolean);
+    const barLabel = t('results.ingredientSummary.bar', {
+        superstar: summary.superstar,
+        goodie: summary.goodie,
+        icky: summary.icky,
+        total: summary.total
+    });
+
+    return `
+            <div class="ingredient-summary">
+                <div class="ingredient-summary-bar" role="img" aria-label="${escapeHTML(barLabel)}">
+                    ${summary.labelOrder.map(classification => `<span class="ingredient-summary-segment ingredient-summary-${escapeHTML(classification || 'none')}"></span>`).join('')}
+                </div>
+                <ul class="ingredient-summary-stats">
+                    ${stats.map(stat => `<li>${escapeHTML(stat)}</li>`).join('')}
+                    ${flags.map(flag => `<li class="ingredient-summary-flag">${escapeHTML(flag)}</li>`).join('')}
+                </ul>
+            </div>`;
+}
+
+/**
+ * Render the badge shown before a classified ingredient (⭐ superstar, ✓ goodie, ⚠ icky)
+ * @param {string|null} classification - Ingredient classification
+ * @returns {string} Badge HTML, or an empty string for unclassified ingredients
+ */
+export function renderClassificationBadge(classification) {
+    if (!classification) return '';
+
+    const badgeEmoji = classification === 'superstar' ? '⭐' :
+                     classification === 'goodie' ? '✓' :
+                     classification === 'icky' ? '⚠' : '';
+    const escaped = escapeHTML(classification);
+    return `<span class="ingredient-badge ingredient-badge-${escaped}" title="${escaped}">${badgeEmoji}</span> `;
+}
+
+/**
+ * Render the "92% match" indicator for a result card
+ * @param {number} score - Match percentage (0-100)
+ */
+function renderMatchScore(score) {
+    const level = score === 100 ? 'full' : score >= 50 ? 'high' : 'low';
+    const label = escapeHTML(t('results.matchScore', { score }));
+
+    return `
+            <div class="match-score match-score-${level}">
+                <meter class="match-score-meter" min="0" max="100" low="50" high="99" optimum="100" value="${score}" aria-label="${label}">${score}%</meter>
+                <span class="match-score-text">${label}</span>
+            </div>`;
+}
+
 /**
  * Go back to questions view
  */
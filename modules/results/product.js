@@ -0,0 +1,261 @@
+// ===================================
+// Product Detail
+// ===================================
+// A page per sunscreen, addressed by ?product=<id>, so a single product can be
+// linked to directly. Shows every attribute, the classified ingredients, how the
+// product fares against the current answers and other products from the brand.
+
+import { generateShareURL, renderIngredientList, renderIngredientSummary } from './display.js';
+import { shareWhatsApp, shareFacebook, shareTwitter, copyLink } from './share.js';
+import { isMultiSelect, isActiveSelection, matchesSelection } from '../quiz/filters.js';
+import { getQuestionKeys, getOptionLabel } from '../quiz/questions.js';
+import { PRODUCT_PARAM } from '../url-params.js';
+
+let appState;
+let elements;
+let questionMetadata;
+let t;
+let escapeHTML;
+let sanitizeURL;
+let showView;
+let announceToScreenReader;
+
+// View to return to when leaving the product
+let returnView = 'welcome';
+
+/**
+ * Initialize product module with dependencies
+ */
+export function initProduct(deps) {
+    appState = deps.appState;
+    elements = deps.elements;
+    questionMetadata = deps.questionMetadata;
+    t = deps.t;
+    escapeHTML = deps.escapeHTML;
+    sanitizeURL = deps.sanitizeURL;
+    showView = deps.showView;
+    announceToScreenReader = deps.announceToScreenReader;
+}
+
+/**
+ * Build the shareable URL of a product (the current answers plus product=<id>)
+ * @param {number} id - Product id
+ * @returns {string} Product URL
+ */
+export function generateProductURL(id) {
+    const url = new URL(generateShareURL());
+    url.searchParams.set(PRODUCT_PARAM, String(id));
+    return url.toString();
+}
+
+/**
+ * Check a product against every answered question
+ * Multi-select answers are checked one value at a time
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {Object} selections - Current selections
+ * @param {Object} metadata - Question metadata
+ * @returns {Array<{questionKey: string, value: string, matched: boolean}>} One entry per active answer, in question order
+ */
+export function getProductMatches(sunscreen, selections, metadata) {
+    const matches = [];
+
+    getQuestionKeys().forEach(questionKey => {
+        const selection = selections[questionKey];
+        if (!isActiveSelection(questionKey, selection, metadata)) return;
+
+        if (isMultiSelect(questionKey, metadata)) {
+            selection.forEach(value => {
+                matches.push({ questionKey, value, matched: matchesSelection(sunscreen, questionKey, [value], metadata) });
+            });
+        } else {
+            matches.push({ questionKey, value: selection, matched: matchesSelection(sunscreen, questionKey, selection, metadata) });
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Find the other products of a product's brand
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array} Same-brand products, by name
+ */
+export function findSameBrand(sunscreen, sunscreens) {
+    const brand = String(sunscreen.brand || '').toLowerCase();
+
+    return sunscreens
+        .filter(other => other.id !== sunscreen.id && String(other.brand || '').toLowerCase() === brand)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Show a product's detail view
+ * @param {number} id - Product id
+ * @returns {boolean} False if there is no such product
+ */
+export function showProduct(id) {
+    const sunscreen = appState.sunscreens.find(s => s.id === id);
+    if (!sunscreen) return false;
+
+    if (appState.currentView !== 'product') {
+        returnView = appState.currentView;
+    }
+
+    history.pushState({}, '', generateProductURL(id));
+
+    elements.productContainer.innerHTML = renderProduct(sunscreen);
+    attachProductListeners(sunscreen);
+    showView('product');
+
+    announceToScreenReader(t('product.announce', { name: sunscreen.name }));
+    return true;
+}
+
+/**
+ * Leave the product for the view it was opened from
+ */
+export function closeProduct() {
+    showView(returnView === 'product' ? 'welcome' : returnView);
+}
+
+/**
+ * Attach the product view's event listeners (safer than inline onclick)
+ * @param {Object} sunscreen - Product shown
+ */
+function attachProductListeners(sunscreen) {
+    const target = {
+        url: generateProductURL(sunscreen.id),
+        message: t('product.shareMessage', { name: sunscreen.name, brand: sunscreen.brand }),
+        confirmation: elements.productContainer.querySelector('.product-copy-confirmation')
+    };
+    const share = { whatsapp: shareWhatsApp, facebook: shareFacebook, twitter: shareTwitter, copy: copyLink };
+
+    elements.productContainer.querySelectorAll('[data-share]').forEach(button => {
+        button.addEventListener('click', () => share[button.dataset.share](target));
+    });
+
+    elements.productContainer.querySelectorAll('.product-detail-link').forEach(link => {
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            showProduct(Number(link.dataset.productId));
+        });
+    });
+}
+
+/**
+ * Render a yes/no value
+ */
+function yesNo(value) {
+    return escapeHTML(t(value ? 'compare.yes' : 'compare.no'));
+}
+
+/**
+ * Render a list of values
+ */
+function list(values) {
+    return Array.isArray(values) && values.length > 0
+        ? values.map(v => escapeHTML(v)).join(', ')
+        : '—';
+}
+
+/**
+ * Render the whole product page
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {string} Product HTML
+ */
+function renderProduct(sunscreen) {
+    const safeURL = sanitizeURL(sunscreen.url);
+
+    const attributes = [
+        ['spf', `SPF ${escapeHTML(sunscreen.spf || '')}`],
+        ['formFactors', list(sunscreen.formFactors)],
+        ['skinTypes', list(sunscreen.skinTypes)],
+        ['filterType', escapeHTML(sunscreen.filterType || '—')],
+        ['fragranceFree', yesNo(sunscreen.isFragranceFree)],
+        ['waterResistant', yesNo(sunscreen.waterResistant)],
+        ['forKids', yesNo(sunscreen.forKids)],
+        ['availableIn', list(sunscreen.availableIn)],
+        ['specialFeatures', list(sunscreen.specialFeatures)],
+        ['price', escapeHTML(sunscreen.price || '—')]
+    ];
+
+    return `
+        <article class="product-detail" aria-labelledby="product-name">
+            <h3 id="product-name">${escapeHTML(sunscreen.name)}</h3>
+            <p class="brand">${escapeHTML(sunscreen.brand)}</p>
+
+            <dl class="product-attributes">
+                ${attributes.map(([key, value]) => `
+                <div class="product-attribute">
+                    <dt>${escapeHTML(t(`product.attributes.${key}`))}</dt>
+                    <dd>${value}</dd>
+                </div>`).join('')}
+            </dl>
+
+            ${safeURL ? `<a href="${safeURL}" target="_blank" rel="noopener noreferrer" class="product-link">${escapeHTML(t('product.learnMore'))}</a>` : ''}
+
+            ${renderMatches(sunscreen)}
+
+            ${sunscreen.ingredients ? `
+            <section class="product-section">
+                <h4>${escapeHTML(t('product.ingredients'))}</h4>
+                ${renderIngredientSummary(sunscreen)}
+                <p class="ingredients-list">${renderIngredientList(sunscreen)}</p>
+            </section>` : ''}
+
+            ${renderSameBrand(sunscreen)}
+
+            <section class="product-section share-section">
+                <h4>${escapeHTML(t('product.share'))}</h4>
+                <div class="share-buttons">
+                    <button type="button" class="btn btn-share btn-whatsapp" data-share="whatsapp"><span class="share-icon">💬</span> ${escapeHTML(t('share.buttons.whatsapp'))}</button>
+                    <button type="button" class="btn btn-share btn-facebook" data-share="facebook"><span class="share-icon">📘</span> ${escapeHTML(t('share.buttons.facebook'))}</button>
+                    <button type="button" class="btn btn-share btn-twitter" data-share="twitter"><span class="share-icon">🐦</span> ${escapeHTML(t('share.buttons.twitter'))}</button>
+                    <button type="button" class="btn btn-share btn-copy" data-share="copy"><span class="share-icon">🔗</span> ${escapeHTML(t('share.buttons.copy'))}</button>
+                </div>
+                <p class="copy-confirmation product-copy-confirmation" role="status" aria-live="polite"></p>
+            </section>
+        </article>
+    `;
+}
+
+/**
+ * Render how the product fares against the current answers
+ * @param {Object} sunscreen - Sunscreen product
+ */
+function renderMatches(sunscreen) {
+    const matches = getProductMatches(sunscreen, appState.selections, questionMetadata);
+    if (matches.length === 0) return '';
+
+    return `
+            <section class="product-section">
+                <h4>${escapeHTML(t('product.matches'))}</h4>
+                <ul class="product-matches">
+                    ${matches.map(({ questionKey, value, matched }) => `
+                    <li class="product-match ${matched ? 'product-match-yes' : 'product-match-no'}">
+                        <span aria-hidden="true">${matched ? '✓' : '✗'}</span>
+                        ${escapeHTML(t(`questionLabels.${questionKey}`))}: ${escapeHTML(getOptionLabel(questionKey, value))}
+                        <span class="sr-only">${escapeHTML(t(matched ? 'product.matched' : 'product.notMatched'))}</span>
+                    </li>`).join('')}
+                </ul>
+            </section>`;
+}
+
+/**
+ * Render links to the other products of the brand
+ * @param {Object} sunscreen - Sunscreen product
+ */
+function renderSameBrand(sunscreen) {
+    const others = findSameBrand(sunscreen, appState.sunscreens);
+    if (others.length === 0) return '';
+
+    return `
+            <section class="product-section">
+                <h4>${escapeHTML(t('product.sameBrand', { brand: sunscreen.brand }))}</h4>
+                <ul class="product-same-brand">
+                    ${others.map(other => `
+                    <li><a href="?${PRODUCT_PARAM}=${other.id}" class="product-detail-link" data-product-id="${other.id}">${escapeHTML(other.name)}</a> <span class="product-same-brand-spf">SPF ${escapeHTML(other.spf || '')}</span></li>`).join('')}
+                </ul>
+            </section>`;
+}
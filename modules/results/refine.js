@@ -0,0 +1,166 @@
+// ===================================
+// Results Refinement
+// ===================================
+// Sorting and facet chips for the results toolbar, so users can reorder and
+// narrow the results without going back through the quiz. Facet counts are
+// worked out from the products currently shown. Ingredient filters narrow the
+// results on the per-product ingredient summary (see ingredients/summary.js).
+
+import { getNoPreferenceValue, isMultiSelect, isActiveSelection, matchesSelection } from '../quiz/filters.js';
+import { getQuestionKeys, getOptions } from '../quiz/questions.js';
+import { compareSPF } from '../quiz/spf.js';
+import { getIngredientSummary } from '../ingredients/summary.js';
+
+// Sort orders offered in the toolbar (the first is the default)
+export const SORT_OPTIONS = ['match', 'brand', 'spf', 'superstars', 'icky', 'uvFilters'];
+
+// An icky ingredient this high in the label is a large share of the formula
+export const ICKY_NEAR_TOP = 5;
+
+// Ingredient filters offered in the toolbar, checked against the ingredient summary
+export const INGREDIENT_FILTERS = {
+    hasSuperstar: summary => summary.superstar > 0,
+    noIckyNearTop: summary => summary.firstIckyPosition === null || summary.firstIckyPosition > ICKY_NEAR_TOP,
+    noFragrance: summary => !summary.fragrance,
+    noAlcoholDenat: summary => !summary.alcoholDenat
+};
+
+/**
+ * Count a product's ingredients with a given classification
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {string} classification - Classification (e.g. 'superstar', 'icky')
+ * @returns {number} Number of classified ingredients
+ */
+export function countClassified(sunscreen, classification) {
+    return getIngredientSummary(sunscreen)[classification] || 0;
+}
+
+/**
+ * Label position of a product's first icky ingredient, for sorting
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {number} 1-based position (Infinity if there is none)
+ */
+function getFirstIckyPosition(sunscreen) {
+    return getIngredientSummary(sunscreen).firstIckyPosition ?? Infinity;
+}
+
+// Comparators for each sort order; ties keep the match ranking
+const SORT_COMPARATORS = {
+    brand: (a, b) => a.brand.localeCompare(b.brand) || a.name.localeCompare(b.name),
+    spf: (a, b) => {
+        const order = compareSPF(b.spf, a.spf);
+        return Number.isNaN(order) ? 0 : order;
+    },
+    superstars: (a, b) => countClassified(b, 'superstar') - countClassified(a, 'superstar'),
+    icky: (a, b) => countClassified(a, 'icky') - countClassified(b, 'icky')
+        || getFirstIckyPosition(b) - getFirstIckyPosition(a) || 0,
+    uvFilters: (a, b) => getIngredientSummary(b).uvFilters - getIngredientSummary(a).uvFilters
+};
+
+/**
+ * Sort ranked results
+ * @param {Array<{sunscreen: Object, score: number}>} ranked - Results in match order
+ * @param {string} sortKey - One of SORT_OPTIONS
+ * @returns {Array<{sunscreen: Object, score: number}>} New, sorted array (match order for unknown keys)
+ */
+export function sortResults(ranked, sortKey) {
+    const comparator = SORT_COMPARATORS[sortKey];
+    if (!comparator) return ranked.slice();
+
+    // Array.prototype.sort is stable, so equal products stay in match order
+    return ranked.slice().sort((a, b) => comparator(a.sunscreen, b.sunscreen));
+}
+
+/**
+ * Build the facet chips for every question
+ * Each chip counts the shown products matching that answer; answers no shown product
+ * matches are left out unless selected, and catalog options only appear once selected
+ * @param {Array} products - Products currently shown
+ * @param {Object} selections - Current selections
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<{questionKey: string, values: Array<{value: string, option: Object, count: number, active: boolean}>}>} Facets in question order
+ */
+export function buildFacets(products, selections, questionMetadata) {
+    return getQuestionKeys()
+        .map(questionKey => {
+            const noPreference = getNoPreferenceValue(questionKey, questionMetadata);
+            const multiSelect = isMultiSelect(questionKey, questionMetadata);
+
+            const values = getOptions(questionKey)
+                .filter(option => option.value !== noPreference && option.value !== 'any')
+                .map(option => {
+                    const active = isFacetActive(selections[questionKey], option.value);
+                    const answer = multiSelect ? [option.value] : option.value;
+                    const count = products.filter(sunscreen =>
+                        matchesSelection(sunscreen, questionKey, answer, questionMetadata)
+                    ).length;
+
+                    return { value: option.value, option, count, active };
+                })
+                .filter(facet => facet.active || (facet.count > 0 && !facet.option.catalog));
+
+            return { questionKey, values };
+        })
+        .filter(facet => facet.values.length > 0);
+}
+
+/**
+ * Check whether a facet value is part of the current answer
+ * @param {*} selection - Current answer
+ * @param {string} value - Facet value
+ */
+function isFacetActive(selection, value) {
+    return Array.isArray(selection) ? selection.includes(value) : selection === value;
+}
+
+/**
+ * Work out the answer after clicking a facet chip
+ * Multi-select questions toggle the value; single-answer questions switch to it,
+ * or back to "no preference" when the chip was already selected
+ * @param {string} questionKey - Question key
+ * @param {*} selection - Current answer
+ * @param {string} value - Clicked facet value
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {*} New answer
+ */
+export function toggleFacetValue(questionKey, selection, value, questionMetadata) {
+    if (isMultiSelect(questionKey, questionMetadata)) {
+        const values = Array.isArray(selection) ? selection : [];
+        return values.includes(value)
+            ? values.filter(existing => existing !== value)
+            : [...values, value];
+    }
+
+    return isActiveSelection(questionKey, selection, questionMetadata) && selection === value
+        ? getNoPreferenceValue(questionKey, questionMetadata)
+        : value;
+}
+
+/**
+ * Check a product against the selected ingredient filters
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {Array<string>} filterKeys - Selected INGREDIENT_FILTERS keys (unknown keys are ignored)
+ * @returns {boolean} True if the product passes every filter
+ */
+export function matchesIngredientFilters(sunscreen, filterKeys) {
+    const summary = getIngredientSummary(sunscreen);
+    return filterKeys
+        .filter(key => INGREDIENT_FILTERS[key])
+        .every(key => INGREDIENT_FILTERS[key](summary));
+}
+
+/**
+ * Build the ingredient filter chips
+ * Each chip counts the products that would be shown with it toggled on, on top of
+ * the other selected filters
+ * @param {Array} products - Products before ingredient filtering
+ * @param {Array<string>} selected - Selected filter keys
+ * @returns {Array<{key: string, count: number, active: boolean}>} Chips in INGREDIENT_FILTERS order
+ */
+export function buildIngredientFilters(products, selected) {
+    return Object.keys(INGREDIENT_FILTERS).map(key => {
+        const keys = selected.includes(key) ? selected : [...selected, key];
+        const count = products.filter(sunscreen => matchesIngredientFilters(sunscreen, keys)).length;
+        return { key, count, active: selected.includes(key) };
+    });
+}
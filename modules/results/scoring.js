@@ -0,0 +1,63 @@
+// ===================================
+// Match Scoring
+// ===================================
+// Ranks sunscreens by how well they match the current selections.
+// Questions marked `hard` in questions-metadata.yaml exclude products outright;
+// every other answered question contributes its `weight` to the score.
+
+import { isActiveSelection, selectionMatchRatio } from '../quiz/filters.js';
+
+// Weight used for soft questions that don't declare one
+const DEFAULT_WEIGHT = 1;
+
+/**
+ * Score a sunscreen against a set of selections
+ * @param {Object} sunscreen - Sunscreen product
+ * @param {Object} selections - Current selections
+ * @param {Object} questionMetadata - Question metadata (weights and hard constraints)
+ * @returns {number|null} Match percentage (0-100), or null if a hard constraint fails
+ */
+export function scoreSunscreen(sunscreen, selections, questionMetadata) {
+    let earned = 0;
+    let possible = 0;
+
+    for (const [questionKey, value] of Object.entries(selections)) {
+        if (!isActiveSelection(questionKey, value, questionMetadata)) continue;
+
+        const metadata = questionMetadata[questionKey] || {};
+        const ratio = selectionMatchRatio(sunscreen, questionKey, value, questionMetadata);
+
+        if (metadata.hard) {
+            if (ratio < 1) return null;
+            continue;
+        }
+
+        const weight = typeof metadata.weight === 'number' ? metadata.weight : DEFAULT_WEIGHT;
+        possible += weight;
+        earned += weight * ratio;
+    }
+
+    // Nothing soft was asked for - every remaining product is a full match
+    if (possible === 0) return 100;
+
+    // Round down so only exact matches ever reach 100%
+    return Math.floor((earned / possible) * 100);
+}
+
+/**
+ * Rank sunscreens by match score (highest first)
+ * Products failing a hard constraint or matching none of the soft preferences are left out
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {Object} selections - Current selections
+ * @param {Object} questionMetadata - Question metadata
+ * @returns {Array<{sunscreen: Object, score: number}>} Ranked products
+ */
+export function rankSunscreens(sunscreens, selections, questionMetadata) {
+    return sunscreens
+        .map(sunscreen => ({
+            sunscreen,
+            score: scoreSunscreen(sunscreen, selections, questionMetadata)
+        }))
+        .filter(entry => entry.score !== null && entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.sunscreen.id - b.sunscreen.id);
+}
@@ -3,6 +3,7 @@
 // ===================================
 
 import { generateShareURL } from './display.js';
+import { getShareCriteria } from '../quiz/questions.js';
 
 let appState;
 let appConfig;
@@ -25,32 +26,8 @@ export function initShare(deps) {
  * Generate share message based on selections
  */
 function generateShareMessage() {
-    const criteria = [];
-
-    // Add skin type
-    if (appState.selections.skinType && appState.selections.skinType !== 'all') {
-        criteria.push(`${appState.selections.skinType} skin`);
-    }
-
-    // Add fragrance-free
-    if (appState.selections.fragranceFree === 'true') {
-        criteria.push('fragrance-free');
-    }
-
-    // Add kids
-    if (appState.selections.forKids === 'true') {
-        criteria.push('kids');
-    }
-
-    // Add form factor
-    if (appState.selections.formFactor && appState.selections.formFactor !== 'any') {
-        criteria.push(appState.selections.formFactor);
-    }
-
-    // Add water resistant
-    if (appState.selections.waterResistant === 'true') {
-        criteria.push('water-resistant');
-    }
+    // Share texts come from the answer options in questions-metadata.yaml
+    const criteria = getShareCriteria(appState.selections);
 
     const count = appState.filteredResults.length;
 
@@ -62,12 +39,24 @@ function generateShareMessage() {
     }
 }
 
+/**
+ * Get what the results view shares: the current answers and their share message
+ * @returns {{url: string, message: string, confirmation: HTMLElement}} Share target
+ */
+function getResultsShareTarget() {
+    return {
+        url: generateShareURL(),
+        message: generateShareMessage(),
+        confirmation: elements.copyConfirmation
+    };
+}
+
 /**
  * Share via WhatsApp
+ * @param {Object} [target] - What to share ({ url, message }), the results by default
  */
-export function shareWhatsApp() {
-    const message = generateShareMessage();
-    const url = generateShareURL();
+export function shareWhatsApp(target = getResultsShareTarget()) {
+    const { message, url } = target;
 
     // Add extra line break and make sure URL is clean for WhatsApp to detect
     const fullText = `${message}\n\nCheck it out: ${url}`;
@@ -83,41 +72,43 @@ export function shareWhatsApp() {
 
 /**
  * Share via Facebook
+ * @param {Object} [target] - What to share ({ url }), the results by default
  */
-export function shareFacebook() {
-    const url = generateShareURL();
+export function shareFacebook(target = getResultsShareTarget()) {
+    const { url } = target;
     const facebookURL = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`;
     window.open(facebookURL, '_blank', `width=${appConfig.sharePopup.width},height=${appConfig.sharePopup.height}`);
 }
 
 /**
  * Share via Twitter
+ * @param {Object} [target] - What to share ({ url, message }), the results by default
  */
-export function shareTwitter() {
-    const message = generateShareMessage();
-    const url = generateShareURL();
+export function shareTwitter(target = getResultsShareTarget()) {
+    const { message, url } = target;
     const twitterURL = `https://twitter.com/intent/tweet?text=${encodeURIComponent(message)}&url=${encodeURIComponent(url)}`;
     window.open(twitterURL, '_blank', `width=${appConfig.sharePopup.width},height=${appConfig.sharePopup.height}`);
 }
 
 /**
  * Copy link to clipboard
+ * @param {Object} [target] - What to share ({ url, confirmation }), the results by default
  */
-export async function copyLink() {
-    const url = generateShareURL();
+export async function copyLink(target = getResultsShareTarget()) {
+    const { url, confirmation } = target;
 
     try {
         if (navigator.clipboard && navigator.clipboard.writeText) {
             await navigator.clipboard.writeText(url);
-            showCopyConfirmation(t('share.copyConfirmation'));
+            showCopyConfirmation(confirmation, t('share.copyConfirmation'));
         } else {
             // Fallback for browsers without clipboard API
             fallbackCopyToClipboard(url);
-            showCopyConfirmation(t('share.copyConfirmation'));
+            showCopyConfirmation(confirmation, t('share.copyConfirmation'));
         }
     } catch (error) {
         console.error('Copy failed:', error);
-        showCopyConfirmation(t('share.copyFailed'));
+        showCopyConfirmation(confirmation, t('share.copyFailed'));
     }
 }
 
@@ -144,12 +135,14 @@ function fallbackCopyToClipboard(text) {
 
 /**
  * Show copy confirmation message
+ * @param {HTMLElement} confirmation - Element showing the message
+ * @param {string} message - Message
  */
-function showCopyConfirmation(message) {
-    elements.copyConfirmation.textContent = message;
+function showCopyConfirmation(confirmation, message) {
+    confirmation.textContent = message;
     announceToScreenReader(message);
 
     setTimeout(() => {
-        elements.copyConfirmation.textContent = '';
+        confirmation.textContent = '';
     }, 3000);
 }
@@ -0,0 +1,190 @@
+// ===================================
+// Shortlist
+// ===================================
+// Products the user hearts are kept in localStorage (like preferredLanguage),
+// keyed by product id, so they survive leaving the results and later visits.
+// This module has no imports: main.js reads the saved list on page load to
+// show the header count without loading the quiz.
+
+// localStorage key holding the saved product ids (JSON array)
+export const SHORTLIST_STORAGE_KEY = 'shortlist';
+
+let appState;
+let elements;
+let t;
+let escapeHTML;
+let showView;
+let announceToScreenReader;
+let renderResultCard;
+
+// View to return to when leaving the shortlist
+let returnView = 'welcome';
+
+/**
+ * Initialize shortlist module with dependencies
+ */
+export function initShortlist(deps) {
+    appState = deps.appState;
+    elements = deps.elements;
+    t = deps.t;
+    escapeHTML = deps.escapeHTML;
+    showView = deps.showView;
+    announceToScreenReader = deps.announceToScreenReader;
+    renderResultCard = deps.renderResultCard;
+
+    if (!Array.isArray(appState.shortlist)) {
+        appState.shortlist = loadShortlist();
+    }
+}
+
+/**
+ * Read the saved product ids
+ * Storage that is unavailable or holds anything but a list of ids reads as an empty shortlist
+ * @returns {Array<number>} Saved product ids, oldest first
+ */
+export function loadShortlist() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SHORTLIST_STORAGE_KEY));
+        if (!Array.isArray(saved)) return [];
+        return saved.filter((id, index) => Number.isInteger(id) && saved.indexOf(id) === index);
+    } catch (error) {
+        console.warn('Could not read the saved shortlist:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the shortlist
+ * @param {Array<number>} ids - Product ids
+ */
+export function saveShortlist(ids) {
+    try {
+        localStorage.setItem(SHORTLIST_STORAGE_KEY, JSON.stringify(ids));
+    } catch (error) {
+        // Private browsing or a full quota - the shortlist still works for this visit
+        console.warn('Could not save the shortlist:', error);
+    }
+}
+
+/**
+ * Split saved ids into products still in the catalog and ids that no longer exist
+ * @param {Array<number>} ids - Saved product ids
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {{products: Array, missing: Array<number>}} Saved products in saved order, and unknown ids
+ */
+export function resolveShortlist(ids, sunscreens) {
+    const byId = new Map(sunscreens.map(sunscreen => [sunscreen.id, sunscreen]));
+
+    return {
+        products: ids.filter(id => byId.has(id)).map(id => byId.get(id)),
+        missing: ids.filter(id => !byId.has(id))
+    };
+}
+
+/**
+ * Check whether a product is on the shortlist
+ * @param {number} id - Product id
+ */
+export function isShortlisted(id) {
+    return appState.shortlist.includes(id);
+}
+
+/**
+ * Render the heart toggle shown on a result card
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {string} Button HTML
+ */
+export function renderShortlistToggle(sunscreen) {
+    const saved = isShortlisted(sunscreen.id);
+    const label = t(saved ? 'shortlist.remove' : 'shortlist.add', { name: sunscreen.name });
+
+    return `<button type="button" class="shortlist-toggle${saved ? ' saved' : ''}" data-shortlist-id="${sunscreen.id}" aria-pressed="${saved}" aria-label="${escapeHTML(label)}" title="${escapeHTML(label)}">${saved ? '♥' : '♡'}</button>`;
+}
+
+/**
+ * Add a product to the shortlist, or remove it if it is already there
+ * @param {number} id - Product id
+ */
+export function toggleShortlist(id) {
+    const saved = isShortlisted(id);
+    appState.shortlist = saved
+        ? appState.shortlist.filter(existing => existing !== id)
+        : [...appState.shortlist, id];
+    saveShortlist(appState.shortlist);
+
+    // Every card of this product (results and shortlist) gets the new state
+    const sunscreen = appState.sunscreens.find(s => s.id === id);
+    document.querySelectorAll(`.shortlist-toggle[data-shortlist-id="${id}"]`).forEach(button => {
+        button.outerHTML = renderShortlistToggle(sunscreen || { id, name: '' });
+    });
+
+    updateShortlistCount();
+
+    if (appState.currentView === 'shortlist') {
+        renderShortlist();
+        const button = elements.shortlistContainer.querySelector('.shortlist-toggle');
+        (button || elements.shortlistContainer).focus();
+    } else {
+        const button = document.querySelector(`.view.active .shortlist-toggle[data-shortlist-id="${id}"]`);
+        if (button) button.focus();
+    }
+
+    announceToScreenReader(t(saved ? 'shortlist.removed' : 'shortlist.added', { name: sunscreen ? sunscreen.name : '' }));
+}
+
+/**
+ * Show the number of saved products on the header button
+ */
+export function updateShortlistCount() {
+    if (!elements.shortlistCount) return;
+    elements.shortlistCount.textContent = String(appState.shortlist.length);
+}
+
+/**
+ * Show the shortlist view
+ */
+export function showShortlist() {
+    if (appState.currentView !== 'shortlist') {
+        returnView = appState.currentView;
+    }
+
+    renderShortlist();
+    showView('shortlist');
+}
+
+/**
+ * Leave the shortlist for the view it was opened from
+ */
+export function closeShortlist() {
+    showView(returnView === 'shortlist' ? 'welcome' : returnView);
+}
+
+/**
+ * Render the saved products
+ * Ids no longer in sunscreens.yaml are dropped from storage with a notice
+ */
+function renderShortlist() {
+    const { products, missing } = resolveShortlist(appState.shortlist, appState.sunscreens);
+
+    if (missing.length > 0) {
+        appState.shortlist = products.map(sunscreen => sunscreen.id);
+        saveShortlist(appState.shortlist);
+        updateShortlistCount();
+    }
+
+    const notice = missing.length > 0
+        ? `<p class="shortlist-notice" role="status">${escapeHTML(t('shortlist.missing', { count: missing.length }))}</p>`
+        : '';
+
+    if (products.length === 0) {
+        elements.shortlistContainer.innerHTML = `
+            ${notice}
+            <p class="shortlist-empty">${escapeHTML(t('shortlist.empty'))}</p>
+        `;
+        return;
+    }
+
+    elements.shortlistContainer.innerHTML = notice + products
+        .map(sunscreen => renderResultCard(sunscreen, undefined, { compare: false }))
+        .join('');
+}
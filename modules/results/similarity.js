@@ -0,0 +1,140 @@
+// ===================================
+// Product Similarity
+// ===================================
+// Scores how alike two sunscreens are from their attributes and ingredients,
+// for the "You might also like" suggestions. The pairwise distance matrix is
+// computed once, right after the sunscreen data loads, and cached here.
+
+import { parseIngredients } from '../ingredients/parser.js';
+
+// How much each part of a product counts towards its similarity
+export const SIMILARITY_WEIGHTS = {
+    skinTypes: 1,
+    formFactors: 1.5,
+    specialFeatures: 1,
+    flags: 1,
+    ingredients: 2
+};
+
+// Boolean attributes compared as a group
+const FLAG_ATTRIBUTES = ['isFragranceFree', 'waterResistant', 'forKids'];
+
+// Cached matrix ({ ids, index, distances }), set by computeSimilarity
+let cache = null;
+
+/**
+ * Jaccard similarity of two collections (shared items / all items)
+ * Two empty collections count as identical
+ * @param {Iterable} a - First collection
+ * @param {Iterable} b - Second collection
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (same items)
+ */
+export function jaccard(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size === 0 && setB.size === 0) return 1;
+
+    let shared = 0;
+    setA.forEach(item => {
+        if (setB.has(item)) shared++;
+    });
+
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Get the parts of a product that similarity compares
+ * Ingredients are parsed to slugs so synonyms and spelling variants match
+ * @param {Object} sunscreen - Sunscreen product
+ * @returns {Object} Comparable profile
+ */
+function getProfile(sunscreen) {
+    return {
+        skinTypes: sunscreen.skinTypes || [],
+        formFactors: sunscreen.formFactors || [],
+        specialFeatures: sunscreen.specialFeatures || [],
+        flags: FLAG_ATTRIBUTES.map(attribute => Boolean(sunscreen[attribute])),
+        ingredients: new Set(parseIngredients(sunscreen.ingredients).map(ingredient => ingredient.slug))
+    };
+}
+
+/**
+ * Distance between two product profiles
+ * @param {Object} a - Profile from getProfile
+ * @param {Object} b - Profile from getProfile
+ * @returns {number} Weighted distance from 0 (alike) to 1 (nothing in common)
+ */
+function profileDistance(a, b) {
+    const matchingFlags = a.flags.filter((flag, index) => flag === b.flags[index]).length;
+    const similarities = {
+        skinTypes: jaccard(a.skinTypes, b.skinTypes),
+        formFactors: jaccard(a.formFactors, b.formFactors),
+        specialFeatures: jaccard(a.specialFeatures, b.specialFeatures),
+        flags: matchingFlags / a.flags.length,
+        ingredients: jaccard(a.ingredients, b.ingredients)
+    };
+
+    let total = 0;
+    let weights = 0;
+    Object.entries(SIMILARITY_WEIGHTS).forEach(([part, weight]) => {
+        total += weight * similarities[part];
+        weights += weight;
+    });
+
+    return 1 - total / weights;
+}
+
+/**
+ * Distance between two products
+ * @param {Object} a - Sunscreen product
+ * @param {Object} b - Sunscreen product
+ * @returns {number} Distance from 0 (alike) to 1 (nothing in common)
+ */
+export function productDistance(a, b) {
+    return profileDistance(getProfile(a), getProfile(b));
+}
+
+/**
+ * Compute and cache the distance between every pair of products
+ * Called once after the sunscreen data loads
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {Array<Array<number>>} Symmetric distance matrix, in catalog order
+ */
+export function computeSimilarity(sunscreens) {
+    const profiles = sunscreens.map(getProfile);
+    const distances = profiles.map(() => new Array(profiles.length).fill(0));
+
+    for (let i = 0; i < profiles.length; i++) {
+        for (let j = i + 1; j < profiles.length; j++) {
+            const distance = profileDistance(profiles[i], profiles[j]);
+            distances[i][j] = distance;
+            distances[j][i] = distance;
+        }
+    }
+
+    cache = {
+        ids: sunscreens.map(sunscreen => sunscreen.id),
+        index: new Map(sunscreens.map((sunscreen, position) => [sunscreen.id, position])),
+        distances
+    };
+    return distances;
+}
+
+/**
+ * Get the products most similar to one product, from the cached matrix
+ * @param {number} id - Product id
+ * @param {number} [count] - How many products to return
+ * @param {Function} [include] - Only consider ids this returns true for
+ * @returns {Array<{id: number, distance: number}>} Nearest products first (empty before computeSimilarity)
+ */
+export function getSimilarProducts(id, count = 3, include = () => true) {
+    if (!cache || !cache.index.has(id)) return [];
+
+    const row = cache.distances[cache.index.get(id)];
+
+    return cache.ids
+        .map((otherId, position) => ({ id: otherId, distance: row[position] }))
+        .filter(entry => entry.id !== id && include(entry.id))
+        .sort((a, b) => a.distance - b.distance || a.id - b.id)
+        .slice(0, count);
+}
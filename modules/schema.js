@@ -0,0 +1,174 @@
+// ===================================
+// Schema Validation
+// ===================================
+// A small JSON Schema validator for the data files, shared by the app (data-loader.js)
+// and validate-data.js so both apply the same rules. The schemas live in data/schemas/.
+// Only the keywords those schemas use are supported: $ref (to #/$defs/...), type, enum,
+// required, properties, additionalProperties, minProperties, items, minItems,
+// uniqueItems, minLength, pattern, minimum, exclusiveMinimum and maximum.
+
+/**
+ * Append a key or index to a data path
+ * @param {string} path - Path so far ('' for the root)
+ * @param {string|number} key - Property name or array index
+ * @returns {string} e.g. sunscreens[12].formFactors or ingredientClassifications["ALCOHOL DENAT."]
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - Any value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'object', 'string' or 'boolean'
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema "type" (an integer is also a number)
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Allowed type(s)
+ */
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Describe allowed types for an error message, e.g. "a string or an integer"
+ * @param {string|Array<string>} type - Allowed type(s)
+ */
+function describeType(type) {
+    return [].concat(type)
+        .map(name => `${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name}`)
+        .join(' or ');
+}
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Value
+ */
+function describeValue(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Resolve a local $ref ("#/$defs/name")
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ * @throws {Error} If the reference doesn't point into the root schema
+ */
+function resolveRef(root, ref) {
+    const target = ref.startsWith('#/')
+        ? ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root)
+        : undefined;
+
+    if (!target) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return target;
+}
+
+/**
+ * Validate a value against a (sub)schema, collecting errors
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema for this value
+ * @param {string} path - Data path of the value
+ * @param {Object} root - Root schema (for $ref)
+ * @param {Array<string>} errors - Errors found so far
+ */
+function check(value, schema, path, root, errors) {
+    if (schema.$ref) {
+        check(value, resolveRef(root, schema.$ref), path, root, errors);
+        return;
+    }
+
+    const fail = message => errors.push(path ? `${path}: ${message}` : message);
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be ${describeType(schema.type)}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`unknown value ${describeValue(value)} (allowed: ${schema.enum.join(', ')})`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`${describeValue(value)} does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        value.forEach((item, index) => {
+            if (schema.uniqueItems && value.indexOf(item) !== index) {
+                errors.push(`${joinPath(path, index)}: duplicate value ${describeValue(item)}`);
+            } else if (schema.items) {
+                check(item, schema.items, joinPath(path, index), root, errors);
+            }
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || [])
+            .filter(key => !(key in value))
+            .forEach(key => fail(`missing required field "${key}"`));
+
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(schema.minProperties === 1 ? 'must not be empty' : `must have at least ${schema.minProperties} entries`);
+        }
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (key in properties) {
+                check(child, properties[key], joinPath(path, key), root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${joinPath(path, key)}: unknown field`);
+            } else if (schema.additionalProperties) {
+                check(child, schema.additionalProperties, joinPath(path, key), root, errors);
+            }
+        });
+    }
+}
+
+/**
+ * Validate data against a JSON Schema
+ * @param {*} data - Parsed data (e.g. a YAML file)
+ * @param {Object} schema - Root schema
+ * @returns {Array<string>} Errors with the path of the offending value, e.g.
+ *   'sunscreens[12].formFactors[0]: unknown value "mousse" (allowed: ...)' (empty if valid)
+ */
+export function validateSchema(data, schema) {
+    const errors = [];
+    check(data, schema, '', schema, errors);
+    return errors;
+}
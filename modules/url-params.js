@@ -2,6 +2,12 @@
 // URL Parameter Handling
 // ===================================
 
+import { isMultiSelect } from './quiz/filters.js';
+import { getQuestionKeys, getURLParam } from './quiz/questions.js';
+
+// URL parameter addressing a single product's detail view (?product=<id>)
+export const PRODUCT_PARAM = 'product';
+
 let appState;
 let appConfig;
 let validateURLParam;
@@ -15,74 +21,66 @@ export function initURLParams(deps) {
     validateURLParam = deps.validateURLParam;
 }
 
+/**
+ * Parse the product URL parameter
+ * @param {string} value - Parameter value (a product id)
+ * @param {Array} sunscreens - Sunscreen products
+ * @returns {number|null} Id of an existing product, or null
+ */
+export function parseProductParam(value, sunscreens) {
+    if (value === null || value === undefined || !/^\d+$/.test(String(value).trim())) return null;
+
+    const id = Number(value);
+    return sunscreens.some(sunscreen => sunscreen.id === id) ? id : null;
+}
+
 /**
  * Check and apply URL parameters to selections
+ * A valid ?product=<id> opens that product's detail view (after the results, if answers were shared too)
  * @param {Function} showResults - Callback to show results
+ * @param {Function} [showProduct] - Callback to show a product's detail view
+ * @returns {boolean} True if any quiz answers or a product were found in the URL
  */
-export function checkURLParameters(showResults) {
+export function checkURLParameters(showResults, showProduct) {
     try {
         const params = new URLSearchParams(window.location.search);
         let hasParams = false;
 
-        // Validate and sanitize URL parameters
-        if (params.has('location')) {
-            const value = validateURLParam('location', params.get('location'));
-            if (value) {
-                appState.selections.location = value;
-                selectRadioByValue('location', value);
-                hasParams = true;
-            }
-        }
-        if (params.has('skin')) {
-            const value = validateURLParam('skin', params.get('skin'));
-            if (value) {
-                appState.selections.skinType = value;
-                selectRadioByValue('skinType', value);
-                hasParams = true;
-            }
-        }
-        if (params.has('fragrance')) {
-            const value = validateURLParam('fragrance', params.get('fragrance'));
-            if (value) {
-                appState.selections.fragranceFree = value;
-                selectRadioByValue('fragranceFree', value);
-                hasParams = true;
-            }
-        }
-        if (params.has('kids')) {
-            const value = validateURLParam('kids', params.get('kids'));
-            if (value) {
-                appState.selections.forKids = value;
-                selectRadioByValue('forKids', value);
-                hasParams = true;
-            }
-        }
-        if (params.has('form')) {
-            const value = validateURLParam('form', params.get('form'));
-            if (value) {
-                appState.selections.formFactor = value;
-                selectRadioByValue('formFactor', value);
-                hasParams = true;
-            }
-        }
-        if (params.has('water')) {
-            const value = validateURLParam('water', params.get('water'));
-            if (value) {
-                appState.selections.waterResistant = value;
-                selectRadioByValue('waterResistant', value);
-                hasParams = true;
+        // Validate and sanitize URL parameters, one per question
+        getQuestionKeys().forEach(questionKey => {
+            const param = getURLParam(questionKey);
+            if (!params.has(param)) return;
+
+            if (isMultiSelect(questionKey)) {
+                // Multi-select answers are comma-separated
+                const values = params.get(param).split(',').map(v => v.trim());
+                const validValues = values.filter(v => validateURLParam(param, v));
+                if (validValues.length > 0) {
+                    appState.selections[questionKey] = validValues;
+                    selectCheckboxesByValues(questionKey, validValues);
+                    hasParams = true;
+                }
+            } else {
+                const value = validateURLParam(param, params.get(param));
+                if (value) {
+                    appState.selections[questionKey] = value;
+                    selectRadioByValue(questionKey, value);
+                    hasParams = true;
+                }
             }
+        });
+
+        const productId = showProduct
+            ? parseProductParam(params.get(PRODUCT_PARAM), appState.sunscreens)
+            : null;
+        if (params.has(PRODUCT_PARAM) && productId === null) {
+            console.warn(`Invalid URL parameter: ${PRODUCT_PARAM}=${params.get(PRODUCT_PARAM)}`);
         }
-        if (params.has('features')) {
-            // Features can be comma-separated
-            const featuresParam = params.get('features');
-            const features = featuresParam.split(',').map(f => f.trim());
-            const validFeatures = features.filter(f => validateURLParam('features', f));
-            if (validFeatures.length > 0) {
-                appState.selections.specialFeatures = validFeatures;
-                selectCheckboxesByValues('specialFeatures', validFeatures);
-                hasParams = true;
-            }
+
+        // A shared product opens its detail view
+        if (productId !== null && !hasParams) {
+            setTimeout(() => showProduct(productId), 500);
+            return true;
         }
 
         // If any params exist, show results directly
@@ -101,12 +99,15 @@ export function checkURLParameters(showResults) {
             setTimeout(() => {
                 try {
                     showResults();
+                    if (productId !== null) showProduct(productId);
                 } catch (resultError) {
                     console.error('Error showing results:', resultError);
                     throw resultError; // Re-throw to be caught by outer try-catch
                 }
             }, 500);
         }
+
+        return hasParams;
     } catch (error) {
         console.error('Error processing URL parameters:', error);
         // Re-throw to let calling code handle it
@@ -6,15 +6,20 @@
 // reduce initial page load time.
 
 // Import modules
-import { filterSunscreens } from './modules/quiz/filters.js';
-import { updateSpecialFeaturesAvailability } from './modules/quiz/special-features.js';
-import { determineNextQuestion, shouldShowResults } from './modules/quiz/navigation.js';
-import { initResults, showResults, generateShareURL } from './modules/results/display.js';
+import { initFilters, filterSunscreens, getNoPreferenceValue, isMultiSelect } from './modules/quiz/filters.js';
+import { initQuestions, createEmptySelections, filterOptionList } from './modules/quiz/questions.js';
+import { initNavigation, determineNextQuestion, shouldShowResults } from './modules/quiz/navigation.js';
+import { initResults, showResults, generateShareURL, renderResultCard } from './modules/results/display.js';
+import { initCompare, parseCompareParam, toggleCompare, clearCompare, updateCompareControls, showComparison, MIN_COMPARE, COMPARE_PARAM } from './modules/results/compare.js';
+import { initShortlist, toggleShortlist, updateShortlistCount, showShortlist, closeShortlist } from './modules/results/shortlist.js';
+import { initProduct, showProduct, closeProduct } from './modules/results/product.js';
+import { initExplorer, showExplorer, closeExplorer } from './modules/ingredients/explorer.js';
 import { initShare, shareWhatsApp, shareFacebook, shareTwitter, copyLink } from './modules/results/share.js';
 import { initUIUpdates, updateProgress, updateNavigationButtons, updateRestartButtonVisibility, checkCurrentQuestionAnswered, updateLiveCount } from './modules/ui-updates.js';
 import { initDataLoader, loadQuizResources } from './modules/data-loader.js';
 import { initURLParams, checkURLParameters } from './modules/url-params.js';
-import { updateOptionAvailability, checkAndAutoSkip } from './modules/quiz/dynamic-options.js';
+import { updateOptionAvailability, describeOptionCounts, checkAndAutoSkip } from './modules/quiz/dynamic-options.js';
+import { initExplanations, recordAutoAnswer, recordSkippedQuestions, showAutoDecisionNotice, clearAutoDecisionNotice } from './modules/quiz/explanations.js';
 
 // ===================================
 // Shared state (passed from main script)
@@ -55,6 +60,21 @@ export function initQuiz(deps) {
     showView = deps.showView;
 
     // Initialize all modules with their dependencies
+    initFilters({
+        questionMetadata
+    });
+
+    initQuestions({
+        questionMetadata,
+        elements,
+        t,
+        escapeHTML
+    });
+
+    initNavigation({
+        appConfig
+    });
+
     initDataLoader({
         appState,
         appConfig,
@@ -78,6 +98,17 @@ export function initQuiz(deps) {
         t
     });
 
+    initExplanations({
+        appState,
+        appConfig,
+        questionMetadata,
+        elements,
+        t,
+        escapeHTML,
+        announceToScreenReader,
+        goToQuestion
+    });
+
     initResults({
         escapeHTML,
         sanitizeURL,
@@ -87,7 +118,49 @@ export function initQuiz(deps) {
         appState,
         questionMetadata,
         t,
-        updateRestartButtonVisibility
+        updateRestartButtonVisibility,
+        updateCompareControls
+    });
+
+    initCompare({
+        appState,
+        elements,
+        t,
+        escapeHTML,
+        showView,
+        announceToScreenReader
+    });
+
+    initShortlist({
+        appState,
+        elements,
+        t,
+        escapeHTML,
+        showView,
+        announceToScreenReader,
+        renderResultCard
+    });
+    updateShortlistCount();
+
+    initProduct({
+        appState,
+        elements,
+        questionMetadata,
+        t,
+        escapeHTML,
+        sanitizeURL,
+        showView,
+        announceToScreenReader
+    });
+
+    initExplorer({
+        appState,
+        elements,
+        t,
+        escapeHTML,
+        showView,
+        announceToScreenReader,
+        showProduct
     });
 
     initShare({
@@ -110,12 +183,37 @@ export function initQuiz(deps) {
 // ===================================
 export { loadQuizResources };
 export { generateShareURL, shareWhatsApp, shareFacebook, shareTwitter, copyLink };
+export { showComparison, showShortlist, closeShortlist, showProduct, closeProduct, showExplorer, closeExplorer };
 
 /**
  * Check URL parameters and show results if present
+ * A shared comparison (?compare=3,7) opens the comparison view instead
+ * @returns {boolean} True if the URL held quiz answers or a comparison
  */
 export function checkURLParametersAndShowResults() {
-    checkURLParameters(showResults);
+    const params = new URLSearchParams(window.location.search);
+    const compareIds = parseCompareParam(params.get(COMPARE_PARAM), appState.sunscreens);
+    const hasComparison = compareIds.length >= MIN_COMPARE;
+
+    if (hasComparison) {
+        appState.compareIds = compareIds;
+    }
+
+    const hasAnswers = checkURLParameters(hasComparison ? showResultsThenComparison : showResults, showProduct);
+
+    if (hasComparison && !hasAnswers) {
+        showResultsThenComparison();
+    }
+
+    return hasAnswers || hasComparison;
+}
+
+/**
+ * Render the results behind a shared comparison, so "Back to Results" has something to show
+ */
+function showResultsThenComparison() {
+    showResults();
+    showComparison();
 }
 
 // ===================================
@@ -152,34 +250,19 @@ export function nextQuestion() {
 
         // If not answered, auto-select the "no preference" option
         if (!answered) {
-            // Define "no preference" values for each question
-            const noPreferenceValues = {
-                location: 'Global',
-                skinType: 'all',
-                fragranceFree: 'any',
-                forKids: 'any',
-                formFactor: 'any',
-                waterResistant: 'any',
-                specialFeatures: []
-            };
-
-            const noPreferenceValue = noPreferenceValues[appState.currentQuestionKey];
-
-            if (noPreferenceValue !== undefined) {
-                // Auto-select the no preference option
-                if (appState.currentQuestionKey === 'specialFeatures') {
-                    // For checkboxes, just set empty array
-                    appState.selections.specialFeatures = [];
+            if (isMultiSelect(appState.currentQuestionKey, questionMetadata)) {
+                // For checkboxes, just set empty array
+                appState.selections[appState.currentQuestionKey] = [];
+                answered = true;
+            } else {
+                // For radio buttons, find and check the input
+                const noPreferenceValue = getNoPreferenceValue(appState.currentQuestionKey, questionMetadata);
+                const noPreferenceInput = currentQ.querySelector(`input[value="${noPreferenceValue}"]`);
+                if (noPreferenceInput) {
+                    noPreferenceInput.checked = true;
+                    // Trigger change event to update selections
+                    noPreferenceInput.dispatchEvent(new Event('change', { bubbles: true }));
                     answered = true;
-                } else {
-                    // For radio buttons, find and check the input
-                    const noPreferenceInput = currentQ.querySelector(`input[value="${noPreferenceValue}"]`);
-                    if (noPreferenceInput) {
-                        noPreferenceInput.checked = true;
-                        // Trigger change event to update selections
-                        noPreferenceInput.dispatchEvent(new Event('change', { bubbles: true }));
-                        answered = true;
-                    }
                 }
             }
         }
@@ -190,6 +273,9 @@ export function nextQuestion() {
         }
     }
 
+    // Note the questions this answer leaves nothing to decide on
+    const skipped = recordSkippedQuestions();
+
     // Check if we should show results (early termination)
     if (shouldShowResults(appState, questionMetadata)) {
         showResults();
@@ -205,6 +291,7 @@ export function nextQuestion() {
         updateQuestionDisplay();
         updateProgress();
         updateNavigationButtons();
+        showAutoDecisionNotice(skipped);
     } else {
         showResults();
     }
@@ -213,10 +300,12 @@ export function nextQuestion() {
 export function updateQuestionDisplay() {
     if (!appState.currentQuestionKey) {
         // Determine first question
+        const skipped = recordSkippedQuestions();
         const firstQuestion = determineNextQuestion(appState, questionMetadata);
         if (firstQuestion) {
             appState.currentQuestionKey = firstQuestion;
             appState.questionHistory = [firstQuestion];
+            showAutoDecisionNotice(skipped);
         }
     }
 
@@ -241,7 +330,15 @@ export function updateQuestionDisplay() {
             // Check if we should auto-skip this question (only one available option)
             // This happens after a slight delay so user can see what was auto-selected
             setTimeout(() => {
-                checkAndAutoSkip(appState, questionMetadata);
+                if (!checkAndAutoSkip(appState, questionMetadata)) return;
+
+                // Tell the user why the question flashed past
+                showAutoDecisionNotice([recordAutoAnswer(appState.currentQuestionKey)]);
+
+                // Radio answers advance through their change event; skipped multi-select questions don't have one
+                if (isMultiSelect(appState.currentQuestionKey, questionMetadata)) {
+                    autoAdvanceToNextQuestion();
+                }
             }, 300);
         }, 0);
     } else {
@@ -261,8 +358,11 @@ export function handleFormChange(event) {
     const value = event.target.value;
     const type = event.target.type;
 
-    // Handle checkboxes differently (for specialFeatures)
-    if (type === 'checkbox' && name === 'specialFeatures') {
+    // Only answer inputs have a name (search boxes don't)
+    if (!name) return;
+
+    // Handle checkboxes differently (multi-select questions such as specialFeatures)
+    if (type === 'checkbox') {
         // If this checkbox was just checked (not unchecked)
         // Check for mutually exclusive features (loaded from YAML)
         if (event.target.checked && mutuallyExclusiveFeatures[value]) {
@@ -279,20 +379,18 @@ export function handleFormChange(event) {
         const checkedBoxes = document.querySelectorAll(`input[name="${name}"]:checked`);
         const values = Array.from(checkedBoxes).map(cb => cb.value);
         appState.selections[name] = values;
-
-        // Update which features are available after this selection change
-        updateSpecialFeaturesAvailability(appState);
-
-        // Announce to screen reader
-        announceToScreenReader(`${values.length} special features selected`);
     } else {
         // Regular radio button handling
         appState.selections[name] = value;
-
-        // Announce to screen reader
-        announceToScreenReader(`Selected ${value}`);
     }
 
+    // Update which options are still available, and their product counts
+    updateOptionAvailability(appState, questionMetadata, t);
+
+    // Announce to screen reader
+    const selected = type === 'checkbox' ? `${appState.selections[name].length} options selected` : `Selected ${value}`;
+    announceToScreenReader([selected, describeOptionCounts(appState, questionMetadata, t)].filter(Boolean).join('. '));
+
     // Update progress
     updateProgress();
 
@@ -311,9 +409,50 @@ export function handleFormChange(event) {
     }
 }
 
+/**
+ * Handle changes inside the results (compare checkboxes on the result cards)
+ * @param {Event} event - Change event
+ */
+export function handleResultsChange(event) {
+    if (event.target.classList.contains('compare-checkbox')) {
+        toggleCompare(Number(event.target.dataset.compareId), event.target.checked);
+    }
+}
+
+/**
+ * Handle clicks inside result cards (shortlist hearts and product names)
+ * @param {Event} event - Click event
+ */
+export function handleResultsClick(event) {
+    const toggle = event.target.closest('.shortlist-toggle');
+    if (toggle) {
+        toggleShortlist(Number(toggle.dataset.shortlistId));
+        return;
+    }
+
+    const productLink = event.target.closest('.product-detail-link');
+    if (productLink) {
+        event.preventDefault();
+        showProduct(Number(productLink.dataset.productId));
+    }
+}
+
+/**
+ * Handle typing in the questions form (option search boxes)
+ * @param {Event} event - Input event
+ */
+export function handleFormInput(event) {
+    if (event.target.classList.contains('option-search')) {
+        filterOptionList(event.target);
+    }
+}
+
 function autoAdvanceToNextQuestion() {
     // Wait a moment so user sees their selection, then advance
     setTimeout(() => {
+        // Note the questions this answer leaves nothing to decide on
+        const skipped = recordSkippedQuestions();
+
         // Check if we should show results (early termination)
         if (shouldShowResults(appState, questionMetadata)) {
             showResults();
@@ -329,6 +468,7 @@ function autoAdvanceToNextQuestion() {
             updateQuestionDisplay();
             updateProgress();
             updateNavigationButtons();
+            showAutoDecisionNotice(skipped);
         } else {
             // No more questions - show results
             showResults();
@@ -344,16 +484,14 @@ export function restart() {
     // Reset state
     appState.currentQuestionKey = null;
     appState.questionHistory = [];
-    appState.selections = {
-        location: null,
-        skinType: null,
-        fragranceFree: null,
-        forKids: null,
-        formFactor: null,
-        waterResistant: null,
-        specialFeatures: null
-    };
+    appState.selections = createEmptySelections();
     appState.filteredResults = [];
+    appState.resultsSort = 'match';
+    appState.ingredientFilters = [];
+    appState.autoDecisions = [];
+    appState.declinedAutoDecisions = [];
+    clearAutoDecisionNotice();
+    clearCompare();
 
     // Clear form - reset all radio buttons and checkboxes
     elements.questionsForm.reset();
@@ -370,6 +508,9 @@ export function restart() {
         radio.checked = false;
     });
 
+    // Show every option again in searchable lists
+    elements.questionsForm.querySelectorAll('.option-search').forEach(filterOptionList);
+
     // Reset URL
     history.pushState({}, '', window.location.pathname);
 
@@ -390,6 +531,27 @@ export function restart() {
     announceToScreenReader('Quiz restarted');
 }
 
+/**
+ * Show a question again after its auto-decision was undone
+ * @param {string} questionKey - Question key
+ */
+function goToQuestion(questionKey) {
+    if (!appState.questionHistory.includes(questionKey)) {
+        appState.questionHistory.push(questionKey);
+    }
+    appState.currentQuestionKey = questionKey;
+
+    const questionElement = elements.questions[questionMetadata[questionKey].elementIndex];
+    if (questionElement) questionElement.removeAttribute('data-auto-selected');
+
+    showView('questions');
+    updateQuestionDisplay();
+    updateProgress();
+    updateNavigationButtons();
+    updateLiveCount();
+    checkCurrentQuestionAnswered();
+}
+
 /**
  * Go back to questions from results page
  */
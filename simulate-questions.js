@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Question Ordering Simulator
+ *
+ * Replays every possible answer path through the quiz over data/sunscreens.yaml
+ * with each question ordering strategy (config.algorithm.strategy), and reports
+ * how many questions each asks and how many products it leaves:
+ *   node simulate-questions.js
+ *
+ * Products get the attributes the app works out when it loads (UV filter type,
+ * ingredient tokens). Averages are weighed by the answerPriors in
+ * data/questions-metadata.yaml; worst cases cover every path.
+ *
+ * Options:
+ *   --strategy=NAME[,NAME]  Only simulate these strategies
+ *   --min-gain=N            Use N instead of config.algorithm.minDiscriminatingPower
+ *   --catalog-options       Offer every catalog ingredient on ingredient questions, as the
+ *                           app does (without it only their declared options are followed;
+ *                           with it the walk takes minutes)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { applyFilterTypes } from './modules/ingredients/uv-filters.js';
+import { applyIngredientTokens } from './modules/ingredients/parser.js';
+import { setGlobalClassifications, resolveClassifications } from './modules/ingredients/classifications.js';
+import { initQuestions, addCatalogOptions } from './modules/quiz/questions.js';
+import { STRATEGY_NAMES, DEFAULT_STRATEGY } from './modules/quiz/strategies.js';
+import { simulateStrategy } from './modules/quiz/simulation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+function readYAML(name) {
+    return yaml.load(fs.readFileSync(path.join(DATA_DIR, name), 'utf8'));
+}
+
+function getOption(name) {
+    const arg = process.argv.slice(2).find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+function main() {
+    const metadata = readYAML('questions-metadata.yaml');
+    setGlobalClassifications(readYAML('ingredients.yaml').ingredients || {});
+    const sunscreens = applyIngredientTokens(applyFilterTypes(readYAML('sunscreens.yaml').sunscreens), resolveClassifications);
+    if (process.argv.includes('--catalog-options')) {
+        initQuestions({ questionMetadata: metadata.questions });
+        addCatalogOptions(sunscreens);
+    }
+    const algorithm = (metadata.config && metadata.config.algorithm) || {};
+
+    const strategies = getOption('strategy') ? getOption('strategy').split(',') : STRATEGY_NAMES;
+    const unknown = strategies.filter(name => !STRATEGY_NAMES.includes(name));
+    if (unknown.length > 0) {
+        console.error(`Unknown strategy: ${unknown.join(', ')} (available: ${STRATEGY_NAMES.join(', ')})`);
+        process.exit(1);
+    }
+
+    const minGain = getOption('min-gain') !== undefined
+        ? Number(getOption('min-gain'))
+        : algorithm.minDiscriminatingPower ?? 0;
+    if (!Number.isFinite(minGain) || minGain < 0) {
+        console.error(`--min-gain must be a number of at least 0`);
+        process.exit(1);
+    }
+
+    const configured = algorithm.strategy || DEFAULT_STRATEGY;
+    console.log(`\n🧭 Simulating ${sunscreens.length} sunscreens, ${Object.keys(metadata.questions).length} questions (minimum gain ${minGain} bits)\n`);
+    console.log(`   ${'Strategy'.padEnd(18)}${'Paths'.padStart(7)}   Questions avg / worst   Results avg / largest`);
+
+    strategies.forEach(strategy => {
+        const stats = simulateStrategy(sunscreens, metadata.questions, { minDiscriminatingPower: minGain, strategy });
+        const label = strategy === configured ? `${strategy} *` : strategy;
+
+        console.log(
+            `   ${label.padEnd(18)}${String(stats.paths).padStart(7)}`
+            + `   ${stats.averageQuestions.toFixed(2).padStart(9)} / ${String(stats.worstQuestions).padEnd(5)}`
+            + `   ${stats.averageResults.toFixed(2).padStart(9)} / ${stats.largestResults}`
+        );
+    });
+
+    if (strategies.includes(configured)) {
+        console.log(`\n   * configured in questions-metadata.yaml`);
+    }
+}
+
+main();
@@ -0,0 +1,157 @@
+// ===================================
+// Closest Alternatives Tests
+// ===================================
+// Tests for suggesting the smallest changes that bring back results
+
+import { findClosestAlternatives, applyChanges } from '../modules/results/alternatives.js';
+
+describe('Closest Alternatives', () => {
+    let questionMetadata;
+    let sunscreens;
+
+    beforeEach(() => {
+        questionMetadata = {
+            location: { elementIndex: 0, attribute: 'availableIn', isArray: true, match: 'anyOf', wildcardValue: 'Global', alwaysMatch: 'Global', hard: true },
+            skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all' },
+            fragranceFree: { elementIndex: 2, attribute: 'isFragranceFree', isArray: false, match: 'boolean' },
+            formFactor: { elementIndex: 4, attribute: 'formFactors', isArray: true, match: 'anyOf' },
+            waterResistant: { elementIndex: 5, attribute: 'waterResistant', isArray: false, match: 'boolean' },
+            specialFeatures: { elementIndex: 6, attribute: 'specialFeatures', isArray: true, match: 'allOf' }
+        };
+
+        sunscreens = [
+            {
+                id: 1,
+                availableIn: ['EU'],
+                skinTypes: ['oily'],
+                isFragranceFree: true,
+                formFactors: ['lotion'],
+                waterResistant: false,
+                specialFeatures: ['tinted']
+            },
+            {
+                id: 2,
+                availableIn: ['EU'],
+                skinTypes: ['dry'],
+                isFragranceFree: false,
+                formFactors: ['stick', 'cream'],
+                waterResistant: true,
+                specialFeatures: ['anti-aging']
+            },
+            {
+                id: 3,
+                availableIn: ['US'],
+                skinTypes: ['oily'],
+                isFragranceFree: true,
+                formFactors: ['stick'],
+                waterResistant: true,
+                specialFeatures: []
+            }
+        ];
+    });
+
+    it('should suggest dropping or switching a single selection when one change is enough', () => {
+        const selections = { location: 'EU', skinType: 'oily', formFactor: 'stick' };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata);
+
+        expect(alternatives.length).toBeGreaterThan(0);
+        alternatives.forEach(alternative => expect(alternative.changes).toHaveLength(1));
+
+        const descriptions = alternatives.map(a => `${a.changes[0].type}:${a.changes[0].questionKey}:${a.changes[0].to}`);
+        expect(descriptions).toContain('drop:formFactor:any');
+        expect(descriptions).toContain('switch:formFactor:lotion');
+        expect(descriptions).toContain('drop:skinType:all');
+    });
+
+    it('should report the product count each suggestion would produce', () => {
+        const selections = { location: 'EU', skinType: 'oily', formFactor: 'stick' };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata);
+
+        const dropForm = alternatives.find(a => a.changes[0].questionKey === 'formFactor' && a.changes[0].type === 'drop');
+        expect(dropForm.count).toBe(1);
+        expect(dropForm.selections.formFactor).toBe('any');
+    });
+
+    it('should order suggestions by product count', () => {
+        const selections = { location: 'EU', skinType: 'oily', formFactor: 'stick' };
+        const counts = findClosestAlternatives(sunscreens, selections, questionMetadata).map(a => a.count);
+
+        expect(counts).toEqual([...counts].sort((a, b) => b - a));
+    });
+
+    it('should keep hard constraints while changing other answers is enough', () => {
+        // Only product 3 is oily + stick, but it isn't sold in the EU
+        const selections = { location: 'EU', skinType: 'oily', formFactor: 'stick' };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata);
+
+        alternatives.forEach(alternative => {
+            expect(alternative.changes.map(c => c.questionKey)).not.toContain('location');
+            expect(alternative.selections.location).toBe('EU');
+        });
+    });
+
+    it('should combine changes only when no single change works', () => {
+        // Product 1 misses skin type and features; product 2 misses fragrance and water resistance
+        const selections = {
+            location: 'EU',
+            skinType: 'dry',
+            fragranceFree: 'true',
+            waterResistant: 'false',
+            specialFeatures: ['anti-aging']
+        };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata);
+
+        expect(alternatives.length).toBeGreaterThan(0);
+        alternatives.forEach(alternative => expect(alternative.changes).toHaveLength(2));
+    });
+
+    it('should drop special features one at a time', () => {
+        const selections = { location: 'EU', specialFeatures: ['tinted', 'anti-aging'] };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata);
+
+        expect(alternatives).toHaveLength(2);
+        expect(alternatives.map(a => a.selections.specialFeatures)).toEqual(
+            expect.arrayContaining([['tinted'], ['anti-aging']])
+        );
+    });
+
+    it('should change a hard constraint when nothing else brings products back', () => {
+        const selections = { location: 'Japan', skinType: 'oily' };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata);
+
+        const descriptions = alternatives.map(a => `${a.changes[0].type}:${a.changes[0].questionKey}:${a.changes[0].to}:${a.count}`);
+        expect(descriptions).toEqual(['drop:location:Global:2', 'switch:location:EU:1', 'switch:location:US:1']);
+    });
+
+    it('should drop avoided ingredients one at a time when they rule out every product', () => {
+        questionMetadata.avoidIngredients = { elementIndex: 7, attribute: 'ingredientTokens', isArray: true, match: 'noneOf', hard: true };
+        sunscreens.forEach(s => { s.ingredientTokens = s.id === 3 ? ['parfum'] : ['alcohol']; });
+
+        const alternatives = findClosestAlternatives(sunscreens, { avoidIngredients: ['alcohol', 'parfum'] }, questionMetadata);
+
+        expect(alternatives.map(a => a.selections.avoidIngredients)).toEqual([['parfum'], ['alcohol']]);
+        expect(alternatives.map(a => a.count)).toEqual([2, 1]);
+    });
+
+    it('should return nothing when no change brings products back', () => {
+        expect(findClosestAlternatives([], { location: 'Japan', skinType: 'oily' }, questionMetadata)).toEqual([]);
+    });
+
+    it('should respect the maxSuggestions option', () => {
+        const selections = { location: 'EU', skinType: 'oily', formFactor: 'stick' };
+        const alternatives = findClosestAlternatives(sunscreens, selections, questionMetadata, { maxSuggestions: 1 });
+
+        expect(alternatives).toHaveLength(1);
+    });
+
+    it('should apply changes without mutating the original selections', () => {
+        const selections = { formFactor: 'stick', specialFeatures: ['tinted', 'anti-aging'] };
+        const result = applyChanges(selections, [
+            { questionKey: 'formFactor', type: 'switch', from: 'stick', to: 'lotion' },
+            { questionKey: 'specialFeatures', type: 'drop', from: 'tinted', to: null }
+        ]);
+
+        expect(result).toEqual({ formFactor: 'lotion', specialFeatures: ['anti-aging'] });
+        expect(selections).toEqual({ formFactor: 'stick', specialFeatures: ['tinted', 'anti-aging'] });
+    });
+});
@@ -0,0 +1,122 @@
+// ===================================
+// Product Authoring Tests
+// ===================================
+// Tests for the helpers behind edit-data.js: field choices, INCI parsing,
+// classification suggestions and editing sunscreens.yaml one entry at a time
+
+import yaml from 'js-yaml';
+import {
+    getFieldChoices,
+    normalizeINCI,
+    suggestClassifications,
+    formatScalar,
+    serializeSunscreen,
+    findSunscreenBlocks,
+    replaceSunscreenBlock,
+    removeSunscreenBlock,
+    appendSunscreenBlock
+} from '../modules/authoring.js';
+
+describe('Product Authoring', () => {
+    const FILE = [
+        '# Products',
+        'sunscreens:',
+        '  - id: 1',
+        '    name: A',
+        '    spf: 50+',
+        '  # Tinted version of A',
+        '  - id: 2',
+        '    name: B',
+        '    skinTypes:',
+        '      - all',
+        '',
+        '# end',
+        ''
+    ].join('\n');
+
+    it('should offer the question options as field values, keeping wildcards but not "any"', () => {
+        const fields = getFieldChoices({
+            specialFeatures: { elementIndex: 2, attribute: 'specialFeatures', isArray: true, match: 'allOf', options: [{ value: 'tinted' }] },
+            skinType: {
+                elementIndex: 0, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all',
+                options: [{ value: 'oily' }, { value: 'all' }]
+            },
+            water: { elementIndex: 1, attribute: 'waterResistant', isArray: false, match: 'boolean', options: [{ value: 'true' }, { value: 'any' }] },
+            uvFilter: { elementIndex: 3, attribute: 'filterType', isArray: false, match: 'equals', options: [{ value: 'mineral' }] }
+        });
+
+        expect(fields).toEqual([
+            { questionKey: 'skinType', attribute: 'skinTypes', isArray: true, match: 'anyOf', values: ['oily', 'all'] },
+            { questionKey: 'water', attribute: 'waterResistant', isArray: false, match: 'boolean', values: ['true'] },
+            { questionKey: 'specialFeatures', attribute: 'specialFeatures', isArray: true, match: 'allOf', values: ['tinted'] }
+        ]);
+    });
+
+    it('should turn pasted INCI lists into the " - " form', () => {
+        expect(normalizeINCI('Ingredients: Aqua, Glycerin,\nIron Oxides (CI 77491, CI 77492), Parfum'))
+            .toBe('Aqua - Glycerin - Iron Oxides (CI 77491, CI 77492) - Parfum');
+        expect(normalizeINCI('AQUA • GLYCERIN • ZINC OXIDE •')).toBe('AQUA - GLYCERIN - ZINC OXIDE');
+        expect(normalizeINCI('  ')).toBe('');
+    });
+
+    it('should suggest classifications from the glossary and from similar entries', () => {
+        const glossary = {
+            glycerin: { classification: 'superstar' },
+            'sodium-hyaluronate': { classification: 'goodie' },
+            'alcohol-denat': { classification: 'icky', aliases: ['alcohol-denatured'] },
+            aqua: {}
+        };
+
+        expect(suggestClassifications('GLYCERIN - SODIUM HYALURONATE. - ALCOHOL DENATURED - SODIUM HYALURONATES - AQUA', glossary)).toEqual([
+            { raw: 'GLYCERIN', slug: 'glycerin', classification: 'superstar', similarTo: null },
+            { raw: 'SODIUM HYALURONATE.', slug: 'sodium-hyaluronate', classification: 'goodie', similarTo: null },
+            { raw: 'ALCOHOL DENATURED', slug: 'alcohol-denatured', classification: 'icky', similarTo: null },
+            { raw: 'SODIUM HYALURONATES', slug: 'sodium-hyaluronates', classification: 'goodie', similarTo: 'sodium-hyaluronate' },
+            { raw: 'AQUA', slug: 'aqua', classification: null, similarTo: null }
+        ]);
+    });
+
+    it('should write entries in the file style that read back as the same product', () => {
+        const product = {
+            ingredients: 'AQUA - GLYCERIN #2',
+            id: 26,
+            name: 'Fluid: Tinted',
+            spf: '50+',
+            isFragranceFree: true,
+            price: '12.5',
+            skinTypes: ['all', 'oily'],
+            specialFeatures: [],
+            ingredientClassifications: { 'ALCOHOL DENAT.': 'goodie' },
+            filterType: undefined
+        };
+        const entry = serializeSunscreen(product, ['id', 'name', 'spf', 'price', 'isFragranceFree', 'skinTypes']);
+
+        expect(entry.split('\n').slice(0, 4)).toEqual(['  - id: 26', '    name: "Fluid: Tinted"', '    spf: 50+', '    price: "12.5"']);
+        expect(entry).toContain('    skinTypes:\n      - all\n      - oily');
+        expect(yaml.load(`sunscreens:\n${entry}`).sunscreens[0]).toEqual({ ...product, filterType: undefined });
+
+        ['true', 'null', '30', '- x', 'a #b', ''].forEach(value => {
+            expect(yaml.load(`value: ${formatScalar(value)}`).value).toBe(value);
+        });
+    });
+
+    it('should add, replace and remove entries without touching the rest of the file', () => {
+        expect(findSunscreenBlocks(FILE)).toEqual([
+            { leadStart: 2, start: 2, end: 5 },
+            { leadStart: 5, start: 6, end: 10 }
+        ]);
+
+        const replaced = replaceSunscreenBlock(FILE, 1, '  - id: 2\n    name: C');
+        expect(replaced).toContain('  # Tinted version of A\n  - id: 2\n    name: C\n\n# end');
+
+        const removed = removeSunscreenBlock(FILE, 1);
+        expect(removed).toBe('# Products\nsunscreens:\n  - id: 1\n    name: A\n    spf: 50+\n\n# end\n');
+
+        const added = appendSunscreenBlock(FILE, '  - id: 3\n    name: D');
+        expect(yaml.load(added).sunscreens.map(sunscreen => sunscreen.id)).toEqual([1, 2, 3]);
+        expect(added.endsWith('      - all\n  - id: 3\n    name: D\n\n# end\n')).toBe(true);
+
+        expect(appendSunscreenBlock('sunscreens: []\n', '  - id: 1')).toBe('sunscreens:\n  - id: 1\n');
+        expect(() => appendSunscreenBlock('# empty\n', '  - id: 1')).toThrow('sunscreens');
+    });
+});
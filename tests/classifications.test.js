@@ -0,0 +1,101 @@
+// ===================================
+// Ingredient Classification Tests
+// ===================================
+// Tests for the global classification map, per-product overrides and conflict detection
+
+import {
+    buildClassificationMap,
+    setGlobalClassifications,
+    resolveClassifications,
+    findClassificationConflicts
+} from '../modules/ingredients/classifications.js';
+import { countClassified } from '../modules/results/refine.js';
+
+const glossary = {
+    glycerin: { name: 'GLYCERIN', classification: 'superstar' },
+    'alcohol-denat': { name: 'ALCOHOL DENAT.', classification: 'icky' },
+    'butyl-methoxydibenzoylmethane': {
+        name: 'BUTYL METHOXYDIBENZOYLMETHANE',
+        classification: 'goodie',
+        aliases: ['butylmethoxydibenzoylmethane']
+    },
+    'drometrizole-trisiloxane': { name: 'DROMETRIZOLE TRISILOXANE' }
+};
+
+describe('Ingredient Classifications', () => {
+    beforeAll(() => {
+        setGlobalClassifications(glossary);
+    });
+
+    describe('buildClassificationMap', () => {
+        it('should map classified slugs and their aliases', () => {
+            expect(Array.from(buildClassificationMap(glossary).entries())).toEqual([
+                ['glycerin', 'superstar'],
+                ['alcohol-denat', 'icky'],
+                ['butyl-methoxydibenzoylmethane', 'goodie'],
+                ['butylmethoxydibenzoylmethane', 'goodie']
+            ]);
+        });
+    });
+
+    describe('resolveClassifications', () => {
+        it('should classify every product against the global map', () => {
+            const sunscreen = { ingredients: 'AQUA - GLYCERIN - ALCOHOL DENAT - BUTYLMETHOXYDIBENZOYLMETHANE - DROMETRIZOLE TRISILOXANE' };
+
+            expect(resolveClassifications(sunscreen)).toEqual({
+                'GLYCERIN': 'superstar',
+                'ALCOHOL DENAT': 'icky',
+                'BUTYLMETHOXYDIBENZOYLMETHANE': 'goodie'
+            });
+        });
+
+        it('should ignore per-product classifications without the override flag', () => {
+            const sunscreen = { ingredients: 'GLYCERIN', ingredientClassifications: { GLYCERIN: 'icky' } };
+            expect(resolveClassifications(sunscreen)).toEqual({ GLYCERIN: 'superstar' });
+        });
+
+        it('should let a flagged product override the global map', () => {
+            const sunscreen = {
+                ingredients: 'GLYCERIN - ALCOHOL DENAT.',
+                overrideClassifications: true,
+                ingredientClassifications: { 'ALCOHOL DENAT.': 'goodie' }
+            };
+
+            expect(resolveClassifications(sunscreen)).toEqual({ 'GLYCERIN': 'superstar', 'ALCOHOL DENAT.': 'goodie' });
+            expect(countClassified(sunscreen, 'icky')).toBe(0);
+        });
+    });
+
+    describe('findClassificationConflicts', () => {
+        it('should accept products that restate the global classification', () => {
+            const sunscreens = [{ name: 'A', ingredientClassifications: { GLYCERIN: 'superstar' } }];
+            expect(findClassificationConflicts(sunscreens, glossary)).toEqual([]);
+        });
+
+        it('should report products disagreeing with the global map', () => {
+            const sunscreens = [{ name: 'A', ingredientClassifications: { 'ALCOHOL DENAT': 'goodie' } }];
+
+            expect(findClassificationConflicts(sunscreens, glossary)).toEqual([{
+                slug: 'alcohol-denat',
+                claims: [
+                    { source: 'ingredients.yaml', classification: 'icky' },
+                    { source: 'A', classification: 'goodie' }
+                ]
+            }]);
+        });
+
+        it('should report products disagreeing with each other', () => {
+            const sunscreens = [
+                { name: 'A', ingredientClassifications: { NIACINAMIDE: 'superstar' } },
+                { name: 'B', ingredientClassifications: { NIACINAMIDE: 'goodie' } }
+            ];
+
+            expect(findClassificationConflicts(sunscreens, glossary).map(conflict => conflict.slug)).toEqual(['niacinamide']);
+        });
+
+        it('should not count flagged overrides as conflicts', () => {
+            const sunscreens = [{ name: 'A', overrideClassifications: true, ingredientClassifications: { GLYCERIN: 'goodie' } }];
+            expect(findClassificationConflicts(sunscreens, glossary)).toEqual([]);
+        });
+    });
+});
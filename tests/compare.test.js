@@ -0,0 +1,187 @@
+// ===================================
+// Product Comparison Tests
+// ===================================
+// Tests for the compare URL parameter, the ingredient diff and the comparison view
+
+import {
+    initCompare,
+    parseCompareParam,
+    diffIngredients,
+    toggleCompare,
+    showComparison,
+    MAX_COMPARE
+} from '../modules/results/compare.js';
+import { initResults } from '../modules/results/display.js';
+import { initQuestions } from '../modules/quiz/questions.js';
+import { setGlobalClassifications } from '../modules/ingredients/classifications.js';
+
+const sunscreens = [
+    {
+        id: 1,
+        name: 'Fluid One',
+        brand: 'Brand A',
+        spf: '50+',
+        formFactors: ['fluid'],
+        skinTypes: ['oily'],
+        isFragranceFree: true,
+        waterResistant: false,
+        filterType: 'chemical',
+        specialFeatures: ['tinted'],
+        ingredients: 'AQUA / WATER - GLYCERIN - HOMOSALATE - ALCOHOL DENAT.'
+    },
+    {
+        id: 2,
+        name: 'Cream Two',
+        brand: 'Brand B',
+        spf: '30',
+        formFactors: ['cream'],
+        skinTypes: ['dry', 'normal'],
+        isFragranceFree: false,
+        waterResistant: true,
+        filterType: 'hybrid',
+        specialFeatures: [],
+        ingredients: 'WATER - GLYCERIN - ZINC OXIDE - NIACINAMIDE'
+    },
+    { id: 3, name: 'Three', brand: 'C', ingredients: 'WATER' },
+    { id: 4, name: 'Four', brand: 'D', ingredients: 'WATER' },
+    { id: 5, name: 'Five', brand: 'E', ingredients: 'WATER' }
+];
+
+describe('Product Comparison', () => {
+    beforeAll(() => {
+        setGlobalClassifications({
+            'alcohol-denat': { classification: 'icky' },
+            niacinamide: { classification: 'superstar' }
+        });
+    });
+
+    describe('parseCompareParam', () => {
+        it('should parse comma-separated product ids', () => {
+            expect(parseCompareParam('2,1', sunscreens)).toEqual([2, 1]);
+        });
+
+        it('should drop unknown, malformed and duplicate ids', () => {
+            expect(parseCompareParam('1,99,abc,1,2.5,2', sunscreens)).toEqual([1, 2]);
+        });
+
+        it('should keep at most the maximum number of products', () => {
+            expect(parseCompareParam('1,2,3,4,5', sunscreens)).toHaveLength(MAX_COMPARE);
+        });
+
+        it('should return an empty list for a missing parameter', () => {
+            expect(parseCompareParam(null, sunscreens)).toEqual([]);
+        });
+    });
+
+    describe('diffIngredients', () => {
+        it('should split ingredients into shared and unique by slug', () => {
+            const { shared, unique } = diffIngredients(sunscreens.slice(0, 2));
+
+            // "AQUA / WATER" and "WATER" are the same ingredient
+            expect(shared.map(i => i.slug)).toEqual(['water', 'glycerin']);
+            expect(unique[1].map(i => i.slug)).toEqual(['homosalate', 'alcohol-denat']);
+            expect(unique[2].map(i => i.slug)).toEqual(['zinc-oxide', 'niacinamide']);
+        });
+
+        it('should carry each product\'s ingredient classifications', () => {
+            const { unique } = diffIngredients(sunscreens.slice(0, 2));
+
+            expect(unique[1].find(i => i.slug === 'alcohol-denat').classification).toBe('icky');
+            expect(unique[2].find(i => i.slug === 'niacinamide').classification).toBe('superstar');
+        });
+
+        it('should only count an ingredient as shared when every product has it', () => {
+            const { shared, unique } = diffIngredients([sunscreens[0], sunscreens[1], sunscreens[2]]);
+
+            expect(shared.map(i => i.slug)).toEqual(['water']);
+            // Glycerin is in two of three products, so it is neither shared nor unique
+            expect(unique[1].map(i => i.slug)).not.toContain('glycerin');
+            expect(unique[3]).toEqual([]);
+        });
+    });
+
+    describe('comparison view', () => {
+        let appState;
+        let elements;
+        let shownViews;
+
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <div id="compare-bar" class="hidden"><span id="compare-bar-text"></span><button id="compare-btn"></button></div>
+                <div id="results-container">
+                    <input type="checkbox" class="compare-checkbox" data-compare-id="1">
+                    <input type="checkbox" class="compare-checkbox" data-compare-id="2">
+                    <input type="checkbox" class="compare-checkbox" data-compare-id="3">
+                    <input type="checkbox" class="compare-checkbox" data-compare-id="4">
+                    <input type="checkbox" class="compare-checkbox" data-compare-id="5">
+                </div>
+                <div id="compare-container"></div>
+            `;
+
+            appState = { sunscreens, selections: {}, compareIds: [] };
+            elements = {
+                resultsContainer: document.getElementById('results-container'),
+                compareBar: document.getElementById('compare-bar'),
+                compareBarText: document.getElementById('compare-bar-text'),
+                compareBtn: document.getElementById('compare-btn'),
+                compareContainer: document.getElementById('compare-container')
+            };
+            shownViews = [];
+
+            const deps = {
+                appState,
+                elements,
+                t: (key, replacements = {}) => `${key}${replacements.count !== undefined ? `:${replacements.count}` : ''}`,
+                escapeHTML: str => String(str).replace(/</g, '&lt;'),
+                showView: viewName => shownViews.push(viewName),
+                announceToScreenReader: () => {}
+            };
+            initCompare(deps);
+            initQuestions({ ...deps, questionMetadata: {} });
+            initResults({ ...deps, questionMetadata: {} });
+        });
+
+        it('should show the compare bar and enable the button once two products are ticked', () => {
+            toggleCompare(1, true);
+            expect(elements.compareBar.classList.contains('hidden')).toBe(false);
+            expect(elements.compareBtn.disabled).toBe(true);
+
+            toggleCompare(2, true);
+            expect(appState.compareIds).toEqual([1, 2]);
+            expect(elements.compareBtn.disabled).toBe(false);
+        });
+
+        it('should disable the remaining checkboxes once the maximum is selected', () => {
+            [1, 2, 3, 4].forEach(id => toggleCompare(id, true));
+
+            const fifth = elements.resultsContainer.querySelector('[data-compare-id="5"]');
+            expect(fifth.disabled).toBe(true);
+
+            toggleCompare(4, false);
+            expect(fifth.disabled).toBe(false);
+        });
+
+        it('should render a table and put the comparison in the URL', () => {
+            appState.compareIds = [1, 2];
+            showComparison();
+
+            expect(shownViews).toEqual(['compare']);
+            expect(new URL(window.location.href).searchParams.get('compare')).toBe('1,2');
+
+            const table = elements.compareContainer.querySelector('table.compare-table');
+            expect(table).not.toBeNull();
+            expect(table.querySelectorAll('thead th')).toHaveLength(3);
+            expect(table.textContent).toContain('SPF 50+');
+            expect(table.querySelector('.compare-unique-icky').textContent).toContain('ALCOHOL DENAT.');
+            expect(table.querySelector('.ingredient-badge-superstar')).not.toBeNull();
+            expect(elements.compareContainer.querySelector('.compare-shared').textContent).toContain(':2');
+        });
+
+        it('should not open the comparison with fewer than two products', () => {
+            appState.compareIds = [1];
+            showComparison();
+
+            expect(shownViews).toEqual([]);
+        });
+    });
+});
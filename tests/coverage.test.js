@@ -0,0 +1,147 @@
+// ===================================
+// Question Coverage Tests
+// ===================================
+// Tests for the cross-checks between products, question options, translations and
+// mutually exclusive features (reported by validate-data.js)
+
+import {
+    addOptionEnums,
+    findOrphanValues,
+    findUnreachableOptions,
+    getQuestionTranslationKeys,
+    findMissingTranslations,
+    findExclusionProblems
+} from '../modules/quiz/coverage.js';
+import { initQuestions } from '../modules/quiz/questions.js';
+
+describe('Question Coverage', () => {
+    let questionMetadata;
+    let sunscreens;
+
+    beforeEach(() => {
+        questionMetadata = {
+            skinType: {
+                elementIndex: 0, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all',
+                urlParam: 'skin', note: true,
+                options: [{ value: 'oily' }, { value: 'dry' }, { value: 'all' }]
+            },
+            fragranceFree: {
+                elementIndex: 1, attribute: 'isFragranceFree', isArray: false, match: 'boolean', alwaysMatch: 'any',
+                urlParam: 'fragrance', i18nKey: 'question3',
+                options: [{ value: 'true' }, { value: 'false' }, { value: 'any' }]
+            },
+            specialFeatures: {
+                elementIndex: 2, attribute: 'specialFeatures', isArray: true, match: 'allOf',
+                urlParam: 'features',
+                options: [{ value: 'tinted' }, { value: 'matte' }, { value: 'dewy' }]
+            },
+            avoidIngredients: {
+                elementIndex: 3, attribute: 'ingredientTokens', isArray: true, match: 'noneOf',
+                urlParam: 'avoid', searchable: true,
+                options: [{ value: 'icky' }, { value: 'parfum' }]
+            }
+        };
+        initQuestions({ questionMetadata, elements: {}, t: key => key, escapeHTML: str => str });
+
+        sunscreens = [
+            {
+                name: 'A', skinTypes: ['oily', 'sensitive'], isFragranceFree: true,
+                specialFeatures: ['tinted', 'reef-safe'], ingredientTokens: ['icky']
+            },
+            {
+                name: 'B', skinTypes: ['all'], isFragranceFree: true,
+                specialFeatures: ['reef-safe', 'matte'], ingredientTokens: ['water']
+            }
+        ];
+    });
+
+    it('should report product values no option offers, skipping wildcards', () => {
+        expect(findOrphanValues(sunscreens, questionMetadata)).toEqual([
+            { questionKey: 'skinType', attribute: 'skinTypes', value: 'sensitive', count: 1 },
+            { questionKey: 'specialFeatures', attribute: 'specialFeatures', value: 'reef-safe', count: 2 }
+        ]);
+    });
+
+    it('should add the options of anyOf and equals questions to the product schema', () => {
+        questionMetadata.formFactor = {
+            elementIndex: 4, attribute: 'formFactors', isArray: true, match: 'anyOf',
+            options: [{ value: 'cream' }, { value: 'gel' }, { value: 'any' }]
+        };
+        questionMetadata.uvFilter = {
+            elementIndex: 5, attribute: 'filterType', isArray: false, match: 'equals',
+            options: [{ value: 'mineral' }, { value: 'any' }]
+        };
+        const schema = {
+            $defs: {
+                sunscreen: {
+                    properties: {
+                        skinTypes: { type: 'array', items: { type: 'string' } },
+                        formFactors: { type: 'array', items: { type: 'string' } },
+                        filterType: { enum: ['mineral', 'chemical', 'hybrid'] },
+                        specialFeatures: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        };
+
+        const properties = addOptionEnums(schema, questionMetadata).$defs.sunscreen.properties;
+
+        // The wildcard stays a product value, "no preference" doesn't, and an enum in the schema wins
+        expect(properties.skinTypes.items.enum).toEqual(['oily', 'dry', 'all']);
+        expect(properties.formFactors.items.enum).toEqual(['cream', 'gel']);
+        expect(properties.filterType.enum).toEqual(['mineral', 'chemical', 'hybrid']);
+        expect(properties.specialFeatures.items.enum).toBeUndefined();
+        expect(schema.$defs.sunscreen.properties.formFactors.items.enum).toBeUndefined();
+    });
+
+    it('should report options no product has (for noneOf, options that exclude nothing)', () => {
+        expect(findUnreachableOptions(sunscreens, questionMetadata)).toEqual([
+            { questionKey: 'fragranceFree', value: 'false' },
+            { questionKey: 'specialFeatures', value: 'dewy' },
+            { questionKey: 'avoidIngredients', value: 'parfum' }
+        ]);
+    });
+
+    it('should list the translation keys of each question and find missing ones', () => {
+        const keys = getQuestionTranslationKeys(questionMetadata);
+
+        expect(keys).toEqual(expect.arrayContaining([
+            'questionLabels.skinType',
+            'questions.skinType.legend',
+            'questions.skinType.note',
+            'questions.question3.options.true.label',
+            'questions.avoidIngredients.search'
+        ]));
+        expect(keys).not.toContain('questions.fragranceFree.note');
+
+        const translations = {
+            questionLabels: { skinType: 'Skin type' },
+            questions: { skinType: { legend: 'Your skin', note: { nested: 'not a string' } } }
+        };
+        const missing = findMissingTranslations(translations, keys);
+        expect(missing).toContain('questions.skinType.note');
+        expect(missing).not.toContain('questions.skinType.legend');
+        expect(missing).toHaveLength(keys.length - 2);
+    });
+
+    it('should report unknown features, one-way rules and products with excluded pairs', () => {
+        const problems = findExclusionProblems(sunscreens, questionMetadata, {
+            tinted: ['dewy'],
+            matte: ['dewy', 'glow'],
+            dewy: ['matte'],
+            'reef-safe': ['tinted']
+        });
+
+        expect(problems.unknown).toEqual(['glow', 'reef-safe']);
+        expect(problems.oneWay).toEqual([
+            { feature: 'tinted', other: 'dewy' },
+            { feature: 'matte', other: 'glow' },
+            { feature: 'reef-safe', other: 'tinted' }
+        ]);
+        expect(problems.conflicts).toEqual([]);
+
+        sunscreens[1].specialFeatures.push('dewy');
+        expect(findExclusionProblems(sunscreens, questionMetadata, { matte: ['dewy'], dewy: ['matte'] }).conflicts)
+            .toEqual([{ product: 'B', feature: 'dewy', other: 'matte' }]);
+    });
+});
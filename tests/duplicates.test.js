@@ -0,0 +1,78 @@
+// ===================================
+// Duplicate Products Tests
+// ===================================
+// Tests for finding products entered twice and renumbering repeated ids (validate-data.js --fix-ids)
+
+import {
+    normalizeURL,
+    nameSimilarity,
+    findDuplicateIds,
+    findDuplicateURLs,
+    findNearDuplicates,
+    planIdFixes,
+    applyIdFixes
+} from '../modules/duplicates.js';
+
+describe('Duplicate Products', () => {
+    const INGREDIENTS = 'AQUA - GLYCERIN - ZINC OXIDE - OCTOCRYLENE - NIACINAMIDE';
+
+    let sunscreens;
+
+    beforeEach(() => {
+        sunscreens = [
+            { id: 1, brand: 'Sol', name: 'Daily Fluid SPF 50+', url: 'https://sol.example/fluid', ingredients: INGREDIENTS },
+            { id: 2, brand: 'Sol', name: 'Daily Fluid SPF 50+ (Tinted)', url: 'https://sol.example/fluid-tinted', ingredients: `${INGREDIENTS} - CI 77491` },
+            { id: 2, brand: 'SOL', name: 'Daily-Fluid, SPF 50+', url: 'https://sol.example/fluid-2', ingredients: INGREDIENTS },
+            { id: 4, brand: 'Other', name: 'Daily Fluid SPF 50+', url: 'http://www.Sol.example/fluid/#reviews', ingredients: INGREDIENTS }
+        ];
+    });
+
+    it('should normalize URLs and compare names by shared letter pairs', () => {
+        expect(normalizeURL('https://www.Sol.example/fluid/#top')).toBe('sol.example/fluid');
+        expect(normalizeURL('http://sol.example/fluid?size=50')).toBe('sol.example/fluid?size=50');
+
+        expect(nameSimilarity('Daily Fluid SPF 50+', 'daily-fluid spf 50+')).toBe(1);
+        expect(nameSimilarity('Daily Fluid SPF 50+', 'Daily Fluide SPF 50+')).toBeGreaterThan(0.9);
+        expect(nameSimilarity('Daily Fluid SPF 50+', 'Kids Stick SPF 30')).toBeLessThan(0.5);
+    });
+
+    it('should find repeated ids and URLs', () => {
+        expect(findDuplicateIds(sunscreens)).toEqual([{ id: 2, indexes: [1, 2] }]);
+        expect(findDuplicateURLs(sunscreens)).toEqual([{ url: 'https://sol.example/fluid', indexes: [0, 3] }]);
+    });
+
+    it('should find near-duplicates of the same brand but not variants', () => {
+        const pairs = findNearDuplicates(sunscreens);
+
+        expect(pairs).toHaveLength(1);
+        expect(pairs[0]).toMatchObject({ indexes: [0, 2], name: 1, ingredients: 1 });
+        expect(findNearDuplicates(sunscreens, { name: 0.8, ingredients: 0.8 }).map(pair => pair.indexes))
+            .toEqual([[0, 1], [0, 2], [1, 2]]);
+    });
+
+    it('should renumber repeated and invalid ids after the highest id', () => {
+        sunscreens.push({ id: 'x', name: 'Broken' }, { name: 'Missing' });
+
+        expect(planIdFixes(sunscreens)).toEqual([
+            { index: 2, name: 'Daily-Fluid, SPF 50+', oldId: 2, newId: 5 },
+            { index: 4, name: 'Broken', oldId: 'x', newId: 6 },
+            { index: 5, name: 'Missing', oldId: undefined, newId: 7 }
+        ]);
+        expect(planIdFixes(sunscreens.slice(0, 2))).toEqual([]);
+    });
+
+    it('should rewrite only the id lines of the YAML text', () => {
+        const text = [
+            '# Products',
+            'sunscreens:',
+            '  - id: 1',
+            '    name: A',
+            '  - id: 1  # copied from A',
+            '    name: B',
+            ''
+        ].join('\n');
+
+        expect(applyIdFixes(text, [{ index: 1, newId: 2 }], 2)).toBe(text.replace('- id: 1  #', '- id: 2  #'));
+        expect(() => applyIdFixes(text, [], 3)).toThrow('found 2');
+    });
+});
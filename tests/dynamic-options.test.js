@@ -0,0 +1,63 @@
+// ===================================
+// Option Availability Tests
+// ===================================
+// Tests for disabling options that leave no products and showing per-option product counts
+
+import { initFilters } from '../modules/quiz/filters.js';
+import { updateOptionAvailability, describeOptionCounts } from '../modules/quiz/dynamic-options.js';
+
+describe('Option Availability', () => {
+    let questionMetadata;
+    let appState;
+    const t = (key, replacements = {}) => (key === 'navigation.optionCounts' ? `Matching products: ${replacements.counts}` : key);
+
+    const option = (type, value, label) =>
+        `<label class="option"><input type="${type}" name="q" value="${value}"><span class="option-label">${label}</span></label>`;
+    const countOf = value => {
+        const count = document.querySelector(`input[value="${value}"]`).closest('.option').querySelector('.option-count');
+        return count ? count.textContent : null;
+    };
+
+    beforeEach(() => {
+        questionMetadata = {
+            formFactor: { elementIndex: 0, attribute: 'formFactors', isArray: true, match: 'anyOf', alwaysMatch: 'any' },
+            specialFeatures: { elementIndex: 1, attribute: 'specialFeatures', isArray: true, match: 'allOf' }
+        };
+        appState = {
+            currentQuestionKey: 'formFactor',
+            selections: { formFactor: null, specialFeatures: null },
+            sunscreens: [
+                { id: 1, formFactors: ['cream'], specialFeatures: ['tinted', 'mineral'] },
+                { id: 2, formFactors: ['cream', 'gel'], specialFeatures: ['tinted'] },
+                { id: 3, formFactors: ['gel'], specialFeatures: [] }
+            ]
+        };
+        document.body.innerHTML = `
+            <fieldset class="question">${option('radio', 'cream', 'Cream')}${option('radio', 'stick', 'Stick')}${option('radio', 'any', 'Any')}</fieldset>
+            <fieldset class="question">${option('checkbox', 'tinted', 'Tinted')}${option('checkbox', 'mineral', 'Mineral')}</fieldset>`;
+        initFilters({ questionMetadata });
+    });
+
+    it('should show how many products each option leaves, disabling those that leave none', () => {
+        expect(updateOptionAvailability(appState, questionMetadata, t)).toBe(2);
+        expect([countOf('cream'), countOf('stick'), countOf('any')]).toEqual(['(2)', '(0)', '(3)']);
+        expect(document.querySelector('input[value="stick"]').disabled).toBe(true);
+        expect(describeOptionCounts(appState, questionMetadata, t)).toBe('Matching products: Cream (2), Stick (0), Any (3)');
+
+        // Ticked options count with the current selection, the others as one more feature
+        appState.currentQuestionKey = 'specialFeatures';
+        appState.selections.specialFeatures = ['mineral'];
+        updateOptionAvailability(appState, questionMetadata, t);
+        expect([countOf('tinted'), countOf('mineral')]).toEqual(['(1)', '(1)']);
+    });
+
+    it('should hide the counts of questions with showCounts: false', () => {
+        updateOptionAvailability(appState, questionMetadata, t);
+        questionMetadata.formFactor.showCounts = false;
+        updateOptionAvailability(appState, questionMetadata, t);
+
+        expect(document.querySelectorAll('.option-count')).toHaveLength(0);
+        expect(document.querySelector('input[value="stick"]').disabled).toBe(true);
+        expect(describeOptionCounts(appState, questionMetadata, t)).toBe('');
+    });
+});
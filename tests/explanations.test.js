@@ -0,0 +1,176 @@
+// ===================================
+// Auto-Decision Explanation Tests
+// ===================================
+// Tests for recording why questions were answered or skipped for the user, the notice
+// explaining them, undoing them, and listing them on the results page
+
+import { initFilters } from '../modules/quiz/filters.js';
+import { initNavigation } from '../modules/quiz/navigation.js';
+import { checkAndAutoSkip } from '../modules/quiz/dynamic-options.js';
+import {
+    initExplanations,
+    recordAutoAnswer,
+    recordSkippedQuestions,
+    showAutoDecisionNotice,
+    renderAutoDecisions
+} from '../modules/quiz/explanations.js';
+
+describe('Auto-Decision Explanations', () => {
+    let questionMetadata;
+    let appConfig;
+    let appState;
+    let elements;
+    let shownQuestions;
+    let announcements;
+
+    const t = (key, replacements = {}) => {
+        const messages = {
+            'autoDecisions.onlyOption': 'We answered “{answer}” to {question} for you',
+            'autoDecisions.sameAnswer': 'Every product matches “{answer}”, so we skipped {question}',
+            'autoDecisions.anyAnswer': 'Every answer to {question} leaves the same products',
+            'autoDecisions.littleDifference': 'Answering {question} would make little difference',
+            'autoDecisions.nothingToTick': 'Nothing to tick on {question}',
+            'autoDecisions.undone': '{question} will be asked'
+        };
+        return (messages[key] || key).replace(/\{(\w+)\}/g, (match, name) => replacements[name] ?? match);
+    };
+    const option = (type, name, value, label) =>
+        `<label class="option"><input type="${type}" name="${name}" value="${value}"><span class="option-label">${label}</span></label>`;
+    const decisionTexts = container => Array.from(container.querySelectorAll('.auto-decision-text')).map(item => item.textContent);
+
+    beforeEach(() => {
+        questionMetadata = {
+            formFactor: {
+                elementIndex: 0, attribute: 'formFactor', isArray: false, match: 'equals',
+                options: [{ value: 'lotion' }, { value: 'gel' }, { value: 'any' }]
+            },
+            waterResistant: {
+                elementIndex: 1, attribute: 'waterResistant', isArray: false, match: 'boolean',
+                options: [{ value: 'true' }, { value: 'false' }, { value: 'any' }]
+            },
+            skinType: {
+                elementIndex: 2, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all',
+                options: [{ value: 'oily' }, { value: 'dry' }, { value: 'all' }]
+            },
+            specialFeatures: {
+                elementIndex: 3, attribute: 'specialFeatures', isArray: true, match: 'allOf',
+                options: [{ value: 'tinted' }]
+            }
+        };
+        appState = {
+            currentQuestionKey: null,
+            selections: { formFactor: null, waterResistant: null, skinType: null, specialFeatures: null },
+            autoDecisions: [],
+            declinedAutoDecisions: [],
+            sunscreens: [
+                { id: 1, formFactor: 'lotion', waterResistant: true, skinTypes: ['all'], specialFeatures: [] },
+                { id: 2, formFactor: 'lotion', waterResistant: false, skinTypes: ['all'], specialFeatures: [] }
+            ]
+        };
+        document.body.innerHTML = `
+            <section>
+                <form id="questions-form">
+                    <fieldset class="question">${option('radio', 'formFactor', 'lotion', 'Lotion')}${option('radio', 'formFactor', 'any', 'Any')}</fieldset>
+                    <fieldset class="question">${option('radio', 'waterResistant', 'true', 'Yes')}</fieldset>
+                    <fieldset class="question">${option('radio', 'skinType', 'oily', 'Oily')}</fieldset>
+                    <fieldset class="question">${option('checkbox', 'specialFeatures', 'tinted', 'Tinted')}</fieldset>
+                </form>
+            </section>
+            <div id="auto-decisions" class="hidden"></div>`;
+        elements = { questionsForm: document.getElementById('questions-form'), autoDecisions: document.getElementById('auto-decisions') };
+        shownQuestions = [];
+        announcements = [];
+
+        appConfig = { algorithm: { minDiscriminatingPower: 0.01 }, timings: { notificationFadeOut: 0 } };
+        initFilters({ questionMetadata });
+        initNavigation({ appConfig });
+        initExplanations({
+            appState,
+            appConfig,
+            questionMetadata,
+            elements,
+            t: (key, replacements) => (key.startsWith('questionLabels.') ? key.slice('questionLabels.'.length) : t(key, replacements)),
+            escapeHTML: text => String(text),
+            announceToScreenReader: message => announcements.push(message),
+            goToQuestion: key => shownQuestions.push(key)
+        });
+    });
+
+    it('should record why questions that can\'t narrow the products are skipped', () => {
+        const skipped = recordSkippedQuestions();
+
+        expect(skipped.map(({ questionKey, reason, value }) => [questionKey, reason, value])).toEqual([
+            ['formFactor', 'sameAnswer', 'lotion'],
+            ['skinType', 'anyAnswer', null],
+            ['specialFeatures', 'nothingToTick', null]
+        ]);
+        expect(recordSkippedQuestions()).toEqual([]);
+
+        // Once a single product is left nothing more is skipped, and answering drops the decision
+        appState.selections.waterResistant = 'true';
+        appState.selections.formFactor = 'lotion';
+        expect(recordSkippedQuestions()).toEqual([]);
+        expect(appState.autoDecisions.map(decision => decision.questionKey)).toEqual(['skinType', 'specialFeatures']);
+    });
+
+    it('should skip questions that narrow the products by less than minDiscriminatingPower', () => {
+        // Water resistance splits the two products, worth one bit
+        appConfig.algorithm.minDiscriminatingPower = 1.5;
+
+        expect(recordSkippedQuestions().map(({ questionKey, reason }) => [questionKey, reason])).toEqual([
+            ['formFactor', 'sameAnswer'],
+            ['waterResistant', 'littleDifference'],
+            ['skinType', 'anyAnswer'],
+            ['specialFeatures', 'nothingToTick']
+        ]);
+        showAutoDecisionNotice(appState.autoDecisions);
+        expect(decisionTexts(document.querySelector('.auto-decision-notice'))).toContain('Answering waterResistant would make little difference');
+
+        // Worth asking again once the threshold allows it
+        appConfig.algorithm.minDiscriminatingPower = 0.01;
+        recordSkippedQuestions();
+        expect(appState.autoDecisions.map(decision => decision.questionKey)).not.toContain('waterResistant');
+    });
+
+    it('should explain decisions in a notice and ask the question again on undo', () => {
+        showAutoDecisionNotice(recordSkippedQuestions());
+        const notice = document.querySelector('.auto-decision-notice');
+        expect(notice.nextElementSibling).toBe(elements.questionsForm);
+        expect(decisionTexts(notice)).toEqual([
+            'Every product matches “Lotion”, so we skipped formFactor',
+            'Every answer to skinType leaves the same products',
+            'Nothing to tick on specialFeatures'
+        ]);
+
+        notice.querySelector('.auto-decision-undo[data-question="formFactor"]').click();
+        expect(shownQuestions).toEqual(['formFactor']);
+        expect(announcements).toEqual(['formFactor will be asked']);
+        expect(appState.declinedAutoDecisions).toEqual(['formFactor']);
+        expect(decisionTexts(notice)).toHaveLength(2);
+
+        // Undone questions are left to the user
+        expect(recordSkippedQuestions()).toEqual([]);
+        appState.currentQuestionKey = 'formFactor';
+        document.querySelector('input[value="any"]').disabled = true;
+        expect(checkAndAutoSkip(appState, questionMetadata)).toBe(false);
+    });
+
+    it('should list auto-answered questions on the results page and undo them there', () => {
+        appState.currentQuestionKey = 'formFactor';
+        document.querySelector('input[value="any"]').disabled = true;
+        expect(checkAndAutoSkip(appState, questionMetadata)).toBe(true);
+        recordAutoAnswer('formFactor');
+
+        renderAutoDecisions();
+        expect(elements.autoDecisions.classList.contains('hidden')).toBe(false);
+        expect(decisionTexts(elements.autoDecisions)).toEqual(['We answered “Lotion” to formFactor for you']);
+
+        elements.autoDecisions.querySelector('.auto-decision-undo').click();
+        expect(appState.selections.formFactor).toBe(null);
+        expect(document.querySelector('input[value="lotion"]').checked).toBe(false);
+        expect(shownQuestions).toEqual(['formFactor']);
+
+        renderAutoDecisions();
+        expect(elements.autoDecisions.classList.contains('hidden')).toBe(true);
+    });
+});
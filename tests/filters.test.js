@@ -0,0 +1,136 @@
+// ===================================
+// Filter Engine Tests
+// ===================================
+// Tests for the declarative match rules in questions-metadata.yaml
+
+import {
+    filterByRules,
+    getMatchRule,
+    getNoPreferenceValue,
+    isMultiSelect,
+    selectionMatchRatio
+} from '../modules/quiz/filters.js';
+
+describe('Filter Engine', () => {
+    let products;
+
+    // Match rules as declared in questions-metadata.yaml
+    const rules = {
+        location: { attribute: 'availableIn', isArray: true, match: 'anyOf', wildcardValue: 'Global', alwaysMatch: 'Global' },
+        skinType: { attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all' },
+        fragranceFree: { attribute: 'isFragranceFree', isArray: false, match: 'boolean' },
+        formFactor: { attribute: 'formFactors', isArray: true, match: 'anyOf' },
+        specialFeatures: { attribute: 'specialFeatures', isArray: true, match: 'allOf' },
+        spf: { attribute: 'spf', isArray: false, match: 'atLeast' },
+        uvFilter: { attribute: 'filterType', isArray: false, match: 'equals' },
+        avoidIngredients: { attribute: 'ingredientTokens', isArray: true, match: 'noneOf' }
+    };
+
+    beforeEach(() => {
+        products = [
+            { id: 1, availableIn: ['EU'], skinTypes: ['oily'], isFragranceFree: true, specialFeatures: ['tinted', 'anti-aging'], filters: ['mineral'] },
+            { id: 2, availableIn: ['Global'], skinTypes: ['all'], isFragranceFree: false, specialFeatures: ['tinted'], filters: ['chemical'] },
+            { id: 3, availableIn: ['US'], skinTypes: ['dry'], isFragranceFree: true, specialFeatures: [], filters: ['mineral', 'chemical'] }
+        ];
+    });
+
+    describe('getMatchRule', () => {
+        it('should read the rule declared in the metadata', () => {
+            expect(getMatchRule('skinType', rules)).toEqual(expect.objectContaining({
+                attribute: 'skinTypes', match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all'
+            }));
+
+            const metadata = { formFactor: { attribute: 'formFactors', match: 'allOf' } };
+            expect(getMatchRule('formFactor', metadata).match).toBe('allOf');
+        });
+
+        it('should return null for questions without a usable rule', () => {
+            expect(getMatchRule('unknownQuestion', {})).toBeNull();
+            expect(getMatchRule('skinType', {})).toBeNull();
+            expect(getMatchRule('custom', { custom: { attribute: 'x', match: 'sometimes' } })).toBeNull();
+        });
+    });
+
+    describe('match types', () => {
+        it('should match anyOf answers against list attributes', () => {
+            const filtered = filterByRules(products, { skinType: 'oily' }, rules);
+            expect(filtered.map(p => p.id)).toEqual([1, 2]);
+        });
+
+        it('should treat the wildcard product value as matching every answer', () => {
+            const filtered = filterByRules(products, { location: 'Japan' }, rules);
+            expect(filtered.map(p => p.id)).toEqual([2]);
+        });
+
+        it('should treat the alwaysMatch answer as no preference', () => {
+            expect(filterByRules(products, { location: 'Global', skinType: 'all' }, rules)).toHaveLength(3);
+        });
+
+        it('should require every answer for allOf questions', () => {
+            const filtered = filterByRules(products, { specialFeatures: ['tinted', 'anti-aging'] }, rules);
+            expect(filtered.map(p => p.id)).toEqual([1]);
+        });
+
+        it('should compare boolean answers as strings', () => {
+            expect(filterByRules(products, { fragranceFree: 'false' }, rules).map(p => p.id)).toEqual([2]);
+            expect(filterByRules(products, { fragranceFree: 'any' }, rules)).toHaveLength(3);
+        });
+
+        it('should match atLeast answers against SPF minimums', () => {
+            const spfProducts = [{ id: 1, spf: '30' }, { id: 2, spf: '50' }, { id: 3, spf: '50+' }];
+            expect(filterByRules(spfProducts, { spf: '50' }, rules).map(p => p.id)).toEqual([2, 3]);
+            expect(filterByRules(spfProducts, { spf: '50+' }, rules).map(p => p.id)).toEqual([3]);
+            expect(filterByRules(spfProducts, { spf: 'any' }, rules)).toHaveLength(3);
+        });
+
+        it('should match equals answers against single values', () => {
+            const typed = [{ id: 1, filterType: 'mineral' }, { id: 2, filterType: 'hybrid' }, { id: 3, filterType: null }];
+            expect(filterByRules(typed, { uvFilter: 'hybrid' }, rules).map(p => p.id)).toEqual([2]);
+            expect(filterByRules(typed, { uvFilter: 'any' }, rules)).toHaveLength(3);
+        });
+
+        it('should exclude products containing any noneOf answer', () => {
+            const tokenized = [{ id: 1, ingredientTokens: ['water', 'icky'] }, { id: 2, ingredientTokens: ['glycerin'] }];
+            expect(filterByRules(tokenized, { avoidIngredients: ['icky'] }, rules).map(p => p.id)).toEqual([2]);
+            expect(filterByRules(tokenized, { avoidIngredients: ['octocrylene', 'glycerin'] }, rules).map(p => p.id)).toEqual([1]);
+            expect(isMultiSelect('avoidIngredients', rules)).toBe(true);
+        });
+
+        it('should ignore unanswered and unknown questions', () => {
+            const selections = { skinType: null, specialFeatures: [], testQuestion: 'value' };
+            expect(filterByRules(products, selections, rules)).toHaveLength(3);
+        });
+
+        it('should not match products missing the attribute', () => {
+            const filtered = filterByRules([{ id: 4, availableIn: ['EU'] }], { skinType: 'oily' }, rules);
+            expect(filtered).toHaveLength(0);
+        });
+    });
+
+    describe('questions declared only in metadata', () => {
+        const metadata = {
+            uvFilter: { attribute: 'filters', isArray: true, match: 'anyOf', alwaysMatch: 'either' }
+        };
+
+        it('should filter by a new question without code changes', () => {
+            const filtered = filterByRules(products, { uvFilter: 'mineral' }, metadata);
+            expect(filtered.map(p => p.id)).toEqual([1, 3]);
+        });
+
+        it('should use the declared no-preference answer', () => {
+            expect(getNoPreferenceValue('uvFilter', metadata)).toBe('either');
+            expect(filterByRules(products, { uvFilter: 'either' }, metadata)).toHaveLength(3);
+        });
+    });
+
+    describe('helpers', () => {
+        it('should report multi-select questions', () => {
+            expect(isMultiSelect('specialFeatures', rules)).toBe(true);
+            expect(isMultiSelect('formFactor', rules)).toBe(false);
+        });
+
+        it('should give partial credit for allOf answers', () => {
+            expect(selectionMatchRatio(products[1], 'specialFeatures', ['tinted', 'anti-aging'], rules)).toBe(0.5);
+        });
+    });
+});
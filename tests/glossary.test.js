@@ -0,0 +1,226 @@
+// ===================================
+// Ingredient Glossary Tests
+// ===================================
+// Tests for data/ingredients.yaml, the ingredient index and the explorer view
+
+import yaml from 'js-yaml';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateGlossary, buildIngredientIndex, searchIngredients } from '../modules/ingredients/glossary.js';
+import { initExplorer, showExplorer, closeExplorer, selectIngredient } from '../modules/ingredients/explorer.js';
+import { initResults } from '../modules/results/display.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const glossary = {
+    'butyl-methoxydibenzoylmethane': {
+        name: 'BUTYL METHOXYDIBENZOYLMETHANE',
+        function: 'Chemical UV filter (UVA), known as avobenzone',
+        uvFilter: true,
+        classification: 'goodie',
+        allergen: false,
+        aliases: ['butylmethoxydibenzoylmethane']
+    },
+    niacinamide: {
+        name: 'NIACINAMIDE',
+        function: 'Skin-conditioning active',
+        uvFilter: false,
+        classification: 'superstar',
+        allergen: false,
+        notes: 'Helps with <oil> control.'
+    },
+    linalool: {
+        name: 'LINALOOL',
+        function: 'Perfuming',
+        uvFilter: false,
+        allergen: true
+    }
+};
+
+const sunscreens = [
+    { id: 1, name: 'Fluid One', brand: 'Brand A', ingredients: 'AQUA - NIACINAMIDE - BUTYL METHOXYDIBENZOYLMETHANE' },
+    { id: 2, name: 'Cream Two', brand: 'Brand B', ingredients: 'AQUA - BUTYLMETHOXYDIBENZOYLMETHANE - GLYCERIN' },
+    { id: 3, name: 'Stick Three', brand: 'Brand C', ingredients: 'GLYCERIN' }
+];
+
+describe('Ingredient Glossary', () => {
+    describe('validateGlossary', () => {
+        it('should accept the glossary in data/ingredients.yaml', () => {
+            const content = fs.readFileSync(path.join(__dirname, '..', 'data', 'ingredients.yaml'), 'utf8');
+            expect(validateGlossary(yaml.load(content))).toEqual([]);
+        });
+
+        it('should require an ingredients map', () => {
+            expect(validateGlossary({})).toEqual(['must have an ingredients map']);
+            expect(validateGlossary({ ingredients: [] })).toEqual(['must have an ingredients map']);
+        });
+
+        it('should report missing fields and invalid values', () => {
+            const problems = validateGlossary({
+                ingredients: {
+                    glycerin: { name: 'GLYCERIN', uvFilter: 'no', allergen: false, classification: 'great' }
+                }
+            });
+
+            expect(problems).toEqual([
+                '"glycerin": function must be a non-empty string',
+                '"glycerin": uvFilter must be a boolean',
+                '"glycerin": classification must be one of superstar, goodie, icky'
+            ]);
+        });
+
+        it('should reject aliases that are entries or belong to another entry', () => {
+            const entry = { name: 'X', function: 'Y', uvFilter: false, allergen: false };
+            const problems = validateGlossary({
+                ingredients: {
+                    a: { ...entry, aliases: ['b', 'c'] },
+                    b: { ...entry, aliases: ['c'] }
+                }
+            });
+
+            expect(problems).toEqual([
+                '"a": alias "b" has an entry of its own',
+                '"b": alias "c" is already used by "a"'
+            ]);
+        });
+    });
+
+    describe('buildIngredientIndex', () => {
+        const index = buildIngredientIndex(sunscreens, glossary);
+        const bySlug = slug => index.find(item => item.slug === slug);
+
+        it('should fold spelling variants into their glossary entry', () => {
+            const avobenzone = bySlug('butyl-methoxydibenzoylmethane');
+
+            expect(avobenzone.entry).toBe(glossary['butyl-methoxydibenzoylmethane']);
+            expect(avobenzone.products.map(s => s.id)).toEqual([1, 2]);
+            expect(bySlug('butylmethoxydibenzoylmethane')).toBeUndefined();
+        });
+
+        it('should list catalog ingredients without an entry', () => {
+            const glycerin = bySlug('glycerin');
+
+            expect(glycerin.entry).toBeNull();
+            expect(glycerin.name).toBe('GLYCERIN');
+            expect(glycerin.products.map(s => s.id)).toEqual([2, 3]);
+        });
+
+        it('should list glossary entries no product contains', () => {
+            expect(bySlug('linalool').products).toEqual([]);
+        });
+
+        it('should sort ingredients by name', () => {
+            expect(index.map(item => item.slug)).toEqual([
+                'aqua', 'butyl-methoxydibenzoylmethane', 'glycerin', 'linalool', 'niacinamide'
+            ]);
+        });
+    });
+
+    describe('searchIngredients', () => {
+        const index = buildIngredientIndex(sunscreens, glossary);
+
+        it('should match names ignoring case, spacing and punctuation', () => {
+            expect(searchIngredients('butyl methoxy', index).map(item => item.slug)).toEqual(['butyl-methoxydibenzoylmethane']);
+            expect(searchIngredients('Niacin', index).map(item => item.slug)).toEqual(['niacinamide']);
+        });
+
+        it('should match aliases and the function', () => {
+            expect(searchIngredients('butylmethoxy', index).map(item => item.slug)).toEqual(['butyl-methoxydibenzoylmethane']);
+            expect(searchIngredients('avobenzone', index).map(item => item.slug)).toEqual(['butyl-methoxydibenzoylmethane']);
+            expect(searchIngredients('perfuming', index).map(item => item.slug)).toEqual(['linalool']);
+        });
+
+        it('should return every ingredient for an empty query', () => {
+            expect(searchIngredients('  ', index)).toHaveLength(index.length);
+        });
+    });
+
+    describe('explorer view', () => {
+        let appState;
+        let elements;
+        let shownViews;
+        let shownProducts;
+
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="ingredients-container"></div>';
+
+            appState = { sunscreens, glossary, currentView: 'results', compareIds: [] };
+            elements = { ingredientsContainer: document.getElementById('ingredients-container') };
+            shownViews = [];
+            shownProducts = [];
+
+            const deps = {
+                appState,
+                elements,
+                t: (key, replacements = {}) => [key, ...Object.values(replacements)].join(':'),
+                escapeHTML: str => String(str).replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+                sanitizeURL: url => url,
+                showView: viewName => {
+                    shownViews.push(viewName);
+                    appState.currentView = viewName;
+                },
+                announceToScreenReader: () => {},
+                showProduct: id => shownProducts.push(id)
+            };
+            initResults(deps);
+            initExplorer(deps);
+        });
+
+        const optionSlugs = () => Array.from(elements.ingredientsContainer.querySelectorAll('.ingredient-option'))
+            .map(button => button.dataset.ingredient);
+
+        it('should list every ingredient', () => {
+            showExplorer();
+
+            expect(shownViews).toEqual(['ingredients']);
+            expect(optionSlugs()).toHaveLength(5);
+            expect(elements.ingredientsContainer.querySelector('#ingredient-search-count').textContent).toBe('explorer.matchCount:5');
+        });
+
+        it('should filter the list as the user types', () => {
+            showExplorer();
+            const input = elements.ingredientsContainer.querySelector('#ingredient-search-input');
+            input.value = 'glyc';
+            input.dispatchEvent(new Event('input'));
+
+            expect(optionSlugs()).toEqual(['glycerin']);
+        });
+
+        it('should show the entry and the products of a picked ingredient', () => {
+            showExplorer();
+            elements.ingredientsContainer.querySelector('.ingredient-option[data-ingredient="niacinamide"]').click();
+
+            const detail = elements.ingredientsContainer.querySelector('#ingredient-detail');
+            expect(detail.querySelector('#ingredient-name').textContent).toBe('NIACINAMIDE');
+            expect(detail.querySelector('.ingredient-badge-superstar')).not.toBeNull();
+            expect(detail.querySelector('.ingredient-notes').innerHTML).toBe('Helps with &lt;oil&gt; control.');
+            expect(detail.querySelector('.product-link').getAttribute('href')).toBe('https://incidecoder.com/ingredients/niacinamide');
+            expect(elements.ingredientsContainer.querySelector('[aria-pressed="true"]').dataset.ingredient).toBe('niacinamide');
+
+            detail.querySelector('.product-detail-link').click();
+            expect(shownProducts).toEqual([1]);
+        });
+
+        it('should say when an ingredient has no entry yet', () => {
+            showExplorer('glycerin');
+
+            const detail = elements.ingredientsContainer.querySelector('#ingredient-detail');
+            expect(detail.querySelector('.ingredient-no-entry')).not.toBeNull();
+            expect(detail.querySelectorAll('.ingredient-products li')).toHaveLength(2);
+        });
+
+        it('should return false for an unknown ingredient', () => {
+            showExplorer();
+            expect(selectIngredient('unobtainium')).toBe(false);
+        });
+
+        it('should go back to the view it was opened from', () => {
+            showExplorer();
+            closeExplorer();
+
+            expect(shownViews).toEqual(['ingredients', 'results']);
+        });
+    });
+});
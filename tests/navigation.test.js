@@ -0,0 +1,128 @@
+// ===================================
+// Question Ordering Tests
+// ===================================
+// Tests for picking the next question by expected information gain
+
+import { initFilters } from '../modules/quiz/filters.js';
+import { checkAndAutoSkip } from '../modules/quiz/dynamic-options.js';
+import {
+    initNavigation,
+    evaluateQuestion,
+    getAnswerPriors,
+    calculateDiscriminatingPower,
+    determineNextQuestion
+} from '../modules/quiz/navigation.js';
+
+describe('Question Ordering', () => {
+    let questionMetadata;
+    let products;
+
+    beforeEach(() => {
+        questionMetadata = {
+            skinType: {
+                elementIndex: 0, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all',
+                options: [{ value: 'oily' }, { value: 'dry' }, { value: 'all' }]
+            },
+            fragranceFree: {
+                elementIndex: 1, attribute: 'isFragranceFree', isArray: false, match: 'boolean',
+                options: [{ value: 'true' }, { value: 'false' }, { value: 'any' }]
+            },
+            specialFeatures: {
+                elementIndex: 2, attribute: 'specialFeatures', isArray: true, match: 'allOf',
+                options: [{ value: 'tinted' }]
+            }
+        };
+        products = [
+            { id: 1, skinTypes: ['oily', 'dry'], isFragranceFree: true },
+            { id: 2, skinTypes: ['oily', 'dry'], isFragranceFree: false },
+            { id: 3, skinTypes: ['oily', 'dry'], isFragranceFree: true },
+            { id: 4, skinTypes: ['all'], isFragranceFree: false }
+        ];
+        initFilters({ questionMetadata });
+        initNavigation({ appConfig: { algorithm: { minDiscriminatingPower: 0.01 } } });
+    });
+
+    it('should not count products with several values more than once', () => {
+        // Every skin type answer keeps every product, so asking gains nothing
+        expect(evaluateQuestion('skinType', products, questionMetadata)).toEqual({ expectedRemaining: 4, informationGain: 0 });
+
+        // true and false keep two products each (1 bit), any keeps all four
+        const { expectedRemaining, informationGain } = evaluateQuestion('fragranceFree', products, questionMetadata);
+        expect(expectedRemaining).toBeCloseTo(8 / 3);
+        expect(informationGain).toBeCloseTo(2 / 3);
+    });
+
+    it('should weigh answers by their priors, leaving out answers no product matches', () => {
+        expect(getAnswerPriors('fragranceFree', ['true', 'false', 'any'], questionMetadata)).toEqual([1 / 3, 1 / 3, 1 / 3]);
+
+        // Most users have no preference, so asking is worth less
+        questionMetadata.fragranceFree.answerPriors = { any: 8 };
+        expect(getAnswerPriors('fragranceFree', ['true', 'false', 'any'], questionMetadata)).toEqual([0.1, 0.1, 0.8]);
+        expect(calculateDiscriminatingPower('fragranceFree', products, questionMetadata)).toBeCloseTo(0.2);
+
+        // "false" matches no product here, so only "true" and "any" can be picked
+        const fragranceFree = products.filter(product => product.isFragranceFree);
+        questionMetadata.fragranceFree.answerPriors = { true: 1, any: 0 };
+        expect(evaluateQuestion('fragranceFree', fragranceFree, questionMetadata).informationGain).toBe(0);
+
+        questionMetadata.fragranceFree.answerPriors = { true: 0, false: 0, any: 0 };
+        expect(calculateDiscriminatingPower('fragranceFree', products, questionMetadata)).toBe(0);
+    });
+
+    it('should fall back to the product values when a question declares no options', () => {
+        delete questionMetadata.fragranceFree.options;
+        expect(calculateDiscriminatingPower('fragranceFree', products, questionMetadata)).toBeCloseTo(2 / 3);
+    });
+
+    it('should ask the question with the highest gain, and skip those below minDiscriminatingPower', () => {
+        const appState = {
+            sunscreens: products,
+            selections: { skinType: null, fragranceFree: null, specialFeatures: null },
+            questionHistory: []
+        };
+
+        // No product has a special feature, so that question can't narrow anything
+        expect(determineNextQuestion(appState, questionMetadata)).toBe('fragranceFree');
+
+        initNavigation({ appConfig: { algorithm: { minDiscriminatingPower: 0.7 } } });
+        expect(determineNextQuestion(appState, questionMetadata)).toBe(null);
+    });
+
+    it('should ask multi-select questions as soon as they split the products best', () => {
+        questionMetadata.specialFeatures.options.push({ value: 'water-resistant' }, { value: 'mineral' });
+        products[0].specialFeatures = ['tinted'];
+        products[1].specialFeatures = ['water-resistant'];
+        products[2].specialFeatures = ['mineral'];
+        const appState = {
+            sunscreens: products,
+            selections: { skinType: null, fragranceFree: null, specialFeatures: null },
+            questionHistory: []
+        };
+
+        // Ticking one feature leaves one product; ticking nothing (as likely as all three together) leaves four
+        const { expectedRemaining, informationGain } = evaluateQuestion('specialFeatures', products, questionMetadata);
+        expect(expectedRemaining).toBeCloseTo(2.5);
+        expect(informationGain).toBeCloseTo(1);
+        expect(determineNextQuestion(appState, questionMetadata)).toBe('specialFeatures');
+
+        appState.selections.specialFeatures = [];
+        expect(determineNextQuestion(appState, questionMetadata)).toBe('fragranceFree');
+    });
+
+    it('should skip a multi-select question when nothing is left to tick', () => {
+        document.body.innerHTML = `
+            <div class="question"></div><div class="question"></div>
+            <div class="question">
+                <label class="option option-disabled"><input type="checkbox" name="specialFeatures" value="tinted" disabled></label>
+            </div>`;
+        const appState = { currentQuestionKey: 'specialFeatures', selections: { specialFeatures: null } };
+
+        expect(checkAndAutoSkip(appState, questionMetadata)).toBe(true);
+        expect(appState.selections.specialFeatures).toEqual([]);
+
+        document.querySelector('input').disabled = false;
+        appState.selections.specialFeatures = null;
+        expect(checkAndAutoSkip(appState, questionMetadata)).toBe(false);
+        expect(appState.selections.specialFeatures).toBe(null);
+    });
+});
@@ -0,0 +1,98 @@
+// ===================================
+// Ingredient Parser Tests
+// ===================================
+// Tests for splitting INCI strings and normalizing ingredient names and slugs
+
+import {
+    splitIngredients,
+    parseIngredient,
+    parseIngredients,
+    getIngredientName,
+    getIngredientSlug,
+    getIngredientTokens,
+    listIngredients,
+    ICKY_TOKEN
+} from '../modules/ingredients/parser.js';
+
+describe('Ingredient Parser', () => {
+    describe('splitIngredients', () => {
+        it('should split on dashes and bullets', () => {
+            expect(splitIngredients('AQUA - GLYCERIN - ALCOHOL DENAT.')).toEqual(['AQUA', 'GLYCERIN', 'ALCOHOL DENAT.']);
+            expect(splitIngredients('AQUA • GLYCERIN •')).toEqual(['AQUA', 'GLYCERIN']);
+        });
+
+        it('should keep hyphenated names together', () => {
+            expect(splitIngredients('PEG-100 STEARATE - C12-15 ALKYL BENZOATE')).toEqual(['PEG-100 STEARATE', 'C12-15 ALKYL BENZOATE']);
+        });
+
+        it('should return an empty list for missing ingredients', () => {
+            expect(splitIngredients(undefined)).toEqual([]);
+        });
+    });
+
+    describe('parseIngredient', () => {
+        it('should return a structured ingredient', () => {
+            expect(parseIngredient(' CI 77891 / TITANIUM DIOXIDE ', { 'CI 77891 / TITANIUM DIOXIDE': 'goodie' })).toEqual({
+                raw: 'CI 77891 / TITANIUM DIOXIDE',
+                name: 'TITANIUM DIOXIDE',
+                synonyms: ['CI 77891', 'TITANIUM DIOXIDE'],
+                ciCode: 'CI 77891',
+                slug: 'titanium-dioxide',
+                classification: 'goodie'
+            });
+        });
+
+        it('should leave ciCode and classification empty when absent', () => {
+            const parsed = parseIngredient('GLYCERIN');
+            expect(parsed.ciCode).toBeNull();
+            expect(parsed.classification).toBeNull();
+            expect(parsed.synonyms).toEqual(['GLYCERIN']);
+        });
+
+        it('should parse a whole ingredients string in label order', () => {
+            const parsed = parseIngredients('AQUA - ALCOHOL DENAT.', { 'ALCOHOL DENAT.': 'icky' });
+            expect(parsed.map(i => [i.slug, i.classification])).toEqual([['aqua', null], ['alcohol-denat', 'icky']]);
+        });
+    });
+
+    describe('getIngredientName / getIngredientSlug', () => {
+        it('should prefer the longest synonym over codes', () => {
+            expect(getIngredientName('CI 77891 / TITANIUM DIOXIDE')).toBe('TITANIUM DIOXIDE');
+            expect(getIngredientSlug('AQUA / WATER / EAU')).toBe('water');
+        });
+
+        it('should drop parentheses and punctuation', () => {
+            expect(getIngredientSlug('ALCOHOL DENAT.')).toBe('alcohol-denat');
+            expect(getIngredientSlug('PARFUM (FRAGRANCE)')).toBe('parfum');
+        });
+    });
+
+    describe('getIngredientTokens', () => {
+        it('should list slugs and flag icky ingredients', () => {
+            const tokens = getIngredientTokens(
+                { ingredients: 'AQUA / WATER / EAU - ALCOHOL DENAT.' },
+                { 'ALCOHOL DENAT.': 'icky' }
+            );
+            expect(tokens).toEqual(['water', 'alcohol-denat', ICKY_TOKEN]);
+        });
+
+        it('should not flag products without icky ingredients', () => {
+            const tokens = getIngredientTokens({ ingredients: 'GLYCERIN' }, { GLYCERIN: 'superstar' });
+            expect(tokens).toEqual(['glycerin']);
+        });
+    });
+
+    describe('listIngredients', () => {
+        it('should list each ingredient once, sorted by name', () => {
+            const ingredients = listIngredients([
+                { ingredients: 'WATER - GLYCERIN' },
+                { ingredients: 'AQUA / WATER / EAU - ALCOHOL DENAT.' }
+            ]);
+            expect(ingredients).toEqual([
+                { slug: 'alcohol-denat', name: 'ALCOHOL DENAT.' },
+                { slug: 'glycerin', name: 'GLYCERIN' },
+                { slug: 'water', name: 'WATER' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+// ===================================
+// Product Detail Tests
+// ===================================
+// Tests for the ?product=<id> deep link and the product detail view
+
+import {
+    initProduct,
+    getProductMatches,
+    findSameBrand,
+    generateProductURL,
+    showProduct,
+    closeProduct
+} from '../modules/results/product.js';
+import { parseProductParam } from '../modules/url-params.js';
+import { initResults } from '../modules/results/display.js';
+import { initQuestions } from '../modules/quiz/questions.js';
+import { initShare } from '../modules/results/share.js';
+import { setGlobalClassifications } from '../modules/ingredients/classifications.js';
+
+const questionMetadata = {
+    skinType: { elementIndex: 0, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all', urlParam: 'skin' },
+    formFactor: { elementIndex: 1, attribute: 'formFactors', isArray: true, match: 'anyOf', alwaysMatch: 'any', urlParam: 'form' },
+    specialFeatures: { elementIndex: 2, attribute: 'specialFeatures', isArray: true, match: 'allOf', urlParam: 'features' }
+};
+
+const sunscreens = [
+    {
+        id: 1,
+        name: 'Fluid One',
+        brand: 'Brand A',
+        spf: '50+',
+        formFactors: ['fluid'],
+        skinTypes: ['oily'],
+        availableIn: ['EU'],
+        specialFeatures: ['tinted'],
+        url: 'https://example.com/fluid-one',
+        ingredients: 'AQUA - NIACINAMIDE'
+    },
+    { id: 2, name: 'Stick Two', brand: 'brand a', spf: '30', formFactors: ['stick'], skinTypes: ['all'] },
+    { id: 3, name: 'Another', brand: 'Brand A', spf: '50', formFactors: ['cream'], skinTypes: ['dry'] },
+    { id: 4, name: 'Other Brand', brand: 'Brand B', spf: '30', formFactors: ['cream'], skinTypes: ['dry'] }
+];
+
+describe('Product Detail', () => {
+    beforeAll(() => {
+        initQuestions({ questionMetadata, elements: {}, t: key => key, escapeHTML: str => str });
+        setGlobalClassifications({ niacinamide: { classification: 'superstar' } });
+    });
+
+    describe('parseProductParam', () => {
+        it('should accept the id of an existing product', () => {
+            expect(parseProductParam('3', sunscreens)).toBe(3);
+        });
+
+        it('should reject unknown and malformed ids', () => {
+            expect(parseProductParam('99', sunscreens)).toBeNull();
+            expect(parseProductParam('1abc', sunscreens)).toBeNull();
+            expect(parseProductParam('-1', sunscreens)).toBeNull();
+            expect(parseProductParam(null, sunscreens)).toBeNull();
+        });
+    });
+
+    describe('getProductMatches', () => {
+        it('should list every active answer with whether the product matches it', () => {
+            const selections = { skinType: 'oily', formFactor: 'cream', specialFeatures: ['tinted', 'reef-safe'] };
+
+            expect(getProductMatches(sunscreens[0], selections, questionMetadata)).toEqual([
+                { questionKey: 'skinType', value: 'oily', matched: true },
+                { questionKey: 'formFactor', value: 'cream', matched: false },
+                { questionKey: 'specialFeatures', value: 'tinted', matched: true },
+                { questionKey: 'specialFeatures', value: 'reef-safe', matched: false }
+            ]);
+        });
+
+        it('should leave out unanswered and no-preference questions', () => {
+            const selections = { skinType: 'all', formFactor: null, specialFeatures: [] };
+            expect(getProductMatches(sunscreens[0], selections, questionMetadata)).toEqual([]);
+        });
+    });
+
+    describe('findSameBrand', () => {
+        it('should find other products of the brand, ignoring case', () => {
+            expect(findSameBrand(sunscreens[0], sunscreens).map(s => s.id)).toEqual([3, 2]);
+        });
+
+        it('should return an empty list for a brand with one product', () => {
+            expect(findSameBrand(sunscreens[3], sunscreens)).toEqual([]);
+        });
+    });
+
+    describe('product view', () => {
+        let appState;
+        let elements;
+        let shownViews;
+
+        beforeEach(() => {
+            document.body.innerHTML = '<div id="product-container"></div><p id="copy-confirmation"></p>';
+            history.replaceState({}, '', '/');
+
+            appState = { sunscreens, selections: { skinType: 'oily' }, currentView: 'results', compareIds: [] };
+            elements = {
+                productContainer: document.getElementById('product-container'),
+                copyConfirmation: document.getElementById('copy-confirmation')
+            };
+            shownViews = [];
+
+            const deps = {
+                appState,
+                appConfig: { sharePopup: { width: 600, height: 400 } },
+                elements,
+                questionMetadata,
+                t: (key, replacements = {}) => [key, ...Object.values(replacements)].join(':'),
+                escapeHTML: str => String(str).replace(/</g, '&lt;'),
+                sanitizeURL: url => url,
+                showView: viewName => {
+                    shownViews.push(viewName);
+                    appState.currentView = viewName;
+                },
+                announceToScreenReader: () => {}
+            };
+            initResults(deps);
+            initShare(deps);
+            initProduct(deps);
+        });
+
+        it('should keep the current answers in the product URL', () => {
+            const url = new URL(generateProductURL(1));
+            expect(url.searchParams.get('product')).toBe('1');
+            expect(url.searchParams.get('skin')).toBe('oily');
+        });
+
+        it('should render the product and put it in the URL', () => {
+            expect(showProduct(1)).toBe(true);
+
+            expect(shownViews).toEqual(['product']);
+            expect(new URL(window.location.href).searchParams.get('product')).toBe('1');
+
+            const container = elements.productContainer;
+            expect(container.querySelector('#product-name').textContent).toBe('Fluid One');
+            expect(container.querySelector('.ingredient-badge-superstar')).not.toBeNull();
+            expect(container.querySelectorAll('.product-match-yes')).toHaveLength(1);
+            expect(Array.from(container.querySelectorAll('.product-same-brand a')).map(a => a.dataset.productId)).toEqual(['3', '2']);
+            expect(container.querySelectorAll('[data-share]')).toHaveLength(4);
+        });
+
+        it('should open another product from the same-brand list', () => {
+            showProduct(1);
+            elements.productContainer.querySelector('.product-same-brand a').click();
+
+            expect(elements.productContainer.querySelector('#product-name').textContent).toBe('Another');
+        });
+
+        it('should share the product link', () => {
+            let opened;
+            const originalOpen = window.open;
+            window.open = url => { opened = url; };
+
+            showProduct(1);
+            elements.productContainer.querySelector('[data-share="twitter"]').click();
+            window.open = originalOpen;
+
+            expect(decodeURIComponent(opened)).toContain('product=1');
+            expect(decodeURIComponent(opened)).toContain('product.shareMessage:Fluid One:Brand A');
+        });
+
+        it('should return false for an unknown product', () => {
+            expect(showProduct(99)).toBe(false);
+            expect(shownViews).toEqual([]);
+        });
+
+        it('should go back to the view it was opened from', () => {
+            showProduct(1);
+            showProduct(3);
+            closeProduct();
+
+            expect(shownViews).toEqual(['product', 'product', 'results']);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+// ===================================
+// Question Registry Tests
+// ===================================
+// Tests for deriving form markup, URL parameters and share text from metadata
+
+import {
+    initQuestions,
+    getQuestionKeys,
+    createEmptySelections,
+    getURLParam,
+    getOptions,
+    getShareCriteria,
+    renderQuestionForm,
+    addCatalogOptions,
+    filterOptionList
+} from '../modules/quiz/questions.js';
+
+describe('Question Registry', () => {
+    let questionMetadata;
+    let elements;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<form id="questions-form"><fieldset class="question">static</fieldset></form>';
+
+        questionMetadata = {
+            uvFilter: {
+                elementIndex: 1,
+                attribute: 'filterType',
+                isArray: false,
+                urlParam: 'filter',
+                i18nKey: 'uvFilter',
+                options: [
+                    { value: 'mineral', share: 'mineral' },
+                    { value: 'any' }
+                ]
+            },
+            skinType: {
+                elementIndex: 0,
+                attribute: 'skinTypes',
+                isArray: true,
+                match: 'anyOf',
+                note: true,
+                options: [
+                    { value: 'oily', icon: '💧', share: 'oily skin' },
+                    { value: 'all' }
+                ]
+            },
+            specialFeatures: {
+                elementIndex: 2,
+                attribute: 'specialFeatures',
+                isArray: true,
+                match: 'allOf',
+                options: [{ value: 'anti-aging', i18nKey: 'antiAging' }]
+            }
+        };
+
+        elements = {
+            questionsForm: document.getElementById('questions-form'),
+            questions: document.querySelectorAll('.question')
+        };
+
+        initQuestions({
+            questionMetadata,
+            elements,
+            t: key => `[${key}]`,
+            escapeHTML: str => String(str).replace(/</g, '&lt;')
+        });
+    });
+
+    it('should list questions in elementIndex order', () => {
+        expect(getQuestionKeys()).toEqual(['skinType', 'uvFilter', 'specialFeatures']);
+    });
+
+    it('should create unanswered selections for every question', () => {
+        expect(createEmptySelections()).toEqual({ skinType: null, uvFilter: null, specialFeatures: null });
+    });
+
+    it('should use the declared URL parameter, or the question key', () => {
+        expect(getURLParam('uvFilter')).toBe('filter');
+        expect(getURLParam('skinType')).toBe('skinType');
+    });
+
+    it('should default option translation keys to the value', () => {
+        expect(getOptions('specialFeatures')[0].i18nKey).toBe('antiAging');
+        expect(getOptions('uvFilter')[0].i18nKey).toBe('mineral');
+        expect(getOptions('unknown')).toEqual([]);
+    });
+
+    it('should build share text from the selected options', () => {
+        const criteria = getShareCriteria({ skinType: 'oily', uvFilter: 'mineral', specialFeatures: ['anti-aging'] });
+        expect(criteria).toEqual(['oily skin', 'mineral']);
+        expect(getShareCriteria({ skinType: 'all', uvFilter: 'any' })).toEqual([]);
+    });
+
+    describe('renderQuestionForm', () => {
+        it('should render one fieldset per question in order', () => {
+            renderQuestionForm();
+
+            const fieldsets = document.querySelectorAll('#questions-form .question');
+            expect(Array.from(fieldsets).map(f => f.dataset.question)).toEqual(['skinType', 'uvFilter', 'specialFeatures']);
+            expect(elements.questions).toHaveLength(3);
+        });
+
+        it('should render radios for single answers and checkboxes for multi-select', () => {
+            renderQuestionForm();
+
+            expect(document.querySelectorAll('input[name="uvFilter"][type="radio"]')).toHaveLength(2);
+            expect(document.querySelector('input[name="specialFeatures"]').type).toBe('checkbox');
+            expect(document.querySelector('.question[data-question="specialFeatures"] .options').classList.contains('options-multi')).toBe(true);
+        });
+
+        it('should translate legends, notes, labels and icons', () => {
+            renderQuestionForm();
+
+            const skinType = document.querySelector('.question[data-question="skinType"]');
+            expect(skinType.querySelector('legend').textContent).toBe('[questions.skinType.legend]');
+            expect(skinType.querySelector('.question-note').textContent).toBe('[questions.skinType.note]');
+            expect(skinType.querySelector('.option-label').textContent).toBe('💧 [questions.skinType.options.oily.label]');
+            expect(document.querySelector('.question[data-question="uvFilter"] .question-note')).toBeNull();
+
+            const featureLabel = document.querySelector('.question[data-question="specialFeatures"] .option-label');
+            expect(featureLabel.getAttribute('data-i18n')).toBe('questions.specialFeatures.options.antiAging.label');
+        });
+
+        it('should keep existing markup when no question declares options', () => {
+            Object.values(questionMetadata).forEach(metadata => delete metadata.options);
+            renderQuestionForm();
+
+            expect(document.querySelector('#questions-form .question').textContent).toBe('static');
+        });
+    });
+
+    describe('catalog options', () => {
+        beforeEach(() => {
+            questionMetadata.avoidIngredients = {
+                elementIndex: 3,
+                attribute: 'ingredientTokens',
+                isArray: true,
+                match: 'noneOf',
+                searchable: true,
+                optionsFrom: 'ingredients',
+                options: [{ value: 'icky' }]
+            };
+            addCatalogOptions([
+                { ingredients: 'AQUA / WATER / EAU - ALCOHOL DENAT.' },
+                { ingredients: 'GLYCERIN - ALCOHOL DENAT.' }
+            ]);
+        });
+
+        it('should append one option per ingredient after the declared ones', () => {
+            expect(getOptions('avoidIngredients').map(o => o.value)).toEqual(['icky', 'alcohol-denat', 'glycerin', 'water']);
+
+            addCatalogOptions([{ ingredients: 'GLYCERIN' }]);
+            expect(getOptions('avoidIngredients')).toHaveLength(4);
+        });
+
+        it('should render a search box and untranslated ingredient labels', () => {
+            renderQuestionForm();
+
+            const question = document.querySelector('.question[data-question="avoidIngredients"]');
+            expect(question.querySelector('.option-search')).not.toBeNull();
+            expect(question.querySelectorAll('input[type="checkbox"]')).toHaveLength(4);
+            expect(question.querySelectorAll('.option-catalog')[0].textContent.trim()).toBe('ALCOHOL DENAT.');
+        });
+
+        it('should filter catalog options but keep checked ones visible', () => {
+            renderQuestionForm();
+
+            const question = document.querySelector('.question[data-question="avoidIngredients"]');
+            question.querySelector('input[value="water"]').checked = true;
+            const search = question.querySelector('.option-search');
+            search.value = 'alco';
+            filterOptionList(search);
+
+            const visible = Array.from(question.querySelectorAll('.option'))
+                .filter(option => !option.classList.contains('hidden'))
+                .map(option => option.querySelector('input').value);
+            expect(visible).toEqual(['icky', 'alcohol-denat', 'water']);
+        });
+    });
+});
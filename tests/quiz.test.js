@@ -1,6 +1,9 @@
 // Quiz Module Tests - Testing quiz.js functionality
 
 import { JSDOM } from 'jsdom';
+import fs from 'fs';
+import { getIngredientSlug } from '../modules/ingredients/parser.js';
+import { computeSimilarity } from '../modules/results/similarity.js';
 
 describe('Quiz Module', () => {
     let dom;
@@ -96,9 +99,8 @@ sunscreens:
     forKids: false
     waterResistant: true
     price: 20
-    size: 100ml
-    description: Test product
-    purchaseLink: https://example.com/1
+    url: https://example.com/1
+    ingredients: AQUA - GLYCERIN - ZINC OXIDE
   - id: 2
     name: Test Sunscreen 2
     brand: Test Brand 2
@@ -110,9 +112,8 @@ sunscreens:
     forKids: true
     waterResistant: false
     price: 15
-    size: 50ml
-    description: Test product 2
-    purchaseLink: https://example.com/2
+    url: https://example.com/2
+    ingredients: AQUA - ALCOHOL DENAT. - OCTOCRYLENE
                     `)
                 });
             }
@@ -152,6 +153,26 @@ questions:
                     `)
                 });
             }
+            if (url.includes('ingredients.yaml')) {
+                return Promise.resolve({
+                    ok: true,
+                    text: () => Promise.resolve(`
+ingredients:
+  glycerin:
+    name: GLYCERIN
+    function: Humectant
+    uvFilter: false
+    classification: superstar
+    allergen: false
+                    `)
+                });
+            }
+            if (url.includes('.schema.json')) {
+                return Promise.resolve({
+                    ok: true,
+                    json: () => Promise.resolve(JSON.parse(fs.readFileSync(new URL(`../${url}`, import.meta.url), 'utf8')))
+                });
+            }
             if (url.includes('mutually-exclusive-features.yaml')) {
                 return Promise.resolve({
                     ok: true,
@@ -180,9 +201,8 @@ questions:
                                 forKids: false,
                                 waterResistant: true,
                                 price: 20,
-                                size: '100ml',
-                                description: 'Test product',
-                                purchaseLink: 'https://example.com/1'
+                                url: 'https://example.com/1',
+                                ingredients: 'AQUA - GLYCERIN - ZINC OXIDE'
                             },
                             {
                                 id: 2,
@@ -196,23 +216,29 @@ questions:
                                 forKids: true,
                                 waterResistant: false,
                                 price: 15,
-                                size: '50ml',
-                                description: 'Test product 2',
-                                purchaseLink: 'https://example.com/2'
+                                url: 'https://example.com/2',
+                                ingredients: 'AQUA - ALCOHOL DENAT. - OCTOCRYLENE'
                             }
                         ]
                     };
                 }
+                if (text.includes('ingredients:')) {
+                    return {
+                        ingredients: {
+                            glycerin: { name: 'GLYCERIN', function: 'Humectant', uvFilter: false, classification: 'superstar', allergen: false }
+                        }
+                    };
+                }
                 if (text.includes('elementIndex')) {
                     return {
                         questions: {
-                            location: { elementIndex: 0, attribute: 'availableIn', isArray: true },
-                            skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true },
-                            fragranceFree: { elementIndex: 2, attribute: 'isFragranceFree', isArray: false },
-                            forKids: { elementIndex: 3, attribute: 'forKids', isArray: false },
-                            formFactor: { elementIndex: 4, attribute: 'formFactors', isArray: true },
-                            waterResistant: { elementIndex: 5, attribute: 'waterResistant', isArray: false },
-                            specialFeatures: { elementIndex: 6, attribute: 'specialFeatures', isArray: true }
+                            location: { elementIndex: 0, attribute: 'availableIn', isArray: true, options: [{ value: 'US' }, { value: 'EU' }] },
+                            skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true, options: [{ value: 'oily' }, { value: 'dry' }] },
+                            fragranceFree: { elementIndex: 2, attribute: 'isFragranceFree', isArray: false, options: [{ value: 'true' }, { value: 'any' }] },
+                            forKids: { elementIndex: 3, attribute: 'forKids', isArray: false, options: [{ value: 'true' }, { value: 'any' }] },
+                            formFactor: { elementIndex: 4, attribute: 'formFactors', isArray: true, options: [{ value: 'cream' }, { value: 'lotion' }] },
+                            waterResistant: { elementIndex: 5, attribute: 'waterResistant', isArray: false, options: [{ value: 'true' }, { value: 'any' }] },
+                            specialFeatures: { elementIndex: 6, attribute: 'specialFeatures', isArray: true, options: [{ value: 'tinted' }] }
                         }
                     };
                 }
@@ -242,11 +268,14 @@ questions:
                 timings: {
                     notificationFadeOut: 300,
                     notificationAutoDismiss: 3000
+                },
+                algorithm: {
+                    minDiscriminatingPower: 0.01
                 }
             },
             questionMetadata: {
-                location: { elementIndex: 0, attribute: 'availableIn', isArray: true },
-                skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true }
+                location: { elementIndex: 0, attribute: 'availableIn', isArray: true, match: 'anyOf', wildcardValue: 'Global', alwaysMatch: 'Global' },
+                skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all' }
             },
             mutuallyExclusiveFeatures: [],
             elements: {
@@ -398,6 +427,15 @@ questions:
             expect(() => quiz.checkURLParametersAndShowResults()).not.toThrow();
         });
 
+        it('should leave the welcome view for parameters no question declares', () => {
+            // main.js loads the quiz for any parameter but lang, and only the metadata knows which apply
+            global.window.location.search = '?utm_source=newsletter&fbclid=abc';
+            const selections = { ...mockDeps.appState.selections };
+
+            expect(quiz.checkURLParametersAndShowResults()).toBe(false);
+            expect(mockDeps.appState.selections).toEqual(selections);
+        });
+
         it('should handle empty URL', () => {
             global.window.location.search = '';
 
@@ -581,8 +619,11 @@ questions:
         });
 
         it('should return next question key', () => {
+            mockDeps.appState.sunscreens.push({ id: 2, availableIn: ['US'], skinTypes: ['dry'], formFactors: ['cream'], isFragranceFree: true });
+            mockDeps.appState.selections = { location: null, skinType: null };
+
             const nextQuestion = quiz.determineNextQuestion(mockDeps.appState, mockDeps.questionMetadata);
-            expect(typeof nextQuestion).toBe('string');
+            expect(nextQuestion).toBe('skinType');
         });
 
         it('should skip answered questions', () => {
@@ -644,6 +685,82 @@ questions:
             mockDeps.appState.filteredResults = [];
             expect(() => quiz.showResults()).not.toThrow();
         });
+
+        it('should rank close matches when nothing matches every answer', () => {
+            const announcements = [];
+            mockDeps.announceToScreenReader = message => announcements.push(message);
+            mockDeps.appState.translations.results.summary = { closeOnly: '{count} close matches', closeCount: 'Plus {count} close matches' };
+            mockDeps.appState.translations.screenReader = { foundResults: 'Found {count} matching sunscreens' };
+            mockDeps.appState.sunscreens = [
+                { id: 1, name: 'Dry Fluid', brand: 'Brand', spf: 50, availableIn: ['EU'], skinTypes: ['dry'], formFactors: ['fluid'] },
+                { id: 2, name: 'US Fluid', brand: 'Brand', spf: 50, availableIn: ['US'], skinTypes: ['dry'], formFactors: ['fluid'] }
+            ];
+            mockDeps.appState.selections = { location: 'EU', skinType: 'oily', formFactor: 'fluid' };
+            Object.assign(mockDeps.appState, { ingredientFilters: [], compareIds: [], shortlist: [], resultsSort: 'match' });
+            mockDeps.questionMetadata.location.hard = true;
+            mockDeps.questionMetadata.formFactor = { elementIndex: 2, attribute: 'formFactors', isArray: true, match: 'anyOf' };
+            quiz.initQuiz(mockDeps);
+
+            quiz.showResults();
+
+            // skinType is a soft answer: the EU product misses it but is still ranked, the US one fails location
+            expect(quiz.filterSunscreens(mockDeps.appState)).toHaveLength(0);
+            expect(document.querySelectorAll('.result-card')).toHaveLength(1);
+            expect(document.getElementById('results-summary').textContent).toContain('1 close matches');
+            expect(announcements).toContain('Found 0 matching sunscreens. Plus 1 close matches');
+        });
+
+        it('should suggest changing a hard constraint when it rules out every product', () => {
+            mockDeps.appState.sunscreens = [
+                { id: 1, name: 'US Lotion', brand: 'Brand', spf: 50, availableIn: ['US'], skinTypes: ['oily'], formFactors: ['lotion'] }
+            ];
+            // Similar products are looked up in this catalog, as after loading it
+            computeSimilarity(mockDeps.appState.sunscreens);
+            mockDeps.appState.selections = { location: 'EU', skinType: 'oily' };
+            Object.assign(mockDeps.appState, { ingredientFilters: [], compareIds: [], shortlist: [], resultsSort: 'match' });
+            mockDeps.questionMetadata.location.hard = true;
+            quiz.initQuiz(mockDeps);
+
+            quiz.showResults();
+
+            const container = document.getElementById('results-container');
+            expect(container.querySelector('.no-results')).not.toBeNull();
+            expect(container.querySelectorAll('.alternative')).toHaveLength(2);
+
+            // The first suggestion drops the region (Global), which brings the product back
+            container.querySelector('.alternative-apply-btn').click();
+            expect(mockDeps.appState.selections.location).toBe('Global');
+            expect(container.querySelector('.no-results')).toBeNull();
+            expect(container.querySelectorAll('.result-card')).toHaveLength(1);
+        });
+
+        it('should suggest the closest alternatives above the close matches', () => {
+            mockDeps.appState.sunscreens = [
+                { id: 1, name: 'Dry Fluid', brand: 'Brand', spf: 50, availableIn: ['EU'], skinTypes: ['dry'], formFactors: ['fluid'] },
+                { id: 2, name: 'US Fluid', brand: 'Brand', spf: 50, availableIn: ['US'], skinTypes: ['oily'], formFactors: ['fluid'] }
+            ];
+            mockDeps.appState.selections = { location: 'EU', skinType: 'oily', formFactor: 'fluid' };
+            Object.assign(mockDeps.appState, { ingredientFilters: [], compareIds: [], shortlist: [], resultsSort: 'match' });
+            mockDeps.questionMetadata.location.hard = true;
+            mockDeps.questionMetadata.formFactor = { elementIndex: 2, attribute: 'formFactors', isArray: true, match: 'anyOf' };
+            quiz.initQuiz(mockDeps);
+
+            quiz.showResults();
+
+            // No exact match: the suggestions come first, then the close match
+            const container = document.getElementById('results-container');
+            expect(container.querySelector('.no-results')).toBeNull();
+            expect(container.firstElementChild.classList.contains('suggestions')).toBe(true);
+            expect(container.querySelectorAll('.result-card')).toHaveLength(1);
+            expect(container.querySelectorAll('.alternative-apply-btn').length).toBeGreaterThan(0);
+
+            // Applying one brings back an exact match, and the suggestions go away
+            container.querySelector('.alternative-apply-btn').click();
+            expect(mockDeps.appState.selections.skinType).toBe('all');
+            expect(quiz.filterSunscreens(mockDeps.appState)).toHaveLength(1);
+            expect(container.querySelector('.suggestions')).toBeNull();
+            expect(container.querySelectorAll('.result-card')).toHaveLength(1);
+        });
     });
 
     describe('Share Functions', () => {
@@ -726,7 +843,6 @@ questions:
 
     describe('INCIDecoder Link Generation', () => {
         it('should generate correct slugs for ingredient links', () => {
-            // Test slug generation logic
             const testCases = [
                 { input: 'Zinc Oxide (UV Filter)', expected: 'zinc-oxide' },
                 { input: 'Titanium Dioxide', expected: 'titanium-dioxide' },
@@ -738,15 +854,7 @@ questions:
             ];
 
             testCases.forEach(({ input, expected }) => {
-                // Simulate the slug generation from quiz.js
-                const cleaned = input.replace(/\([^)]*\)/g, '').trim();
-                const slug = cleaned.toLowerCase()
-                    .replace(/\s+/g, '-')
-                    .replace(/[^a-z0-9-]/g, '')
-                    .replace(/--+/g, '-')
-                    .replace(/^-+|-+$/g, '');
-
-                expect(slug).toBe(expected);
+                expect(getIngredientSlug(input)).toBe(expected);
             });
         });
 
@@ -758,27 +866,13 @@ questions:
             ];
 
             testCases.forEach(({ input, expected }) => {
-                const cleaned = input.replace(/\([^)]*\)/g, '').trim();
-                const slug = cleaned.toLowerCase()
-                    .replace(/\s+/g, '-')
-                    .replace(/[^a-z0-9-]/g, '')
-                    .replace(/--+/g, '-')
-                    .replace(/^-+|-+$/g, '');
-
-                expect(slug).toBe(expected);
+                expect(getIngredientSlug(input)).toBe(expected);
             });
         });
 
         it('should remove multiple consecutive hyphens', () => {
             const input = 'Test  -  Multiple   Spaces';
-            const cleaned = input.replace(/\([^)]*\)/g, '').trim();
-            const slug = cleaned.toLowerCase()
-                .replace(/\s+/g, '-')
-                .replace(/[^a-z0-9-]/g, '')
-                .replace(/--+/g, '-')
-                .replace(/^-+|-+$/g, '');
-
-            expect(slug).toBe('test-multiple-spaces');
+            expect(getIngredientSlug(input)).toBe('test-multiple-spaces');
         });
     });
 });
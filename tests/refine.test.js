@@ -0,0 +1,170 @@
+// ===================================
+// Results Refinement Tests
+// ===================================
+// Tests for sorting results and building the facet and ingredient filter chips of the results toolbar
+
+import {
+    sortResults,
+    buildFacets,
+    toggleFacetValue,
+    countClassified,
+    matchesIngredientFilters,
+    buildIngredientFilters
+} from '../modules/results/refine.js';
+import { initQuestions } from '../modules/quiz/questions.js';
+import { setGlobalClassifications } from '../modules/ingredients/classifications.js';
+
+describe('Results Refinement', () => {
+    let questionMetadata;
+    let sunscreens;
+    let ranked;
+
+    beforeAll(() => {
+        setGlobalClassifications({
+            alcohol: { classification: 'icky' },
+            niacinamide: { classification: 'superstar' },
+            panthenol: { classification: 'superstar' }
+        });
+    });
+
+    beforeEach(() => {
+        questionMetadata = {
+            skinType: {
+                elementIndex: 0, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all',
+                options: [{ value: 'oily' }, { value: 'dry' }, { value: 'all' }]
+            },
+            fragranceFree: {
+                elementIndex: 1, attribute: 'isFragranceFree', isArray: false, match: 'boolean', alwaysMatch: 'any',
+                options: [{ value: 'true' }, { value: 'false' }, { value: 'any' }]
+            },
+            specialFeatures: {
+                elementIndex: 2, attribute: 'specialFeatures', isArray: true, match: 'allOf',
+                options: [{ value: 'tinted' }, { value: 'reef-safe' }]
+            },
+            avoidIngredients: {
+                elementIndex: 3, attribute: 'ingredientTokens', isArray: true, match: 'noneOf',
+                options: [{ value: 'icky' }, { value: 'glycerin', label: 'GLYCERIN', catalog: true }]
+            }
+        };
+        initQuestions({ questionMetadata, elements: {}, t: key => key, escapeHTML: str => str });
+
+        sunscreens = [
+            {
+                id: 1, brand: 'Zeta', name: 'B', spf: '30', skinTypes: ['oily'], isFragranceFree: true,
+                specialFeatures: ['tinted'], ingredientTokens: ['glycerin', 'icky'],
+                ingredients: 'ALCOHOL - NIACINAMIDE'
+            },
+            {
+                id: 2, brand: 'Alpha', name: 'A', spf: '50+', skinTypes: ['all'], isFragranceFree: false,
+                specialFeatures: [], ingredientTokens: ['water'],
+                ingredients: 'NIACINAMIDE - PANTHENOL'
+            },
+            {
+                id: 3, brand: 'Alpha', name: 'C', spf: '50', skinTypes: ['dry'], isFragranceFree: true,
+                specialFeatures: ['tinted'], ingredientTokens: ['glycerin']
+            }
+        ];
+        ranked = sunscreens.map((sunscreen, index) => ({ sunscreen, score: 100 - index }));
+    });
+
+    describe('sortResults', () => {
+        const ids = entries => entries.map(entry => entry.sunscreen.id);
+
+        it('should keep match order by default', () => {
+            expect(ids(sortResults(ranked, 'match'))).toEqual([1, 2, 3]);
+        });
+
+        it('should sort by brand, then name', () => {
+            expect(ids(sortResults(ranked, 'brand'))).toEqual([2, 3, 1]);
+        });
+
+        it('should sort by highest SPF, with 50+ above 50', () => {
+            expect(ids(sortResults(ranked, 'spf'))).toEqual([2, 3, 1]);
+        });
+
+        it('should sort by most superstar and fewest icky ingredients', () => {
+            expect(ids(sortResults(ranked, 'superstars'))).toEqual([2, 1, 3]);
+            expect(ids(sortResults(ranked, 'icky'))).toEqual([2, 3, 1]);
+        });
+
+        it('should put a later first icky ingredient first among equal icky counts', () => {
+            sunscreens[1].ingredients = 'NIACINAMIDE - PANTHENOL - ALCOHOL';
+            expect(ids(sortResults(ranked, 'icky'))).toEqual([3, 2, 1]);
+        });
+
+        it('should sort by most UV filters', () => {
+            sunscreens[2].ingredients = 'ZINC OXIDE - TITANIUM DIOXIDE';
+            sunscreens[1].ingredients = 'OCTOCRYLENE';
+            expect(ids(sortResults(ranked, 'uvFilters'))).toEqual([3, 2, 1]);
+        });
+
+        it('should not reorder the input array', () => {
+            sortResults(ranked, 'brand');
+            expect(ids(ranked)).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('countClassified', () => {
+        it('should count ingredients with a classification', () => {
+            expect(countClassified(sunscreens[1], 'superstar')).toBe(2);
+            expect(countClassified(sunscreens[2], 'icky')).toBe(0);
+        });
+    });
+
+    describe('buildFacets', () => {
+        const facetFor = (facets, questionKey) => facets.find(facet => facet.questionKey === questionKey);
+
+        it('should count the shown products matching each answer', () => {
+            const facets = buildFacets(sunscreens, {}, questionMetadata);
+
+            // The "all skin types" product matches both oily and dry
+            expect(facetFor(facets, 'skinType').values.map(v => [v.value, v.count])).toEqual([['oily', 2], ['dry', 2]]);
+            expect(facetFor(facets, 'fragranceFree').values.map(v => [v.value, v.count])).toEqual([['true', 2], ['false', 1]]);
+            expect(facetFor(facets, 'specialFeatures').values.map(v => [v.value, v.count])).toEqual([['tinted', 2]]);
+        });
+
+        it('should count products without an ingredient for ingredients to avoid', () => {
+            const facets = buildFacets(sunscreens, {}, questionMetadata);
+            expect(facetFor(facets, 'avoidIngredients').values.map(v => [v.value, v.count])).toEqual([['icky', 2]]);
+        });
+
+        it('should keep selected answers even when no shown product matches them', () => {
+            const facets = buildFacets([], { specialFeatures: ['reef-safe'], avoidIngredients: ['glycerin'] }, questionMetadata);
+
+            expect(facetFor(facets, 'specialFeatures').values).toEqual([
+                expect.objectContaining({ value: 'reef-safe', count: 0, active: true })
+            ]);
+            expect(facetFor(facets, 'avoidIngredients').values.map(v => v.value)).toEqual(['glycerin']);
+            expect(facetFor(facets, 'skinType')).toBeUndefined();
+        });
+    });
+
+    describe('toggleFacetValue', () => {
+        it('should switch single-answer questions and reset them on a second click', () => {
+            expect(toggleFacetValue('skinType', 'all', 'oily', questionMetadata)).toBe('oily');
+            expect(toggleFacetValue('skinType', 'dry', 'oily', questionMetadata)).toBe('oily');
+            expect(toggleFacetValue('skinType', 'oily', 'oily', questionMetadata)).toBe('all');
+            expect(toggleFacetValue('fragranceFree', 'true', 'true', questionMetadata)).toBe('any');
+        });
+
+        it('should toggle values of multi-select questions', () => {
+            expect(toggleFacetValue('specialFeatures', null, 'tinted', questionMetadata)).toEqual(['tinted']);
+            expect(toggleFacetValue('specialFeatures', ['tinted', 'reef-safe'], 'tinted', questionMetadata)).toEqual(['reef-safe']);
+        });
+    });
+
+    describe('ingredient filters', () => {
+        it('should keep products passing every selected filter', () => {
+            expect(matchesIngredientFilters(sunscreens[0], ['hasSuperstar'])).toBe(true);
+            expect(matchesIngredientFilters(sunscreens[0], ['hasSuperstar', 'noIckyNearTop'])).toBe(false);
+            expect(matchesIngredientFilters(sunscreens[2], [])).toBe(true);
+        });
+
+        it('should count the products each chip would leave on top of the selected ones', () => {
+            const chips = buildIngredientFilters(sunscreens, ['hasSuperstar']);
+
+            expect(chips.find(chip => chip.key === 'hasSuperstar')).toEqual({ key: 'hasSuperstar', count: 2, active: true });
+            expect(chips.find(chip => chip.key === 'noIckyNearTop')).toEqual({ key: 'noIckyNearTop', count: 1, active: false });
+        });
+    });
+});
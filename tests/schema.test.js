@@ -0,0 +1,104 @@
+// ===================================
+// Schema Validation Tests
+// ===================================
+// Tests for the shared JSON Schema validator and the schemas in data/schemas/
+
+import yaml from 'js-yaml';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema } from '../modules/schema.js';
+import { MATCH_TYPES } from '../modules/quiz/filters.js';
+import { STRATEGY_NAMES } from '../modules/quiz/strategies.js';
+import { addOptionEnums } from '../modules/quiz/coverage.js';
+import { FILTER_TYPES } from '../modules/ingredients/uv-filters.js';
+import { INGREDIENT_CLASSIFICATIONS } from '../modules/ingredients/classifications.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const readData = file => fs.readFileSync(path.join(__dirname, '..', 'data', file), 'utf8');
+
+describe('Schema Validation', () => {
+    describe('validateSchema', () => {
+        const schema = {
+            type: 'object',
+            required: ['items'],
+            additionalProperties: false,
+            properties: {
+                items: { type: 'array', minItems: 1, items: { $ref: '#/$defs/item' } },
+                labels: { type: 'object', additionalProperties: { enum: ['a', 'b'] } }
+            },
+            $defs: {
+                item: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: { type: 'integer', minimum: 1 },
+                        spf: { type: ['string', 'integer'], pattern: '^\\d+\\+?$' },
+                        forms: { type: 'array', uniqueItems: true, items: { enum: ['cream', 'gel'] } }
+                    }
+                }
+            }
+        };
+
+        it('should accept valid data', () => {
+            expect(validateSchema({ items: [{ id: 1, spf: '50+', forms: ['gel'] }, { id: 2, spf: 30 }] }, schema)).toEqual([]);
+        });
+
+        it('should report the path of each problem', () => {
+            const data = { items: [{ id: 1 }, { id: 0, spf: 'high', forms: ['cream', 'mousse', 'cream'] }] };
+
+            expect(validateSchema(data, schema)).toEqual([
+                'items[1].id: must be at least 1',
+                'items[1].spf: "high" does not match ^\\d+\\+?$',
+                'items[1].forms[1]: unknown value "mousse" (allowed: cream, gel)',
+                'items[1].forms[2]: duplicate value "cream"'
+            ]);
+        });
+
+        it('should report missing, unknown and mistyped fields', () => {
+            expect(validateSchema({ extra: true, labels: { 'TWO WORDS': 'c' } }, schema)).toEqual([
+                'missing required field "items"',
+                'extra: unknown field',
+                'labels["TWO WORDS"]: unknown value "c" (allowed: a, b)'
+            ]);
+            expect(validateSchema({ items: [] }, schema)).toEqual(['items: must not be empty']);
+            expect(validateSchema({ items: [{ id: '1' }] }, schema)).toEqual(['items[0].id: must be an integer']);
+            expect(validateSchema([], schema)).toEqual(['must be an object']);
+        });
+    });
+
+    describe('data schemas', () => {
+        const sunscreensSchema = JSON.parse(readData('schemas/sunscreens.schema.json'));
+        const questionsSchema = JSON.parse(readData('schemas/questions-metadata.schema.json'));
+
+        it('should accept the data files', () => {
+            const { questions } = yaml.load(readData('questions-metadata.yaml'));
+            expect(validateSchema(yaml.load(readData('sunscreens.yaml')), addOptionEnums(sunscreensSchema, questions))).toEqual([]);
+            expect(validateSchema(yaml.load(readData('questions-metadata.yaml')), questionsSchema)).toEqual([]);
+        });
+
+        it('should only accept the question options as product values', () => {
+            const { sunscreens } = yaml.load(readData('sunscreens.yaml'));
+            const { questions } = yaml.load(readData('questions-metadata.yaml'));
+            const product = { ...sunscreens[0], skinTypes: ['mature'], formFactors: ['mousse'], availableIn: ['Brazil'], filterType: 'hybird' };
+
+            expect(validateSchema({ sunscreens: [product] }, addOptionEnums(sunscreensSchema, questions))).toEqual([
+                'sunscreens[0].skinTypes[0]: unknown value "mature" (allowed: oily, dry, combination, sensitive, all)',
+                'sunscreens[0].formFactors[0]: unknown value "mousse" (allowed: cream, lotion, spray, stick, gel)',
+                'sunscreens[0].availableIn[0]: unknown value "Brazil" (allowed: US, EU, UK, Canada, Australia, Japan, Global)',
+                'sunscreens[0].filterType: unknown value "hybird" (allowed: mineral, chemical, hybrid)'
+            ]);
+        });
+
+        it('should list the same values as the code', () => {
+            const product = sunscreensSchema.$defs.sunscreen.properties;
+
+            expect(product.filterType.enum).toEqual(FILTER_TYPES);
+            expect(product.ingredientClassifications.additionalProperties.enum).toEqual(INGREDIENT_CLASSIFICATIONS);
+            expect(questionsSchema.$defs.question.properties.match.enum).toEqual(MATCH_TYPES);
+            expect(questionsSchema.properties.config.properties.algorithm.properties.strategy.enum).toEqual(STRATEGY_NAMES);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+// ===================================
+// Match Scoring Tests
+// ===================================
+// Tests for ranking products by weighted match score
+
+import { scoreSunscreen, rankSunscreens } from '../modules/results/scoring.js';
+
+describe('Match Scoring', () => {
+    let questionMetadata;
+    let sunscreens;
+
+    beforeEach(() => {
+        questionMetadata = {
+            location: { elementIndex: 0, attribute: 'availableIn', isArray: true, match: 'anyOf', wildcardValue: 'Global', alwaysMatch: 'Global', hard: true },
+            skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all', weight: 3 },
+            fragranceFree: { elementIndex: 2, attribute: 'isFragranceFree', isArray: false, match: 'boolean', weight: 3 },
+            formFactor: { elementIndex: 4, attribute: 'formFactors', isArray: true, match: 'anyOf', weight: 2 },
+            specialFeatures: { elementIndex: 6, attribute: 'specialFeatures', isArray: true, match: 'allOf', weight: 2 }
+        };
+
+        sunscreens = [
+            {
+                id: 1,
+                availableIn: ['EU'],
+                skinTypes: ['oily'],
+                isFragranceFree: true,
+                formFactors: ['lotion'],
+                specialFeatures: ['tinted', 'anti-aging']
+            },
+            {
+                id: 2,
+                availableIn: ['EU'],
+                skinTypes: ['dry'],
+                isFragranceFree: true,
+                formFactors: ['cream'],
+                specialFeatures: ['tinted']
+            },
+            {
+                id: 3,
+                availableIn: ['US'],
+                skinTypes: ['oily'],
+                isFragranceFree: true,
+                formFactors: ['lotion'],
+                specialFeatures: ['tinted', 'anti-aging']
+            }
+        ];
+    });
+
+    describe('scoreSunscreen', () => {
+        it('should give 100 to a product matching every selection', () => {
+            const selections = { location: 'EU', skinType: 'oily', fragranceFree: 'true', formFactor: 'lotion' };
+            expect(scoreSunscreen(sunscreens[0], selections, questionMetadata)).toBe(100);
+        });
+
+        it('should give 100 when only no-preference answers were given', () => {
+            const selections = { location: 'Global', skinType: 'all', fragranceFree: 'any', specialFeatures: [] };
+            expect(scoreSunscreen(sunscreens[1], selections, questionMetadata)).toBe(100);
+        });
+
+        it('should return null when a hard constraint fails', () => {
+            const selections = { location: 'EU', skinType: 'oily' };
+            expect(scoreSunscreen(sunscreens[2], selections, questionMetadata)).toBeNull();
+        });
+
+        it('should weight soft questions by their declared weight', () => {
+            // Matches fragranceFree (3) but not skinType (3) or formFactor (2): 3 / 8
+            const selections = { skinType: 'oily', fragranceFree: 'true', formFactor: 'lotion' };
+            expect(scoreSunscreen(sunscreens[1], selections, questionMetadata)).toBe(37);
+        });
+
+        it('should give partial credit for partially matched special features', () => {
+            // Half of the requested features: 1 of 2 points
+            const selections = { specialFeatures: ['tinted', 'anti-aging'] };
+            expect(scoreSunscreen(sunscreens[1], selections, questionMetadata)).toBe(50);
+        });
+
+        it('should default to a weight of 1 for questions without one', () => {
+            delete questionMetadata.formFactor.weight;
+            // Matches skinType (3) but not formFactor (1): 3 / 4
+            const selections = { skinType: 'oily', formFactor: 'cream' };
+            expect(scoreSunscreen(sunscreens[0], selections, questionMetadata)).toBe(75);
+        });
+
+        it('should never round a partial match up to 100', () => {
+            questionMetadata.skinType.weight = 999;
+            questionMetadata.formFactor.weight = 1;
+            const selections = { skinType: 'oily', formFactor: 'cream' };
+            expect(scoreSunscreen(sunscreens[0], selections, questionMetadata)).toBe(99);
+        });
+    });
+
+    describe('rankSunscreens', () => {
+        it('should order products by score, highest first', () => {
+            const selections = { location: 'EU', skinType: 'dry', formFactor: 'cream', specialFeatures: ['anti-aging'] };
+            const ranked = rankSunscreens(sunscreens, selections, questionMetadata);
+
+            expect(ranked.map(entry => entry.sunscreen.id)).toEqual([2, 1]);
+            expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+        });
+
+        it('should leave out products failing a hard constraint', () => {
+            const selections = { location: 'EU' };
+            const ranked = rankSunscreens(sunscreens, selections, questionMetadata);
+
+            expect(ranked.map(entry => entry.sunscreen.id)).toEqual([1, 2]);
+        });
+
+        it('should leave out products matching none of the soft preferences', () => {
+            const selections = { skinType: 'dry', formFactor: 'cream' };
+            const ranked = rankSunscreens(sunscreens, selections, questionMetadata);
+
+            expect(ranked.map(entry => entry.sunscreen.id)).toEqual([2]);
+        });
+
+        it('should break ties by product id', () => {
+            const ranked = rankSunscreens(sunscreens, {}, questionMetadata);
+
+            expect(ranked.map(entry => entry.sunscreen.id)).toEqual([1, 2, 3]);
+            ranked.forEach(entry => expect(entry.score).toBe(100));
+        });
+    });
+});
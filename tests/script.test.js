@@ -1,28 +1,43 @@
 // Unit tests for sunscreen chooser dynamic questionnaire logic
 
+import { initFilters, filterByRules } from '../modules/quiz/filters.js';
 import {
-    filterProducts,
-    calculateDiscriminatingPower,
-    getNextQuestion,
-    shouldShowResults,
-    questionMetadata
-} from "../main.js";
+    initNavigation,
+    calculateDiscriminatingPower as powerOf,
+    determineNextQuestion,
+    shouldShowResults as showsResults
+} from '../modules/quiz/navigation.js';
 
 describe('Dynamic Questionnaire Logic', () => {
     let sampleProducts;
 
+    // Rules as declared in data/questions-metadata.yaml
+    const questionMetadata = {
+        location: { elementIndex: 0, attribute: 'availableIn', isArray: true, match: 'anyOf', wildcardValue: 'Global', alwaysMatch: 'Global' },
+        skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all' },
+        fragranceFree: { elementIndex: 2, attribute: 'isFragranceFree', isArray: false, match: 'boolean' },
+        forKids: { elementIndex: 3, attribute: 'forKids', isArray: false, match: 'boolean' },
+        formFactor: { elementIndex: 4, attribute: 'formFactors', isArray: true, match: 'anyOf' },
+        waterResistant: { elementIndex: 5, attribute: 'waterResistant', isArray: false, match: 'boolean' },
+        specialFeatures: { elementIndex: 6, attribute: 'specialFeatures', isArray: true, match: 'allOf' }
+    };
+
+    // The quiz state for some answers over some products (unanswered questions are null)
+    const stateFor = (selections, products) => {
+        const allSelections = {};
+        Object.keys(questionMetadata).forEach(key => {
+            allSelections[key] = selections[key] ?? null;
+        });
+        return { sunscreens: products, selections: allSelections, questionHistory: [] };
+    };
+    const filterProducts = (products, selections) => filterByRules(products, selections, questionMetadata);
+    const calculateDiscriminatingPower = (questionKey, products) => powerOf(questionKey, products, questionMetadata);
+    const getNextQuestion = (selections, products) => determineNextQuestion(stateFor(selections, products), questionMetadata);
+    const shouldShowResults = (selections, products) => showsResults(stateFor(selections, products), questionMetadata);
+
     beforeEach(() => {
-        // Mock question metadata since it's now loaded dynamically
-        // In production, this is loaded from data/questions-metadata.yaml
-        Object.assign(questionMetadata, {
-            location: { elementIndex: 0, attribute: 'availableIn', isArray: true },
-            skinType: { elementIndex: 1, attribute: 'skinTypes', isArray: true },
-            fragranceFree: { elementIndex: 2, attribute: 'isFragranceFree', isArray: false },
-            forKids: { elementIndex: 3, attribute: 'forKids', isArray: false },
-            formFactor: { elementIndex: 4, attribute: 'formFactors', isArray: true },
-            waterResistant: { elementIndex: 5, attribute: 'waterResistant', isArray: false },
-            specialFeatures: { elementIndex: 6, attribute: 'specialFeatures', isArray: true }
-        });
+        initFilters({ questionMetadata });
+        initNavigation({ appConfig: { algorithm: { minDiscriminatingPower: 0.01 } } });
 
         // Sample product data for testing
         sampleProducts = [
@@ -159,13 +174,13 @@ describe('Dynamic Questionnaire Logic', () => {
         });
 
         it('should return higher value for questions that split products evenly', () => {
-            // Even split has maximum entropy
+            // "true" and "false" each leave one product (1 bit gained), "no preference" leaves both
             const evenProducts = [
                 { id: 1, isFragranceFree: true },
                 { id: 2, isFragranceFree: false }
             ];
             const power = calculateDiscriminatingPower('fragranceFree', evenProducts);
-            expect(power).toBeGreaterThan(0.9); // Should be close to 1 for even split
+            expect(power).toBeCloseTo(2 / 3);
         });
 
         it('should return value for array attributes', () => {
@@ -1,5 +1,7 @@
 // Security utilities tests - Testing actual production code
 
+import fs from 'fs';
+import yaml from 'js-yaml';
 import { JSDOM } from 'jsdom';
 
 // Setup DOM environment before importing script.js
@@ -11,7 +13,7 @@ global.window = dom.window;
 global.navigator = dom.window.navigator;
 
 // Import actual production functions from "../main.js"
-import { escapeHTML, sanitizeURL, validateURLParam } from "../main.js";
+import { escapeHTML, sanitizeURL, validateURLParam, questionMetadata } from "../main.js";
 
 describe('Security Utilities', () => {
     describe('escapeHTML', () => {
@@ -117,6 +119,11 @@ describe('Security Utilities', () => {
     });
 
     describe('validateURLParam', () => {
+        // Answers are checked against the question options, loaded with the quiz
+        beforeAll(() => {
+            Object.assign(questionMetadata, yaml.load(fs.readFileSync(new URL('../data/questions-metadata.yaml', import.meta.url), 'utf8')).questions);
+        });
+
         describe('location parameter', () => {
             it('should accept valid locations', () => {
                 expect(validateURLParam('location', 'US')).toBe('US');
@@ -191,8 +198,6 @@ describe('Security Utilities', () => {
 
         describe('features parameter', () => {
             it('should accept valid special features', () => {
-                expect(validateURLParam('features', 'oil-control')).toBe('oil-control');
-                expect(validateURLParam('features', 'hydrating')).toBe('hydrating');
                 expect(validateURLParam('features', 'anti-aging')).toBe('anti-aging');
                 expect(validateURLParam('features', 'tinted')).toBe('tinted');
                 expect(validateURLParam('features', 'eco-friendly-packaging')).toBe('eco-friendly-packaging');
@@ -201,6 +206,11 @@ describe('Security Utilities', () => {
             it('should reject invalid features', () => {
                 expect(validateURLParam('features', 'invalid')).toBeNull();
             });
+
+            it('should reject features no question offers any more', () => {
+                expect(validateURLParam('features', 'oil-control')).toBeNull();
+                expect(validateURLParam('features', 'hydrating')).toBeNull();
+            });
         });
 
         describe('edge cases', () => {
@@ -0,0 +1,146 @@
+// ===================================
+// Shortlist Tests
+// ===================================
+// Tests for saving products to localStorage and rendering the shortlist view
+
+import {
+    initShortlist,
+    loadShortlist,
+    saveShortlist,
+    resolveShortlist,
+    toggleShortlist,
+    showShortlist,
+    closeShortlist,
+    SHORTLIST_STORAGE_KEY
+} from '../modules/results/shortlist.js';
+
+const sunscreens = [
+    { id: 1, name: 'Fluid One' },
+    { id: 2, name: 'Cream Two' }
+];
+
+describe('Shortlist', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('loadShortlist', () => {
+        it('should read saved ids', () => {
+            localStorage.setItem(SHORTLIST_STORAGE_KEY, '[2,1]');
+            expect(loadShortlist()).toEqual([2, 1]);
+        });
+
+        it('should return an empty list when nothing was saved', () => {
+            expect(loadShortlist()).toEqual([]);
+        });
+
+        it('should ignore corrupted storage', () => {
+            localStorage.setItem(SHORTLIST_STORAGE_KEY, '{not json');
+            expect(loadShortlist()).toEqual([]);
+
+            localStorage.setItem(SHORTLIST_STORAGE_KEY, '{"id": 1}');
+            expect(loadShortlist()).toEqual([]);
+        });
+
+        it('should drop duplicate and non-integer ids', () => {
+            localStorage.setItem(SHORTLIST_STORAGE_KEY, '[1,"2",1,3.5,4]');
+            expect(loadShortlist()).toEqual([1, 4]);
+        });
+
+        it('should round-trip through saveShortlist', () => {
+            saveShortlist([3, 7]);
+            expect(loadShortlist()).toEqual([3, 7]);
+        });
+    });
+
+    describe('resolveShortlist', () => {
+        it('should separate ids no longer in the catalog', () => {
+            const { products, missing } = resolveShortlist([2, 99, 1], sunscreens);
+
+            expect(products.map(s => s.id)).toEqual([2, 1]);
+            expect(missing).toEqual([99]);
+        });
+    });
+
+    describe('shortlist view', () => {
+        let appState;
+        let elements;
+        let shownViews;
+
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <span id="shortlist-count"></span>
+                <section class="view active">
+                    <div id="results-container">
+                        <button class="shortlist-toggle" data-shortlist-id="1"></button>
+                    </div>
+                </section>
+                <div id="shortlist-container"></div>
+            `;
+
+            appState = { sunscreens, currentView: 'results', shortlist: [] };
+            elements = {
+                shortlistCount: document.getElementById('shortlist-count'),
+                shortlistContainer: document.getElementById('shortlist-container')
+            };
+            shownViews = [];
+
+            initShortlist({
+                appState,
+                elements,
+                t: (key, replacements = {}) => `${key}${replacements.count !== undefined ? `:${replacements.count}` : ''}`,
+                escapeHTML: str => String(str),
+                showView: viewName => {
+                    shownViews.push(viewName);
+                    appState.currentView = viewName;
+                },
+                announceToScreenReader: () => {},
+                renderResultCard: sunscreen => `<article class="result-card" data-id="${sunscreen.id}"></article>`
+            });
+        });
+
+        it('should save a toggled product and update its heart and the count', () => {
+            toggleShortlist(1);
+
+            expect(appState.shortlist).toEqual([1]);
+            expect(loadShortlist()).toEqual([1]);
+            expect(elements.shortlistCount.textContent).toBe('1');
+
+            const heart = document.querySelector('.shortlist-toggle[data-shortlist-id="1"]');
+            expect(heart.getAttribute('aria-pressed')).toBe('true');
+            expect(heart.classList.contains('saved')).toBe(true);
+        });
+
+        it('should remove a product toggled a second time', () => {
+            toggleShortlist(1);
+            toggleShortlist(1);
+
+            expect(appState.shortlist).toEqual([]);
+            expect(loadShortlist()).toEqual([]);
+            expect(document.querySelector('.shortlist-toggle').getAttribute('aria-pressed')).toBe('false');
+        });
+
+        it('should render saved products and drop ids that no longer exist', () => {
+            appState.shortlist = [2, 42];
+            showShortlist();
+
+            expect(shownViews).toEqual(['shortlist']);
+            expect(Array.from(elements.shortlistContainer.querySelectorAll('.result-card')).map(card => card.dataset.id)).toEqual(['2']);
+            expect(elements.shortlistContainer.querySelector('.shortlist-notice').textContent).toBe('shortlist.missing:1');
+            expect(appState.shortlist).toEqual([2]);
+            expect(loadShortlist()).toEqual([2]);
+        });
+
+        it('should show a message when the shortlist is empty', () => {
+            showShortlist();
+            expect(elements.shortlistContainer.querySelector('.shortlist-empty')).not.toBeNull();
+        });
+
+        it('should go back to the view it was opened from', () => {
+            showShortlist();
+            closeShortlist();
+
+            expect(shownViews).toEqual(['shortlist', 'results']);
+        });
+    });
+});
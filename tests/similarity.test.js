@@ -0,0 +1,92 @@
+// ===================================
+// Product Similarity Tests
+// ===================================
+// Tests for the attribute and ingredient distance behind "You might also like"
+
+import { jaccard, productDistance, computeSimilarity, getSimilarProducts } from '../modules/results/similarity.js';
+
+const base = {
+    skinTypes: ['oily', 'combination'],
+    formFactors: ['gel'],
+    specialFeatures: ['oil-control'],
+    isFragranceFree: true,
+    waterResistant: false,
+    forKids: false,
+    ingredients: 'AQUA - GLYCERIN - HOMOSALATE'
+};
+
+const sunscreens = [
+    { id: 1, ...base },
+    // Same product, with a note after the water
+    { id: 2, ...base, ingredients: 'AQUA (WATER) - GLYCERIN - HOMOSALATE' },
+    { id: 3, ...base, formFactors: ['cream'], ingredients: 'AQUA - GLYCERIN - ZINC OXIDE' },
+    {
+        id: 4,
+        skinTypes: ['dry'],
+        formFactors: ['stick'],
+        specialFeatures: ['tinted'],
+        isFragranceFree: false,
+        waterResistant: true,
+        forKids: true,
+        ingredients: 'PARAFFINUM LIQUIDUM - CERA ALBA'
+    }
+];
+
+describe('Product Similarity', () => {
+    describe('jaccard', () => {
+        it('should divide shared items by all items', () => {
+            expect(jaccard(['a', 'b'], ['b', 'c'])).toBeCloseTo(1 / 3);
+            expect(jaccard(['a'], ['a'])).toBe(1);
+            expect(jaccard(['a'], ['b'])).toBe(0);
+        });
+
+        it('should treat two empty collections as identical', () => {
+            expect(jaccard([], [])).toBe(1);
+        });
+    });
+
+    describe('productDistance', () => {
+        it('should be 0 for identical products, matching ingredients by slug', () => {
+            expect(productDistance(sunscreens[0], sunscreens[1])).toBe(0);
+        });
+
+        it('should be 1 for products with nothing in common', () => {
+            expect(productDistance(sunscreens[0], sunscreens[3])).toBe(1);
+        });
+
+        it('should be symmetric and grow with differences', () => {
+            const near = productDistance(sunscreens[0], sunscreens[2]);
+            expect(near).toBeGreaterThan(0);
+            expect(near).toBeLessThan(1);
+            expect(productDistance(sunscreens[2], sunscreens[0])).toBe(near);
+        });
+    });
+
+    describe('computeSimilarity / getSimilarProducts', () => {
+        beforeAll(() => {
+            computeSimilarity(sunscreens);
+        });
+
+        it('should return a symmetric matrix with a zero diagonal', () => {
+            const matrix = computeSimilarity(sunscreens);
+            expect(matrix).toHaveLength(4);
+            matrix.forEach((row, i) => {
+                expect(row[i]).toBe(0);
+                row.forEach((distance, j) => expect(distance).toBe(matrix[j][i]));
+            });
+        });
+
+        it('should list the nearest products first, without the product itself', () => {
+            expect(getSimilarProducts(1).map(entry => entry.id)).toEqual([2, 3, 4]);
+            expect(getSimilarProducts(1, 1).map(entry => entry.id)).toEqual([2]);
+        });
+
+        it('should skip excluded products', () => {
+            expect(getSimilarProducts(1, 3, id => id !== 2).map(entry => entry.id)).toEqual([3, 4]);
+        });
+
+        it('should return nothing for an unknown product', () => {
+            expect(getSimilarProducts(99)).toEqual([]);
+        });
+    });
+});
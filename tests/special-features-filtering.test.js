@@ -4,6 +4,7 @@
 // Tests to ensure special features are properly disabled when they would result in 0 products
 
 import { JSDOM } from 'jsdom';
+import { initFilters } from '../modules/quiz/filters.js';
 
 describe('Special Features Dynamic Disabling', () => {
     let dom;
@@ -72,6 +73,18 @@ describe('Special Features Dynamic Disabling', () => {
             }
         ];
 
+        initFilters({
+            questionMetadata: {
+                location: { attribute: 'availableIn', isArray: true, match: 'anyOf', wildcardValue: 'Global', alwaysMatch: 'Global' },
+                skinType: { attribute: 'skinTypes', isArray: true, match: 'anyOf', wildcardValue: 'all', alwaysMatch: 'all' },
+                fragranceFree: { attribute: 'isFragranceFree', isArray: false, match: 'boolean' },
+                forKids: { attribute: 'forKids', isArray: false, match: 'boolean' },
+                formFactor: { attribute: 'formFactors', isArray: true, match: 'anyOf' },
+                waterResistant: { attribute: 'waterResistant', isArray: false, match: 'boolean' },
+                specialFeatures: { attribute: 'specialFeatures', isArray: true, match: 'allOf' }
+            }
+        });
+
         appState = {
             sunscreens: sunscreens,
             currentQuestionKey: 'specialFeatures',
@@ -0,0 +1,78 @@
+// ===================================
+// SPF Level Tests
+// ===================================
+// Tests for parsing SPF values and comparing them against minimums
+
+import { parseSPF, compareSPF, meetsMinimumSPF, highestThresholdMet } from '../modules/quiz/spf.js';
+import { calculateDiscriminatingPower } from '../modules/quiz/navigation.js';
+
+describe('SPF Levels', () => {
+    describe('parseSPF', () => {
+        it('should parse plain and "+" values', () => {
+            expect(parseSPF('30')).toEqual({ value: 30, plus: false });
+            expect(parseSPF('50+')).toEqual({ value: 50, plus: true });
+            expect(parseSPF(50)).toEqual({ value: 50, plus: false });
+            expect(parseSPF('SPF 50 +')).toEqual({ value: 50, plus: true });
+        });
+
+        it('should reject values that are not SPFs', () => {
+            expect(parseSPF('high')).toBeNull();
+            expect(parseSPF('')).toBeNull();
+            expect(parseSPF(null)).toBeNull();
+            expect(parseSPF(undefined)).toBeNull();
+        });
+    });
+
+    describe('compareSPF', () => {
+        it('should rank 50+ above 50 and below 60', () => {
+            expect(compareSPF('50+', '50')).toBeGreaterThan(0);
+            expect(compareSPF('50+', '60')).toBeLessThan(0);
+            expect(compareSPF('30', 30)).toBe(0);
+        });
+
+        it('should return NaN for invalid values', () => {
+            expect(compareSPF('50', 'high')).toBeNaN();
+        });
+    });
+
+    describe('meetsMinimumSPF', () => {
+        it('should treat 50+ as at least 50', () => {
+            expect(meetsMinimumSPF('50+', '50')).toBe(true);
+            expect(meetsMinimumSPF('50+', '50+')).toBe(true);
+            expect(meetsMinimumSPF('50', '50+')).toBe(false);
+            expect(meetsMinimumSPF('30', '50')).toBe(false);
+            expect(meetsMinimumSPF('invalid', '30')).toBe(false);
+        });
+    });
+
+    describe('highestThresholdMet', () => {
+        const thresholds = ['50+', '30', '50'];
+
+        it('should return the highest minimum the SPF meets', () => {
+            expect(highestThresholdMet('50+', thresholds)).toBe('50+');
+            expect(highestThresholdMet('40', thresholds)).toBe('30');
+            expect(highestThresholdMet('15', thresholds)).toBeNull();
+        });
+    });
+
+    describe('discriminating power', () => {
+        const questionMetadata = {
+            spf: {
+                attribute: 'spf',
+                isArray: false,
+                match: 'atLeast',
+                options: [{ value: '30' }, { value: '50' }, { value: '50+' }, { value: 'any' }]
+            }
+        };
+
+        it('should group products by the highest threshold they meet', () => {
+            // 40 and 45 both only meet "at least 30", so they can't be told apart
+            const sameThreshold = [{ spf: '40' }, { spf: '45' }];
+            expect(calculateDiscriminatingPower('spf', sameThreshold, questionMetadata)).toBe(0);
+
+            // "50" and "50+" leave one product each; "30" and "any" leave both
+            const split = [{ spf: '30' }, { spf: '50+' }];
+            expect(calculateDiscriminatingPower('spf', split, questionMetadata)).toBe(0.5);
+        });
+    });
+});
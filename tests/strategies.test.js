@@ -0,0 +1,112 @@
+// ===================================
+// Question Ordering Strategy Tests
+// ===================================
+// Tests for the strategies selectable with config.algorithm.strategy and the
+// simulation that compares them over every answer path
+
+import { initFilters } from '../modules/quiz/filters.js';
+import { initNavigation, determineNextQuestion } from '../modules/quiz/navigation.js';
+import {
+    QUESTION_STRATEGIES,
+    STRATEGY_NAMES,
+    getStrategy,
+    getAnswerOutcomes,
+    calculateEntropy,
+    expectedQuestionsAfter
+} from '../modules/quiz/strategies.js';
+import { simulateStrategy } from '../modules/quiz/simulation.js';
+
+describe('Question Ordering Strategies', () => {
+    let questionMetadata;
+    let products;
+
+    const nextQuestion = strategy => {
+        initNavigation({ appConfig: { algorithm: { minDiscriminatingPower: 0.01, strategy } } });
+        return determineNextQuestion({
+            sunscreens: products,
+            selections: { waterResistant: null, formFactor: null, specialFeatures: [] },
+            questionHistory: []
+        }, questionMetadata);
+    };
+
+    beforeEach(() => {
+        // waterResistant comes first in the form but barely narrows anything; formFactor tells every product apart
+        questionMetadata = {
+            waterResistant: {
+                elementIndex: 0, attribute: 'waterResistant', isArray: false, match: 'boolean',
+                options: [{ value: 'true' }, { value: 'false' }, { value: 'any' }]
+            },
+            formFactor: {
+                elementIndex: 1, attribute: 'formFactor', isArray: false, match: 'equals',
+                options: [{ value: 'cream' }, { value: 'gel' }, { value: 'stick' }, { value: 'spray' }, { value: 'any' }]
+            },
+            specialFeatures: {
+                elementIndex: 2, attribute: 'specialFeatures', isArray: true, match: 'allOf',
+                options: [{ value: 'tinted' }]
+            }
+        };
+        products = [
+            { id: 1, waterResistant: true, formFactor: 'cream' },
+            { id: 2, waterResistant: true, formFactor: 'gel' },
+            { id: 3, waterResistant: true, formFactor: 'stick' },
+            { id: 4, waterResistant: false, formFactor: 'spray' }
+        ];
+        initFilters({ questionMetadata });
+    });
+
+    it('should list the answers users can pick with the products each keeps', () => {
+        questionMetadata.waterResistant.answerPriors = { any: 2 };
+        const outcomes = getAnswerOutcomes('waterResistant', products.slice(0, 3), questionMetadata);
+
+        // "false" matches none of these products, so it can't be picked
+        expect(outcomes.map(({ answer, products: kept, prior }) => [answer, kept.length, prior]))
+            .toEqual([['true', 3, 1 / 3], ['any', 3, 2 / 3]]);
+    });
+
+    it('should score questions by each strategy', () => {
+        expect(calculateEntropy('formFactor', products, questionMetadata)).toBe(2);
+        expect(calculateEntropy('waterResistant', products, questionMetadata)).toBeCloseTo(0.811);
+
+        // After a form factor only "any" leaves waterResistant worth asking; after waterResistant,
+        // "true" and "any" both leave formFactor worth asking
+        const context = { candidates: ['waterResistant', 'formFactor'], minGain: 0.01 };
+        expect(expectedQuestionsAfter('formFactor', products, questionMetadata, context)).toBeCloseTo(0.2);
+        expect(expectedQuestionsAfter('waterResistant', products, questionMetadata, context)).toBeCloseTo(2 / 3);
+
+        expect(QUESTION_STRATEGIES.fixed('formFactor', products, questionMetadata)).toBe(-1);
+    });
+
+    it('should ask questions in the order of the configured strategy', () => {
+        expect(STRATEGY_NAMES).toEqual(['informationGain', 'entropy', 'fixed', 'fewestQuestions']);
+        expect(nextQuestion(undefined)).toBe('formFactor');
+        expect(nextQuestion('entropy')).toBe('formFactor');
+        expect(nextQuestion('fewestQuestions')).toBe('formFactor');
+        expect(nextQuestion('fixed')).toBe('waterResistant');
+
+        const warn = console.warn;
+        const warnings = [];
+        console.warn = message => warnings.push(message);
+        expect(getStrategy('random')).toBe(QUESTION_STRATEGIES.informationGain);
+        console.warn = warn;
+        expect(warnings).toEqual(['Unknown question strategy "random", using informationGain']);
+    });
+
+    it('should replay every answer path and report questions asked and products left', () => {
+        const algorithm = { minDiscriminatingPower: 0.01 };
+
+        // formFactor ends four of its five answers; "any" leads on to waterResistant
+        const informationGain = simulateStrategy(products, questionMetadata, { ...algorithm, strategy: 'informationGain' });
+        expect(informationGain.paths).toBe(7);
+        expect(informationGain.averageQuestions).toBeCloseTo(1.2);
+        expect(informationGain.worstQuestions).toBe(2);
+        expect(informationGain.averageResults).toBeCloseTo(4 / 3);
+        expect(informationGain.largestResults).toBe(4);
+
+        // waterResistant first: only "false" is enough on its own
+        const fixed = simulateStrategy(products, questionMetadata, { ...algorithm, strategy: 'fixed' });
+        expect(fixed.paths).toBe(10);
+        expect(fixed.averageQuestions).toBeCloseTo(5 / 3);
+        expect(fixed.worstQuestions).toBe(2);
+        expect(fixed.averageResults).toBeCloseTo(4.1 / 3);
+    });
+});
@@ -0,0 +1,70 @@
+// ===================================
+// Ingredient Summary Tests
+// ===================================
+// Tests for the per-product ingredient summary worked out at load time
+
+import { summarizeIngredients, applyIngredientSummaries, getIngredientSummary } from '../modules/ingredients/summary.js';
+import { setGlobalClassifications } from '../modules/ingredients/classifications.js';
+
+describe('Ingredient Summary', () => {
+    beforeAll(() => {
+        setGlobalClassifications({
+            glycerin: { name: 'GLYCERIN', classification: 'superstar' },
+            'zinc-oxide': { name: 'ZINC OXIDE', classification: 'goodie' },
+            'alcohol-denat': { name: 'ALCOHOL DENAT.', classification: 'icky' }
+        });
+    });
+
+    describe('summarizeIngredients', () => {
+        it('should count classifications and find the first icky ingredient', () => {
+            const summary = summarizeIngredients({
+                ingredients: 'AQUA - GLYCERIN - ALCOHOL DENAT. - ZINC OXIDE - OCTOCRYLENE - PARFUM / FRAGRANCE'
+            });
+
+            expect(summary).toEqual({
+                total: 6,
+                superstar: 1,
+                goodie: 1,
+                icky: 1,
+                fragrance: true,
+                alcoholDenat: true,
+                uvFilters: 2,
+                firstIckyPosition: 3,
+                labelOrder: [null, 'superstar', 'icky', 'goodie', null, null]
+            });
+        });
+
+        it('should report no icky position, fragrance or alcohol when there are none', () => {
+            const summary = summarizeIngredients({ ingredients: 'AQUA - GLYCERIN - ALCOHOL' });
+
+            expect(summary.firstIckyPosition).toBeNull();
+            expect(summary.fragrance).toBe(false);
+            expect(summary.alcoholDenat).toBe(false);
+        });
+
+        it('should follow per-product classification overrides', () => {
+            const summary = summarizeIngredients({
+                ingredients: 'ALCOHOL DENAT.',
+                overrideClassifications: true,
+                ingredientClassifications: { 'ALCOHOL DENAT.': 'goodie' }
+            });
+
+            expect(summary.icky).toBe(0);
+            expect(summary.goodie).toBe(1);
+        });
+    });
+
+    describe('applyIngredientSummaries', () => {
+        it('should store the summary on every product', () => {
+            const sunscreens = applyIngredientSummaries([{ ingredients: 'GLYCERIN' }, {}]);
+
+            expect(sunscreens[0].ingredientSummary.superstar).toBe(1);
+            expect(sunscreens[1].ingredientSummary.total).toBe(0);
+        });
+
+        it('should be the summary getIngredientSummary returns', () => {
+            const [sunscreen] = applyIngredientSummaries([{ ingredients: 'GLYCERIN' }]);
+            expect(getIngredientSummary(sunscreen)).toBe(sunscreen.ingredientSummary);
+        });
+    });
+});
@@ -139,6 +139,13 @@ describe('Translation System Integration', () => {
             expect(result).toBe('Finden Sie Ihre perfekte Sonnencreme');
         });
 
+        it('should fall back to English for keys a language does not have yet', async () => {
+            await changeLanguage('de');
+            expect(t('welcome.startButton')).toBe('Start Quiz');
+            expect(t('screenReader.productCount', { count: 3 })).toBe('3 products found');
+            expect(t('welcome.nonexistent')).toBe('welcome.nonexistent');
+        });
+
         it('should not change to unsupported language', async () => {
             // Mock console.error to suppress output
             const originalError = console.error;
@@ -1,5 +1,7 @@
 // UI and Event Handler Tests - Testing rendering and interaction logic
 
+import fs from 'fs';
+import yaml from 'js-yaml';
 import { JSDOM } from 'jsdom';
 
 describe('UI Functions and Event Handlers', () => {
@@ -391,6 +393,11 @@ describe('UI Functions and Event Handlers', () => {
     });
 
     describe('validateURLParam', () => {
+        // Answers are checked against the question options, loaded with the quiz
+        beforeEach(() => {
+            Object.assign(script.questionMetadata, yaml.load(fs.readFileSync(new URL('../data/questions-metadata.yaml', import.meta.url), 'utf8')).questions);
+        });
+
         it('should validate location parameter', () => {
             const { validateURLParam } = script;
             expect(validateURLParam('location', 'US')).toBe('US');
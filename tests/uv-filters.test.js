@@ -0,0 +1,63 @@
+// ===================================
+// UV Filter Analysis Tests
+// ===================================
+// Tests for deriving mineral / chemical / hybrid filter types from ingredients
+
+import { findUVFilters, deriveFilterType, applyFilterTypes } from '../modules/ingredients/uv-filters.js';
+
+describe('UV Filter Analysis', () => {
+    const mineral = 'AQUA / WATER / EAU - ZINC OXIDE - GLYCERIN';
+    const chemical = 'AQUA - BUTYL METHOXYDIBENZOYLMETHANE - ETHYLHEXYL TRIAZONE - GLYCERIN';
+    const hybrid = 'AQUA - TITANIUM DIOXIDE [NANO] / TITANIUM DIOXIDE - OCTOCRYLENE';
+    const tintedChemical = 'AQUA - HOMOSALATE - BUTYL METHOXYDIBENZOYLMETHANE - CI 77891 / TITANIUM DIOXIDE - CI 77491 / IRON OXIDES';
+
+    describe('findUVFilters', () => {
+        it('should list filters as written in the ingredients', () => {
+            expect(findUVFilters(hybrid)).toEqual({
+                mineral: ['TITANIUM DIOXIDE [NANO] / TITANIUM DIOXIDE'],
+                chemical: ['OCTOCRYLENE']
+            });
+        });
+
+        it('should ignore spacing, nano notes and bullet separators', () => {
+            const found = findUVFilters('AQUA • BUTYLMETHOXYDIBENZOYLMETHANE • TITANIUM DIOXIDE [NANO] • GLYCERIN •');
+            expect(found.chemical).toEqual(['BUTYLMETHOXYDIBENZOYLMETHANE']);
+            expect(found.mineral).toEqual(['TITANIUM DIOXIDE [NANO]']);
+        });
+
+        it('should not count pigments listed with a color index code as filters', () => {
+            expect(findUVFilters(tintedChemical)).toEqual({
+                mineral: [],
+                chemical: ['HOMOSALATE', 'BUTYL METHOXYDIBENZOYLMETHANE']
+            });
+            expect(findUVFilters('AQUA - CI 77891 / TITANIUM DIOXIDE [NANO]').mineral).toEqual(['CI 77891 / TITANIUM DIOXIDE [NANO]']);
+        });
+
+        it('should handle missing ingredients', () => {
+            expect(findUVFilters(undefined)).toEqual({ mineral: [], chemical: [] });
+        });
+    });
+
+    describe('deriveFilterType', () => {
+        it('should classify products by the filters they contain', () => {
+            expect(deriveFilterType(mineral)).toBe('mineral');
+            expect(deriveFilterType(chemical)).toBe('chemical');
+            expect(deriveFilterType(hybrid)).toBe('hybrid');
+            expect(deriveFilterType(tintedChemical)).toBe('chemical');
+        });
+
+        it('should return null when no known filter is listed', () => {
+            expect(deriveFilterType('AQUA - GLYCERIN')).toBeNull();
+        });
+    });
+
+    describe('applyFilterTypes', () => {
+        it('should derive filterType but keep hand-declared values', () => {
+            const products = applyFilterTypes([
+                { id: 1, ingredients: mineral },
+                { id: 2, ingredients: 'AQUA', filterType: 'chemical' }
+            ]);
+            expect(products.map(p => p.filterType)).toEqual(['mineral', 'chemical']);
+        });
+    });
+});
@@ -5,62 +5,60 @@
  *
  * This script validates:
  * 1. All YAML files are valid YAML syntax
- * 2. YAML files have the expected structure/schema
+ * 2. YAML files match their JSON Schemas in data/schemas/ (the same check the app runs on load)
  * 3. All ingredient URLs will be generated correctly using production code
+ * 4. Hand-declared UV filter types agree with the ingredients
+ * 5. The ingredient glossary is well-formed and agrees with the UV filter list
+ * 6. Ingredient classifications don't conflict, and lists frequent unclassified ingredients
+ * 7. Product values, question options, translations and mutuallyExclusive
+ *    rules agree with each other (values nobody can select, options no product has, missing labels)
+ * 8. No product is entered twice (repeated ids or URLs, or near-identical name and ingredients)
  *
- * Uses actual production functions from quiz.js for URL generation.
+ * Options:
+ *   --unclassified-threshold=N  List unclassified ingredients found in more than N products (default 5)
+ *   --fix-ids                   Give products with a repeated or invalid id the next unused ids (the
+ *                               first product keeps a repeated id), then validate; changes are written
+ *                               to id-fix-report.json
+ *   --sunscreens=FILE           Validate FILE instead of data/sunscreens.yaml (edit-data.js checks its
+ *                               changes this way before saving them)
+ *
+ * Uses the production ingredient parser (modules/ingredients/parser.js) for URL generation.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
+import { parseSPF } from './modules/quiz/spf.js';
+import { FILTER_TYPES, deriveFilterType, findUVFilters, applyFilterTypes } from './modules/ingredients/uv-filters.js';
+import { parseIngredients, applyIngredientTokens } from './modules/ingredients/parser.js';
+import { validateGlossary } from './modules/ingredients/glossary.js';
+import {
+    buildClassificationMap,
+    findClassificationConflicts,
+    setGlobalClassifications,
+    resolveClassifications
+} from './modules/ingredients/classifications.js';
+import { validateSchema } from './modules/schema.js';
+import {
+    addOptionEnums,
+    findOrphanValues,
+    findUnreachableOptions,
+    getQuestionTranslationKeys,
+    findMissingTranslations,
+    findExclusionProblems
+} from './modules/quiz/coverage.js';
+import {
+    findDuplicateIds,
+    findDuplicateURLs,
+    findNearDuplicates,
+    planIdFixes,
+    applyIdFixes
+} from './modules/duplicates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ============================================================================
-// PRODUCTION CODE - Slug Generation from quiz.js
-// This is the exact same logic used in production
-// ============================================================================
-
-/**
- * Generate URL slug for ingredient (from quiz.js:1144-1168)
- * @param {string} ingredient - Raw ingredient name
- * @returns {string} - URL-safe slug
- */
-function generateIngredientSlug(ingredient) {
-    const trimmed = ingredient.trim();
-
-    // Handle synonyms (e.g., "AQUA / WATER / EAU" or "CI 77891 / TITANIUM DIOXIDE")
-    // Use the most common/standard name (usually the English name)
-    let cleaned = trimmed;
-    if (trimmed.includes(' / ')) {
-        const parts = trimmed.split(' / ').map(p => p.trim());
-        // Prefer the longest non-code part (usually the English name)
-        // Skip short codes like "CI 77891" or "AQUA" in favor of full names
-        cleaned = parts.reduce((best, current) => {
-            const currentNoCode = current.replace(/^(CI|C\.I\.)\s*\d+/i, '').trim();
-            const bestNoCode = best.replace(/^(CI|C\.I\.)\s*\d+/i, '').trim();
-            return (currentNoCode.length > bestNoCode.length) ? current : best;
-        }, parts[0]);
-    }
-
-    // Remove parenthetical content and color codes
-    cleaned = cleaned
-        .replace(/\([^)]*\)/g, '')                    // Remove (parentheses)
-        .replace(/^(CI|C\.I\.)\s*\d+\s*\/?\s*/i, '') // Remove CI codes at start
-        .trim();
-
-    const slug = cleaned.toLowerCase()
-        .replace(/\s+/g, '-')           // spaces to hyphens
-        .replace(/[^a-z0-9-]/g, '')     // keep only letters, numbers, hyphens
-        .replace(/--+/g, '-')            // collapse multiple hyphens
-        .replace(/^-+|-+$/g, '');       // trim leading/trailing hyphens
-
-    return slug;
-}
-
 // ============================================================================
 // Validation Functions
 // ============================================================================
@@ -90,36 +88,90 @@ function validateYAMLFile(filePath) {
     }
 }
 
-function validateQuestionsMetadata(data) {
+/**
+ * Read a JSON Schema from data/schemas/
+ * @param {string} name - Data file name without extension (e.g. 'sunscreens')
+ * @returns {Object} Parsed schema
+ */
+function loadSchema(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'schemas', `${name}.schema.json`), 'utf8'));
+}
+
+function validateQuestionsMetadata(data, schema) {
     console.log(`\n🔍 Validating questions-metadata.yaml structure...`);
 
-    if (!data.questions) {
-        addError('questions-metadata.yaml: Missing "questions" section');
+    validateSchema(data, schema).forEach(error => addError(`questions-metadata.yaml: ${error}`));
+
+    if (!data || !data.questions || typeof data.questions !== 'object') {
         return;
     }
 
-    const requiredFields = ['elementIndex', 'attribute', 'isArray'];
-    const questions = Object.keys(data.questions);
+    const questions = Object.keys(data.questions).filter(questionId => data.questions[questionId] && typeof data.questions[questionId] === 'object');
 
     console.log(`   Found ${questions.length} questions: ${questions.join(', ')}`);
 
+    const urlParams = new Map();
+
     questions.forEach(questionId => {
         const question = data.questions[questionId];
-        requiredFields.forEach(field => {
-            if (question[field] === undefined) {
-                addError(`Question "${questionId}" missing required field: ${field}`);
-            }
-        });
 
-        if (typeof question.elementIndex !== 'number') {
-            addError(`Question "${questionId}": elementIndex must be a number`);
+        if (['boolean', 'equals', 'atLeast'].includes(question.match) && question.isArray) {
+            addError(`Question "${questionId}": ${question.match} match needs a non-array attribute (isArray: false)`);
         }
 
-        if (typeof question.isArray !== 'boolean') {
-            addError(`Question "${questionId}": isArray must be a boolean`);
+        if (['anyOf', 'allOf', 'noneOf'].includes(question.match) && !question.isArray) {
+            addError(`Question "${questionId}": ${question.match} match needs an array attribute (isArray: true)`);
+        }
+
+        if (question.hard && question.weight !== undefined) {
+            addWarning(`Question "${questionId}": weight is ignored for hard constraints`);
+        }
+
+        // Registry fields: URL parameter and form options
+        const urlParam = question.urlParam || questionId;
+        if (urlParam === 'lang') {
+            addError(`Question "${questionId}": urlParam "lang" is reserved for the language`);
+        } else if (urlParams.has(urlParam)) {
+            addError(`Question "${questionId}": urlParam "${urlParam}" is already used by "${urlParams.get(urlParam)}"`);
+        }
+        urlParams.set(urlParam, questionId);
+
+        if (!question.i18nKey) {
+            addWarning(`Question "${questionId}": missing i18nKey, translations will be looked up under questions.${questionId}`);
+        }
+
+        if (Array.isArray(question.options)) {
+            const seen = new Set();
+            question.options.forEach(option => {
+                if (!option || typeof option.value !== 'string') return;
+                if (seen.has(option.value)) {
+                    addError(`Question "${questionId}": duplicate option value "${option.value}"`);
+                }
+                seen.add(option.value);
+
+                if (question.match === 'atLeast' && option.value !== (question.alwaysMatch || 'any') && !parseSPF(option.value)) {
+                    addError(`Question "${questionId}": option "${option.value}" is not a valid minimum (e.g. "30" or "50+")`);
+                }
+            });
+        }
+
+        // Answer priors are only used for answers the question offers
+        if (question.answerPriors && typeof question.answerPriors === 'object') {
+            const answers = (Array.isArray(question.options) ? question.options : [])
+                .map(option => option && String(option.value))
+                .concat(question.alwaysMatch || 'any');
+            Object.keys(question.answerPriors)
+                .filter(answer => !answers.includes(answer))
+                .forEach(answer => addError(`Question "${questionId}": answerPriors has "${answer}", which is not one of its answers`));
         }
     });
 
+    // Questions are rendered in elementIndex order, so indexes must be 0..n-1
+    const indexes = questions.map(id => data.questions[id].elementIndex).sort((a, b) => a - b);
+    if (indexes.some((value, i) => value !== i)) {
+        addError(`questions-metadata.yaml: elementIndex values must be unique and run from 0 to ${questions.length - 1}`);
+    }
+
     // Validate config section
     if (!data.config) {
         addWarning('questions-metadata.yaml: Missing "config" section');
@@ -135,78 +187,35 @@ function validateQuestionsMetadata(data) {
     console.log(`✅ Questions metadata structure validated`);
 }
 
-function validateSunscreensData(data) {
+function validateSunscreensData(data, schema) {
     console.log(`\n🔍 Validating sunscreens.yaml structure...`);
 
-    if (!data.sunscreens) {
-        addError('sunscreens.yaml: Missing "sunscreens" array');
-        return [];
-    }
+    validateSchema(data, schema).forEach(error => addError(`sunscreens.yaml: ${error}`));
 
-    if (!Array.isArray(data.sunscreens)) {
-        addError('sunscreens.yaml: "sunscreens" must be an array');
+    if (!data || !Array.isArray(data.sunscreens)) {
         return [];
     }
 
     console.log(`   Found ${data.sunscreens.length} sunscreens`);
 
-    const requiredFields = [
-        'id', 'name', 'brand', 'spf', 'isFragranceFree', 'skinTypes',
-        'forKids', 'formFactors', 'waterResistant', 'availableIn',
-        'url', 'ingredients'
-    ];
-
-    // Use Set to automatically deduplicate ingredients across all sunscreens
-    const allIngredients = new Set();
+    // Parsed ingredients by name as written, deduplicated across all sunscreens
+    const allIngredients = new Map();
 
     data.sunscreens.forEach((sunscreen, index) => {
+        if (!sunscreen || typeof sunscreen !== 'object') return;
         const sunscreenLabel = `Sunscreen #${index + 1} (${sunscreen.name || 'unnamed'})`;
 
-        // Check required fields
-        requiredFields.forEach(field => {
-            if (sunscreen[field] === undefined) {
-                addError(`${sunscreenLabel}: Missing required field "${field}"`);
-            }
-        });
-
-        // Validate field types
-        if (sunscreen.id !== undefined && typeof sunscreen.id !== 'number') {
-            addError(`${sunscreenLabel}: "id" must be a number`);
-        }
-
-        if (sunscreen.isFragranceFree !== undefined && typeof sunscreen.isFragranceFree !== 'boolean') {
-            addError(`${sunscreenLabel}: "isFragranceFree" must be a boolean`);
-        }
-
-        if (sunscreen.forKids !== undefined && typeof sunscreen.forKids !== 'boolean') {
-            addError(`${sunscreenLabel}: "forKids" must be a boolean`);
-        }
-
-        if (sunscreen.waterResistant !== undefined && typeof sunscreen.waterResistant !== 'boolean') {
-            addError(`${sunscreenLabel}: "waterResistant" must be a boolean`);
-        }
-
-        // Validate arrays
-        const arrayFields = ['skinTypes', 'formFactors', 'availableIn'];
-        arrayFields.forEach(field => {
-            if (sunscreen[field] !== undefined && !Array.isArray(sunscreen[field])) {
-                addError(`${sunscreenLabel}: "${field}" must be an array`);
-            }
-        });
-
-        // Validate URL
-        if (sunscreen.url && !sunscreen.url.startsWith('http')) {
-            addWarning(`${sunscreenLabel}: URL should start with http:// or https://`);
+        // Cross-check the UV filter type against the one derived from the ingredients
+        const derivedFilterType = deriveFilterType(sunscreen.ingredients);
+        if (FILTER_TYPES.includes(sunscreen.filterType) && derivedFilterType && sunscreen.filterType !== derivedFilterType) {
+            addError(`${sunscreenLabel}: "filterType" is "${sunscreen.filterType}" but the ingredients list ${derivedFilterType} UV filters`);
+        } else if (!derivedFilterType && sunscreen.ingredients) {
+            addWarning(`${sunscreenLabel}: no known UV filter found in the ingredients (add it to modules/ingredients/uv-filters.js, or declare "filterType")`);
         }
 
         // Extract ingredients (Set will deduplicate automatically)
         if (sunscreen.ingredients) {
-            const ingredientList = sunscreen.ingredients
-                .split(' - ')
-                .map(i => i.trim())
-                .filter(i => i.length > 0);
-
-            ingredientList.forEach(ing => allIngredients.add(ing));
+            parseIngredients(sunscreen.ingredients).forEach(ing => allIngredients.set(ing.raw, ing));
         }
 
         // Validate specialFeatures - forbid redundant features
@@ -219,19 +228,237 @@ function validateSunscreensData(data) {
             });
         }
 
-        // Validate ingredient classifications if present
-        if (sunscreen.ingredientClassifications) {
-            const validClassifications = ['superstar', 'goodie', 'icky'];
-            Object.entries(sunscreen.ingredientClassifications).forEach(([ingredient, classification]) => {
-                if (!validClassifications.includes(classification)) {
-                    addError(`${sunscreenLabel}: Invalid classification "${classification}" for ingredient "${ingredient}". Must be one of: ${validClassifications.join(', ')}`);
-                }
-            });
+        // Check per-product classification overrides if present
+        if (sunscreen.ingredientClassifications && typeof sunscreen.ingredientClassifications === 'object') {
+            // Classifications are looked up by the ingredient name as written, so they must match the list
+            const classified = parseIngredients(sunscreen.ingredients, sunscreen.ingredientClassifications)
+                .filter(ing => ing.classification)
+                .map(ing => ing.raw);
+            Object.keys(sunscreen.ingredientClassifications)
+                .filter(ingredient => !classified.includes(ingredient))
+                .forEach(ingredient => {
+                    addWarning(`${sunscreenLabel}: Classified ingredient "${ingredient}" is not in the ingredients list, so its badge is never shown`);
+                });
         }
     });
 
     console.log(`✅ Sunscreens data structure validated`);
-    return Array.from(allIngredients);
+    return Array.from(allIngredients.values());
+}
+
+/**
+ * Label a product for messages, e.g. 'Sunscreen #3 (Anthelios UVAIR SPF 50+)'
+ * @param {Array} sunscreens - Sunscreen products
+ * @param {number} index - Position in sunscreens.yaml
+ */
+function describeSunscreen(sunscreens, index) {
+    return `Sunscreen #${index + 1} (${sunscreens[index].name || 'unnamed'})`;
+}
+
+function validateDuplicates(sunscreens) {
+    console.log(`\n🔍 Checking for duplicate sunscreens...`);
+
+    const describeAll = indexes => indexes.map(index => describeSunscreen(sunscreens, index)).join(', ');
+
+    findDuplicateIds(sunscreens).forEach(({ id, indexes }) => {
+        addError(`id ${id} is used by ${describeAll(indexes)} (run "node validate-data.js --fix-ids" to renumber)`);
+    });
+
+    findDuplicateURLs(sunscreens).forEach(({ url, indexes }) => {
+        addError(`${describeAll(indexes)} have the same url ${url}`);
+    });
+
+    findNearDuplicates(sunscreens).forEach(({ indexes, name, ingredients }) => {
+        addWarning(`${describeAll(indexes)} look like the same product (name ${Math.round(name * 100)}% and ingredients ${Math.round(ingredients * 100)}% alike)`);
+    });
+
+    console.log(`✅ Duplicate check completed`);
+}
+
+/**
+ * Renumber repeated and invalid ids in sunscreens.yaml (--fix-ids) and write a report of the changes
+ * @param {string} filePath - Path to sunscreens.yaml
+ */
+function fixSunscreenIds(filePath) {
+    console.log(`\n🔧 Fixing sunscreen ids in ${path.basename(filePath)}...`);
+
+    let text;
+    let sunscreens;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+        sunscreens = (yaml.load(text) || {}).sunscreens;
+    } catch (error) {
+        console.log(`   Skipped: ${error.message}`);
+        return;
+    }
+    if (!Array.isArray(sunscreens)) {
+        console.log(`   Skipped: no sunscreens list`);
+        return;
+    }
+
+    const changes = planIdFixes(sunscreens);
+    if (changes.length === 0) {
+        console.log(`✅ All ids are unique, nothing to change`);
+        return;
+    }
+
+    try {
+        fs.writeFileSync(filePath, applyIdFixes(text, changes, sunscreens.length));
+    } catch (error) {
+        addError(`--fix-ids: ${error.message}`);
+        return;
+    }
+
+    const reportFile = path.join(__dirname, 'id-fix-report.json');
+    fs.writeFileSync(reportFile, JSON.stringify({
+        file: path.relative(__dirname, filePath),
+        changes: changes.map(({ index, name, oldId, newId }) => ({ position: index + 1, name, oldId: oldId ?? null, newId }))
+    }, null, 2) + '\n');
+
+    changes.forEach(({ index, oldId, newId }) => {
+        console.log(`   ${describeSunscreen(sunscreens, index)}: id ${oldId ?? '(missing)'} -> ${newId}`);
+    });
+    console.log(`✅ Renumbered ${changes.length} sunscreens, report written to ${path.basename(reportFile)}`);
+}
+
+function validateIngredientGlossary(data) {
+    console.log(`\n🔍 Validating ingredients.yaml structure...`);
+
+    const problems = validateGlossary(data);
+    if (problems.length > 0) {
+        problems.forEach(problem => addError(`ingredients.yaml: ${problem}`));
+        return;
+    }
+
+    Object.entries(data.ingredients).forEach(([slug, entry]) => {
+        // Keys are looked up by the parser's slug, so they must be what the name slugifies to
+        const nameSlug = parseIngredients(entry.name)[0].slug;
+        if (nameSlug !== slug) {
+            addWarning(`ingredients.yaml: "${slug}" has name "${entry.name}", which generates slug "${nameSlug}"`);
+        }
+
+        const { mineral, chemical } = findUVFilters(entry.name);
+        const knownFilter = mineral.length + chemical.length > 0;
+        if (entry.uvFilter !== knownFilter) {
+            addWarning(`ingredients.yaml: "${slug}" has uvFilter: ${entry.uvFilter} but modules/ingredients/uv-filters.js ${knownFilter ? 'lists' : 'does not list'} it`);
+        }
+    });
+
+    console.log(`✅ ${Object.keys(data.ingredients).length} glossary entries validated`);
+}
+
+function validateClassifications(sunscreens, glossary, threshold) {
+    console.log(`\n🏷️  Validating ingredient classifications...`);
+
+    const global = buildClassificationMap(glossary);
+
+    // Conflicts: products may only restate the global classification unless they override it
+    findClassificationConflicts(sunscreens, glossary).forEach(({ slug, claims }) => {
+        const details = claims.map(claim => `${claim.classification} (${claim.source})`).join(', ');
+        addError(`Conflicting classifications for "${slug}": ${details}. Classify it once in data/ingredients.yaml, or set "overrideClassifications: true" on a product that really differs`);
+    });
+
+    sunscreens.forEach((sunscreen, index) => {
+        if (!sunscreen.ingredientClassifications) return;
+        const sunscreenLabel = `Sunscreen #${index + 1} (${sunscreen.name || 'unnamed'})`;
+
+        if (sunscreen.overrideClassifications !== true) {
+            addWarning(`${sunscreenLabel}: "ingredientClassifications" is ignored without "overrideClassifications: true" (classifications belong in data/ingredients.yaml)`);
+            return;
+        }
+
+        Object.entries(sunscreen.ingredientClassifications).forEach(([ingredient, classification]) => {
+            const slug = parseIngredients(ingredient)[0]?.slug;
+            if (global.get(slug) === classification) {
+                addWarning(`${sunscreenLabel}: override of "${ingredient}" matches data/ingredients.yaml and can be removed`);
+            }
+        });
+    });
+
+    // Unclassified ingredients worth classifying: those in many products
+    const productCounts = new Map();
+    sunscreens.forEach(sunscreen => {
+        new Set(parseIngredients(sunscreen.ingredients).map(ing => ing.slug)).forEach(slug => {
+            productCounts.set(slug, (productCounts.get(slug) || 0) + 1);
+        });
+    });
+
+    const unclassified = Array.from(productCounts.entries())
+        .filter(([slug, count]) => count > threshold && !global.has(slug))
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    console.log(`✅ Classifications checked across ${sunscreens.length} sunscreens (${global.size} classified slugs)`);
+
+    if (unclassified.length > 0) {
+        console.log(`\n📋 Unclassified ingredients in more than ${threshold} products (${unclassified.length}):`);
+        unclassified.forEach(([slug, count]) => console.log(`   ${String(count).padStart(3)}  ${slug}`));
+    }
+}
+
+/**
+ * Summarize a list for a one-line message, e.g. "a, b, c and 4 more"
+ * @param {Array<string>} items - Items
+ * @param {number} [limit] - Items shown before "and N more"
+ */
+function summarizeList(items, limit = 5) {
+    const shown = items.slice(0, limit).join(', ');
+    return items.length > limit ? `${shown} and ${items.length - limit} more` : shown;
+}
+
+function validateCrossReferences(questionsData, sunscreens, glossary) {
+    console.log(`\n🔀 Cross-checking products, questions and translations...`);
+
+    const questions = questionsData.questions;
+
+    // Products as the app sees them, with the attributes derived at load time
+    setGlobalClassifications(glossary || {});
+    const products = applyIngredientTokens(applyFilterTypes(structuredClone(sunscreens)), resolveClassifications);
+
+    // Product values nobody can select (values the schema allows no option for are already errors)
+    const properties = addOptionEnums(loadSchema('sunscreens'), questions).$defs.sunscreen.properties;
+    const hasEnum = attribute => Boolean(properties[attribute] && (properties[attribute].items || properties[attribute]).enum);
+    const orphansByQuestion = new Map();
+    findOrphanValues(products, questions).filter(orphan => !hasEnum(orphan.attribute)).forEach(orphan => {
+        if (!orphansByQuestion.has(orphan.questionKey)) orphansByQuestion.set(orphan.questionKey, []);
+        orphansByQuestion.get(orphan.questionKey).push(orphan);
+    });
+    orphansByQuestion.forEach((orphans, questionKey) => {
+        const values = orphans.map(({ value, count }) => `${value} (${count})`);
+        addWarning(`Question "${questionKey}": ${orphans.length} "${orphans[0].attribute}" values in sunscreens.yaml have no answer option, so they can't be selected: ${summarizeList(values, 10)}`);
+    });
+
+    // Answer options that make no difference
+    findUnreachableOptions(products, questions).forEach(({ questionKey, value }) => {
+        addWarning(`Question "${questionKey}": no product has option "${value}"`);
+    });
+
+    // Labels the questions form looks up, in every language
+    const keys = getQuestionTranslationKeys(questions);
+    const translationsDir = path.join(__dirname, 'translations');
+    fs.readdirSync(translationsDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const translations = JSON.parse(fs.readFileSync(path.join(translationsDir, file), 'utf8'));
+            const missingKeys = findMissingTranslations(translations, keys);
+            if (missingKeys.length > 0) {
+                addWarning(`translations/${file}: ${missingKeys.length} question keys missing: ${summarizeList(missingKeys)}`);
+            }
+        });
+
+    // Mutually exclusive features
+    const exclusions = findExclusionProblems(products, questions, questionsData.mutuallyExclusive);
+    exclusions.unknown.forEach(feature => {
+        addError(`mutuallyExclusive: "${feature}" is not an option of a multi-select question`);
+    });
+    exclusions.oneWay.forEach(({ feature, other }) => {
+        addWarning(`mutuallyExclusive: "${feature}" excludes "${other}" but not the other way round`);
+    });
+    exclusions.conflicts.forEach(({ product, feature, other }) => {
+        addError(`Sunscreen "${product}" has both "${feature}" and "${other}", which mutuallyExclusive says can't go together`);
+    });
+
+    console.log(`✅ Cross-checked ${products.length} sunscreens against ${Object.keys(questions).length} questions and ${keys.length} translation keys`);
 }
 
 function validateIngredientURLs(ingredients) {
@@ -242,8 +469,7 @@ function validateIngredientURLs(ingredients) {
     const slugCollisions = new Map();
 
     // Only test each unique ingredient once
-    ingredients.forEach(ingredient => {
-        const slug = generateIngredientSlug(ingredient);
+    ingredients.forEach(({ raw: ingredient, slug }) => {
         const url = `https://incidecoder.com/ingredients/${slug}`;
 
         // Check for empty slugs
@@ -286,7 +512,34 @@ function validateIngredientURLs(ingredients) {
 // Main Validation
 // ============================================================================
 
+/**
+ * Read --unclassified-threshold=N from the command line
+ * @returns {number} Threshold (default 5)
+ */
+function getUnclassifiedThreshold() {
+    const arg = process.argv.find(value => value.startsWith('--unclassified-threshold='));
+    const threshold = arg ? Number(arg.split('=')[1]) : 5;
+
+    if (!Number.isInteger(threshold) || threshold < 0) {
+        console.error('--unclassified-threshold must be a non-negative integer');
+        process.exit(1);
+    }
+    return threshold;
+}
+
+/**
+ * Read --sunscreens=FILE from the command line
+ * @param {string} dataDir - Default data directory
+ * @returns {string} Path of the sunscreens file to validate
+ */
+function getSunscreensFile(dataDir) {
+    const arg = process.argv.find(value => value.startsWith('--sunscreens='));
+    return arg ? path.resolve(arg.slice('--sunscreens='.length)) : path.join(dataDir, 'sunscreens.yaml');
+}
+
 function main() {
+    const unclassifiedThreshold = getUnclassifiedThreshold();
+
     console.log('🚀 Starting data validation...\n');
     console.log('='.repeat(80));
 
@@ -296,15 +549,41 @@ function main() {
     const questionsFile = path.join(dataDir, 'questions-metadata.yaml');
     const questionsData = validateYAMLFile(questionsFile);
     if (questionsData) {
-        validateQuestionsMetadata(questionsData);
+        validateQuestionsMetadata(questionsData, loadSchema('questions-metadata'));
     }
 
-    // Validate sunscreens.yaml
-    const sunscreensFile = path.join(dataDir, 'sunscreens.yaml');
+    // Validate sunscreens.yaml (after renumbering ids with --fix-ids)
+    const sunscreensFile = getSunscreensFile(dataDir);
+    if (process.argv.includes('--fix-ids')) {
+        fixSunscreenIds(sunscreensFile);
+    }
     const sunscreensData = validateYAMLFile(sunscreensFile);
     let ingredients = [];
     if (sunscreensData) {
-        ingredients = validateSunscreensData(sunscreensData);
+        // Product values such as formFactors must be one of the question options
+        const questions = questionsData && questionsData.questions && typeof questionsData.questions === 'object' ? questionsData.questions : {};
+        ingredients = validateSunscreensData(sunscreensData, addOptionEnums(loadSchema('sunscreens'), questions));
+        // Entries that aren't objects are already reported by the schema
+        if (Array.isArray(sunscreensData.sunscreens) && sunscreensData.sunscreens.every(sunscreen => sunscreen && typeof sunscreen === 'object')) {
+            validateDuplicates(sunscreensData.sunscreens);
+        }
+    }
+
+    // Validate ingredients.yaml
+    const glossaryFile = path.join(dataDir, 'ingredients.yaml');
+    const glossaryData = validateYAMLFile(glossaryFile);
+    if (glossaryData) {
+        validateIngredientGlossary(glossaryData);
+    }
+
+    // Validate classifications across both files
+    if (sunscreensData && Array.isArray(sunscreensData.sunscreens) && glossaryData && glossaryData.ingredients) {
+        validateClassifications(sunscreensData.sunscreens, glossaryData.ingredients, unclassifiedThreshold);
+    }
+
+    // Cross-check products, questions and translations
+    if (questionsData && questionsData.questions && sunscreensData && Array.isArray(sunscreensData.sunscreens)) {
+        validateCrossReferences(questionsData, sunscreensData.sunscreens, glossaryData && glossaryData.ingredients);
     }
 
     // Validate ingredient URLs